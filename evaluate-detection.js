@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+
+// Detector evaluation: analyse every annotated sample and score the
+// detections against its ground truth (`<file>.annotations.json`, see
+// packages/core-detect/src/evaluation.ts for the format).  Prints
+// precision, recall, F1 and box IoU per detection kind and fails when a
+// result is worse than in the stored baseline report
+// (samples/evaluation-baseline.json), when a kind scores below its minimum
+// in samples/evaluation-thresholds.json, or when a must-not-detect region
+// is hit.
+//
+//   node evaluate-detection.js [dir ...] [--thresholds file] [--baseline report.json | --no-baseline] [--iou 0.3] [--json file] [--lang-path dir]
+//
+// After an intended change in results, store the new baseline with
+// --json samples/evaluation-baseline.json.
+//
+// Images and scanned pages go through OCR; --lang-path reads the Tesseract
+// traineddata from a local directory instead of downloading it.  Samples
+// are skipped with a warning when OCR cannot load its data (offline,
+// without --lang-path), and scanned PDF pages when the `canvas` package
+// is not installed to render them.
+//
+// Needs the CommonJS build: pnpm --filter @cleanshare/core-detect build
+
+const fs = require('fs');
+const path = require('path');
+
+const ANNOTATION_SUFFIX = '.annotations.json';
+const DEFAULT_DIRS = ['samples', 'test-samples'];
+const DEFAULT_THRESHOLDS = path.join('samples', 'evaluation-thresholds.json');
+const DEFAULT_BASELINE = path.join('samples', 'evaluation-baseline.json');
+
+function parseArgs(argv) {
+  const args = { dirs: [], thresholds: DEFAULT_THRESHOLDS, baseline: DEFAULT_BASELINE, iouThreshold: undefined, json: undefined, langPath: undefined };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--thresholds') args.thresholds = argv[++i];
+    else if (arg === '--baseline') args.baseline = argv[++i];
+    else if (arg === '--no-baseline') args.baseline = undefined;
+    else if (arg === '--iou') args.iouThreshold = Number(argv[++i]);
+    else if (arg === '--json') args.json = argv[++i];
+    else if (arg === '--lang-path') args.langPath = argv[++i];
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+    else args.dirs.push(arg);
+  }
+  if (args.dirs.length === 0) args.dirs = DEFAULT_DIRS;
+  return args;
+}
+
+function findAnnotations(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) return findAnnotations(full);
+    return entry.name.endsWith(ANNOTATION_SUFFIX) ? [full] : [];
+  });
+}
+
+function pct(value) {
+  return (value * 100).toFixed(1).padStart(6) + '%';
+}
+
+function printMetrics(label, m) {
+  const iou = m.meanIoU === null ? '     –' : m.meanIoU.toFixed(3).padStart(6);
+  console.log(
+    `   ${label.padEnd(12)} ${String(m.truePositives).padStart(4)} ${String(m.falsePositives).padStart(4)} ${String(m.falseNegatives).padStart(4)}  ${pct(m.precision)} ${pct(m.recall)} ${pct(m.f1)} ${iou}`
+  );
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  let core;
+  try {
+    core = require('./packages/core-detect/dist/cjs/node');
+  } catch (err) {
+    if (err.code !== 'MODULE_NOT_FOUND') throw err;
+    console.error('❌ core-detect is not built; run: pnpm --filter @cleanshare/core-detect build');
+    process.exit(1);
+  }
+  try {
+    const { createCanvas } = require('canvas');
+    core.setEnvironment(core.createNodeEnvironment({ createCanvas }));
+  } catch (err) {
+    // Pages without a text layer cannot be rendered for OCR; those files are skipped
+  }
+
+  // Read before --json can overwrite it with this run's report
+  const baseline = args.baseline ? JSON.parse(fs.readFileSync(args.baseline, 'utf8')) : undefined;
+
+  const annotationFiles = args.dirs.flatMap(findAnnotations).sort();
+  if (annotationFiles.length === 0) {
+    console.error(`❌ No ${ANNOTATION_SUFFIX} files under ${args.dirs.join(', ')}`);
+    process.exit(1);
+  }
+
+  console.log(`🔍 Evaluating detectors on ${annotationFiles.length} annotated file(s)\n`);
+  const scores = [];
+  let failed = 0;
+  for (const annotationFile of annotationFiles) {
+    const sample = annotationFile.slice(0, -ANNOTATION_SUFFIX.length);
+    const name = path.relative(__dirname, sample).split(path.sep).join('/');
+    if (!fs.existsSync(sample)) {
+      console.log(`   ⚠️  ${name}: annotated file is missing, skipped`);
+      continue;
+    }
+    const truth = JSON.parse(fs.readFileSync(annotationFile, 'utf8'));
+    let result;
+    try {
+      result = await core.analyzeDocument(sample, { ...truth.options, ...(args.langPath ? { ocrData: { langPath: args.langPath, cacheMethod: 'none' } } : {}) });
+    } catch (err) {
+      if (core.isOcrError(err)) {
+        console.log(`   ⚠️  ${name}: ${err.message}; skipped (pass --lang-path to read the traineddata locally)`);
+        continue;
+      }
+      failed++;
+      console.log(`   ❌ ${name}: analysis failed: ${err.message}`);
+      continue;
+    }
+    if (result.skippedPages.length > 0) {
+      console.log(`   ⚠️  ${name}: scanned pages need the canvas package to be rendered, skipped`);
+      continue;
+    }
+    const score = core.scoreDocument(name, truth, result.detections, { iouThreshold: args.iouThreshold });
+    scores.push(score);
+    const mark = score.missed.length === 0 && score.falsePositives.length === 0 ? '✅' : '❌';
+    console.log(`   ${mark} ${name}: ${score.found.length}/${truth.expected.length} found, ${score.falsePositives.length} false positive(s), ${score.violations.length} must-not-detect hit(s)`);
+    for (const i of score.missed) {
+      const item = truth.expected[i];
+      console.log(`      missed ${item.kind}${item.text ? ` "${item.text}"` : ''}`);
+    }
+    for (const fp of score.falsePositives) {
+      console.log(`      extra  ${fp.kind} "${fp.preview ?? ''}" (page ${fp.page + 1})`);
+    }
+  }
+
+  const report = core.summarizeScores(scores);
+  console.log('\n📊 Results by kind\n');
+  console.log('   kind           TP   FP   FN   precision  recall      F1    IoU');
+  for (const [kind, metrics] of Object.entries(report.byKind)) printMetrics(kind, metrics);
+  printMetrics('overall', report.overall);
+
+  if (args.json) {
+    fs.writeFileSync(args.json, JSON.stringify(report, null, 2) + '\n');
+    console.log(`\n💾 Report written to ${args.json}`);
+  }
+
+  const regressions = core.checkThresholds(report, JSON.parse(fs.readFileSync(args.thresholds, 'utf8')));
+  if (baseline) regressions.push(...core.compareWithBaseline(report, baseline));
+  if (regressions.length > 0) {
+    console.log(`\n❌ ${regressions.length} result(s) below ${args.thresholds}${args.baseline ? ` or worse than ${args.baseline}` : ''}:`);
+    for (const regression of regressions) console.log(`   • ${regression.message}`);
+  }
+  if (failed > 0) console.log(`\n❌ ${failed} file(s) could not be analysed`);
+  if (regressions.length > 0 || failed > 0) process.exit(1);
+  console.log(`\n🎯 Every kind meets its minimum in ${args.thresholds}${args.baseline ? `, no regressions against ${args.baseline}` : ''}`);
+}
+
+main().catch(err => {
+  console.error('❌ Evaluation failed:', err);
+  process.exit(1);
+});
@@ -82,14 +82,19 @@ export class VisionWeb extends WebPlugin implements VisionPlugin {
   async detectFaces(options: { uri: string }): Promise<{
     faces: { bbox: { x: number; y: number; width: number; height: number } }[];
   }> {
-    // Face detection not implemented in web fallback
-    // In a real implementation, you might use:
-    // - MediaPipe Face Detection
-    // - face-api.js
-    // - TensorFlow.js face detection models
-    
-    console.warn('Face detection not implemented in web fallback');
-    return { faces: [] };
+    // Use the bundled Haar cascade from core-detect; it runs on the CPU and
+    // needs no model download.
+    try {
+      const { detectFaces } = await import('@cleanshare/core-detect');
+      const imageData = await this.uriToImageData(options.uri);
+      const faces = detectFaces(imageData).map(face => ({
+        bbox: { x: face.x, y: face.y, width: face.w, height: face.h }
+      }));
+      return { faces };
+    } catch (error) {
+      console.error('Face detection failed:', error);
+      return { faces: [] };
+    }
   }
 
   async detectBarcodes(options: { uri: string }): Promise<{
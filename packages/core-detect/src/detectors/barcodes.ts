@@ -0,0 +1,240 @@
+import {
+  BarcodeFormat,
+  BinaryBitmap,
+  DecodeHintType,
+  HybridBinarizer,
+  MultiFormatReader,
+  RGBLuminanceSource
+} from '@zxing/library';
+import type { Result } from '@zxing/library';
+import jsQR from 'jsqr';
+import type { BarcodeSymbology, RasterImage } from '../types';
+
+/*
+ * Multi‑symbol barcode scanning.  ZXing decodes one symbol per call, so each
+ * decoded symbol is painted out of a working copy of the page and the scan
+ * repeated until nothing more is found.  Linear barcodes are only read along
+ * rows, so the page is scanned again turned a quarter turn for vertical
+ * codes, and small images are scanned again at twice their size so that
+ * tiny codes have enough pixels per module.  QR codes are read at any
+ * angle.  jsQR runs last because it also reads inverted (light on dark) QR
+ * codes.
+ */
+
+export interface BarcodeScanOptions {
+  /** Symbologies to look for (default: all supported except RSS_EXPANDED) */
+  formats?: BarcodeSymbology[];
+  /** Most symbols reported per image (default 32) */
+  maxCodes?: number;
+  /** Also scan the image turned 90° to read vertical linear barcodes (default true) */
+  tryRotated?: boolean;
+  /** Images whose longest side is below this many pixels are also scanned at 2× (default 1200) */
+  upscaleBelow?: number;
+}
+
+export interface BarcodeBox {
+  /** Box in pixels of the input image */
+  x: number;
+  y: number;
+  w: number;
+  h: number;
+  format: BarcodeSymbology;
+  /** Decoded payload */
+  text: string;
+}
+
+const SYMBOLOGY_LABELS: Record<BarcodeSymbology, string> = {
+  QR_CODE: 'QR code',
+  DATA_MATRIX: 'Data Matrix code',
+  AZTEC: 'Aztec code',
+  PDF_417: 'PDF417 barcode',
+  CODE_128: 'Code 128 barcode',
+  CODE_39: 'Code 39 barcode',
+  CODE_93: 'Code 93 barcode',
+  CODABAR: 'Codabar barcode',
+  ITF: 'ITF barcode',
+  EAN_13: 'EAN-13 barcode',
+  EAN_8: 'EAN-8 barcode',
+  UPC_A: 'UPC-A barcode',
+  UPC_E: 'UPC-E barcode',
+  RSS_14: 'GS1 DataBar barcode',
+  RSS_EXPANDED: 'GS1 DataBar Expanded barcode'
+};
+
+export const BARCODE_SYMBOLOGIES = Object.keys(SYMBOLOGY_LABELS) as BarcodeSymbology[];
+
+/** Scanned unless `formats` says otherwise; ZXing's GS1 DataBar Expanded reader is experimental and opt‑in. */
+const DEFAULT_SYMBOLOGIES = BARCODE_SYMBOLOGIES.filter(f => f !== 'RSS_EXPANDED');
+
+/** Human readable name of a symbology, e.g. "Code 128 barcode". */
+export function barcodeLabel(format: BarcodeSymbology): string {
+  return SYMBOLOGY_LABELS[format] ?? 'barcode';
+}
+
+const LINEAR: BarcodeSymbology[] = ['CODE_128', 'CODE_39', 'CODE_93', 'CODABAR', 'ITF', 'EAN_13', 'EAN_8', 'UPC_A', 'UPC_E', 'RSS_14', 'RSS_EXPANDED'];
+
+interface Gray {
+  data: Uint8ClampedArray;
+  width: number;
+  height: number;
+}
+
+/** Luma of RGBA pixels, one byte per pixel. */
+function toGray(image: RasterImage): Gray {
+  const data = new Uint8ClampedArray(image.width * image.height);
+  for (let i = 0, p = 0; i < data.length; i++, p += 4) {
+    data[i] = (image.data[p] * 299 + image.data[p + 1] * 587 + image.data[p + 2] * 114) / 1000;
+  }
+  return { data, width: image.width, height: image.height };
+}
+
+/** Turn a quarter turn clockwise; a pixel at (x, y) moves to (height - 1 - y, x). */
+function rotate(gray: Gray): Gray {
+  const { width, height } = gray;
+  const data = new Uint8ClampedArray(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      data[x * height + (height - 1 - y)] = gray.data[y * width + x];
+    }
+  }
+  return { data, width: height, height: width };
+}
+
+/** Nearest‑neighbour 2× enlargement. */
+function upscale(gray: Gray): Gray {
+  const width = gray.width * 2;
+  const height = gray.height * 2;
+  const data = new Uint8ClampedArray(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      data[y * width + x] = gray.data[(y >> 1) * gray.width + (x >> 1)];
+    }
+  }
+  return { data, width, height };
+}
+
+function fill(gray: Gray, box: Omit<BarcodeBox, 'format' | 'text'>, value = 255): void {
+  const x0 = Math.max(0, Math.floor(box.x));
+  const y0 = Math.max(0, Math.floor(box.y));
+  const x1 = Math.min(gray.width, Math.ceil(box.x + box.w));
+  const y1 = Math.min(gray.height, Math.ceil(box.y + box.h));
+  for (let y = y0; y < y1; y++) gray.data.fill(value, y * gray.width + x0, y * gray.width + x1);
+}
+
+/**
+ * Vertical extent of a linear barcode.  ZXing only reports the ends of the
+ * row it decoded, so rows above and below are compared with that row until
+ * the bar pattern stops.
+ */
+function barExtent(gray: Gray, x0: number, x1: number, row: number): [number, number] {
+  const left = Math.max(0, Math.floor(x0));
+  const right = Math.min(gray.width, Math.ceil(x1));
+  const n = right - left;
+  if (n <= 0) return [row, row + 1];
+  let sum = 0;
+  for (let x = left; x < right; x++) sum += gray.data[row * gray.width + x];
+  const threshold = sum / n;
+  const reference = gray.data.slice(row * gray.width + left, row * gray.width + right).map(v => (v < threshold ? 1 : 0));
+  const matches = (y: number) => {
+    let same = 0;
+    for (let x = 0; x < n; x++) {
+      if ((gray.data[y * gray.width + left + x] < threshold ? 1 : 0) === reference[x]) same++;
+    }
+    return same / n >= 0.85;
+  };
+  let top = row;
+  while (top > 0 && matches(top - 1)) top--;
+  let bottom = row + 1;
+  while (bottom < gray.height && matches(bottom)) bottom++;
+  return [top, bottom];
+}
+
+/** Bounding box of a decoded symbol, padded to cover its quiet zone. */
+function symbolBox(result: Result, format: BarcodeSymbology, gray: Gray): Omit<BarcodeBox, 'format' | 'text'> | null {
+  const points = (result.getResultPoints() || []).filter(Boolean);
+  if (points.length === 0) return null;
+  const xs = points.map(p => p.getX());
+  const ys = points.map(p => p.getY());
+  let minX = Math.min(...xs);
+  let maxX = Math.max(...xs);
+  let minY = Math.min(...ys);
+  let maxY = Math.max(...ys);
+  if (LINEAR.includes(format)) {
+    [minY, maxY] = barExtent(gray, minX, maxX, Math.round((minY + maxY) / 2));
+  }
+  // QR points are the centres of the finder patterns, 3.5 modules inside the symbol
+  const size = Math.max(maxX - minX, maxY - minY);
+  const pad = format === 'QR_CODE' ? size * 0.25 : Math.max(2, size * 0.05);
+  minX = Math.max(0, minX - pad);
+  minY = Math.max(0, minY - pad);
+  maxX = Math.min(gray.width, maxX + pad);
+  maxY = Math.min(gray.height, maxY + pad);
+  return { x: minX, y: minY, w: maxX - minX, h: maxY - minY };
+}
+
+/** Decode symbols one at a time, painting each out of `gray` before the next attempt. */
+function decodeAll(gray: Gray, reader: MultiFormatReader, limit: number): BarcodeBox[] {
+  const found: BarcodeBox[] = [];
+  while (found.length < limit) {
+    let result: Result;
+    try {
+      const source = new RGBLuminanceSource(gray.data, gray.width, gray.height);
+      result = reader.decodeWithState(new BinaryBitmap(new HybridBinarizer(source)));
+    } catch {
+      // NotFoundException, or a symbol that was located but could not be read
+      break;
+    }
+    const format = BarcodeFormat[result.getBarcodeFormat()] as BarcodeSymbology;
+    const box = symbolBox(result, format, gray);
+    if (!box || box.w < 1 || box.h < 1) break;
+    found.push({ ...box, format, text: result.getText() });
+    fill(gray, box);
+  }
+  return found;
+}
+
+/** Find every barcode and 2D code in an image. */
+export function detectBarcodes(image: RasterImage, options: BarcodeScanOptions = {}): BarcodeBox[] {
+  const formats = options.formats ?? DEFAULT_SYMBOLOGIES;
+  if (formats.length === 0) return [];
+  const limit = options.maxCodes ?? 32;
+  const reader = new MultiFormatReader();
+  const hints = new Map<DecodeHintType, any>();
+  hints.set(DecodeHintType.POSSIBLE_FORMATS, formats.map(f => BarcodeFormat[f]));
+  hints.set(DecodeHintType.TRY_HARDER, true);
+  reader.setHints(hints);
+
+  const gray = toGray(image);
+  const codes = decodeAll(gray, reader, limit);
+
+  if (options.tryRotated !== false && formats.some(f => LINEAR.includes(f)) && codes.length < limit) {
+    const { height } = gray;
+    for (const code of decodeAll(rotate(gray), reader, limit - codes.length)) {
+      // Undo the rotation: (x', y') in the turned image is (y', height - 1 - x') here
+      const box = { x: code.y, y: height - code.x - code.w, w: code.h, h: code.w };
+      codes.push({ ...code, ...box });
+      fill(gray, box);
+    }
+  }
+
+  if (Math.max(gray.width, gray.height) < (options.upscaleBelow ?? 1200) && codes.length < limit) {
+    for (const code of decodeAll(upscale(gray), reader, limit - codes.length)) {
+      const box = { x: code.x / 2, y: code.y / 2, w: code.w / 2, h: code.h / 2 };
+      codes.push({ ...code, ...box });
+      fill(gray, box);
+    }
+  }
+
+  if (formats.includes('QR_CODE') && codes.length < limit) {
+    const qr = jsQR(image.data instanceof Uint8ClampedArray ? image.data : new Uint8ClampedArray(image.data), image.width, image.height);
+    if (qr && qr.location && !codes.some(c => c.format === 'QR_CODE' && c.text === qr.data)) {
+      const { topLeftCorner, topRightCorner, bottomRightCorner, bottomLeftCorner } = qr.location;
+      const xs = [topLeftCorner.x, topRightCorner.x, bottomRightCorner.x, bottomLeftCorner.x];
+      const ys = [topLeftCorner.y, topRightCorner.y, bottomRightCorner.y, bottomLeftCorner.y];
+      const x = Math.min(...xs);
+      const y = Math.min(...ys);
+      codes.push({ x, y, w: Math.max(...xs) - x, h: Math.max(...ys) - y, format: 'QR_CODE', text: qr.data });
+    }
+  }
+  return codes;
+}
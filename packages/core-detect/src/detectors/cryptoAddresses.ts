@@ -0,0 +1,246 @@
+import { keccak256, sha256 } from './hashes';
+import { registerDetector } from './index';
+
+/*
+ * Cryptocurrency wallet addresses.  Every format reported here carries a
+ * checksum – base58check, bech32/bech32m or Ethereum's EIP‑55 casing –
+ * and an address is only reported when it verifies, so random base58 or
+ * hex strings (commit hashes, UUIDs, API keys) are not taken for wallets.
+ * The chain's ticker is part of each detection's reason.
+ */
+
+const BITCOIN_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const RIPPLE_ALPHABET = 'rpshnaf39wBUDNEGHJKLM4PQRST7VWXYZ2bcdeCg65jkm8oFqi1tuvAxyz';
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32M_CONST = 0x2bc830a3;
+
+/** Decode base58 text with the given alphabet; null when a character is not in it. */
+function decodeBase58(text: string, alphabet: string): Uint8Array | null {
+  const bytes: number[] = [];
+  for (const ch of text) {
+    let carry = alphabet.indexOf(ch);
+    if (carry < 0) return null;
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+  for (let i = 0; i < text.length && text[i] === alphabet[0]; i++) bytes.push(0);
+  return Uint8Array.from(bytes.reverse());
+}
+
+/**
+ * Decode a base58check string and verify its four byte double SHA‑256
+ * checksum.  Returns the version byte and payload, or null.
+ */
+export function decodeBase58Check(text: string, alphabet = BITCOIN_ALPHABET): { version: number; payload: Uint8Array } | null {
+  const bytes = decodeBase58(text, alphabet);
+  if (!bytes || bytes.length < 5) return null;
+  const body = bytes.subarray(0, bytes.length - 4);
+  const checksum = sha256(sha256(body));
+  for (let i = 0; i < 4; i++) {
+    if (checksum[i] !== bytes[body.length + i]) return null;
+  }
+  return { version: body[0], payload: body.subarray(1) };
+}
+
+function bech32Polymod(values: number[]): number {
+  const generator = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  let checksum = 1;
+  for (const value of values) {
+    const top = checksum >>> 25;
+    checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+    for (let i = 0; i < 5; i++) {
+      if ((top >>> i) & 1) checksum ^= generator[i];
+    }
+  }
+  return checksum >>> 0;
+}
+
+/**
+ * Decode a bech32 or bech32m string (BIP 173, BIP 350) and verify its
+ * checksum.  Returns the human‑readable part, the 5‑bit data words without
+ * the checksum, and which encoding verified.
+ */
+export function decodeBech32(text: string): { hrp: string; data: number[]; encoding: 'bech32' | 'bech32m' } | null {
+  if (text.length > 90 || (text !== text.toLowerCase() && text !== text.toUpperCase())) return null;
+  const lower = text.toLowerCase();
+  const separator = lower.lastIndexOf('1');
+  if (separator < 1 || separator + 7 > lower.length) return null;
+  const hrp = lower.slice(0, separator);
+  const data: number[] = [];
+  for (const ch of lower.slice(separator + 1)) {
+    const value = BECH32_CHARSET.indexOf(ch);
+    if (value < 0) return null;
+    data.push(value);
+  }
+  const expanded = [...[...hrp].map(c => c.charCodeAt(0) >> 5), 0, ...[...hrp].map(c => c.charCodeAt(0) & 31)];
+  const check = bech32Polymod([...expanded, ...data]);
+  const encoding = check === 1 ? 'bech32' : check === BECH32M_CONST ? 'bech32m' : null;
+  if (!encoding) return null;
+  return { hrp, data: data.slice(0, -6), encoding };
+}
+
+/** Regroup 5‑bit words into bytes; null when the padding is invalid. */
+function fromWords(words: number[]): number[] | null {
+  let accumulator = 0;
+  let bits = 0;
+  const bytes: number[] = [];
+  for (const word of words) {
+    accumulator = (accumulator << 5) | word;
+    bits += 5;
+    while (bits >= 8) {
+      bits -= 8;
+      bytes.push((accumulator >> bits) & 0xff);
+    }
+    accumulator &= (1 << bits) - 1;
+  }
+  return bits >= 5 || accumulator !== 0 ? null : bytes;
+}
+
+/** Segregated witness address type for witness version and program length, or null when invalid. */
+function segwitType(text: string, hrp: string): string | null {
+  const decoded = decodeBech32(text);
+  if (!decoded || decoded.hrp !== hrp || decoded.data.length === 0) return null;
+  const [version, ...words] = decoded.data;
+  const program = fromWords(words);
+  if (version > 16 || !program || program.length < 2 || program.length > 40) return null;
+  // Version 0 uses bech32, later versions bech32m
+  if ((version === 0) !== (decoded.encoding === 'bech32')) return null;
+  if (version === 0) return program.length === 20 ? 'SegWit P2WPKH' : program.length === 32 ? 'SegWit P2WSH' : null;
+  return version === 1 && program.length === 32 ? 'Taproot' : `SegWit v${version}`;
+}
+
+/**
+ * Validate an Ethereum address.  Mixed‑case addresses must match their
+ * EIP‑55 checksum; all lower or upper case ones may be written without
+ * one and only need to pass the shape check.
+ */
+export function isValidEthereumAddress(value: string): boolean {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(value)) return false;
+  return !hasMixedCase(value) || isEip55Checksummed(value);
+}
+
+const hasMixedCase = (value: string) => /[a-f]/.test(value.slice(2)) && /[A-F]/.test(value.slice(2));
+
+/**
+ * Checksum of a valid Ethereum address.  The EIP‑55 casing of some
+ * addresses is all upper or all lower case, so those are checked too; only
+ * when it does not verify, or there are no letters to check, is the
+ * address unchecksummed.
+ */
+function ethereumChecksum(value: string): 'EIP-55' | 'none' {
+  return /[a-fA-F]/.test(value.slice(2)) && isEip55Checksummed(value) ? 'EIP-55' : 'none';
+}
+
+function isEip55Checksummed(value: string): boolean {
+  const hex = value.slice(2);
+  const hash = keccak256(Uint8Array.from([...hex.toLowerCase()].map(c => c.charCodeAt(0))));
+  for (let i = 0; i < 40; i++) {
+    const nibble = (hash[i >> 1] >> (i % 2 === 0 ? 4 : 0)) & 0x0f;
+    const ch = hex[i];
+    if (/[a-f]/.test(ch) && nibble >= 8) return false;
+    if (/[A-F]/.test(ch) && nibble < 8) return false;
+  }
+  return true;
+}
+
+/** A chain and address format recognised by `classifyCryptoAddress`. */
+export interface CryptoAddressMatch {
+  /** Chain name, e.g. 'Bitcoin' */
+  chain: string;
+  /** Ticker symbol used as the chain tag, e.g. 'BTC' */
+  ticker: string;
+  /** Address format, e.g. 'P2PKH' or 'Taproot' */
+  format: string;
+  /** 'base58check', 'bech32', 'bech32m' or 'EIP-55'; 'none' for unchecksummed Ethereum addresses */
+  checksum: string;
+}
+
+/** Base58check version bytes of 21‑byte addresses: [version, chain, ticker, format]. */
+const BASE58_VERSIONS: Array<[number, string, string, string]> = [
+  [0x00, 'Bitcoin', 'BTC', 'P2PKH'],
+  [0x05, 'Bitcoin', 'BTC', 'P2SH'],
+  [0x30, 'Litecoin', 'LTC', 'P2PKH'],
+  [0x32, 'Litecoin', 'LTC', 'P2SH'],
+  [0x1e, 'Dogecoin', 'DOGE', 'P2PKH'],
+  [0x16, 'Dogecoin', 'DOGE', 'P2SH'],
+  [0x4c, 'Dash', 'DASH', 'P2PKH'],
+  [0x10, 'Dash', 'DASH', 'P2SH'],
+  [0x41, 'Tron', 'TRX', 'account']
+];
+
+/** Human‑readable parts of segwit addresses. */
+const SEGWIT_HRPS: Array<[string, string, string]> = [
+  ['bc', 'Bitcoin', 'BTC'],
+  ['ltc', 'Litecoin', 'LTC']
+];
+
+/** Recognise a wallet address and verify its checksum; null when it is not one. */
+export function classifyCryptoAddress(text: string): CryptoAddressMatch | null {
+  const value = text.trim();
+  if (/^0x[0-9a-f]{40}$/i.test(value)) {
+    if (!isValidEthereumAddress(value)) return null;
+    return { chain: 'Ethereum', ticker: 'ETH', format: 'account', checksum: ethereumChecksum(value) };
+  }
+  for (const [hrp, chain, ticker] of SEGWIT_HRPS) {
+    if (!value.toLowerCase().startsWith(`${hrp}1`)) continue;
+    const type = segwitType(value, hrp);
+    if (type) return { chain, ticker, format: type, checksum: type.startsWith('SegWit P2') ? 'bech32' : 'bech32m' };
+  }
+  if (/^r[1-9A-HJ-NP-Za-km-z]{24,34}$/.test(value)) {
+    const decoded = decodeBase58Check(value, RIPPLE_ALPHABET);
+    if (decoded && decoded.version === 0x00 && decoded.payload.length === 20) {
+      return { chain: 'XRP Ledger', ticker: 'XRP', format: 'classic', checksum: 'base58check' };
+    }
+  }
+  if (/^[1-9A-HJ-NP-Za-km-z]{25,35}$/.test(value)) {
+    const decoded = decodeBase58Check(value);
+    const known = decoded && decoded.payload.length === 20 && BASE58_VERSIONS.find(([version]) => version === decoded.version);
+    if (known) return { chain: known[1], ticker: known[2], format: known[3], checksum: 'base58check' };
+  }
+  return null;
+}
+
+/** Detector matcher for the chains with one of `tickers`. */
+function walletMatcher(...tickers: string[]) {
+  return (text: string) => {
+    const match = classifyCryptoAddress(text);
+    if (!match || !tickers.includes(match.ticker)) return null;
+    if (match.checksum === 'none') {
+      return { reason: `${match.chain} (${match.ticker}) address without checksum`, confidence: 0.7 };
+    }
+    return { reason: `${match.chain} (${match.ticker}) ${match.format} address, valid ${match.checksum} checksum`, confidence: 0.95 };
+  };
+}
+
+// Checksummed addresses outrank the card number and IBAN checks, which
+// test the digits and letters of any long token
+registerDetector({ id: 'bitcoin-address', kind: 'CRYPTO_ADDRESS', priority: 105, match: walletMatcher('BTC') });
+registerDetector({ id: 'litecoin-address', kind: 'CRYPTO_ADDRESS', priority: 105, match: walletMatcher('LTC') });
+registerDetector({ id: 'dogecoin-address', kind: 'CRYPTO_ADDRESS', priority: 105, match: walletMatcher('DOGE') });
+registerDetector({ id: 'dash-address', kind: 'CRYPTO_ADDRESS', priority: 105, match: walletMatcher('DASH') });
+registerDetector({ id: 'tron-address', kind: 'CRYPTO_ADDRESS', priority: 105, match: walletMatcher('TRX') });
+registerDetector({ id: 'xrp-address', kind: 'CRYPTO_ADDRESS', priority: 105, match: walletMatcher('XRP') });
+
+// A mixed-case address failing EIP‑55 is a mistyped address, not a number
+// for a lower priority detector to claim
+registerDetector({
+  id: 'ethereum-address',
+  kind: 'CRYPTO_ADDRESS',
+  priority: 105,
+  match: text => {
+    const value = text.trim();
+    if (!/^0x[0-9a-f]{40}$/i.test(value)) return null;
+    return ethereumChecksum(value) === 'EIP-55'
+      ? { reason: 'Ethereum (ETH) account address, valid EIP-55 checksum', confidence: 0.95 }
+      : { reason: 'Ethereum (ETH) address without checksum', confidence: 0.7 };
+  },
+  validate: text => isValidEthereumAddress(text.trim()),
+  exclusive: true
+});
@@ -0,0 +1,220 @@
+import { registerDetector } from './index';
+
+/*
+ * Calendar dates: numeric dates written day first, month first or year
+ * first ("14.03.1987", "03/14/1987", "1987-03-14"), and dates with the month
+ * spelled out in English, German, French, Spanish, Italian, Dutch or
+ * Portuguese ("14 March 1987", "March 14th, 1987", "14. März 1987",
+ * "14 de marzo de 1987", "14-Mar-87").  A date is only reported when it
+ * exists in the calendar.  Every date is detected as DATE; words such as
+ * "DOB" or "born" next to it make it a DATE_OF_BIRTH (see the context
+ * keywords in pipeline/context.ts).
+ */
+
+/** Earliest and latest four digit years taken for a date; other numbers are more likely codes. */
+const MIN_YEAR = 1900;
+const MAX_YEAR = 2099;
+
+/** Month names and abbreviations, accents folded, for each month in turn. */
+const MONTHS: string[][] = [
+  ['january', 'jan', 'januar', 'janner', 'janvier', 'janv', 'enero', 'ene', 'gennaio', 'gen', 'januari', 'janeiro'],
+  ['february', 'feb', 'februar', 'fevrier', 'fevr', 'fev', 'febrero', 'febbraio', 'februari', 'fevereiro'],
+  ['march', 'mar', 'marz', 'mrz', 'mars', 'marzo', 'maart', 'mrt', 'marco'],
+  ['april', 'apr', 'avril', 'avr', 'abril', 'abr', 'aprile'],
+  ['may', 'mai', 'mayo', 'maggio', 'mag', 'mei', 'maio'],
+  ['june', 'jun', 'juni', 'juin', 'junio', 'giugno', 'giu', 'junho'],
+  ['july', 'jul', 'juli', 'juillet', 'juil', 'julio', 'luglio', 'lug', 'julho'],
+  ['august', 'aug', 'aout', 'agosto', 'ago', 'augustus'],
+  ['september', 'sep', 'sept', 'septembre', 'septiembre', 'setiembre', 'set', 'settembre', 'setembro'],
+  ['october', 'oct', 'oktober', 'okt', 'octobre', 'octubre', 'ottobre', 'ott', 'outubro', 'out'],
+  ['november', 'nov', 'novembre', 'noviembre', 'novembro'],
+  ['december', 'dec', 'dezember', 'dez', 'decembre', 'diciembre', 'dic', 'dicembre', 'dezembro']
+];
+
+const monthNumbers = new Map<string, number>(MONTHS.flatMap((names, i) => names.map(name => [name, i + 1] as [string, number])));
+
+/** Words between the parts of a spelled out date: "14 de marzo de 1987", "the 14th of March". */
+const DATE_CONNECTORS = new Set(['de', 'del', 'of', 'the']);
+/** Ordinal suffixes written after the day: "14th", "1er", "1º". */
+const ORDINAL_SUFFIXES = new Set(['st', 'nd', 'rd', 'th', 'er', 'e', 'o', 'º']);
+
+const ISO_DATE = /^(\d{4})([-/.])(\d{1,2})\2(\d{1,2})(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+const NUMERIC_DATE = /^(\d{1,2})([-/.])(\d{1,2})\2(\d{4}|\d{2})$/;
+
+/** Order of the day, month and year as written. */
+export type DateOrder = 'DMY' | 'MDY' | 'YMD';
+
+export interface DateMatch {
+  year: number;
+  month: number;
+  day: number;
+  order: DateOrder;
+  /** True when the month is spelled out */
+  monthName: boolean;
+  /** True when day and month could be read either way, e.g. "03/04/2020" */
+  ambiguous: boolean;
+  /** True when the year was written with two digits */
+  twoDigitYear: boolean;
+  /** Offsets of the year's digits in the text */
+  yearStart: number;
+  yearEnd: number;
+}
+
+function isValidDay(year: number, month: number, day: number): boolean {
+  if (month < 1 || month > 12 || day < 1) return false;
+  const leap = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+  const days = [31, leap ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+  return day <= days[month - 1];
+}
+
+/** Full year of a written year; two digit years are taken to be at most this year. */
+function fullYear(written: string): number | null {
+  const value = Number(written);
+  if (written.length === 4) return value >= MIN_YEAR && value <= MAX_YEAR ? value : null;
+  if (written.length !== 2) return null;
+  const century = value <= new Date().getFullYear() % 100 ? 2000 : 1900;
+  return century + value;
+}
+
+const fold = (word: string) => word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+function parseNumericDate(value: string, offset: number, preferred: 'DMY' | 'MDY'): DateMatch | null {
+  const iso = ISO_DATE.exec(value);
+  if (iso) {
+    const [year, month, day] = [Number(iso[1]), Number(iso[3]), Number(iso[4])];
+    if (year < MIN_YEAR || year > MAX_YEAR || !isValidDay(year, month, day)) return null;
+    return { year, month, day, order: 'YMD', monthName: false, ambiguous: false, twoDigitYear: false, yearStart: offset, yearEnd: offset + 4 };
+  }
+  const m = NUMERIC_DATE.exec(value);
+  if (!m) return null;
+  // Version numbers such as "1.2.10" are not dates; dotted dates with a
+  // short year are written with two digit days and months
+  if (m[2] === '.' && m[4].length === 2 && (m[1].length < 2 || m[3].length < 2)) return null;
+  const year = fullYear(m[4]);
+  if (year === null) return null;
+  const [first, second] = [Number(m[1]), Number(m[3])];
+  const dayFirst = isValidDay(year, second, first);
+  const monthFirst = isValidDay(year, first, second);
+  if (!dayFirst && !monthFirst) return null;
+  const ambiguous = dayFirst && monthFirst && first !== second;
+  const order = dayFirst && monthFirst ? preferred : dayFirst ? 'DMY' : 'MDY';
+  return {
+    year,
+    month: order === 'DMY' ? second : first,
+    day: order === 'DMY' ? first : second,
+    order,
+    monthName: false,
+    ambiguous,
+    twoDigitYear: m[4].length === 2,
+    yearStart: offset + value.length - m[4].length,
+    yearEnd: offset + value.length
+  };
+}
+
+function parseSpelledDate(value: string, offset: number): DateMatch | null {
+  const tokens: Array<{ text: string; index: number; end: number }> = [];
+  const pattern = /\p{L}+|\d+/gu;
+  let m: RegExpExecArray | null;
+  while ((m = pattern.exec(value)) !== null) {
+    tokens.push({ text: m[0], index: m.index, end: m.index + m[0].length });
+  }
+  // Only spaces and punctuation may separate the parts
+  let rest = value;
+  for (const token of [...tokens].reverse()) rest = rest.slice(0, token.index) + rest.slice(token.end);
+  if (!/^[\s,./'’°-]*$/.test(rest)) return null;
+
+  const parts = tokens.filter((token, i) => {
+    const folded = fold(token.text);
+    const previous = tokens[i - 1];
+    if (previous && /^\d+$/.test(previous.text) && previous.end === token.index && ORDINAL_SUFFIXES.has(folded)) return false;
+    return !DATE_CONNECTORS.has(folded);
+  });
+  if (parts.length !== 3) return null;
+  const monthAt = parts.findIndex(part => monthNumbers.has(fold(part.text)));
+  if (monthAt < 0 || parts.some((part, i) => i !== monthAt && !/^\d+$/.test(part.text))) return null;
+
+  // Month first ("March 14, 1987"), day first ("14 March 1987") or year first ("1987 Mar 14")
+  if (monthAt === 2) return null;
+  const yearFirst = monthAt === 1 && parts[0].text.length === 4;
+  const order: DateOrder = monthAt === 0 ? 'MDY' : yearFirst ? 'YMD' : 'DMY';
+  const dayPart = order === 'MDY' ? parts[1] : order === 'DMY' ? parts[0] : parts[2];
+  const yearPart = order === 'YMD' ? parts[0] : parts[2];
+  if (dayPart.text.length > 2 || (yearPart.text.length !== 4 && yearPart.text.length !== 2)) return null;
+  const year = fullYear(yearPart.text);
+  const month = monthNumbers.get(fold(parts[monthAt].text))!;
+  const day = Number(dayPart.text);
+  if (year === null || !isValidDay(year, month, day)) return null;
+  return {
+    year,
+    month,
+    day,
+    order,
+    monthName: true,
+    ambiguous: false,
+    twoDigitYear: yearPart.text.length === 2,
+    yearStart: offset + yearPart.index,
+    yearEnd: offset + yearPart.end
+  };
+}
+
+/**
+ * Parse a date written on its own.  Numeric dates whose day and month could
+ * be read either way ("03/04/2020") are read in the `preferred` order and
+ * marked ambiguous.  Returns null when the text is not a date or names a
+ * day that does not exist.
+ */
+export function parseDate(text: string, preferred: 'DMY' | 'MDY' = 'MDY'): DateMatch | null {
+  const offset = text.length - text.trimStart().length;
+  const value = text.trim().replace(/[,;.]+$/, '');
+  if (!value || !/\d/.test(value)) return null;
+  return /\p{L}{2,}/u.test(value) ? parseSpelledDate(value, offset) : parseNumericDate(value, offset, preferred);
+}
+
+/**
+ * Mask every letter and digit of a date except its year, as HIPAA's safe
+ * harbour method allows: "14 March 1987" becomes "** ***** 1987", with
+ * spaces and separators kept.  Text that is not a date is masked entirely.
+ */
+export function maskDateKeepingYear(text: string): string {
+  const date = parseDate(text);
+  return text.replace(/[\p{L}\p{N}]/gu, (ch, offset: number) =>
+    date && offset >= date.yearStart && offset < date.yearEnd ? ch : '*'
+  );
+}
+
+function matchDate(text: string): { reason: string; confidence: number } | null {
+  const date = parseDate(text);
+  if (!date) return null;
+  let reason: string;
+  if (date.monthName) {
+    reason = 'Date with month name';
+  } else if (date.order === 'YMD') {
+    reason = /^\s*\d{4}-/.test(text) ? 'ISO 8601 date' : 'Numeric date (year/month/day)';
+  } else if (date.ambiguous) {
+    reason = 'Numeric date (day and month order ambiguous)';
+  } else {
+    reason = `Numeric date (${date.order === 'DMY' ? 'day/month/year' : 'month/day/year'})`;
+  }
+  if (date.twoDigitYear) {
+    return { reason: `${reason}, two-digit year`, confidence: 0.7 };
+  }
+  return { reason, confidence: date.monthName || date.order === 'YMD' ? 0.9 : 0.85 };
+}
+
+const isNumericDateShape = (text: string) => {
+  const value = text.trim().replace(/[,;.]+$/, '');
+  return ISO_DATE.test(value) || NUMERIC_DATE.test(value);
+};
+
+// Ahead of the phone detector, which takes any seven or more digits.  A
+// numeric date that does not exist ("02/30/2020") is a typo, not a number
+// for a lower priority detector to claim.
+registerDetector({
+  id: 'date',
+  kind: 'DATE',
+  priority: 45,
+  match: text => matchDate(text) ?? isNumericDateShape(text),
+  validate: text => parseDate(text) !== null,
+  exclusive: true
+});
+registerDetector({ id: 'date-spelled', kind: 'DATE', scope: 'span', priority: 45, match: matchDate });
@@ -0,0 +1,213 @@
+import {
+  AMBIGUOUS_NAMES,
+  FIRST_NAMES,
+  HONORIFICS,
+  NAME_PARTICLES,
+  NOT_NAMES,
+  ORGANIZATION_KEYWORDS,
+  ORGANIZATION_SUFFIXES,
+  SURNAMES
+} from './gazetteers';
+
+/*
+ * On‑device recognition of person and organisation names.  Each word of a
+ * candidate is looked up in the bundled gazetteers and its capitalisation
+ * checked; the evidence is summed as log‑odds and turned into a confidence
+ * with the logistic function, so a known first name and surname score about
+ * 0.94, a lone known first name 0.6, and capitalised words without any
+ * gazetteer support are not reported at all.  The token detector
+ * 'proper-name' and the span detectors 'full-name' and 'organization' are
+ * built on these functions.
+ */
+
+export interface EntityMatch {
+  reason: string;
+  confidence: number;
+}
+
+// Log‑odds weights of the evidence for a person's name
+const NAME_BIAS = -2.5;
+const KNOWN_FIRST_NAME = 2.4;
+const KNOWN_SURNAME = 1.8;
+/** A known name in the other position, e.g. a surname used as a first name */
+const KNOWN_ELSEWHERE = 0.9;
+const HONORIFIC = 2.5;
+const CAPITALISED = 0.5;
+const LOWER_CASE = -1;
+/** Names that are also everyday words count for this share of their weight */
+const AMBIGUOUS_SHARE = 0.4;
+
+// Log‑odds weights of the evidence for an organisation's name
+const ORGANIZATION_BIAS = -1;
+const LEGAL_FORM = 3;
+const ORGANIZATION_KEYWORD = 1.5;
+const ORGANIZATION_WORD = 0.5;
+/** Capitalised words that add to an organisation's score */
+const MAX_ORGANIZATION_WORDS = 2;
+/** Words joining the parts of an organisation's name */
+const CONNECTORS = new Set(['&', '+', 'and', 'und', 'et', 'y', 'of', 'the', 'for', 'de', 'der']);
+
+const firstNames = new Set(FIRST_NAMES);
+const surnames = new Set(SURNAMES);
+const ambiguous = new Set(AMBIGUOUS_NAMES);
+const honorifics = new Set(HONORIFICS);
+const particles = new Set(NAME_PARTICLES);
+const notNames = new Set(NOT_NAMES);
+const legalForms = new Set(ORGANIZATION_SUFFIXES);
+const organizationKeywords = new Set(ORGANIZATION_KEYWORDS);
+
+/** Entries an application adds to the bundled gazetteers. */
+export interface GazetteerEntries {
+  firstNames?: string[];
+  surnames?: string[];
+  honorifics?: string[];
+  organizationSuffixes?: string[];
+  organizationKeywords?: string[];
+  /** Words never taken for part of a name, e.g. product names */
+  notNames?: string[];
+}
+
+/** Add words to the gazetteers, e.g. names common in a customer's region. */
+export function extendGazetteers(entries: GazetteerEntries): void {
+  const add = (target: Set<string>, list?: string[]) => list?.forEach(word => target.add(fold(word)));
+  add(firstNames, entries.firstNames);
+  add(surnames, entries.surnames);
+  add(honorifics, entries.honorifics);
+  add(legalForms, entries.organizationSuffixes);
+  add(organizationKeywords, entries.organizationKeywords);
+  add(notNames, entries.notNames);
+}
+
+/** Lower case, accents folded and dots removed: "Müller" → "muller", "S.A." → "sa". */
+function fold(word: string): string {
+  return word.normalize('NFD').replace(/\p{M}/gu, '').replace(/\./g, '').toLowerCase();
+}
+
+type Shape = 'title' | 'upper' | 'lower' | 'initial' | 'other';
+
+function shapeOf(word: string): Shape {
+  if (/^\p{Lu}\.?$/u.test(word)) return 'initial';
+  if (/^\p{Lu}[\p{L}'’-]*\p{Ll}[\p{L}'’-]*$/u.test(word)) return 'title';
+  if (/^\p{Lu}[\p{Lu}'’-]+$/u.test(word)) return 'upper';
+  if (/^\p{Ll}[\p{Ll}'’-]+$/u.test(word)) return 'lower';
+  return 'other';
+}
+
+/** Gazetteer lookup that also accepts either half of a hyphenated name ("Jean-Pierre", "Smith-Jones"). */
+function inGazetteer(set: Set<string>, word: string): boolean {
+  const folded = fold(word.replace(/[’]/g, "'"));
+  return set.has(folded) || (folded.includes('-') && folded.split('-').some(part => set.has(part)));
+}
+
+const logistic = (score: number) => Math.round((1 / (1 + Math.exp(-score))) * 100) / 100;
+
+/**
+ * Score words as a person's name: an optional honorific, then one to four
+ * name words with optional middle initials and particles.  The first name
+ * word must be in a gazetteer unless an honorific precedes it, and with
+ * three or more words so must the last, which keeps labels before a name
+ * and words after it out of the detection.
+ */
+export function recognizeName(text: string): EntityMatch | null {
+  const parts = text.trim().split(/\s+/).map((part, i, all) => (i === all.length - 1 ? part.replace(/[,;:.]$/, '') : part));
+  const honorific = parts.length > 1 && honorifics.has(fold(parts[0]));
+  const words = honorific ? parts.slice(1) : parts;
+  const names = words.filter((word, i) => shapeOf(word) !== 'initial' && !(particles.has(word) && i > 0 && i < words.length - 1));
+  if (names.length === 0 || names.length > 4 || words.length > 5) return null;
+  if (shapeOf(words[words.length - 1]) === 'initial') return null;
+
+  const shapes = names.map(shapeOf);
+  if (shapes.includes('other')) return null;
+  const lowerCase = shapes.includes('lower');
+  // Mixed "John SMITH" is usual on forms; mixed lower and capitalised is not a name
+  if (lowerCase && !shapes.every(shape => shape === 'lower')) return null;
+  if (names.some(word => notNames.has(fold(word)))) return null;
+
+  const evidence = new Set<string>();
+  let score = NAME_BIAS + (honorific ? HONORIFIC : 0);
+  if (honorific) evidence.add('honorific');
+  for (const [i, word] of names.entries()) {
+    const first = inGazetteer(firstNames, word);
+    const sur = inGazetteer(surnames, word);
+    const share = ambiguous.has(fold(word)) ? AMBIGUOUS_SHARE : 1;
+    const last = i === names.length - 1;
+    let weight = 0;
+    if (names.length === 1) {
+      weight = first ? KNOWN_FIRST_NAME : sur ? KNOWN_SURNAME : 0;
+    } else if (i === 0) {
+      weight = first ? KNOWN_FIRST_NAME : sur ? KNOWN_ELSEWHERE : 0;
+    } else if (last) {
+      weight = sur ? KNOWN_SURNAME : first ? KNOWN_ELSEWHERE : 0;
+    } else {
+      weight = first || sur ? KNOWN_ELSEWHERE : 0;
+    }
+    if (first) evidence.add('known first name');
+    if (sur) evidence.add('known surname');
+    // Lone names that are everyday words ("Will", "May") are never reported
+    if (names.length === 1 && !honorific && share < 1) return null;
+    if (weight === 0 && !honorific && (i === 0 || (last && names.length > 2))) return null;
+    score += weight * share + (lowerCase ? 0 : CAPITALISED);
+  }
+  if (lowerCase) {
+    // Lower case words are names only when every one of them is known
+    if (names.some(word => !inGazetteer(firstNames, word) && !inGazetteer(surnames, word))) return null;
+    score += LOWER_CASE;
+  } else {
+    evidence.add('capitalised');
+  }
+  if (score < 0) return null;
+  return {
+    reason: `Likely ${names.length > 1 || honorific ? 'full ' : ''}name (${[...evidence].join(', ')})`,
+    confidence: logistic(score)
+  };
+}
+
+const isCapitalised = (word: string) => /^[\p{Lu}\p{N}]/u.test(word) && shapeOf(word) !== 'lower';
+
+/**
+ * Score words as an organisation's name: capitalised words ending in a
+ * legal form ("Acme Widgets GmbH", "Smith & Sons, Ltd."), ending in a word
+ * naming a kind of organisation ("Mercy Hospital"), or such a word followed
+ * by "of" ("Bank of Ireland").
+ */
+export function recognizeOrganization(text: string): EntityMatch | null {
+  const raw = text.trim().split(/\s+/);
+  if (raw.length < 2 || raw.length > 6) return null;
+  // A comma ends the name, except before a legal form ("Smith & Sons, Ltd.")
+  const commaAt = raw.findIndex(part => part.endsWith(','));
+  if (commaAt >= 0 && commaAt < raw.length - 2) return null;
+  const parts = raw.map(part => part.replace(/,$/, ''));
+  const folded = parts.map(fold);
+  if (honorifics.has(folded[0]) || (notNames.has(folded[0]) && folded[0] !== 'the')) return null;
+
+  const scoreBody = (body: string[], keyword: string | null) => {
+    if (body.length === 0) return null;
+    if (CONNECTORS.has(fold(body[0])) && fold(body[0]) !== 'the') return null;
+    if (CONNECTORS.has(fold(body[body.length - 1]))) return null;
+    const named = body.filter(word => !CONNECTORS.has(fold(word)));
+    if (named.some(word => !isCapitalised(word) || /@/.test(word))) return null;
+    const distinct = named.filter(word => !notNames.has(fold(word)) && fold(word) !== keyword);
+    if (distinct.length === 0) return null;
+    return Math.min(MAX_ORGANIZATION_WORDS, distinct.length) * ORGANIZATION_WORD;
+  };
+
+  const last = parts[parts.length - 1];
+  const lastFolded = folded[folded.length - 1];
+  if (legalForms.has(lastFolded) && /^\p{Lu}/u.test(last)) {
+    const body = scoreBody(parts.slice(0, -1), null);
+    if (body === null) return null;
+    return { reason: `Organisation with legal form "${last}"`, confidence: logistic(ORGANIZATION_BIAS + LEGAL_FORM + body) };
+  }
+  if (commaAt === raw.length - 2) return null;
+  if (organizationKeywords.has(lastFolded) && shapeOf(last) === 'title') {
+    const body = scoreBody(parts.slice(0, -1), lastFolded);
+    if (body === null) return null;
+    return { reason: `Organisation name ending in "${last}"`, confidence: logistic(ORGANIZATION_BIAS + ORGANIZATION_KEYWORD + body) };
+  }
+  if (organizationKeywords.has(folded[0]) && (folded[1] === 'of' || folded[1] === 'for') && shapeOf(parts[0]) === 'title') {
+    const body = scoreBody(parts.slice(2), folded[0]);
+    if (body === null) return null;
+    return { reason: `Organisation name "${parts[0]} ${parts[1]} …"`, confidence: logistic(ORGANIZATION_BIAS + ORGANIZATION_KEYWORD + body) };
+  }
+  return null;
+}
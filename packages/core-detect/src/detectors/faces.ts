@@ -0,0 +1,197 @@
+import type { RasterImage } from '../types';
+import { FRONTAL_FACE_CASCADE } from './models/frontalFaceCascade';
+
+/*
+ * On‑device face detection using a Viola–Jones Haar cascade.  Everything runs
+ * on the CPU over plain RGBA pixel buffers, so the detector works in the
+ * browser, in a worker and in Node alike, and the cascade is bundled with the
+ * package rather than fetched from a CDN.
+ */
+
+export interface FaceDetectionOptions {
+  /** Smallest face to look for, in pixels of the analysed image (default 24) */
+  minSize?: number;
+  /** Growth factor between successive window sizes (default 1.2) */
+  scaleFactor?: number;
+  /** Window step as a fraction of the window scale (default 1.5) */
+  stepSize?: number;
+  /** Overlapping raw hits required to accept a face (default 3) */
+  minNeighbors?: number;
+  /** Images are downscaled so their longest side is at most this (default 640) */
+  maxDimension?: number;
+}
+
+export interface FaceBox {
+  /** Box in pixels of the input image */
+  x: number;
+  y: number;
+  w: number;
+  h: number;
+  /** Confidence (0–1) derived from the number of agreeing windows */
+  confidence: number;
+}
+
+interface Rect {
+  x: number;
+  y: number;
+  w: number;
+  h: number;
+}
+
+/** Convert RGBA pixels to a (possibly downscaled) grayscale buffer. */
+function toGrayscale(image: RasterImage, scale: number): { gray: Float64Array; width: number; height: number } {
+  const width = Math.max(1, Math.round(image.width * scale));
+  const height = Math.max(1, Math.round(image.height * scale));
+  const gray = new Float64Array(width * height);
+  const inv = 1 / scale;
+  for (let y = 0; y < height; y++) {
+    const sy = Math.min(image.height - 1, Math.floor(y * inv));
+    for (let x = 0; x < width; x++) {
+      const sx = Math.min(image.width - 1, Math.floor(x * inv));
+      const i = (sy * image.width + sx) * 4;
+      gray[y * width + x] = 0.299 * image.data[i] + 0.587 * image.data[i + 1] + 0.114 * image.data[i + 2];
+    }
+  }
+  return { gray, width, height };
+}
+
+/** Integral and squared integral images, padded with a zero row and column. */
+function integralImages(gray: Float64Array, width: number, height: number): { sum: Float64Array; sqsum: Float64Array } {
+  const stride = width + 1;
+  const sum = new Float64Array(stride * (height + 1));
+  const sqsum = new Float64Array(stride * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    let rowSq = 0;
+    for (let x = 0; x < width; x++) {
+      const v = gray[y * width + x];
+      rowSum += v;
+      rowSq += v * v;
+      sum[(y + 1) * stride + x + 1] = sum[y * stride + x + 1] + rowSum;
+      sqsum[(y + 1) * stride + x + 1] = sqsum[y * stride + x + 1] + rowSq;
+    }
+  }
+  return { sum, sqsum };
+}
+
+function rectSum(ii: Float64Array, stride: number, x: number, y: number, w: number, h: number): number {
+  return ii[(y + h) * stride + x + w] - ii[y * stride + x + w] - ii[(y + h) * stride + x] + ii[y * stride + x];
+}
+
+/** Evaluate all cascade stages for one window; true when every stage passes. */
+function passesCascade(cascade: Float64Array, sum: Float64Array, sqsum: Float64Array, stride: number, wx: number, wy: number, size: number, scale: number): boolean {
+  const area = size * size;
+  const inverseArea = 1 / area;
+  const mean = rectSum(sum, stride, wx, wy, size, size) * inverseArea;
+  const variance = rectSum(sqsum, stride, wx, wy, size, size) * inverseArea - mean * mean;
+  const stdDev = variance > 0 ? Math.sqrt(variance) : 1;
+
+  let w = 2;
+  while (w < cascade.length) {
+    const stageThreshold = cascade[w++];
+    let nodes = cascade[w++];
+    let stageSum = 0;
+    while (nodes--) {
+      w++; // tilted features are not used by the bundled cascade
+      const rects = cascade[w++];
+      let nodeSum = 0;
+      for (let r = 0; r < rects; r++) {
+        const rx = wx + ((cascade[w++] * scale + 0.5) | 0);
+        const ry = wy + ((cascade[w++] * scale + 0.5) | 0);
+        const rw = (cascade[w++] * scale + 0.5) | 0;
+        const rh = (cascade[w++] * scale + 0.5) | 0;
+        nodeSum += rectSum(sum, stride, rx, ry, rw, rh) * cascade[w++];
+      }
+      const nodeThreshold = cascade[w++];
+      const left = cascade[w++];
+      const right = cascade[w++];
+      stageSum += nodeSum * inverseArea < nodeThreshold * stdDev ? left : right;
+    }
+    if (stageSum < stageThreshold) return false;
+  }
+  return true;
+}
+
+/** Two raw hits belong to the same face when their corners and sizes are close. */
+function similar(a: Rect, b: Rect): boolean {
+  const delta = 0.2 * (Math.min(a.w, b.w) + Math.min(a.h, b.h)) / 2;
+  return Math.abs(a.x - b.x) <= delta &&
+    Math.abs(a.y - b.y) <= delta &&
+    Math.abs(a.x + a.w - b.x - b.w) <= delta &&
+    Math.abs(a.y + a.h - b.y - b.h) <= delta;
+}
+
+/** Cluster raw hits and average each cluster, keeping those with enough support. */
+function groupRects(rects: Rect[], minNeighbors: number): Array<Rect & { neighbors: number }> {
+  const parent = rects.map((_, i) => i);
+  const find = (i: number): number => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  for (let i = 0; i < rects.length; i++) {
+    for (let j = i + 1; j < rects.length; j++) {
+      if (similar(rects[i], rects[j])) parent[find(i)] = find(j);
+    }
+  }
+  const clusters = new Map<number, Rect & { neighbors: number }>();
+  rects.forEach((r, i) => {
+    const root = find(i);
+    const c = clusters.get(root);
+    if (c) {
+      c.x += r.x; c.y += r.y; c.w += r.w; c.h += r.h; c.neighbors++;
+    } else {
+      clusters.set(root, { ...r, neighbors: 1 });
+    }
+  });
+  const grouped = Array.from(clusters.values())
+    .filter(c => c.neighbors >= minNeighbors)
+    .map(c => ({ x: c.x / c.neighbors, y: c.y / c.neighbors, w: c.w / c.neighbors, h: c.h / c.neighbors, neighbors: c.neighbors }));
+  // Drop faces nested inside a better supported face
+  return grouped.filter(a => !grouped.some(b => b !== a &&
+    b.neighbors >= a.neighbors &&
+    a.x >= b.x - 0.1 * b.w && a.y >= b.y - 0.1 * b.h &&
+    a.x + a.w <= b.x + b.w * 1.1 && a.y + a.h <= b.y + b.h * 1.1));
+}
+
+/**
+ * Detect frontal faces in an RGBA image.  Returns boxes in pixels of the
+ * input image, most confident first.
+ */
+export function detectFaces(image: RasterImage, options: FaceDetectionOptions = {}): FaceBox[] {
+  const {
+    minSize = 24,
+    scaleFactor = 1.2,
+    stepSize = 1.5,
+    minNeighbors = 3,
+    maxDimension = 640
+  } = options;
+  if (!image.width || !image.height) return [];
+
+  const downscale = Math.min(1, maxDimension / Math.max(image.width, image.height));
+  const { gray, width, height } = toGrayscale(image, downscale);
+  const { sum, sqsum } = integralImages(gray, width, height);
+  const stride = width + 1;
+  const cascade = FRONTAL_FACE_CASCADE;
+  const base = cascade[0];
+
+  const hits: Rect[] = [];
+  let scale = Math.max(1, (minSize * downscale) / base);
+  for (let size = Math.round(base * scale); size < width && size < height; scale *= scaleFactor, size = Math.round(base * scale)) {
+    const step = Math.max(1, Math.round(scale * stepSize));
+    for (let y = 0; y + size < height; y += step) {
+      for (let x = 0; x + size < width; x += step) {
+        if (passesCascade(cascade, sum, sqsum, stride, x, y, size, scale)) {
+          hits.push({ x, y, w: size, h: size });
+        }
+      }
+    }
+  }
+
+  return groupRects(hits, minNeighbors)
+    .map(r => ({
+      x: r.x / downscale,
+      y: r.y / downscale,
+      w: r.w / downscale,
+      h: r.h / downscale,
+      // More agreeing windows means a more certain face; saturates near 0.99
+      confidence: Math.min(0.99, 0.5 + 0.5 * (1 - Math.exp(-(r.neighbors - minNeighbors + 1) / 4)))
+    }))
+    .sort((a, b) => b.confidence - a.confidence);
+}
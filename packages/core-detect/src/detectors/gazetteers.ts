@@ -0,0 +1,134 @@
+/*
+ * Word lists bundled for on‑device name and organisation recognition.  They
+ * cover common given names and surnames across the locales the package
+ * supports, not every name there is: a word missing from them only lowers
+ * the confidence of a name that other evidence (an honorific, a capitalised
+ * neighbour) still supports.  Entries are lower case ASCII; lookups lower
+ * case the word and fold its accents, so "Müller" finds "muller".
+ */
+
+const words = (list: string) => list.trim().split(/\s+/);
+
+export const FIRST_NAMES = words(`
+  james john robert michael william david richard joseph thomas charles christopher daniel matthew anthony donald
+  steven paul andrew joshua kenneth kevin brian george timothy ronald edward jason jeffrey ryan jacob gary nicholas
+  eric jonathan stephen larry justin scott brandon benjamin samuel gregory alexander frank patrick raymond jack
+  dennis jerry tyler aaron jose adam nathan henry douglas zachary peter kyle ethan walter noah jeremy christian
+  keith roger terry gerald harold sean austin carl arthur lawrence dylan jesse jordan bryan billy joe bruce gabriel
+  logan albert willie alan juan wayne elijah randy roy vincent ralph eugene russell bobby mason philip louis liam
+  oliver lucas harry oscar charlie leo freddie alfie archie thomas isaac mark bill will max nick victor dean ray
+  mary patricia jennifer linda elizabeth barbara susan jessica sarah karen lisa nancy betty margaret sandra ashley
+  kimberly emily donna michelle carol amanda dorothy melissa deborah stephanie rebecca sharon laura cynthia kathleen
+  amy angela shirley anna brenda pamela emma nicole helen samantha katherine christine debra rachel carolyn janet
+  catherine maria heather diane ruth julie olivia joyce virginia victoria kelly lauren christina joan evelyn judith
+  megan andrea cheryl hannah jacqueline martha gloria teresa ann sara madison frances kathryn janice jean abigail
+  alice judy sophia denise amber doris marilyn danielle beverly isabella theresa diana natalie brittany charlotte
+  marie kayla alexis lori amelia ava mia harper ella chloe zoe lily jane susanne grace rose june holly ivy
+  ludwig hans peter klaus jurgen wolfgang michael thomas andreas stefan christian markus frank uwe martin bernd matthias
+  sebastian tobias jan florian lukas felix maximilian moritz jonas niklas leon finn paul ursula ingrid monika petra
+  sabine claudia andrea birgit heike katrin anja nicole stefanie julia lena lea laura sophie hannah emilia mia greta
+  jean pierre michel philippe alain nicolas francois jacques bernard patrick christophe sebastien julien antoine
+  mathieu guillaume thierry olivier laurent vincent camille manon chloe ines lea marion nathalie sylvie isabelle
+  catherine francoise monique sophie celine aurelie elodie
+  jose antonio manuel francisco javier carlos miguel alejandro rafael pablo sergio jorge alberto fernando luis
+  diego alvaro raul enrique ramon mercedes carmen dolores pilar isabel lucia paula elena cristina rosa marta
+  raquel beatriz silvia nuria alba irene ana
+  giuseppe giovanni marco luca andrea francesco alessandro matteo lorenzo davide stefano paolo roberto mario
+  salvatore angelo vincenzo domenico giulia francesca chiara valentina alessandra federica elisa martina sara
+  simona paola silvia giovanna
+  jan pieter johannes hendrik cornelis willem gerrit jeroen bas sander joost thijs daan sem lieke anouk femke
+  sanne ilse marieke annemieke
+  joao pedro lucas gabriel rafael gustavo mateus felipe bruno thiago leonardo rodrigo marcos ricardo fernanda
+  juliana mariana camila beatriz larissa leticia gabriela
+  rahul amit sanjay vijay rajesh suresh ramesh anil sunil deepak arjun rohit vikram arun priya anjali pooja neha
+  sunita kavita deepika lakshmi divya aisha fatima mohammed muhammad ahmed ali hassan omar yusuf ibrahim mustafa
+  mehmet emre ayse zeynep wei li ming jun hiroshi takashi yuki haruto sakura min ji seo
+`);
+
+export const SURNAMES = words(`
+  smith johnson williams brown jones garcia miller davis rodriguez martinez hernandez lopez gonzalez wilson
+  anderson thomas taylor moore jackson martin lee perez thompson white harris sanchez clark ramirez lewis robinson
+  walker young allen king wright scott torres nguyen hill flores green adams nelson baker hall rivera campbell
+  mitchell carter roberts gomez phillips evans turner diaz parker cruz edwards collins reyes stewart morris
+  morales murphy cook rogers gutierrez ortiz morgan cooper peterson bailey reed kelly howard ramos kim cox ward
+  richardson watson brooks chavez wood james bennett gray mendoza ruiz hughes price alvarez castillo sanders patel
+  myers long ross foster jimenez powell jenkins perry russell sullivan bell coleman butler henderson barnes
+  fisher vasquez simmons romero jordan patterson alexander hamilton graham reynolds griffin wallace west cole
+  hayes bryant herrera gibson ellis tran medina aguilar stevens murray ford castro marshall owens harrison
+  fernandez mcdonald woods washington kennedy wells vargas henry chen freeman webb tucker guzman burns crawford
+  olson simpson porter hunter gordon mendez silva shaw snyder mason dixon munoz hunt hicks holmes palmer wagner
+  black robertson boyd rose stone salazar fox warren mills meyer rice schmidt garza daniels ferguson nichols
+  stephens soto weaver ryan gardner payne grant dunn kelley spencer hawkins arnold pierce hansen peters santos
+  hart bradley knight elliott cunningham duncan armstrong hudson carroll lane riley andrews ray berry perkins
+  hoffman johnston matthews pena richards willis carpenter lawrence sandoval
+  muller mueller schmidt schneider fischer weber meyer wagner becker schulz hoffmann schafer koch bauer richter
+  klein wolf schroder neumann schwarz zimmermann braun kruger hofmann hartmann lange schmitt werner schmitz krause
+  meier lehmann schmid schulze maier kohler herrmann konig walter mayer huber kaiser fuchs peters lang scholz
+  moller weiss jung hahn keller vogel friedrich gunther
+  martin bernard dubois thomas robert richard petit durand leroy moreau simon laurent lefebvre michel garcia david
+  bertrand roux vincent fournier morel girard andre mercier dupont lambert bonnet francois martinez legrand
+  garnier faure rousseau blanc guerin muller henry roussel nicolas perrin morin mathieu clement gauthier
+  gonzalez rodriguez fernandez lopez martinez sanchez perez gomez martin jimenez ruiz hernandez diaz moreno
+  alvarez munoz romero alonso gutierrez navarro torres dominguez vazquez ramos gil ramirez serrano blanco
+  rossi russo ferrari esposito bianchi romano colombo ricci marino greco bruno gallo conti deluca mancini costa
+  giordano rizzo lombardi moretti barbieri fontana santoro mariani rinaldi caruso ferrara galli martini leone
+  jong jansen visser smit meijer bakker mulder bos vos peters hendriks dekker brouwer dijkstra
+  silva santos oliveira souza rodrigues ferreira alves pereira lima gomes costa ribeiro martins carvalho almeida
+  lopes soares fernandes vieira barbosa rocha dias nascimento
+  sharma verma gupta singh kumar patel shah mehta joshi reddy rao nair iyer menon das bose chatterjee banerjee
+  mukherjee khan ahmed hussain ali malik qureshi yilmaz kaya demir sahin celik wang li zhang liu chen yang huang
+  zhao wu zhou tanaka suzuki takahashi watanabe ito yamamoto nakamura kobayashi sato park choi jung kang cho
+  nowak kowalski wisniewski kowalczyk kaminski lewandowski novak horvat ivanov petrov smirnov popov
+`);
+
+/**
+ * Names that are also everyday words ("Will", "Bill to", "May 2024").  They
+ * count as weak evidence only, and never make a name on their own.
+ */
+export const AMBIGUOUS_NAMES = words(`
+  will mark bill may june april august grace rose faith hope joy young long king brown white black green gray
+  grey page price hill wood stone bell park lane rice ward hunt cook cole mills fox ray berry perry hart grant
+  dunn hall baker carter turner walker cooper fisher mason gardner banks love golden summer winter frank chance
+  major dean earl guy max sunny ruby amber crystal dawn eve art jack nick pat rich sue penny holly ivy iris lily
+  daisy violet victor north south east west wells moore das klein weiss wolf vogel koch braun lange
+`);
+
+/** Titles written before a name, without their full stop. */
+export const HONORIFICS = words(`
+  mr mrs ms miss mx dr prof professor sir dame lord lady rev revd fr sr sra srta dott dottssa ing herr frau
+  mme mlle m monsieur madame dhr mevr sig signor signora
+`);
+
+/**
+ * Legal form designators that end an organisation's name, compared without
+ * dots or accents, so "S.A.", "Inc." and "S.à r.l." all match.
+ */
+export const ORGANIZATION_SUFFIXES = words(`
+  inc incorporated corp corporation co company llc llp lp ltd limited plc pllc gmbh ag kg ohg ug ev gbr kgaa
+  se sa sas sasu sarl spa srl sl slu bv nv vof ab as asa oy oyj aps pty pvt kk ltda lda eireli
+`);
+
+/** Words that name a kind of organisation, as in "Mercy Hospital" or "Bank of Ireland". */
+export const ORGANIZATION_KEYWORDS = words(`
+  bank university college school academy institute hospital clinic foundation association society council
+  ministry agency authority trust holdings partners industries laboratories airlines church
+`);
+
+/** Lower case particles inside names, as in "Ludwig van Beethoven" or "María de la Cruz". */
+export const NAME_PARTICLES = words(`
+  van von der den de del della di da dos das du la le ter ten bin ibn al el y
+`);
+
+/**
+ * Capitalised words that are never part of a name or an organisation's
+ * name: function words that start sentences, greetings, and the labels
+ * printed next to personal data.
+ */
+export const NOT_NAMES = words(`
+  the and but for are this that with have will from they know want been good much some time very when come here
+  just like long make many over such take than them well were what your after before could first found great
+  other right should these where which while would years young about again place state still think three
+  through under water write dear hi hello thanks thank regards sincerely yours best kind date page total name
+  phone email address contact bill ship invoice from to attn customer client vendor supplier employer company
+  signed signature account number please note subject re fw fwd
+`);
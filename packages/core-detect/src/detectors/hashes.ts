@@ -0,0 +1,155 @@
+/*
+ * Synchronous SHA‑256 and Keccak‑256 for checksum validation.  Detectors
+ * run synchronously on short strings, so WebCrypto's asynchronous digest
+ * cannot be used; these plain implementations are fast enough for the few
+ * dozen bytes of an address.
+ */
+
+const SHA256_K = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+const rotr = (x: number, n: number) => (x >>> n) | (x << (32 - n));
+
+/** SHA‑256 digest of `data`. */
+export function sha256(data: Uint8Array): Uint8Array {
+  const bitLength = data.length * 8;
+  const padded = new Uint8Array(Math.ceil((data.length + 9) / 64) * 64);
+  padded.set(data);
+  padded[data.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, Math.floor(bitLength / 0x100000000));
+  view.setUint32(padded.length - 4, bitLength >>> 0);
+
+  const h = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+  const w = new Array<number>(64);
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+    }
+    let [a, b, c, d, e, f, g, hh] = h;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (hh + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) | 0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      hh = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+    [a, b, c, d, e, f, g, hh].forEach((v, i) => (h[i] = (h[i] + v) | 0));
+  }
+  const out = new Uint8Array(32);
+  const outView = new DataView(out.buffer);
+  h.forEach((v, i) => outView.setUint32(i * 4, v >>> 0));
+  return out;
+}
+
+// Keccak‑f[1600] round constants as (low, high) 32‑bit halves
+const KECCAK_RC = [
+  0x00000001, 0x00000000, 0x00008082, 0x00000000, 0x0000808a, 0x80000000, 0x80008000, 0x80000000,
+  0x0000808b, 0x00000000, 0x80000001, 0x00000000, 0x80008081, 0x80000000, 0x00008009, 0x80000000,
+  0x0000008a, 0x00000000, 0x00000088, 0x00000000, 0x80008009, 0x00000000, 0x8000000a, 0x00000000,
+  0x8000808b, 0x00000000, 0x0000008b, 0x80000000, 0x00008089, 0x80000000, 0x00008003, 0x80000000,
+  0x00008002, 0x80000000, 0x00000080, 0x80000000, 0x0000800a, 0x00000000, 0x8000000a, 0x80000000,
+  0x80008081, 0x80000000, 0x00008080, 0x80000000, 0x80000001, 0x00000000, 0x80008008, 0x80000000
+];
+
+/** Rotation of lane x + 5y in the rho step. */
+const KECCAK_ROTATIONS = [0, 1, 62, 28, 27, 36, 44, 6, 55, 20, 3, 10, 43, 25, 39, 41, 45, 15, 21, 8, 18, 2, 61, 56, 14];
+
+function keccakF(lo: Uint32Array, hi: Uint32Array): void {
+  const cLo = new Uint32Array(5);
+  const cHi = new Uint32Array(5);
+  const bLo = new Uint32Array(25);
+  const bHi = new Uint32Array(25);
+  for (let round = 0; round < 24; round++) {
+    // theta
+    for (let x = 0; x < 5; x++) {
+      cLo[x] = lo[x] ^ lo[x + 5] ^ lo[x + 10] ^ lo[x + 15] ^ lo[x + 20];
+      cHi[x] = hi[x] ^ hi[x + 5] ^ hi[x + 10] ^ hi[x + 15] ^ hi[x + 20];
+    }
+    for (let x = 0; x < 5; x++) {
+      const next = (x + 1) % 5;
+      const dLo = cLo[(x + 4) % 5] ^ ((cLo[next] << 1) | (cHi[next] >>> 31));
+      const dHi = cHi[(x + 4) % 5] ^ ((cHi[next] << 1) | (cLo[next] >>> 31));
+      for (let y = 0; y < 25; y += 5) {
+        lo[x + y] ^= dLo;
+        hi[x + y] ^= dHi;
+      }
+    }
+    // rho and pi
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        const from = x + 5 * y;
+        const to = y + 5 * ((2 * x + 3 * y) % 5);
+        const n = KECCAK_ROTATIONS[from];
+        const l = lo[from];
+        const h = hi[from];
+        if (n === 0) {
+          bLo[to] = l;
+          bHi[to] = h;
+        } else if (n < 32) {
+          bLo[to] = (l << n) | (h >>> (32 - n));
+          bHi[to] = (h << n) | (l >>> (32 - n));
+        } else if (n === 32) {
+          bLo[to] = h;
+          bHi[to] = l;
+        } else {
+          bLo[to] = (h << (n - 32)) | (l >>> (64 - n));
+          bHi[to] = (l << (n - 32)) | (h >>> (64 - n));
+        }
+      }
+    }
+    // chi
+    for (let y = 0; y < 25; y += 5) {
+      for (let x = 0; x < 5; x++) {
+        lo[x + y] = bLo[x + y] ^ (~bLo[((x + 1) % 5) + y] & bLo[((x + 2) % 5) + y]);
+        hi[x + y] = bHi[x + y] ^ (~bHi[((x + 1) % 5) + y] & bHi[((x + 2) % 5) + y]);
+      }
+    }
+    // iota
+    lo[0] ^= KECCAK_RC[round * 2];
+    hi[0] ^= KECCAK_RC[round * 2 + 1];
+  }
+}
+
+/** Keccak‑256 digest of `data`, with the original Keccak padding Ethereum uses (not SHA3‑256). */
+export function keccak256(data: Uint8Array): Uint8Array {
+  const rate = 136;
+  const padded = new Uint8Array(Math.floor(data.length / rate) * rate + rate);
+  padded.set(data);
+  padded[data.length] ^= 0x01;
+  padded[padded.length - 1] ^= 0x80;
+  const lo = new Uint32Array(25);
+  const hi = new Uint32Array(25);
+  for (let offset = 0; offset < padded.length; offset += rate) {
+    for (let i = 0; i < rate; i += 4) {
+      const word = padded[offset + i] | (padded[offset + i + 1] << 8) | (padded[offset + i + 2] << 16) | (padded[offset + i + 3] << 24);
+      const lane = i >> 3;
+      if (i % 8 === 0) lo[lane] ^= word;
+      else hi[lane] ^= word;
+    }
+    keccakF(lo, hi);
+  }
+  const out = new Uint8Array(32);
+  for (let i = 0; i < 32; i++) {
+    const lane = i >> 3;
+    const half = i % 8 < 4 ? lo[lane] : hi[lane];
+    out[i] = (half >>> (8 * (i % 4))) & 0xff;
+  }
+  return out;
+}
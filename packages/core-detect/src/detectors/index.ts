@@ -1,4 +1,5 @@
-import type { DetectionKind, CustomPattern } from '../types';
+import type { DetectionKind, CustomPattern, DetectorSelection } from '../types';
+import { recognizeName } from './entities';
 
 /**
  * Determine whether a string of digits represents a valid PAN according
@@ -111,16 +112,15 @@ export function isAddressComponent(value: string): { isAddress: boolean; confide
     if (/^\d{1,5}[A-Z]?$/.test(token) || /^\d{5}(-\d{4})?$/.test(token)) {
       return { isAddress: true, confidence: 0.8, reason: 'House number or ZIP code pattern' };
     }
-    if (/^#?\d+[A-Z]?$/.test(token) || /^(Apt|Suite|Unit|Ste|#)\s*\d+[A-Z]?$/i.test(token)) {
+    if (/^#\d{1,5}[A-Z]?$/.test(token) || /^(Apt|Suite|Unit|Ste|#)\s*\d+[A-Z]?$/i.test(token)) {
       return { isAddress: true, confidence: 0.85, reason: 'Apartment/suite number' };
     }
-    // Generic number in address context
-    return { isAddress: true, confidence: 0.6, reason: 'Contains digits and could be part of address' };
+    // Hashes, versions, amounts and ids contain digits too; they are not addresses
   }
   
-  // State abbreviations (high confidence)
+  // State abbreviations (high confidence), in capitals: "in", "me" and "id" are words
   const stateAbbrev = /^(AL|AK|AZ|AR|CA|CO|CT|DE|FL|GA|HI|ID|IL|IN|IA|KS|KY|LA|ME|MD|MA|MI|MN|MS|MO|MT|NE|NV|NH|NJ|NM|NY|NC|ND|OH|OK|OR|PA|RI|SC|SD|TN|TX|UT|VT|VA|WA|WV|WI|WY|DC)$/;
-  if (stateAbbrev.test(token.toUpperCase())) {
+  if (stateAbbrev.test(token)) {
     return { isAddress: true, confidence: 0.9, reason: 'US state abbreviation' };
   }
   
@@ -157,6 +157,10 @@ export function calculateConfidence(kind: DetectionKind, token: string, ocrConfi
       // Passport numbers get medium-high confidence
       return Math.min(base + 0.05, 1.0);
     
+    case 'NATIONAL_ID':
+      // National IDs are validated by check digit or allocation rules
+      return Math.min(base + 0.1, 1.0);
+    
     case 'IBAN':
       // IBAN with MOD 97 validation gets high confidence
       return Math.min(base + 0.1, 1.0);
@@ -169,6 +173,13 @@ export function calculateConfidence(kind: DetectionKind, token: string, ocrConfi
       // Names are tricky - lower confidence to reduce false positives
       return base * 0.7;
     
+    case 'ORGANIZATION':
+      return base * 0.8;
+    
+    case 'CRYPTO_ADDRESS':
+      // Wallet addresses are checksum validated
+      return Math.min(base + 0.1, 1.0);
+    
     case 'BARCODE':
       // QR codes/barcodes are typically very reliable
       return 1.0;
@@ -198,90 +209,314 @@ export function isAWSKey(value: string): boolean {
   return /^(A(KIA|SIA)[A-Z0-9]{16})$/.test(value.trim());
 }
 
+/*
+ * Detector registry.  Every built‑in detector is registered under a stable
+ * id (token detectors below, span detectors in ./spans), and applications
+ * can register their own, replace a built‑in by registering the same id, or
+ * change the order in which they run.  Presets and AnalyzeOptions refer to
+ * detectors by id through `DetectorSelection`.
+ */
+
+/** Result of a successful detector match. */
+export interface DetectorMatch {
+  kind: DetectionKind;
+  reason: string;
+  confidence?: number;
+  /** Id of the detector that produced the match */
+  detectorId?: string;
+  /**
+   * Only report the match when a nearby label raises its confidence (see
+   * pipeline/context.ts); the value alone is too often something harmless
+   */
+  needsContext?: boolean;
+}
+
+export interface DetectorDefinition {
+  /** Stable, unique identifier, e.g. 'us-passport' */
+  id: string;
+  /** Kind of detection produced */
+  kind: DetectionKind;
+  /**
+   * Decide whether the text looks like this detector's value.  A RegExp is
+   * tested against the whole text; a function may return true or an object
+   * overriding `reason` and `confidence` for this match.
+   */
+  match: RegExp | ((text: string) => boolean | Partial<Pick<DetectorMatch, 'reason' | 'confidence' | 'needsContext'>> | null);
+  /** Optional checksum or structural validation run after `match` succeeds */
+  validate?: (text: string) => boolean;
+  /** Higher priorities run first (default 0).  Ties keep registration order. */
+  priority?: number;
+  /** BCP 47 locales this detector applies to; omitted means every locale */
+  locales?: string[];
+  /** Default reason reported for matches */
+  reason?: string;
+  /** Default confidence (0–1) reported for matches */
+  confidence?: number;
+  /**
+   * When the text matches but fails validation, stop and report nothing
+   * instead of letting lower priority detectors claim it.  Used for values
+   * such as "000-12-3456" that are clearly malformed SSNs, not phone numbers.
+   */
+  exclusive?: boolean;
+  /** 'token' detectors classify single words, 'span' detectors several words joined by spaces (default 'token') */
+  scope?: 'token' | 'span';
+  /**
+   * Run even when no selected locale or id asks for this detector (default
+   * true).  Regional and noisy detectors set this to false so they only run
+   * once a preset or the options select their locale or id.
+   */
+  defaultEnabled?: boolean;
+}
+
+const registry: DetectorDefinition[] = [];
+
 /**
- * Perform high‑level detection for a single token.  If the token matches
- * a sensitive pattern, this function returns an object describing the
- * detection; otherwise it returns null.  Note that this function does
- * not compute bounding boxes – it only classifies the token.  Bounding
- * boxes are provided by the OCR engine.
+ * Register a detector.  Registering an id that already exists replaces that
+ * detector, keeping its position among equal priorities.  Packs that register
+ * when they are imported are listed under `sideEffects` in package.json,
+ * beside the entry point that imports them; bundlers otherwise drop them
+ * from builds that use none of their exports.
  */
-export function detectToken(token: string): { kind: DetectionKind; reason: string; confidence?: number } | null {
-  const raw = token.trim();
-  if (!raw) return null;
-  
-  // PAN (credit card number) – 13–19 digits with Luhn valid (check first to avoid phone conflicts)
-  const digitsOnly = raw.replace(/\D/g, '');
-  if (digitsOnly.length >= 13 && digitsOnly.length <= 19 && isLuhnValid(digitsOnly)) {
-    return { kind: 'PAN', reason: 'Luhn valid primary account number', confidence: 0.95 };
+export function registerDetector(definition: DetectorDefinition): void {
+  if (!definition || !definition.id) {
+    throw new Error('Detector must have an id');
   }
-  
-  // IBAN (starts with two letters followed by digits and letters)
-  const ibanPattern = /^[A-Z]{2}[0-9A-Z]{13,32}$/i;
-  if (ibanPattern.test(raw) && isValidIBAN(raw)) {
-    return { kind: 'IBAN', reason: 'Valid IBAN checksum', confidence: 0.95 };
+  if (!definition.kind) {
+    throw new Error(`Detector ${definition.id} must have a kind`);
   }
-  
-  // SSN (US format) - check before general phone patterns, including invalid ones
-  const ssnPattern = /^\d{3}-\d{2}-\d{4}$/;
-  if (ssnPattern.test(raw)) {
-    if (isValidSSN(raw)) {
-      return { kind: 'SSN', reason: 'Valid US SSN format', confidence: 0.95 };
-    }
-    // Don't detect invalid SSNs as other types
-    return null;
-  }
-  
-  // Passport number (US format)
-  const passportPattern = /^[A-Z]?\d{8,9}$/i;
-  if (passportPattern.test(raw) && isValidUSPassport(raw.toUpperCase())) {
-    return { kind: 'PASSPORT', reason: 'Valid US passport number format', confidence: 0.9 };
+  if (!(definition.match instanceof RegExp) && typeof definition.match !== 'function') {
+    throw new Error(`Detector ${definition.id} must have a match function or RegExp`);
   }
-  
-  // JWT - check early to prevent JWT being detected as address (contains many digits)
-  if (isJWT(raw) && raw.length > 50) {
-    return { kind: 'JWT', reason: 'Looks like a JWT token', confidence: 0.9 };
+  const index = registry.findIndex(d => d.id === definition.id);
+  if (index >= 0) {
+    registry[index] = definition;
+  } else {
+    registry.push(definition);
   }
-  
-  // Email - more strict pattern to reduce false positives
-  const emailPattern = /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i;
-  if (emailPattern.test(raw) && raw.includes('@') && raw.includes('.')) {
-    return { kind: 'EMAIL', reason: 'Matches email pattern', confidence: 0.9 };
+}
+
+/** Remove a detector.  Returns false if no detector had that id. */
+export function unregisterDetector(id: string): boolean {
+  const index = registry.findIndex(d => d.id === id);
+  if (index < 0) return false;
+  registry.splice(index, 1);
+  return true;
+}
+
+export function getDetector(id: string): DetectorDefinition | undefined {
+  return registry.find(d => d.id === id);
+}
+
+/** All registered detectors of a scope, highest priority first. */
+export function listDetectors(scope: 'token' | 'span' = 'token'): DetectorDefinition[] {
+  return orderDetectors(registry.filter(d => (d.scope ?? 'token') === scope));
+}
+
+/** True when two BCP 47 tags are equal or one is a more specific form of the other ("de" and "de-AT"). */
+function localeMatches(a: string, b: string): boolean {
+  const x = a.toLowerCase().replace(/_/g, '-');
+  const y = b.toLowerCase().replace(/_/g, '-');
+  return x === y || x.startsWith(`${y}-`) || y.startsWith(`${x}-`);
+}
+
+function orderDetectors(detectors: DetectorDefinition[], priorities: Record<string, number> = {}): DetectorDefinition[] {
+  const priorityOf = (d: DetectorDefinition) => priorities[d.id] ?? d.priority ?? 0;
+  return detectors
+    .map((d, index) => ({ d, index }))
+    .sort((a, b) => priorityOf(b.d) - priorityOf(a.d) || a.index - b.index)
+    .map(({ d }) => d);
+}
+
+/** Registered detectors of a scope that a selection allows, in run order. */
+export function selectDetectors(scope: 'token' | 'span', selection: DetectorSelection = {}): DetectorDefinition[] {
+  const candidates = registry.filter(d => {
+    if ((d.scope ?? 'token') !== scope) return false;
+    if (selection.only && !selection.only.includes(d.id)) return false;
+    if (selection.disabled && selection.disabled.includes(d.id)) return false;
+    if (selection.kinds && selection.kinds.length > 0 && !selection.kinds.includes(d.kind)) return false;
+    if (selection.only && selection.only.includes(d.id)) return true;
+    if (selection.enabled && selection.enabled.includes(d.id)) return true;
+    if (d.locales && d.locales.length > 0 && selection.locales && selection.locales.length > 0) {
+      return d.locales.some(l => selection.locales!.some(s => localeMatches(l, s)));
+    }
+    return d.defaultEnabled !== false;
+  });
+  return orderDetectors(candidates, selection.priorities);
+}
+
+/**
+ * Run detectors of a scope over the text in priority order and return the
+ * first match, or null.
+ */
+export function runDetectors(text: string, scope: 'token' | 'span', selection: DetectorSelection = {}): DetectorMatch | null {
+  for (const detector of selectDetectors(scope, selection)) {
+    let matched: ReturnType<Exclude<DetectorDefinition['match'], RegExp>>;
+    try {
+      if (detector.match instanceof RegExp) detector.match.lastIndex = 0;
+      matched = detector.match instanceof RegExp ? detector.match.test(text) : detector.match(text);
+    } catch (error) {
+      console.warn(`Detector ${detector.id} failed: ${error}`);
+      continue;
+    }
+    if (!matched) continue;
+    if (detector.validate && !detector.validate(text)) {
+      if (detector.exclusive) return null;
+      continue;
+    }
+    const overrides = typeof matched === 'object' ? matched : {};
+    return {
+      kind: detector.kind,
+      reason: overrides.reason ?? detector.reason ?? `Matched ${detector.id}`,
+      confidence: overrides.confidence ?? detector.confidence,
+      detectorId: detector.id,
+      ...(overrides.needsContext ? { needsContext: true } : {})
+    };
   }
-  
-  // Phone number - enhanced detection with format validation
-  if (digitsOnly.length >= 7 && /\d{3,}/.test(digitsOnly)) {
+  return null;
+}
+
+// Built‑in token detectors.  Priorities are spaced so applications can
+// slot their own detectors in between.
+
+const digitsOf = (value: string) => value.replace(/\D/g, '');
+
+// PAN (credit card number) – 13–19 digits with Luhn valid (check first to avoid phone conflicts)
+registerDetector({
+  id: 'pan-luhn',
+  kind: 'PAN',
+  priority: 100,
+  match: text => digitsOf(text).length >= 13 && digitsOf(text).length <= 19,
+  validate: text => isLuhnValid(digitsOf(text)),
+  reason: 'Luhn valid primary account number',
+  confidence: 0.95
+});
+
+// IBAN (starts with two letters followed by digits and letters)
+registerDetector({
+  id: 'iban',
+  kind: 'IBAN',
+  priority: 90,
+  match: /^[A-Z]{2}[0-9A-Z]{13,32}$/i,
+  validate: isValidIBAN,
+  reason: 'Valid IBAN checksum',
+  confidence: 0.95
+});
+
+// SSN (US format) - check before general phone patterns; invalid SSNs are
+// not reported as other types
+registerDetector({
+  id: 'us-ssn',
+  kind: 'SSN',
+  priority: 80,
+  locales: ['en-US'],
+  match: /^\d{3}-\d{2}-\d{4}$/,
+  validate: isValidSSN,
+  exclusive: true,
+  reason: 'Valid US SSN format',
+  confidence: 0.95
+});
+
+// Passport number (US format)
+registerDetector({
+  id: 'us-passport',
+  kind: 'PASSPORT',
+  priority: 70,
+  locales: ['en-US'],
+  match: /^[A-Z]?\d{8,9}$/i,
+  validate: text => isValidUSPassport(text.toUpperCase()),
+  reason: 'Valid US passport number format',
+  confidence: 0.9
+});
+
+// JWT - check early to prevent JWT being detected as address (contains many digits)
+registerDetector({
+  id: 'jwt',
+  kind: 'JWT',
+  priority: 60,
+  match: text => isJWT(text) && text.length > 50,
+  reason: 'Looks like a JWT token',
+  confidence: 0.9
+});
+
+// Email - more strict pattern to reduce false positives
+registerDetector({
+  id: 'email',
+  kind: 'EMAIL',
+  priority: 50,
+  match: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+  reason: 'Matches email pattern',
+  confidence: 0.9
+});
+
+// Phone number - enhanced detection with format validation
+registerDetector({
+  id: 'phone',
+  kind: 'PHONE',
+  priority: 40,
+  match: text => {
+    // Digits and separators only, so invoice numbers such as "INV-2024-0042" are not phones
+    if (!/^\+?\(?\d[\d().-]*\d$/.test(text)) return null;
+    const digits = digitsOf(text);
+    if (digits.length < 7) return null;
     // North American format (10-11 digits)
-    if (digitsOnly.length === 10 || (digitsOnly.length === 11 && digitsOnly[0] === '1')) {
-      return { kind: 'PHONE', reason: 'North American phone format', confidence: 0.85 };
+    if (digits.length === 10 || (digits.length === 11 && digits[0] === '1')) {
+      return { reason: 'North American phone format', confidence: 0.85 };
     }
-    // International format (7-15 digits)
-    if (digitsOnly.length >= 7 && digitsOnly.length <= 15) {
-      return { kind: 'PHONE', reason: 'International phone format', confidence: 0.75 };
+    // International format (7-15 digits), written with a country code or
+    // separators; a bare run of digits is more often an EAN or account number
+    if (digits.length <= 15 && (text.startsWith('+') || /[().-]/.test(text))) {
+      return { reason: 'International phone format', confidence: 0.75 };
     }
+    return null;
   }
-  
-  // Enhanced address detection
-  const addressResult = isAddressComponent(raw);
-  if (addressResult.isAddress) {
-    return { kind: 'ADDRESS', reason: addressResult.reason, confidence: addressResult.confidence };
-  }
-  
-  // AWS access key id
-  if (isAWSKey(raw)) {
-    return { kind: 'API_KEY', reason: 'Looks like an AWS access key', confidence: 0.95 };
-  }
-  
-  // Names (proper nouns) - enhanced with false positive reduction
-  const namePattern = /^[A-Z][a-z]{2,}$/;
-  if (namePattern.test(raw) && !/\d/.test(raw) && raw.toUpperCase() !== raw) {
-    // Exclude common words that aren't names
-    const commonWords = /^(The|And|But|For|Are|This|That|With|Have|Will|From|They|Know|Want|Been|Good|Much|Some|Time|Very|When|Come|Here|Just|Like|Long|Make|Many|Over|Such|Take|Than|Them|Well|Were|What|Your|After|Before|Could|First|Found|Great|Other|Right|Should|These|Where|Which|While|Would|Years|Young|About|Again|Place|State|Still|Think|Three|Through|Under|Water|Write)$/i;
-    if (!commonWords.test(raw)) {
-      return { kind: 'NAME', reason: 'Likely proper name', confidence: 0.6 };
-    }
+});
+
+// Enhanced address detection
+registerDetector({
+  id: 'address-component',
+  kind: 'ADDRESS',
+  priority: 30,
+  match: text => {
+    const result = isAddressComponent(text);
+    return result.isAddress ? { reason: result.reason, confidence: result.confidence } : null;
   }
-  
-  return null;
+});
+
+// AWS access key id - a fixed prefix and length, so it runs ahead of the
+// phone and address heuristics rather than after them
+registerDetector({
+  id: 'aws-access-key',
+  kind: 'API_KEY',
+  priority: 65,
+  match: isAWSKey,
+  reason: 'Looks like an AWS access key',
+  confidence: 0.95
+});
+
+// Names - a known first name on its own, from the bundled gazetteers.
+// Capitalised words that are merely at the start of a sentence are not
+// reported; several words are handled by the 'full-name' span detector.
+registerDetector({
+  id: 'proper-name',
+  kind: 'NAME',
+  priority: 10,
+  match: recognizeName
+});
+
+/**
+ * Perform high‑level detection for a single token.  If the token matches
+ * a sensitive pattern, this function returns an object describing the
+ * detection; otherwise it returns null.  Note that this function does
+ * not compute bounding boxes – it only classifies the token.  Bounding
+ * boxes are provided by the OCR engine.
+ *
+ * Registered detectors run in priority order; pass a selection to restrict
+ * or reorder them (see `registerDetector`).
+ */
+export function detectToken(token: string, selection?: DetectorSelection): DetectorMatch | null {
+  const raw = token.trim();
+  if (!raw) return null;
+  return runDetectors(raw, 'token', selection);
 }
 
 /**
@@ -315,7 +550,7 @@ export function detectCustomPatterns(token: string, customPatterns: CustomPatter
 /**
  * Enhanced detectToken that includes custom pattern support
  */
-export function detectTokenWithCustomPatterns(token: string, customPatterns?: CustomPattern[]): { kind: DetectionKind; reason: string; confidence?: number } | null {
+export function detectTokenWithCustomPatterns(token: string, customPatterns?: CustomPattern[], selection?: DetectorSelection): DetectorMatch | null {
   // First check custom patterns (they take precedence)
   if (customPatterns && customPatterns.length > 0) {
     const customResult = detectCustomPatterns(token, customPatterns);
@@ -323,5 +558,5 @@ export function detectTokenWithCustomPatterns(token: string, customPatterns?: Cu
   }
   
   // Fall back to standard detection
-  return detectToken(token);
+  return detectToken(token, selection);
 }
@@ -0,0 +1,317 @@
+import { isLuhnValid, registerDetector } from './index';
+
+/*
+ * Government identifiers outside the US.  Each validator checks the
+ * published structure and, where one exists, the check digit; none of them
+ * can tell whether the number was actually issued.  Detectors are tagged
+ * with the locale that issues the identifier and are off by default; a
+ * preset or the options enable them by region through `locales`, or one by
+ * one through `detectors.only`.
+ */
+
+const compact = (value: string) => value.replace(/[\s.\-/]/g, '').toUpperCase();
+
+/** Remainder of a long decimal string modulo m, without overflowing. */
+function modDecimal(digits: string, m: number): number {
+  let remainder = 0;
+  for (let i = 0; i < digits.length; i++) {
+    remainder = (remainder * 10 + Number(digits[i])) % m;
+  }
+  return remainder;
+}
+
+/**
+ * Validate a UK National Insurance number, e.g. "QQ 12 34 56 C".  There is
+ * no check digit, so only the allocation rules for the prefix and suffix
+ * are applied.
+ */
+export function isValidNINO(value: string): boolean {
+  const nino = compact(value);
+  if (!/^[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z]\d{6}[A-D]$/.test(nino)) return false;
+  return !/^(BG|GB|KN|NK|NT|TN|ZZ)/.test(nino);
+}
+
+/** Validate a Canadian Social Insurance Number: nine digits passing Luhn. */
+export function isValidSIN(value: string): boolean {
+  const sin = compact(value);
+  return /^\d{9}$/.test(sin) && sin !== '000000000' && isLuhnValid(sin);
+}
+
+/**
+ * Validate a German tax identification number (Steuer‑ID).  Eleven digits,
+ * no leading zero; in the first ten exactly one digit repeats (twice, or
+ * three times but not consecutively) and the last is an ISO 7064 MOD 11,10
+ * check digit.
+ */
+export function isValidSteuerId(value: string): boolean {
+  const id = compact(value);
+  if (!/^[1-9]\d{10}$/.test(id)) return false;
+  const counts = new Map<string, number>();
+  for (const ch of id.slice(0, 10)) counts.set(ch, (counts.get(ch) || 0) + 1);
+  const repeated = Array.from(counts.values()).filter(n => n > 1);
+  if (repeated.length !== 1 || repeated[0] > 3) return false;
+  if (repeated[0] === 3 && /(\d)\1\1/.test(id.slice(0, 10))) return false;
+
+  let product = 10;
+  for (let i = 0; i < 10; i++) {
+    let sum = (Number(id[i]) + product) % 10;
+    if (sum === 0) sum = 10;
+    product = (sum * 2) % 11;
+  }
+  const check = (11 - product) % 10;
+  return check === Number(id[10]);
+}
+
+/**
+ * Validate a French social security number (NIR): 13 characters plus a
+ * two digit key equal to 97 minus the number modulo 97.  Corsican
+ * departments 2A and 2B count as 19 and 18.
+ */
+export function isValidNIR(value: string): boolean {
+  const nir = compact(value);
+  if (!/^[12]\d{4}(?:\d{2}|2[AB])\d{6}\d{2}$/.test(nir)) return false;
+  const month = Number(nir.slice(3, 5));
+  if (month === 0 || (month > 12 && month < 20)) return false;
+  const body = nir.slice(0, 13).replace('2A', '19').replace('2B', '18');
+  const key = Number(nir.slice(13));
+  return key === 97 - modDecimal(body, 97);
+}
+
+const SPANISH_ID_LETTERS = 'TRWAGMYFPDXBNJZSQVHLCKE';
+
+/**
+ * Validate a Spanish DNI ("12345678Z") or NIE ("X1234567L").  The letter is
+ * the number modulo 23 looked up in a fixed table; NIE prefixes X, Y and Z
+ * stand for 0, 1 and 2.
+ */
+export function isValidSpanishId(value: string): boolean {
+  const id = compact(value);
+  const m = /^([XYZ]\d{7}|\d{8})([A-Z])$/.exec(id);
+  if (!m) return false;
+  const number = m[1].replace(/^[XYZ]/, ch => String('XYZ'.indexOf(ch)));
+  return SPANISH_ID_LETTERS[Number(number) % 23] === m[2];
+}
+
+// Values of characters in odd positions of a codice fiscale (0–9 and A–Z share a table)
+const CF_ODD = [1, 0, 5, 7, 9, 13, 15, 17, 19, 21, 2, 4, 18, 20, 11, 3, 6, 8, 12, 14, 16, 10, 22, 25, 24, 23];
+
+/**
+ * Validate an Italian codice fiscale, including "omocodia" variants where
+ * digits are replaced by letters.  The sixteenth character is a check
+ * letter computed from the first fifteen.
+ */
+export function isValidCodiceFiscale(value: string): boolean {
+  const cf = compact(value);
+  const d = '[0-9LMNPQRSTUV]';
+  if (!new RegExp(`^[A-Z]{6}${d}{2}[ABCDEHLMPRST]${d}{2}[A-Z]${d}{3}[A-Z]$`).test(cf)) return false;
+  let sum = 0;
+  for (let i = 0; i < 15; i++) {
+    const code = cf.charCodeAt(i);
+    const index = code <= 57 ? code - 48 : code - 65;
+    // Positions are counted from 1, so even indexes are the odd positions
+    sum += i % 2 === 0 ? CF_ODD[index] : index;
+  }
+  return String.fromCharCode(65 + (sum % 26)) === cf[15];
+}
+
+/** Validate a Dutch citizen service number (BSN) with the "11‑check". */
+export function isValidBSN(value: string): boolean {
+  const bsn = compact(value);
+  if (!/^\d{9}$/.test(bsn) || bsn === '000000000') return false;
+  let sum = 0;
+  for (let i = 0; i < 8; i++) sum += Number(bsn[i]) * (9 - i);
+  sum -= Number(bsn[8]);
+  return sum % 11 === 0;
+}
+
+// Verhoeff dihedral group multiplication and permutation tables
+const VERHOEFF_D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+const VERHOEFF_P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+/** Verhoeff checksum over a string of digits whose last digit is the check digit. */
+export function isVerhoeffValid(digits: string): boolean {
+  let c = 0;
+  const reversed = digits.split('').reverse();
+  for (let i = 0; i < reversed.length; i++) {
+    c = VERHOEFF_D[c][VERHOEFF_P[i % 8][Number(reversed[i])]];
+  }
+  return c === 0;
+}
+
+/** Validate an Indian Aadhaar number: twelve digits, not starting with 0 or 1, Verhoeff check. */
+export function isValidAadhaar(value: string): boolean {
+  const aadhaar = compact(value);
+  return /^[2-9]\d{11}$/.test(aadhaar) && isVerhoeffValid(aadhaar);
+}
+
+/**
+ * Validate an Indian Permanent Account Number, e.g. "ABCPE1234F".  The
+ * fourth letter encodes the holder type; the final letter is a check
+ * character whose algorithm is not published, so only the structure is
+ * checked.
+ */
+export function isValidIndianPAN(value: string): boolean {
+  return /^[A-Z]{3}[ABCFGHJLPT][A-Z]\d{4}[A-Z]$/.test(compact(value));
+}
+
+/** Validate a Brazilian CPF ("123.456.789-09") using its two mod‑11 check digits. */
+export function isValidCPF(value: string): boolean {
+  const cpf = compact(value);
+  if (!/^\d{11}$/.test(cpf) || /^(\d)\1{10}$/.test(cpf)) return false;
+  for (const length of [9, 10]) {
+    let sum = 0;
+    for (let i = 0; i < length; i++) sum += Number(cpf[i]) * (length + 1 - i);
+    const check = ((sum * 10) % 11) % 10;
+    if (check !== Number(cpf[length])) return false;
+  }
+  return true;
+}
+
+// Identifiers with letters or separators are distinctive and run just above
+// the US passport; bare 9‑digit numbers run below it so an explicit
+// selection of both still prefers the passport, and longer check‑digit
+// numbers run above the generic phone detector.
+const NATIONAL_IDS: Array<{
+  id: string;
+  locales: string[];
+  priority: number;
+  token: RegExp;
+  span?: RegExp;
+  validate: (value: string) => boolean;
+  reason: string;
+  confidence: number;
+}> = [
+  {
+    id: 'uk-nino',
+    locales: ['en-GB'],
+    priority: 75,
+    token: /^[A-Z]{2}\d{6}[A-D]$/i,
+    span: /^[A-Z]{2} \d{2} \d{2} \d{2} [A-D]$/i,
+    validate: isValidNINO,
+    reason: 'Valid UK National Insurance number format',
+    confidence: 0.85
+  },
+  {
+    id: 'ca-sin',
+    locales: ['en-CA', 'fr-CA'],
+    priority: 65,
+    token: /^\d{3}-?\d{3}-?\d{3}$/,
+    span: /^\d{3} \d{3} \d{3}$/,
+    validate: isValidSIN,
+    reason: 'Luhn valid Canadian Social Insurance Number',
+    confidence: 0.85
+  },
+  {
+    id: 'de-steuer-id',
+    locales: ['de-DE'],
+    priority: 45,
+    token: /^\d{11}$/,
+    span: /^\d{2} \d{3} \d{3} \d{3}$/,
+    validate: isValidSteuerId,
+    reason: 'Valid German tax ID (Steuer-ID) check digit',
+    confidence: 0.9
+  },
+  {
+    id: 'fr-nir',
+    locales: ['fr-FR'],
+    priority: 75,
+    token: /^[12]\d{4}(?:\d{2}|2[AB])\d{8}$/i,
+    span: /^[12] \d{2} \d{2} (?:\d{2}|2[AB]) \d{3} \d{3} \d{2}$/i,
+    validate: isValidNIR,
+    reason: 'Valid French social security number (NIR) key',
+    confidence: 0.95
+  },
+  {
+    id: 'es-dni-nie',
+    locales: ['es-ES'],
+    priority: 75,
+    token: /^(?:[XYZ]-?\d{7}|\d{8})-?[A-Z]$/i,
+    span: /^(?:[XYZ] \d{7}|\d{8}) [A-Z]$/i,
+    validate: isValidSpanishId,
+    reason: 'Valid Spanish DNI/NIE check letter',
+    confidence: 0.95
+  },
+  {
+    id: 'it-codice-fiscale',
+    locales: ['it-IT'],
+    priority: 75,
+    token: /^[A-Z]{6}[0-9LMNPQRSTUV]{2}[A-Z][0-9LMNPQRSTUV]{2}[A-Z][0-9LMNPQRSTUV]{3}[A-Z]$/i,
+    validate: isValidCodiceFiscale,
+    reason: 'Valid Italian codice fiscale check character',
+    confidence: 0.95
+  },
+  {
+    id: 'nl-bsn',
+    locales: ['nl-NL'],
+    priority: 65,
+    token: /^\d{9}$|^\d{4}\.\d{2}\.\d{3}$/,
+    validate: isValidBSN,
+    reason: 'Valid Dutch citizen service number (BSN) 11-check',
+    confidence: 0.85
+  },
+  {
+    id: 'in-aadhaar',
+    locales: ['en-IN', 'hi-IN'],
+    priority: 45,
+    token: /^\d{12}$|^\d{4}-\d{4}-\d{4}$/,
+    span: /^\d{4} \d{4} \d{4}$/,
+    validate: isValidAadhaar,
+    reason: 'Verhoeff valid Indian Aadhaar number',
+    confidence: 0.9
+  },
+  {
+    id: 'in-pan',
+    locales: ['en-IN', 'hi-IN'],
+    priority: 75,
+    token: /^[A-Z]{5}\d{4}[A-Z]$/,
+    validate: isValidIndianPAN,
+    reason: 'Valid Indian Permanent Account Number (PAN) format',
+    confidence: 0.85
+  },
+  {
+    id: 'br-cpf',
+    locales: ['pt-BR'],
+    priority: 75,
+    token: /^\d{3}\.\d{3}\.\d{3}-\d{2}$/,
+    validate: isValidCPF,
+    reason: 'Valid Brazilian CPF check digits',
+    confidence: 0.95
+  },
+  {
+    id: 'br-cpf-digits',
+    locales: ['pt-BR'],
+    priority: 45,
+    token: /^\d{11}$/,
+    validate: isValidCPF,
+    reason: 'Valid Brazilian CPF check digits',
+    confidence: 0.9
+  }
+];
+
+for (const detector of NATIONAL_IDS) {
+  const { id, locales, priority, token, span, validate, reason, confidence } = detector;
+  registerDetector({ id, kind: 'NATIONAL_ID', locales, priority, match: token, validate, reason, confidence, defaultEnabled: false });
+  if (span) {
+    registerDetector({ id: `${id}-spaced`, kind: 'NATIONAL_ID', scope: 'span', locales, priority, match: span, validate, reason, confidence, defaultEnabled: false });
+  }
+}
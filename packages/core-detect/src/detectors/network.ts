@@ -0,0 +1,317 @@
+import type { IpRange } from '../types';
+import { registerDetector } from './index';
+
+/*
+ * Network identifiers in screenshots of terminals, dashboards and cloud
+ * consoles: IPv4 and IPv6 addresses (tagged with the range they fall in),
+ * MAC addresses, URLs carrying credentials or signed tokens, and host names
+ * under suffixes reserved for internal networks.  Ordinary public URLs and
+ * domain names are not reported; they are everywhere and rarely sensitive.
+ */
+
+/**
+ * Query parameters whose values are credentials or signatures: OAuth and
+ * session tokens, API keys and the signatures of pre‑signed S3, GCS and
+ * Azure SAS URLs.  Compared in lower case.
+ */
+export const SENSITIVE_QUERY_PARAMS = [
+  'token', 'access_token', 'id_token', 'refresh_token', 'auth', 'auth_token', 'jwt', 'code', 'session',
+  'sessionid', 'session_id', 'api_key', 'apikey', 'key', 'secret', 'client_secret', 'password', 'passwd',
+  'pwd', 'pass', 'signature', 'sig', 'x-amz-signature', 'x-amz-credential', 'x-amz-security-token',
+  'x-goog-signature', 'x-goog-credential'
+];
+
+/** Host name suffixes that only resolve inside a private network. */
+export const INTERNAL_HOST_SUFFIXES = [
+  'local', 'localdomain', 'internal', 'intranet', 'corp', 'lan', 'home', 'home.arpa', 'private'
+];
+
+const sensitiveParams = new Set(SENSITIVE_QUERY_PARAMS);
+
+const RANGE_LABELS: Record<IpRange, string> = {
+  private: 'Private',
+  loopback: 'Loopback',
+  'link-local': 'Link-local',
+  reserved: 'Reserved',
+  public: 'Public'
+};
+
+/**
+ * Internal addresses are the ones worth hiding; public ones are often
+ * version numbers ("1.2.3.4") and reserved ones documentation examples.
+ */
+const IP_CONFIDENCE: Record<IpRange, number> = {
+  private: 0.9,
+  loopback: 0.9,
+  'link-local': 0.9,
+  reserved: 0.7,
+  public: 0.8
+};
+
+/** Characters OCR and prose put around an address: brackets, quotes, a full stop. */
+const LEADING_WRAP = /^[(<"'`]*/;
+const TRAILING_WRAP = /[)>"'`,;.]*$/;
+
+/** The four octets of a dotted IPv4 address, or null. */
+export function parseIPv4(value: string): number[] | null {
+  const m = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/.exec(value);
+  if (!m) return null;
+  const octets = m.slice(1).map(Number);
+  // Leading zeros read as octal in some tools, so they are not addresses
+  if (octets.some(o => o > 255) || m.slice(1).some(o => o.length > 1 && o[0] === '0')) return null;
+  return octets;
+}
+
+/** The eight 16‑bit groups of an IPv6 address (with or without "::" and an embedded IPv4 tail), or null. */
+export function parseIPv6(value: string): number[] | null {
+  if (!/^[0-9a-f:.]+$/i.test(value) || !/[0-9a-f]/i.test(value) || (value.match(/:/g) || []).length < 2) return null;
+  const halves = value.split('::');
+  if (halves.length > 2) return null;
+  const groupsOf = (part: string): number[] | null => {
+    if (!part) return [];
+    const groups: number[] = [];
+    const pieces = part.split(':');
+    for (const [i, piece] of pieces.entries()) {
+      if (i === pieces.length - 1 && piece.includes('.')) {
+        const v4 = parseIPv4(piece);
+        if (!v4) return null;
+        groups.push((v4[0] << 8) | v4[1], (v4[2] << 8) | v4[3]);
+      } else if (/^[0-9a-f]{1,4}$/i.test(piece)) {
+        groups.push(parseInt(piece, 16));
+      } else {
+        return null;
+      }
+    }
+    return groups;
+  };
+  const head = groupsOf(halves[0]);
+  const tail = halves.length === 2 ? groupsOf(halves[1]) : [];
+  if (!head || !tail) return null;
+  if (halves.length === 1) return head.length === 8 ? head : null;
+  const missing = 8 - head.length - tail.length;
+  return missing >= 1 ? [...head, ...new Array(missing).fill(0), ...tail] : null;
+}
+
+export function isValidIPv4(value: string): boolean {
+  return parseIPv4(value) !== null;
+}
+
+export function isValidIPv6(value: string): boolean {
+  return parseIPv6(value) !== null;
+}
+
+function ipv4Range([a, b, c]: number[]): IpRange {
+  if (a === 10 || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168)) return 'private';
+  if (a === 127) return 'loopback';
+  if (a === 169 && b === 254) return 'link-local';
+  // This network, carrier‑grade NAT, documentation, benchmarking, multicast and future use
+  if (a === 0 || (a === 100 && b >= 64 && b <= 127) || (a === 192 && b === 0 && c === 2) ||
+      (a === 198 && (b === 18 || b === 19)) || (a === 198 && b === 51 && c === 100) ||
+      (a === 203 && b === 0 && c === 113) || a >= 224) {
+    return 'reserved';
+  }
+  return 'public';
+}
+
+function ipv6Range(groups: number[]): IpRange {
+  if (groups.slice(0, 5).every(g => g === 0) && groups[5] === 0xffff) {
+    return ipv4Range([groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8]);
+  }
+  if (groups.slice(0, 7).every(g => g === 0)) return groups[7] === 1 ? 'loopback' : 'reserved';
+  if ((groups[0] & 0xfe00) === 0xfc00) return 'private';
+  if ((groups[0] & 0xffc0) === 0xfe80) return 'link-local';
+  if ((groups[0] & 0xff00) === 0xff00 || (groups[0] === 0x2001 && groups[1] === 0x0db8)) return 'reserved';
+  return 'public';
+}
+
+/**
+ * Parse an IP address as written in logs and configs: optionally bracketed
+ * or quoted, with a port ("10.0.0.5:5432", "[::1]:8080"), a prefix length
+ * ("192.168.0.0/16") or an IPv6 zone ("fe80::1%eth0").
+ */
+export function parseIpAddress(text: string): { address: string; version: 4 | 6; range: IpRange } | null {
+  const value = text.trim().replace(LEADING_WRAP, '').replace(TRAILING_WRAP, '');
+  const v4 = /^(\d{1,3}(?:\.\d{1,3}){3})(?::\d{1,5}|\/(?:[0-9]|[12]\d|3[0-2]))?$/.exec(value);
+  if (v4) {
+    const octets = parseIPv4(v4[1]);
+    return octets ? { address: v4[1], version: 4, range: ipv4Range(octets) } : null;
+  }
+  const v6 = /^\[([0-9a-f:.]+)(?:%[\w.-]+)?\](?::\d{1,5})?$/i.exec(value) ??
+    /^([0-9a-f:.]+)(?:%[\w.-]+)?(?:\/(?:\d{1,2}|1[01]\d|12[0-8]))?$/i.exec(value);
+  if (v6) {
+    const groups = parseIPv6(v6[1]);
+    return groups ? { address: v6[1], version: 6, range: ipv6Range(groups) } : null;
+  }
+  return null;
+}
+
+/** The range an IP address belongs to, or null when the text is not one. */
+export function ipRange(text: string): IpRange | null {
+  return parseIpAddress(text)?.range ?? null;
+}
+
+/**
+ * Validate a MAC address written as six colon or dash separated pairs, or
+ * as three dotted groups of four ("001a.2b3c.4d5e").  The all‑zero and
+ * broadcast addresses identify nothing and are rejected.
+ */
+export function isValidMAC(value: string): boolean {
+  const mac = value.trim();
+  if (!/^[0-9a-f]{2}([:-])[0-9a-f]{2}(?:\1[0-9a-f]{2}){4}$/i.test(mac) && !/^[0-9a-f]{4}\.[0-9a-f]{4}\.[0-9a-f]{4}$/i.test(mac)) {
+    return false;
+  }
+  const hex = mac.replace(/[^0-9a-f]/gi, '').toLowerCase();
+  return hex !== '000000000000' && hex !== 'ffffffffffff';
+}
+
+/** True for host names ending in a suffix from `INTERNAL_HOST_SUFFIXES`, e.g. "db-01.prod.internal". */
+export function isInternalHostname(value: string): boolean {
+  const host = value.trim().toLowerCase().replace(/\.$/, '');
+  const labels = host.split('.');
+  if (labels.length < 2 || !labels.every(label => /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/.test(label))) return false;
+  return INTERNAL_HOST_SUFFIXES.some(suffix => host.endsWith(`.${suffix}`));
+}
+
+/** A part of a URL that is a secret, as character offsets into the text given to `parseUrl`. */
+export interface UrlSecret {
+  /** 'credentials' for "user:password@", otherwise the query parameter's name */
+  name: string;
+  start: number;
+  end: number;
+}
+
+export interface ParsedUrl {
+  scheme: string;
+  host: string;
+  secrets: UrlSecret[];
+}
+
+/** Whether a query parameter name is a credential or signature. */
+export function isSensitiveQueryParam(name: string): boolean {
+  const lower = name.toLowerCase();
+  return sensitiveParams.has(lower) || /(?:^|[_-])(?:token|secret|signature|password|api_?key)$/.test(lower);
+}
+
+/**
+ * Parse an absolute URL ("https://…", "postgres://…", "jdbc:mysql://…") and
+ * locate its secrets: "user:password@" credentials and the values of
+ * sensitive query or fragment parameters.  Brackets, quotes and trailing
+ * punctuation around the URL are ignored; offsets refer to `text` itself.
+ */
+export function parseUrl(text: string): ParsedUrl | null {
+  const offset = LEADING_WRAP.exec(text)![0].length;
+  const value = text.slice(offset).replace(TRAILING_WRAP, '');
+  const m = /^((?:jdbc:)?[a-z][a-z0-9+.-]*):\/\/([^\s/?#]+)/i.exec(value);
+  if (!m) return null;
+  const secrets: UrlSecret[] = [];
+  const authority = m[2];
+  const at = authority.lastIndexOf('@');
+  const hostPort = at >= 0 ? authority.slice(at + 1) : authority;
+  const host = hostPort.startsWith('[') ? hostPort.slice(1, hostPort.indexOf(']')) : hostPort.replace(/:\d*$/, '');
+  if (!host || !/^[\w.:%-]+$/.test(host)) return null;
+  if (at >= 0 && authority.slice(0, at).includes(':')) {
+    const start = offset + m[1].length + 3;
+    secrets.push({ name: 'credentials', start, end: start + at });
+  }
+  const rest = value.slice(m[0].length);
+  // Query parameters, and fragment parameters as in OAuth implicit grants
+  const params = /([?&#;])([^=&#;\s]+)=([^&#;\s]*)/g;
+  let p: RegExpExecArray | null;
+  while ((p = params.exec(rest)) !== null) {
+    if (!p[3] || !isSensitiveQueryParam(decodeParamName(p[2]))) continue;
+    const start = offset + m[0].length + p.index + p[1].length + p[2].length + 1;
+    secrets.push({ name: decodeParamName(p[2]), start, end: start + p[3].length });
+  }
+  return { scheme: m[1].toLowerCase(), host, secrets };
+}
+
+function decodeParamName(name: string): string {
+  try {
+    return decodeURIComponent(name);
+  } catch (error) {
+    return name;
+  }
+}
+
+/** Whether a URL points at a private IP address or an internal host name. */
+function isInternalHost(host: string): boolean {
+  const range = ipRange(host);
+  if (range) return range !== 'public' && range !== 'reserved';
+  return host.toLowerCase() === 'localhost' || isInternalHostname(host);
+}
+
+// Addresses and URLs are distinctive enough to outrank every other
+// detector; the card number check in particular Luhn‑tests the digits of
+// "10.20.30.40:8080" and the phone check counts those of a MAC address.
+registerDetector({
+  id: 'ipv4',
+  kind: 'IP_ADDRESS',
+  priority: 105,
+  match: text => {
+    const ip = parseIpAddress(text);
+    if (!ip || ip.version !== 4) return null;
+    return { reason: `${RANGE_LABELS[ip.range]} IPv4 address`, confidence: IP_CONFIDENCE[ip.range] };
+  }
+});
+
+registerDetector({
+  id: 'ipv6',
+  kind: 'IP_ADDRESS',
+  priority: 105,
+  match: text => {
+    const ip = parseIpAddress(text);
+    if (!ip || ip.version !== 6) return null;
+    return { reason: `${RANGE_LABELS[ip.range]} IPv6 address`, confidence: IP_CONFIDENCE[ip.range] };
+  }
+});
+
+registerDetector({
+  id: 'mac-address',
+  kind: 'MAC_ADDRESS',
+  priority: 105,
+  match: text => isValidMAC(text.replace(LEADING_WRAP, '').replace(TRAILING_WRAP, '')),
+  reason: 'MAC address',
+  confidence: 0.9
+});
+
+registerDetector({
+  id: 'url-credentials',
+  kind: 'URL',
+  priority: 105,
+  match: text => parseUrl(text)?.secrets.some(s => s.name === 'credentials') ?? false,
+  reason: 'URL with embedded credentials',
+  confidence: 0.95
+});
+
+registerDetector({
+  id: 'signed-url',
+  kind: 'URL',
+  priority: 105,
+  match: text => {
+    const param = parseUrl(text)?.secrets.find(s => s.name !== 'credentials');
+    return param ? { reason: `URL with secret parameter "${param.name}"`, confidence: 0.9 } : null;
+  }
+});
+
+registerDetector({
+  id: 'internal-url',
+  kind: 'URL',
+  priority: 105,
+  match: text => {
+    const url = parseUrl(text);
+    return url !== null && isInternalHost(url.host);
+  },
+  reason: 'URL of an internal host',
+  confidence: 0.8
+});
+
+// Ahead of the phone and address heuristics, which claim host names full
+// of digits such as "ip-10-0-1-5.ec2.internal"
+registerDetector({
+  id: 'internal-hostname',
+  kind: 'HOSTNAME',
+  priority: 45,
+  match: text => isInternalHostname(text.replace(LEADING_WRAP, '').replace(TRAILING_WRAP, '')),
+  reason: 'Internal host name',
+  confidence: 0.85
+});
@@ -0,0 +1,167 @@
+import { registerDetector } from './index';
+
+/*
+ * Secret scanning for screenshots of terminals, config files and
+ * dashboards.  Provider tokens are recognised by their published prefixes
+ * and shapes; anything else that looks like a random key is caught by a
+ * Shannon entropy fallback, which is off by default because it is noisier
+ * and is enabled by the 'developer' preset.
+ */
+
+/** Shannon entropy of a string in bits per character. */
+export function shannonEntropy(value: string): number {
+  if (!value) return 0;
+  const counts = new Map<string, number>();
+  for (const ch of value) counts.set(ch, (counts.get(ch) || 0) + 1);
+  let entropy = 0;
+  counts.forEach(count => {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  });
+  return entropy;
+}
+
+/**
+ * Strip what usually surrounds a secret in code and terminal output: a
+ * `NAME=` or `"name":` prefix, quotes, and trailing commas or semicolons.
+ */
+export function unwrapSecret(token: string): string {
+  return token
+    .trim()
+    .replace(/^(?:export\s+)?["']?[A-Za-z_][A-Za-z0-9_.-]*["']?\s*[=:]\s*(?=[^=\s/])/, '')
+    .replace(/^["'`]+|["'`,;]+$/g, '');
+}
+
+/** Hex lengths of MD5, SHA‑1 (and git commit ids) and SHA‑256 digests. */
+const DIGEST_HEX_LENGTHS = [32, 40, 64];
+/** Variable names that say the value assigned to them is secret. */
+const SECRET_NAME = /key|token|secret|passw|auth|credential/i;
+
+/**
+ * Classify a secret‑looking string by entropy; null when it looks like
+ * ordinary text.  Hex of a digest's length is more often a hash or commit
+ * id than a key, so unless its own variable name says otherwise the match
+ * needs a nearby label such as "token" to be reported.
+ */
+export function highEntropySecret(value: string): { reason: string; confidence: number; needsContext?: boolean } | null {
+  const candidate = unwrapSecret(value);
+  if (/^[0-9a-f]{32,}$/i.test(candidate) && /\d/.test(candidate) && /[a-f]/i.test(candidate)) {
+    if (shannonEntropy(candidate) < 3.0) return null;
+    const named = SECRET_NAME.test(value.slice(0, value.indexOf(candidate)));
+    if (DIGEST_HEX_LENGTHS.includes(candidate.length) && !named) {
+      return { reason: 'High-entropy hex string', confidence: 0.75, needsContext: true };
+    }
+    return { reason: 'High-entropy hex string', confidence: 0.75 };
+  }
+  if (candidate.length >= 24 && /^[A-Za-z0-9+/_-]+={0,2}$/.test(candidate) &&
+      /[A-Z]/.test(candidate) && /[a-z]/.test(candidate) && /\d/.test(candidate)) {
+    if (shannonEntropy(candidate) >= 4.0) {
+      return { reason: 'High-entropy base64 string', confidence: 0.75 };
+    }
+  }
+  return null;
+}
+
+/** Build a matcher that tests a pattern against the unwrapped token. */
+const unwrapped = (pattern: RegExp) => (text: string) => pattern.test(unwrapSecret(text));
+
+// Provider signatures are specific enough to outrank every other detector;
+// the card number check in particular Luhn‑tests the digits of any token.
+registerDetector({
+  id: 'github-token',
+  kind: 'API_KEY',
+  priority: 110,
+  match: unwrapped(/^(?:gh[pousr]_[A-Za-z0-9]{36}|github_pat_[A-Za-z0-9]{22}_[A-Za-z0-9]{59})$/),
+  reason: 'GitHub access token',
+  confidence: 0.98
+});
+
+registerDetector({
+  id: 'slack-token',
+  kind: 'API_KEY',
+  priority: 110,
+  match: unwrapped(/^(?:xox[abposre]-[A-Za-z0-9-]{10,}|xapp-\d-[A-Z0-9]+-\d+-[a-f0-9]+)$/),
+  reason: 'Slack token',
+  confidence: 0.95
+});
+
+registerDetector({
+  id: 'slack-webhook',
+  kind: 'API_KEY',
+  priority: 110,
+  match: unwrapped(/^https:\/\/hooks\.slack\.com\/services\/T[A-Z0-9]+\/B[A-Z0-9]+\/[A-Za-z0-9]+$/),
+  reason: 'Slack incoming webhook URL',
+  confidence: 0.95
+});
+
+registerDetector({
+  id: 'stripe-key',
+  kind: 'API_KEY',
+  priority: 110,
+  match: text => {
+    const m = /^(sk|rk)_(live|test)_[A-Za-z0-9]{24,}$/.exec(unwrapSecret(text));
+    if (!m) return null;
+    const key = m[1] === 'sk' ? 'secret' : 'restricted';
+    return m[2] === 'live'
+      ? { reason: `Stripe live ${key} key`, confidence: 0.98 }
+      : { reason: `Stripe test ${key} key`, confidence: 0.85 };
+  }
+});
+
+registerDetector({
+  id: 'google-api-key',
+  kind: 'API_KEY',
+  priority: 110,
+  match: unwrapped(/^AIza[0-9A-Za-z_-]{35}$/),
+  reason: 'Google API key',
+  confidence: 0.95
+});
+
+registerDetector({
+  id: 'azure-connection-string',
+  kind: 'API_KEY',
+  priority: 110,
+  match: text => /(?:^|;)\s*(?:AccountKey|SharedAccessKey)=[A-Za-z0-9+/]{20,}={0,2}(?:;|$)/i.test(unwrapSecret(text)),
+  reason: 'Azure connection string with account key',
+  confidence: 0.95
+});
+
+// Service account JSON files name their account and key on separate lines
+registerDetector({
+  id: 'gcp-service-account-email',
+  kind: 'API_KEY',
+  priority: 110,
+  match: unwrapped(/^[a-z0-9-]+@[a-z0-9-]+\.iam\.gserviceaccount\.com$/),
+  reason: 'GCP service account identity',
+  confidence: 0.85
+});
+
+registerDetector({
+  id: 'gcp-private-key-id',
+  kind: 'API_KEY',
+  scope: 'span',
+  priority: 110,
+  match: /^"private_key_id": ?"[0-9a-f]{40}",?$/,
+  reason: 'GCP service account private key id',
+  confidence: 0.95
+});
+
+// The header and footer of a PEM block; the base64 body lines are caught by
+// the entropy fallback
+registerDetector({
+  id: 'pem-private-key',
+  kind: 'API_KEY',
+  scope: 'span',
+  priority: 110,
+  match: /^(?:"private_key": ?)?"?-----(?:BEGIN|END) (?:[A-Z0-9]+ )*PRIVATE KEY-----\S*$/,
+  reason: 'PEM private key block',
+  confidence: 0.98
+});
+
+registerDetector({
+  id: 'high-entropy-secret',
+  kind: 'API_KEY',
+  priority: 42,
+  defaultEnabled: false,
+  match: highEntropySecret
+});
@@ -0,0 +1,97 @@
+import type { DetectionKind, DetectorSelection } from '../types';
+import { isLuhnValid, isValidIBAN, isValidSSN, registerDetector, runDetectors } from './index';
+import { recognizeName, recognizeOrganization } from './entities';
+
+/*
+ * Span detectors classify text made of several OCR words joined by single
+ * spaces, e.g. "(555) 123-4567" or "DE89 3704 0044 0532 0130 00".  They are
+ * anchored: the whole span must be the value, so labels and neighbouring
+ * words never become part of a detection.
+ */
+
+export interface SpanMatch {
+  kind: DetectionKind;
+  reason: string;
+  confidence: number;
+}
+
+type SpanResult = Pick<SpanMatch, 'reason' | 'confidence'> | null;
+
+const STREET_SUFFIX = '(?:Street|St|Avenue|Ave|Road|Rd|Lane|Ln|Boulevard|Blvd|Drive|Dr|Circle|Cir|Court|Ct|Place|Pl|Way|Parkway|Pkwy|Terrace|Ter|Highway|Hwy)';
+const UNIT = '(?:Apt|Apartment|Suite|Ste|Unit|#)\\.?\\s?#?\\s?[0-9]+[A-Z]?';
+const STREET_LINE = new RegExp(
+  `^\\d{1,6}[A-Z]?\\s+(?:(?:N|S|E|W|North|South|East|West)\\.?\\s+)?(?:[A-Z][a-z]+\\.?\\s+|\\d{1,3}(?:st|nd|rd|th)\\s+){1,4}${STREET_SUFFIX}\\.?,?(?:\\s+${UNIT})?$`,
+  'i'
+);
+const CITY_STATE_ZIP = /^(?:[A-Z][a-z]+\s){0,2}[A-Z][a-z]+,?\s(?:AL|AK|AZ|AR|CA|CO|CT|DE|FL|GA|HI|ID|IL|IN|IA|KS|KY|LA|ME|MD|MA|MI|MN|MS|MO|MT|NE|NV|NH|NJ|NM|NY|NC|ND|OH|OK|OR|PA|RI|SC|SD|TN|TX|UT|VT|VA|WA|WV|WI|WY|DC)\s\d{5}(?:-\d{4})?$/;
+
+/** Phone numbers written as separated groups, with optional country code. */
+function matchPhoneSpan(text: string): SpanResult {
+  if (!/^\+?\(?\d[\d\s().-]*\d$/.test(text)) return null;
+  if (!/^(\+\d{1,3}\s?)?(\(\d{1,4}\)|\d{1,4})([\s.-]?\d{2,4}){1,4}$/.test(text)) return null;
+  const digits = text.replace(/\D/g, '');
+  if (digits.length < 7 || digits.length > 15) return null;
+  if (digits.length === 10 || (digits.length === 11 && digits[0] === '1')) {
+    return { reason: 'North American phone format', confidence: 0.9 };
+  }
+  if (text.startsWith('+')) {
+    return { reason: 'International phone format with country code', confidence: 0.85 };
+  }
+  return { reason: 'International phone format', confidence: 0.75 };
+}
+
+/** Card numbers printed in groups, e.g. "4532 0151 1283 0366" or Amex 4‑6‑5. */
+function matchPanSpan(text: string): SpanResult {
+  if (!/^\d{4}([ -]\d{4}){2,3}( \d{1,3})?$/.test(text) && !/^\d{4} \d{6} \d{5}$/.test(text)) return null;
+  const digits = text.replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19 || !isLuhnValid(digits)) return null;
+  return { reason: 'Luhn valid primary account number', confidence: 0.95 };
+}
+
+/** IBANs printed in the usual groups of four. */
+function matchIbanSpan(text: string): SpanResult {
+  if (!/^[A-Z]{2}\d{2}( ?[A-Z0-9]{1,4}){3,8}$/i.test(text)) return null;
+  if (!isValidIBAN(text)) return null;
+  return { reason: 'Valid IBAN checksum', confidence: 0.95 };
+}
+
+/** SSNs printed with spaces instead of dashes. */
+function matchSsnSpan(text: string): SpanResult {
+  const m = /^(\d{3}) (\d{2}) (\d{4})$/.exec(text);
+  if (!m || !isValidSSN(`${m[1]}-${m[2]}-${m[3]}`)) return null;
+  return { reason: 'Valid US SSN format (space separated)', confidence: 0.85 };
+}
+
+/** Street lines ("123 Main Street Apt 4") and "City, ST 12345" lines. */
+function matchAddressSpan(text: string): SpanResult {
+  if (STREET_LINE.test(text)) {
+    return { reason: 'Street address', confidence: 0.9 };
+  }
+  if (CITY_STATE_ZIP.test(text)) {
+    return { reason: 'City, state and ZIP code', confidence: 0.9 };
+  }
+  return null;
+}
+
+// Span detectors share the token detectors' priorities so a selection can
+// interleave both consistently.
+registerDetector({ id: 'pan-grouped', kind: 'PAN', scope: 'span', priority: 100, match: matchPanSpan });
+registerDetector({ id: 'iban-grouped', kind: 'IBAN', scope: 'span', priority: 90, match: matchIbanSpan });
+registerDetector({ id: 'us-ssn-spaced', kind: 'SSN', scope: 'span', priority: 80, locales: ['en-US'], match: matchSsnSpan });
+registerDetector({ id: 'phone-grouped', kind: 'PHONE', scope: 'span', priority: 40, match: matchPhoneSpan });
+registerDetector({ id: 'us-address', kind: 'ADDRESS', scope: 'span', priority: 30, locales: ['en-US'], match: matchAddressSpan });
+registerDetector({ id: 'organization', kind: 'ORGANIZATION', scope: 'span', priority: 15, match: recognizeOrganization });
+registerDetector({ id: 'full-name', kind: 'NAME', scope: 'span', priority: 10, match: recognizeName });
+
+/**
+ * Classify a multi‑word span.  The text must be the words joined by single
+ * spaces.  Returns null if no registered span detector accepts the whole
+ * text.
+ */
+export function detectSpan(text: string, selection?: DetectorSelection): SpanMatch | null {
+  const raw = text.trim();
+  if (!raw || !raw.includes(' ')) return null;
+  const match = runDetectors(raw, 'span', selection);
+  if (!match) return null;
+  return { kind: match.kind, reason: match.reason, confidence: match.confidence ?? 0.8 };
+}
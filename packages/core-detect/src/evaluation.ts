@@ -0,0 +1,304 @@
+import type { AnalyzeOptions, Box, Detection, DetectionKind } from './types';
+
+/*
+ * Scoring of detections against hand‑annotated ground truth, so detector
+ * changes can be judged by precision, recall and F1 per kind rather than by
+ * eye.  The runner (`evaluate-detection.js` at the repository root) analyses
+ * every annotated sample and fails when a kind scores below its minimum,
+ * or when a report is worse than an earlier one it is compared with.
+ */
+
+/** One piece of sensitive content a sample file contains. */
+export interface GroundTruthItem {
+  kind: DetectionKind;
+  /** Page index; 0 when omitted */
+  page?: number;
+  /**
+   * Normalised (0–1) box around the content.  Without one, a detection of
+   * the same kind on the same page whose preview contains `text` matches.
+   */
+  box?: Box;
+  /** The content itself, for readers and for box‑less matching */
+  text?: string;
+  note?: string;
+}
+
+/** A region where nothing (or nothing of `kinds`) may be detected. */
+export interface MustNotDetectRegion {
+  page?: number;
+  box: Box;
+  /** Only detections of these kinds count; every kind when omitted */
+  kinds?: DetectionKind[];
+  note?: string;
+}
+
+/**
+ * The annotation file stored beside a sample as `<file>.annotations.json`.
+ * `expected` must list everything sensitive in the file: any other
+ * detection counts as a false positive.
+ */
+export interface GroundTruth {
+  /** Analyse options for this file, e.g. `{ "locales": ["de-DE"] }` */
+  options?: Pick<AnalyzeOptions, 'presetId' | 'languages' | 'locales' | 'detectFaces' | 'barcodeFormats' | 'useTextLayer' | 'detectors' | 'network'>;
+  expected: GroundTruthItem[];
+  mustNotDetect?: MustNotDetectRegion[];
+}
+
+export interface EvaluationOptions {
+  /** Minimum IoU for a detection to match a boxed item (default 0.3) */
+  iouThreshold?: number;
+  /** Share of a detection inside a must‑not region that violates it (default 0.5) */
+  overlapThreshold?: number;
+}
+
+export interface KindMetrics {
+  truePositives: number;
+  falsePositives: number;
+  falseNegatives: number;
+  precision: number;
+  recall: number;
+  f1: number;
+  /** Mean IoU of matched boxed items; null when none were matched */
+  meanIoU: number | null;
+}
+
+/** How one file's detections compare with its annotations. */
+export interface DocumentScore {
+  file: string;
+  /** Indices into `expected` that were found, with the matching IoU (null without a box) */
+  found: { item: number; kind: DetectionKind; iou: number | null }[];
+  /** Indices into `expected` that were missed */
+  missed: number[];
+  /** Detections that match nothing, with their kind and preview */
+  falsePositives: { kind: DetectionKind; page: number; preview?: string }[];
+  /** Must‑not regions that were hit, with the offending detection's kind */
+  violations: { region: number; kind: DetectionKind; preview?: string }[];
+  byKind: Partial<Record<DetectionKind, KindMetrics>>;
+}
+
+export interface EvaluationReport {
+  files: DocumentScore[];
+  byKind: Partial<Record<DetectionKind, KindMetrics>>;
+  overall: KindMetrics;
+}
+
+/** Minimum precision, recall and F1; a metric left out is not checked. */
+export interface MinimumScores {
+  precision?: number;
+  recall?: number;
+  f1?: number;
+}
+
+/**
+ * The scores an evaluation must reach, stored as
+ * `samples/evaluation-thresholds.json`.  Every kind in the report is
+ * checked, against its own entry or else against `default`.
+ */
+export interface EvaluationThresholds {
+  default?: MinimumScores;
+  byKind?: Partial<Record<DetectionKind, MinimumScores>>;
+  overall?: MinimumScores;
+}
+
+/** A metric below its minimum or worse than in a baseline, or a file result that got worse. */
+export interface Regression {
+  kind?: DetectionKind;
+  file?: string;
+  message: string;
+}
+
+/** Intersection over union of two normalised boxes. */
+export function boxIoU(a: Box, b: Box): number {
+  const intersection = overlapArea(a, b);
+  const union = a.w * a.h + b.w * b.h - intersection;
+  return union > 0 ? intersection / union : 0;
+}
+
+function overlapArea(a: Box, b: Box): number {
+  const w = Math.min(a.x + a.w, b.x + b.w) - Math.max(a.x, b.x);
+  const h = Math.min(a.y + a.h, b.y + b.h) - Math.max(a.y, b.y);
+  return w > 0 && h > 0 ? w * h : 0;
+}
+
+function normalizeText(text: string): string {
+  return text.toLowerCase().replace(/\s+/g, '');
+}
+
+function metricsFrom(tp: number, fp: number, fn: number, ious: number[]): KindMetrics {
+  // No expectations and nothing reported is a perfect score
+  const precision = tp + fp > 0 ? tp / (tp + fp) : 1;
+  const recall = tp + fn > 0 ? tp / (tp + fn) : 1;
+  return {
+    truePositives: tp,
+    falsePositives: fp,
+    falseNegatives: fn,
+    precision,
+    recall,
+    f1: precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0,
+    meanIoU: ious.length > 0 ? ious.reduce((sum, v) => sum + v, 0) / ious.length : null
+  };
+}
+
+/**
+ * Match one file's detections to its annotations.  Pairs of the same kind
+ * on the same page are matched greedily by IoU, highest first, so each
+ * item and each detection is used at most once.
+ */
+export function scoreDocument(file: string, truth: GroundTruth, detections: Detection[], options: EvaluationOptions = {}): DocumentScore {
+  const iouThreshold = options.iouThreshold ?? 0.3;
+  const overlapThreshold = options.overlapThreshold ?? 0.5;
+  const candidates: { item: number; detection: number; iou: number | null; score: number }[] = [];
+  truth.expected.forEach((item, i) => {
+    detections.forEach((det, d) => {
+      if (det.kind !== item.kind || (det.box.page ?? 0) !== (item.page ?? 0)) return;
+      if (item.box) {
+        const iou = boxIoU(item.box, det.box);
+        if (iou >= iouThreshold) candidates.push({ item: i, detection: d, iou, score: iou });
+      } else if (!item.text || normalizeText(det.preview ?? '').includes(normalizeText(item.text))) {
+        candidates.push({ item: i, detection: d, iou: null, score: 0 });
+      }
+    });
+  });
+  candidates.sort((a, b) => b.score - a.score);
+
+  const matchedItems = new Map<number, { detection: number; iou: number | null }>();
+  const matchedDetections = new Set<number>();
+  for (const c of candidates) {
+    if (matchedItems.has(c.item) || matchedDetections.has(c.detection)) continue;
+    matchedItems.set(c.item, { detection: c.detection, iou: c.iou });
+    matchedDetections.add(c.detection);
+  }
+
+  const unmatched = detections.filter((_, d) => !matchedDetections.has(d));
+  const violations: DocumentScore['violations'] = [];
+  (truth.mustNotDetect ?? []).forEach((region, r) => {
+    for (const det of unmatched) {
+      if ((det.box.page ?? 0) !== (region.page ?? 0)) continue;
+      if (region.kinds && !region.kinds.includes(det.kind)) continue;
+      const area = det.box.w * det.box.h;
+      if (area > 0 && overlapArea(region.box, det.box) / area >= overlapThreshold) {
+        violations.push({ region: r, kind: det.kind, preview: det.preview });
+      }
+    }
+  });
+
+  const kinds = new Set<DetectionKind>([...truth.expected.map(item => item.kind), ...detections.map(det => det.kind)]);
+  const byKind: DocumentScore['byKind'] = {};
+  for (const kind of kinds) {
+    const ious: number[] = [];
+    let tp = 0;
+    let fn = 0;
+    truth.expected.forEach((item, i) => {
+      if (item.kind !== kind) return;
+      const match = matchedItems.get(i);
+      if (!match) {
+        fn++;
+        return;
+      }
+      tp++;
+      if (match.iou !== null) ious.push(match.iou);
+    });
+    const fp = unmatched.filter(det => det.kind === kind).length;
+    byKind[kind] = metricsFrom(tp, fp, fn, ious);
+  }
+
+  return {
+    file,
+    found: [...matchedItems.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([item, match]) => ({ item, kind: truth.expected[item].kind, iou: match.iou })),
+    missed: truth.expected.map((_, i) => i).filter(i => !matchedItems.has(i)),
+    falsePositives: unmatched.map(det => ({ kind: det.kind, page: det.box.page ?? 0, preview: det.preview })),
+    violations,
+    byKind
+  };
+}
+
+/** Pool per‑file scores into per‑kind and overall metrics. */
+export function summarizeScores(files: DocumentScore[]): EvaluationReport {
+  const totals = new Map<DetectionKind, { tp: number; fp: number; fn: number; ious: number[] }>();
+  for (const score of files) {
+    for (const [kind, metrics] of Object.entries(score.byKind) as [DetectionKind, KindMetrics][]) {
+      const total = totals.get(kind) ?? { tp: 0, fp: 0, fn: 0, ious: [] };
+      total.tp += metrics.truePositives;
+      total.fp += metrics.falsePositives;
+      total.fn += metrics.falseNegatives;
+      for (const f of score.found) {
+        if (f.kind === kind && f.iou !== null) total.ious.push(f.iou);
+      }
+      totals.set(kind, total);
+    }
+  }
+  const byKind: EvaluationReport['byKind'] = {};
+  const all = { tp: 0, fp: 0, fn: 0, ious: [] as number[] };
+  for (const kind of [...totals.keys()].sort()) {
+    const t = totals.get(kind)!;
+    byKind[kind] = metricsFrom(t.tp, t.fp, t.fn, t.ious);
+    all.tp += t.tp;
+    all.fp += t.fp;
+    all.fn += t.fn;
+    all.ious.push(...t.ious);
+  }
+  return { files, byKind, overall: metricsFrom(all.tp, all.fp, all.fn, all.ious) };
+}
+
+/**
+ * List what got worse since `baseline`: a kind's precision, recall or F1
+ * dropping by more than `tolerance`, an annotated item that was found
+ * before and is now missed, or a must‑not region that is newly hit.
+ */
+export function compareWithBaseline(report: EvaluationReport, baseline: EvaluationReport, tolerance = 0.001): Regression[] {
+  const regressions: Regression[] = [];
+  for (const [kind, before] of Object.entries(baseline.byKind) as [DetectionKind, KindMetrics][]) {
+    const after = report.byKind[kind];
+    if (!after) continue;
+    for (const metric of ['precision', 'recall', 'f1'] as const) {
+      if (after[metric] < before[metric] - tolerance) {
+        regressions.push({ kind, message: `${kind} ${metric} fell from ${before[metric].toFixed(3)} to ${after[metric].toFixed(3)}` });
+      }
+    }
+  }
+  for (const before of baseline.files) {
+    const after = report.files.find(f => f.file === before.file);
+    if (!after) continue;
+    const foundBefore = new Set(before.found.map(f => f.item));
+    for (const item of after.missed) {
+      if (foundBefore.has(item)) regressions.push({ file: after.file, message: `${after.file}: expected item ${item} is no longer found` });
+    }
+    const hitBefore = new Set(before.violations.map(v => v.region));
+    for (const region of new Set(after.violations.map(v => v.region))) {
+      if (!hitBefore.has(region)) regressions.push({ file: after.file, message: `${after.file}: must-not-detect region ${region} is now hit` });
+    }
+  }
+  return regressions;
+}
+
+/**
+ * List what falls short of `thresholds`: a kind's or the overall precision,
+ * recall or F1 below its minimum, and every hit of a must‑not region.
+ */
+export function checkThresholds(report: EvaluationReport, thresholds: EvaluationThresholds): Regression[] {
+  const regressions: Regression[] = [];
+  const check = (label: string, metrics: KindMetrics, minimum: MinimumScores | undefined, kind?: DetectionKind) => {
+    for (const metric of ['precision', 'recall', 'f1'] as const) {
+      const floor = minimum?.[metric];
+      if (floor !== undefined && metrics[metric] < floor) {
+        regressions.push({ kind, message: `${label} ${metric} is ${metrics[metric].toFixed(3)}, below the minimum of ${floor.toFixed(3)}` });
+      }
+    }
+  };
+  for (const [kind, metrics] of Object.entries(report.byKind) as [DetectionKind, KindMetrics][]) {
+    check(kind, metrics, thresholds.byKind?.[kind] ?? thresholds.default, kind);
+  }
+  check('overall', report.overall, thresholds.overall);
+  for (const score of report.files) {
+    for (const violation of score.violations) {
+      regressions.push({
+        file: score.file,
+        kind: violation.kind,
+        message: `${score.file}: must-not-detect region ${violation.region} is hit by ${violation.kind}${violation.preview ? ` "${violation.preview}"` : ''}`
+      });
+    }
+  }
+  return regressions;
+}
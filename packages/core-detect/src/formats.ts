@@ -59,7 +59,7 @@ export function getFileType(file: File | string): InputFile['type'] {
 /**
  * Get MIME type from filename extension
  */
-function getMimeTypeFromFilename(filename: string): string {
+export function getMimeTypeFromFilename(filename: string): string {
   const ext = filename.toLowerCase().split('.').pop();
   
   const mimeMap: Record<string, string> = {
@@ -1,6 +1,31 @@
 export * from './types';
-export { analyzeDocument } from './pipeline/analyze';
+export { analyzeDocument, isOcrError } from './pipeline/analyze';
 export { applyRedactions } from './pipeline/apply';
+export { inspectDocument } from './pipeline/inspect';
+export { readImageMetadata } from './pipeline/exif';
+export type { ImageMetadata } from './pipeline/exif';
+export { registerDetector, unregisterDetector, getDetector, listDetectors } from './detectors';
+export type { DetectorDefinition, DetectorMatch } from './detectors';
+export * from './detectors/nationalIds';
+export * from './detectors/secrets';
+export * from './detectors/network';
+export * from './detectors/cryptoAddresses';
+export * from './detectors/dates';
+export { recognizeName, recognizeOrganization, extendGazetteers } from './detectors/entities';
+export type { EntityMatch, GazetteerEntries } from './detectors/entities';
+export { detectFaces } from './detectors/faces';
+export type { FaceBox, FaceDetectionOptions } from './detectors/faces';
+export { detectBarcodes, barcodeLabel, BARCODE_SYMBOLOGIES } from './detectors/barcodes';
+export type { BarcodeBox, BarcodeScanOptions } from './detectors/barcodes';
 export * from './presets';
+export { DEFAULT_OCR_LANGUAGE, LOCALE_LANGUAGES, normalizeLanguages, languagesForLocales, resolveOcrLanguages } from './languages';
+export { preprocessImage, mapBoxToSource, orientImage, readExifOrientation } from './pipeline/preprocess';
+export type { ImageTransform, PreprocessResult } from './pipeline/preprocess';
+export { DEFAULT_CONTEXT_KEYWORDS, mergeContextKeywords } from './pipeline/context';
+export { isAbortError } from './pipeline/progress';
+export { getEnvironment, setEnvironment } from './runtime';
+export type { RuntimeEnvironment, DecodedImage } from './runtime';
+export { browserEnvironment } from './runtime/browser';
 export * from './formats';
 export * from './history';
+export * from './evaluation';
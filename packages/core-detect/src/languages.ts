@@ -0,0 +1,98 @@
+import type { AnalyzeOptions, OcrDataOptions } from './types';
+
+/*
+ * OCR language selection.  Tesseract identifies its traineddata packs by
+ * three letter codes ("deu", "fra") and recognises several at once when they
+ * are joined with "+".  Callers may pass those codes directly via
+ * `languages`, or pass BCP 47 locales ("de-DE", "fr") and let them be mapped.
+ */
+
+/** Tesseract language used when nothing else is configured. */
+export const DEFAULT_OCR_LANGUAGE = 'eng';
+
+/** Primary BCP 47 language subtags mapped to Tesseract traineddata codes. */
+export const LOCALE_LANGUAGES: Record<string, string> = {
+  en: 'eng',
+  de: 'deu',
+  fr: 'fra',
+  es: 'spa',
+  it: 'ita',
+  pt: 'por',
+  nl: 'nld',
+  pl: 'pol',
+  cs: 'ces',
+  sv: 'swe',
+  da: 'dan',
+  no: 'nor',
+  nb: 'nor',
+  fi: 'fin',
+  hu: 'hun',
+  ro: 'ron',
+  el: 'ell',
+  tr: 'tur',
+  ru: 'rus',
+  uk: 'ukr',
+  ja: 'jpn',
+  zh: 'chi_sim',
+  ko: 'kor',
+  ar: 'ara',
+  hi: 'hin'
+};
+
+/**
+ * Split, validate and de‑duplicate language codes.  Each entry may itself be
+ * a combined pack such as "deu+fra".  Unknown characters are rejected so a
+ * code can never be turned into a path outside the traineddata directory.
+ */
+export function normalizeLanguages(languages: string[]): string[] {
+  const result: string[] = [];
+  for (const entry of languages) {
+    for (const part of entry.split('+')) {
+      const code = part.trim();
+      if (!code) continue;
+      if (!/^[a-z][a-z0-9_]*$/i.test(code)) {
+        throw new Error(`Invalid OCR language code: ${code}`);
+      }
+      if (!result.includes(code)) result.push(code);
+    }
+  }
+  return result;
+}
+
+/** Map BCP 47 locales to Tesseract codes, ignoring locales without a pack. */
+export function languagesForLocales(locales: string[]): string[] {
+  const codes: string[] = [];
+  for (const locale of locales) {
+    const primary = locale.toLowerCase().split(/[-_]/)[0];
+    const code = LOCALE_LANGUAGES[primary];
+    if (code && !codes.includes(code)) codes.push(code);
+  }
+  return codes;
+}
+
+/**
+ * Return the Tesseract language string for an analysis, e.g. "deu+fra".
+ * Explicit `languages` win over `locales`; English is the fallback.
+ */
+export function resolveOcrLanguages(opts: Pick<AnalyzeOptions, 'languages' | 'locales'>): string {
+  let codes: string[] = [];
+  if (opts.languages && opts.languages.length > 0) {
+    codes = normalizeLanguages(opts.languages);
+  } else if (opts.locales && opts.locales.length > 0) {
+    codes = languagesForLocales(opts.locales);
+  }
+  return codes.length > 0 ? codes.join('+') : DEFAULT_OCR_LANGUAGE;
+}
+
+/**
+ * Translate `OcrDataOptions` into Tesseract worker options.  Only keys that
+ * were set are returned so Tesseract's own defaults still apply otherwise.
+ */
+export function tesseractDataOptions(data: OcrDataOptions = {}): Record<string, unknown> {
+  const options: Record<string, unknown> = {};
+  if (data.langPath) options.langPath = data.langPath;
+  if (data.cachePath) options.cachePath = data.cachePath;
+  if (data.cacheMethod) options.cacheMethod = data.cacheMethod;
+  if (data.gzip !== undefined) options.gzip = data.gzip;
+  return options;
+}
@@ -0,0 +1,15 @@
+import { setEnvironment } from './runtime';
+import { createNodeEnvironment } from './runtime/node';
+
+/*
+ * Entry point for Node.js.  Importing it installs the Node runtime
+ * environment, so `analyzeDocument` accepts Buffers and file paths and
+ * images are decoded and encoded with pure‑JS codecs, then re‑exports the
+ * package API.  Call `setEnvironment(createNodeEnvironment({ createCanvas }))`
+ * to render PDF pages with a native canvas.
+ */
+setEnvironment(createNodeEnvironment());
+
+export * from './index';
+export { createNodeEnvironment } from './runtime/node';
+export type { NodeEnvironmentOptions } from './runtime/node';
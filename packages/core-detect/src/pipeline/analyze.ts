@@ -1,203 +1,271 @@
-import { detectToken, calculateConfidence, detectTokenWithCustomPatterns } from '../detectors';
-import type { InputFile, AnalyzeOptions, AnalyzeResult, Detection, DetectionKind, Box } from '../types';
+import type { DocumentInput, AnalyzeOptions, AnalyzeResult, Detection, DetectionKind, Box, RasterImage, PageSize, SourceIdentity, OcrRequest, OcrWord } from '../types';
 import { v4 as uuidv4 } from 'uuid';
 import Tesseract from 'tesseract.js';
 import * as pdfjsLib from 'pdfjs-dist';
-// Barcode detection library.  jsQR is a small library that can scan QR codes
-// and linear barcodes from image pixel data.  It returns the location of the
-// detected code if one is found.  See https://github.com/cozmo/jsQR for details.
-import jsQR from 'jsqr';
+import type { PDFPageProxy } from 'pdfjs-dist';
+import type { PageWord } from './words';
+import { detectionsFromWords, mapBoxFromRegion } from './words';
+import { extractTextLayerWords, findImageRegions, regionsWithoutText } from './textLayer';
+import { detectFaces } from '../detectors/faces';
+import { barcodeLabel, detectBarcodes } from '../detectors/barcodes';
 
 // Import preset utilities to allow filtering detections based on enabled kinds
 import { getPreset } from '../presets';
+import { resolveOcrLanguages, tesseractDataOptions } from '../languages';
+import { compileTerms, matchesAnyTerm } from './terms';
+import { mergeContextKeywords } from './context';
+import { applyNetworkOptions } from './network';
+import { mapBoxToSource, preprocessImage, readExifOrientation } from './preprocess';
+import { abortable, createProgressReporter, throwIfAborted } from './progress';
+import type { ProgressReporter } from './progress';
+import { getEnvironment } from '../runtime';
+import { getMimeTypeFromFilename } from '../formats';
 
 /*
  * The analyse pipeline orchestrates OCR and token detection for both images
  * and PDFs.  It uses native OCR when available (via Capacitor plugins) and
  * falls back to Tesseract.js running in the browser or a web worker.  PDF
- * pages are rendered to canvases via pdfjs-dist, then treated like images.
+ * pages with a text layer are read directly via pdfjs-dist; pages without
+ * one are rendered to canvases and treated like images.
  */
 
-/** Convert a File/Blob to a Data URI. */
-async function fileToDataURL(file: Blob): Promise<string> {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = () => resolve(reader.result as string);
-    reader.onerror = () => reject(reader.error);
-    reader.readAsDataURL(file);
-  });
+/** Default scale for rasterising PDF pages (2.0 ≈ 144 DPI). */
+const DEFAULT_PDF_RENDER_SCALE = 2;
+
+/**
+ * Turn whatever was passed to `analyzeDocument` into a Blob with a MIME
+ * type (and a name when known).  Byte arrays and file paths are accepted
+ * for headless use; paths need a runtime that can read files.
+ */
+export async function loadInput(input: DocumentInput): Promise<Blob> {
+  if (typeof Blob !== 'undefined' && input instanceof Blob) return input;
+  let bytes: Uint8Array;
+  let name: string | undefined;
+  if (typeof input === 'string') {
+    const environment = getEnvironment();
+    if (!environment.readFile) throw new Error(`Cannot read file paths in the ${environment.name} runtime; pass a File, Blob or bytes`);
+    bytes = await environment.readFile(input);
+    name = input.split(/[\\/]/).pop();
+  } else {
+    bytes = input instanceof ArrayBuffer ? new Uint8Array(input) : (input as Uint8Array);
+  }
+  const type = sniffMimeType(bytes) ?? (name ? getMimeTypeFromFilename(name) : '');
+  if (name && typeof File !== 'undefined') return new File([bytes as BlobPart], name, { type });
+  return new Blob([bytes as BlobPart], { type });
 }
 
-/** Perform OCR on a data URL and return detections. */
-async function analyzeImageDataURL(dataURL: string, pageIndex = 0, opts: AnalyzeOptions = {}): Promise<Detection[]> {
-  // Optionally perform a simple document auto‑crop before running OCR.  Many
-  // scanned documents contain large white margins.  Cropping to the
-  // bounding rectangle of non‑white pixels improves OCR accuracy and
-  // reduces processing time.  We detect the smallest rectangle that
-  // contains all pixels whose brightness is below a threshold.  If the
-  // resulting crop covers almost the entire image (>95%), we skip the
-  // crop to avoid losing content.  This heuristic is cheap to compute
-  // and does not require external dependencies.  See docs/ROADMAP.md.
-  async function autoCrop(dataUrl: string): Promise<string> {
-    return new Promise(resolve => {
-      const img = new Image();
-      img.onload = () => {
-        const canvas = document.createElement('canvas');
-        canvas.width = img.width;
-        canvas.height = img.height;
-        const ctx = canvas.getContext('2d');
-        if (!ctx) {
-          resolve(dataUrl);
-          return;
-        }
-        ctx.drawImage(img, 0, 0);
-        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-        const data = imageData.data;
-        let minX = canvas.width;
-        let maxX = 0;
-        let minY = canvas.height;
-        let maxY = 0;
-        // Threshold to consider a pixel as background (very light)
-        const isBg = (r: number, g: number, b: number) => r > 230 && g > 230 && b > 230;
-        for (let y = 0; y < canvas.height; y++) {
-          for (let x = 0; x < canvas.width; x++) {
-            const idx = (y * canvas.width + x) * 4;
-            const r = data[idx];
-            const g = data[idx + 1];
-            const b = data[idx + 2];
-            if (!isBg(r, g, b)) {
-              if (x < minX) minX = x;
-              if (x > maxX) maxX = x;
-              if (y < minY) minY = y;
-              if (y > maxY) maxY = y;
-            }
-          }
-        }
-        // If no foreground found, return original
-        if (minX > maxX || minY > maxY) {
-          resolve(dataUrl);
-          return;
-        }
-        // Compute bounds width/height
-        const bw = maxX - minX;
-        const bh = maxY - minY;
-        // If crop covers almost entire image, skip cropping
-        if (bw / canvas.width > 0.95 && bh / canvas.height > 0.95) {
-          resolve(dataUrl);
-          return;
-        }
-        // Expand crop by 5% margins to avoid cutting content
-        const marginX = Math.floor(bw * 0.05);
-        const marginY = Math.floor(bh * 0.05);
-        const cropX = Math.max(0, minX - marginX);
-        const cropY = Math.max(0, minY - marginY);
-        const cropW = Math.min(canvas.width - cropX, bw + marginX * 2);
-        const cropH = Math.min(canvas.height - cropY, bh + marginY * 2);
-        const croppedCanvas = document.createElement('canvas');
-        croppedCanvas.width = cropW;
-        croppedCanvas.height = cropH;
-        const cctx = croppedCanvas.getContext('2d');
-        if (!cctx) {
-          resolve(dataUrl);
-          return;
-        }
-        cctx.drawImage(canvas, cropX, cropY, cropW, cropH, 0, 0, cropW, cropH);
-        resolve(croppedCanvas.toDataURL());
-      };
-      img.onerror = () => resolve(dataUrl);
-      img.src = dataUrl;
-    });
+/** MIME type from the leading bytes of PDFs, PNGs and JPEGs. */
+function sniffMimeType(bytes: Uint8Array): string | undefined {
+  const starts = (...signature: number[]) => signature.every((b, i) => bytes[i] === b);
+  if (starts(0x25, 0x50, 0x44, 0x46)) return 'application/pdf';
+  if (starts(0x89, 0x50, 0x4e, 0x47)) return 'image/png';
+  if (starts(0xff, 0xd8, 0xff)) return 'image/jpeg';
+  return undefined;
+}
+
+/** Detections on one image together with its size in pixels. */
+interface ImageAnalysis {
+  detections: Detection[];
+  width: number;
+  height: number;
+}
+
+/** Decode an image file, then OCR and scan it. */
+async function analyzeImageFile(file: Blob, pageIndex: number, opts: AnalyzeOptions, progress: ProgressReporter): Promise<ImageAnalysis> {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const decoded = await getEnvironment().decodeImage(bytes, file.type);
+  const pixels: RasterImage = { data: decoded.data, width: decoded.width, height: decoded.height };
+  return analyzePixels(pixels, decoded.oriented ? 1 : readExifOrientation(bytes), pageIndex, opts, progress);
+}
+
+/** OCR and scan an image's pixels; `orientation` is its EXIF orientation. */
+async function analyzePixels(pixels: RasterImage, orientation: number, pageIndex: number, opts: AnalyzeOptions, progress: ProgressReporter): Promise<ImageAnalysis> {
+  const onOcrProgress = (fraction: number) => progress('ocr', pageIndex, fraction);
+  if (opts.preprocess === false) {
+    const words = await recognizeWords(pixels, pixels.width, pixels.height, opts, onOcrProgress);
+    progress('detect', pageIndex);
+    const detections = detectionsFromWords(words, pageIndex, opts);
+    detections.push(...scanPixels(pixels, pageIndex, opts, progress));
+    return { detections, width: pixels.width, height: pixels.height };
+  }
+
+  // OCR a cleaned up copy of the image, then map what it finds back onto
+  // the image as displayed
+  const { image, upright, transform } = preprocessImage(pixels, opts.preprocess, orientation);
+  const words = await recognizeWords(image, image.width, image.height, opts, onOcrProgress);
+  progress('detect', pageIndex);
+  const detections: Detection[] = detectionsFromWords(words, pageIndex, opts).map(d => ({
+    ...d,
+    box: { ...mapBoxToSource(d.box, transform), page: pageIndex }
+  }));
+  detections.push(...scanPixels(upright, pageIndex, opts, progress));
+  return { detections, width: upright.width, height: upright.height };
+}
+
+/** Scan a page's pixels for barcodes and faces. */
+function scanPixels(pixels: RasterImage, pageIndex: number, opts: AnalyzeOptions, progress: ProgressReporter): Detection[] {
+  throwIfAborted(opts.signal);
+  progress('barcodes', pageIndex);
+  const detections = scanBarcodes(pixels, pageIndex, opts);
+  throwIfAborted(opts.signal);
+  progress('faces', pageIndex);
+  detections.push(...scanFaces(pixels, pageIndex, opts));
+  progress('faces', pageIndex, 1);
+  return detections;
+}
+
+/** Copy a rectangle of pixels out of an image. */
+function cropPixels(image: RasterImage, x: number, y: number, w: number, h: number): RasterImage {
+  const data = new Uint8ClampedArray(w * h * 4);
+  for (let row = 0; row < h; row++) {
+    const start = ((y + row) * image.width + x) * 4;
+    data.set(image.data.subarray(start, start + w * 4), row * w * 4);
   }
-  // Run Tesseract on the original Data URL.  Cropping is disabled by
-  // default because adjusting bounding boxes back to the original
-  // coordinates is non‑trivial.  To experiment with auto‑crop, call
-  // autoCrop() on dataURL and adjust bounding boxes accordingly.
-  const result = await Tesseract.recognize(dataURL, 'eng', { logger: () => {} });
-  const { words } = result.data as any;
+  return { data, width: w, height: h };
+}
+
+/** Run the on‑device face detector and return FACE detections. */
+function scanFaces(pixels: RasterImage, pageIndex: number, opts: AnalyzeOptions): Detection[] {
+  if (opts.detectFaces === false) return [];
   const detections: Detection[] = [];
-  // Determine image dimensions
-  const img = new Image();
-  await new Promise(resolve => {
-    img.onload = resolve;
-    img.src = dataURL;
+  try {
+    for (const face of detectFaces(pixels)) {
+      if (opts.confidenceThreshold && face.confidence < opts.confidenceThreshold) continue;
+      detections.push({
+        id: uuidv4(),
+        kind: 'FACE',
+        box: {
+          x: face.x / pixels.width,
+          y: face.y / pixels.height,
+          w: face.w / pixels.width,
+          h: face.h / pixels.height,
+          page: pageIndex
+        },
+        confidence: face.confidence,
+        reason: 'Detected frontal face'
+      });
+    }
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.warn('Face detection failed:', err);
+  }
+  return detections;
+}
+
+/**
+ * The error analysis rejects with when OCR fails, e.g. because the
+ * language data cannot be loaded.  Tesseract rejects with the worker's
+ * message rather than an Error.
+ */
+function ocrError(cause: unknown): Error {
+  const error = new Error(`OCR failed: ${cause instanceof Error ? cause.message : cause}`);
+  error.name = 'OcrError';
+  return error;
+}
+
+/** True for the rejection of an analysis whose OCR failed. */
+export function isOcrError(error: unknown): boolean {
+  return !!error && typeof error === 'object' && (error as Error).name === 'OcrError';
+}
+
+/**
+ * Run Tesseract on this thread.  A fresh worker is created per call and
+ * terminated afterwards, which is also the only way to stop it mid‑page.
+ */
+async function recognizeOnThisThread(
+  source: unknown,
+  request: OcrRequest,
+  signal?: AbortSignal,
+  onProgress?: (fraction: number) => void
+): Promise<OcrWord[]> {
+  const worker = await Tesseract.createWorker({
+    ...tesseractDataOptions(request.ocrData),
+    logger: message => {
+      if (message.status === 'recognizing text') onProgress?.(message.progress);
+    },
+    // A failed job rejects its promise; without a handler tesseract.js also
+    // rethrows the failure from its message listener, where nothing catches it
+    errorHandler: () => undefined
   });
-  const width = img.width;
-  const height = img.height;
+  const recognize = async () => {
+    await worker.loadLanguage(request.languages);
+    await worker.initialize(request.languages);
+    return worker.recognize(source as Tesseract.ImageLike);
+  };
+  let terminated: Promise<unknown> | undefined;
+  const terminate = () => {
+    if (!terminated) terminated = worker.terminate().catch(() => undefined);
+    return terminated;
+  };
+  let result: Tesseract.RecognizeResult;
+  try {
+    result = await abortable(recognize(), signal, terminate);
+  } catch (err) {
+    throw signal?.aborted ? err : ocrError(err);
+  } finally {
+    await terminate();
+  }
+  return result.data.words.map(word => ({ text: word.text, confidence: word.confidence, bbox: word.bbox }));
+}
+
+/**
+ * OCR an image, on the analysis backend when there is one, and return its
+ * words normalised to the image size.  `onProgress` receives the
+ * recognised fraction of the image.
+ */
+async function recognizeWords(
+  source: RasterImage,
+  width: number,
+  height: number,
+  opts: AnalyzeOptions,
+  onProgress?: (fraction: number) => void
+): Promise<PageWord[]> {
+  throwIfAborted(opts.signal);
+  const request: OcrRequest = { languages: resolveOcrLanguages(opts), ocrData: opts.ocrData };
+  const words = opts.backend
+    ? await opts.backend.recognize(source, request, opts.signal, onProgress)
+    : await recognizeOnThisThread(await getEnvironment().ocrInput(source), request, opts.signal, onProgress);
+  const pageWords: PageWord[] = [];
   for (const word of words) {
     const text = (word.text || '').trim();
     if (!text) continue;
-    const match = detectTokenWithCustomPatterns(text, opts.customPatterns);
-    if (match) {
-      const { kind, reason, confidence: detectionConfidence } = match;
-      const bbox = word.bbox as any;
-      const x0 = bbox.x0 ?? bbox.left ?? 0;
-      const y0 = bbox.y0 ?? bbox.top ?? 0;
-      const x1 = bbox.x1 ?? bbox.right ?? 0;
-      const y1 = bbox.y1 ?? bbox.bottom ?? 0;
-      const box: Box = {
+    const bbox = word.bbox as any;
+    const x0 = bbox.x0 ?? bbox.left ?? 0;
+    const y0 = bbox.y0 ?? bbox.top ?? 0;
+    const x1 = bbox.x1 ?? bbox.right ?? 0;
+    const y1 = bbox.y1 ?? bbox.bottom ?? 0;
+    pageWords.push({
+      text,
+      box: {
         x: x0 / width,
         y: y0 / height,
         w: (x1 - x0) / width,
-        h: (y1 - y0) / height,
-        page: pageIndex
-      };
-      
-      // Use enhanced confidence scoring - prefer detection confidence if provided
-      const ocrConfidence = word.confidence ?? 0.9;
-      const finalConfidence = detectionConfidence ?? calculateConfidence(kind as DetectionKind, text, ocrConfidence);
-      
-      // Apply confidence threshold filter
-      if (opts.confidenceThreshold && finalConfidence < opts.confidenceThreshold) {
-        continue;
-      }
-      
+        h: (y1 - y0) / height
+      },
+      // Tesseract reports word confidence on a 0–100 scale
+      confidence: word.confidence != null ? word.confidence / 100 : 0.9,
+      source: 'ocr'
+    });
+  }
+  return pageWords;
+}
+
+/** Scan for every barcode and 2D code and return one BARCODE detection per symbol. */
+function scanBarcodes(imageData: RasterImage, pageIndex: number, opts: AnalyzeOptions): Detection[] {
+  const detections: Detection[] = [];
+  const { width, height } = imageData;
+  try {
+    for (const code of detectBarcodes(imageData, { formats: opts.barcodeFormats })) {
       detections.push({
         id: uuidv4(),
-        kind: kind as DetectionKind,
-        box,
-        confidence: finalConfidence,
-        reason,
-        preview: text
+        kind: 'BARCODE',
+        box: { x: code.x / width, y: code.y / height, w: code.w / width, h: code.h / height, page: pageIndex },
+        confidence: 1,
+        reason: `Detected ${barcodeLabel(code.format)}`,
+        preview: code.text.slice(0, 64), // show truncated payload
+        barcode: { format: code.format, text: code.text }
       });
     }
-  }
-  // Barcode detection using jsQR.  Draw the image onto a temporary canvas
-  // and scan its pixels.  jsQR returns null if no code is found.
-  try {
-    const canvas = document.createElement('canvas');
-    canvas.width = width;
-    canvas.height = height;
-    const ctx = canvas.getContext('2d');
-    if (ctx) {
-      ctx.drawImage(img, 0, 0, width, height);
-      const imageData = ctx.getImageData(0, 0, width, height);
-      const code = jsQR(imageData.data, imageData.width, imageData.height);
-      if (code && code.location) {
-        // Compute bounding box from corner points
-        const { topLeftCorner, topRightCorner, bottomRightCorner, bottomLeftCorner } = code.location;
-        const xs = [topLeftCorner.x, topRightCorner.x, bottomRightCorner.x, bottomLeftCorner.x];
-        const ys = [topLeftCorner.y, topRightCorner.y, bottomRightCorner.y, bottomLeftCorner.y];
-        const minX = Math.min(...xs);
-        const maxX = Math.max(...xs);
-        const minY = Math.min(...ys);
-        const maxY = Math.max(...ys);
-        const bbox: Box = {
-          x: minX / width,
-          y: minY / height,
-          w: (maxX - minX) / width,
-          h: (maxY - minY) / height,
-          page: pageIndex
-        };
-        detections.push({
-          id: uuidv4(),
-          kind: 'BARCODE' as DetectionKind,
-          box: bbox,
-          confidence: 1,
-          reason: 'Detected barcode/QR code',
-          preview: code.data?.slice(0, 64) // show truncated payload
-        });
-      }
-    }
   } catch (err) {
     // eslint-disable-next-line no-console
     console.warn('Barcode detection failed:', err);
@@ -205,17 +273,182 @@ async function analyzeImageDataURL(dataURL: string, pageIndex = 0, opts: Analyze
   return detections;
 }
 
-/** Analyse a single file (image or PDF) and return detections across all pages. */
-// Import preset utilities at the top level
+/** Hex SHA‑256 of a file's contents, with its size, type and name. */
+export async function identifySource(file: File | Blob): Promise<SourceIdentity> {
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  const sha256 = Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+  const name = (file as File).name;
+  return { sha256, size: file.size, type: file.type || '', ...(name ? { name } : {}) };
+}
+
+/** Per-document counters describing how each page was read. */
+interface PageSourceStats {
+  textLayerPages: number;
+  ocrPages: number;
+  ocrRegions: number;
+}
+
+/**
+ * Render a PDF page to pixels, on the analysis backend when there is one.
+ * Null when this runtime has no canvas to render into.
+ */
+async function renderPdfPage(page: PDFPageProxy, pageIndex: number, pdf: ArrayBuffer, scale: number, opts: AnalyzeOptions): Promise<RasterImage | null> {
+  if (opts.backend) {
+    return opts.backend.renderPdfPage(pdf, pageIndex, scale, opts.signal);
+  }
+  const viewport = page.getViewport({ scale });
+  const canvas = getEnvironment().createCanvas(viewport.width, viewport.height);
+  const context = canvas?.getContext('2d');
+  if (!canvas || !context) return null;
+  const renderTask = page.render({ canvasContext: context, viewport });
+  await abortable(renderTask.promise, opts.signal, () => renderTask.cancel());
+  return context.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Analyse one PDF page.  When the page has a text layer its words are used
+ * directly and OCR only runs over embedded images that carry no text;
+ * otherwise the whole rendered page goes through OCR as before.  A page
+ * with neither a text layer nor a canvas to render it is added to
+ * `skippedPages`.
+ */
+async function analyzePdfPage(
+  page: PDFPageProxy,
+  pageIndex: number,
+  pdf: ArrayBuffer,
+  opts: AnalyzeOptions,
+  stats: PageSourceStats,
+  skippedPages: number[],
+  progress: ProgressReporter
+): Promise<Detection[]> {
+  const scale = opts.pdfRenderScale ?? DEFAULT_PDF_RENDER_SCALE;
+  const viewport = page.getViewport({ scale });
+  progress('render', pageIndex);
+  const pixels = await renderPdfPage(page, pageIndex, pdf, scale, opts);
+
+  const textWords = opts.useTextLayer === false ? [] : await extractTextLayerWords(page, viewport);
+  if (textWords.length === 0) {
+    if (!pixels) {
+      // eslint-disable-next-line no-console
+      console.warn(`Page ${pageIndex + 1} has no text layer and cannot be rendered without a canvas in the ${getEnvironment().name} runtime`);
+      skippedPages.push(pageIndex);
+      return [];
+    }
+    stats.ocrPages++;
+    return (await analyzePixels(pixels, 1, pageIndex, opts, progress)).detections;
+  }
 
-export async function analyzeDocument(file: File | Blob, opts: AnalyzeOptions = {}): Promise<AnalyzeResult> {
+  stats.textLayerPages++;
+  if (!pixels) {
+    // Without a canvas only the text layer can be read; embedded images,
+    // barcodes and faces need the rendered page
+    progress('detect', pageIndex);
+    return detectionsFromWords(textWords, pageIndex, opts);
+  }
+
+  // OCR only the embedded images that the text layer does not describe
+  const { width, height } = pixels;
+  const regions = regionsWithoutText(await findImageRegions(page, viewport), textWords, viewport);
+  const detections: Detection[] = [];
+  for (const [r, region] of regions.entries()) {
+    const sx = Math.min(width - 1, Math.floor(region.x * width));
+    const sy = Math.min(height - 1, Math.floor(region.y * height));
+    const sw = Math.max(1, Math.min(width - sx, Math.ceil(region.w * width)));
+    const sh = Math.max(1, Math.min(height - sy, Math.ceil(region.h * height)));
+    const crop = cropPixels(pixels, sx, sy, sw, sh);
+    const regionWords = await recognizeWords(crop, sw, sh, opts, fraction => progress('ocr', pageIndex, (r + fraction) / regions.length));
+    const pixelRegion: Box = { x: sx / width, y: sy / height, w: sw / width, h: sh / height };
+    const mapped = regionWords.map(word => ({ ...word, box: mapBoxFromRegion(word.box, pixelRegion) }));
+    detections.push(...detectionsFromWords(mapped, pageIndex, opts));
+    stats.ocrRegions++;
+  }
+  progress('detect', pageIndex);
+  detections.unshift(...detectionsFromWords(textWords, pageIndex, opts));
+
+  detections.push(...scanPixels(pixels, pageIndex, opts, progress));
+  return detections;
+}
+
+/**
+ * Run `task` for pages 0…count − 1 with at most `concurrency` pages in
+ * flight.  No further pages are started once one has failed.
+ */
+async function forEachPage(count: number, concurrency: number, task: (pageIndex: number) => Promise<void>): Promise<void> {
+  let next = 0;
+  let failed = false;
+  const lane = async () => {
+    while (!failed && next < count) {
+      const pageIndex = next++;
+      try {
+        await task(pageIndex);
+      } catch (err) {
+        failed = true;
+        throw err;
+      }
+    }
+  };
+  const lanes = Math.max(1, Math.min(Math.floor(concurrency) || 1, count));
+  await Promise.all(Array.from({ length: lanes }, lane));
+}
+
+/** Analyse a single file (image or PDF) and return detections across all pages. */
+export async function analyzeDocument(input: DocumentInput, opts: AnalyzeOptions = {}): Promise<AnalyzeResult> {
+  // Face detection is the costliest detector; skip it when the preset would
+  // discard its results anyway
+  const activePreset = opts.presetId ? getPreset(opts.presetId) : undefined;
+  const presetKinds = activePreset?.enabledKinds;
+  if (presetKinds && presetKinds.length > 0 && !presetKinds.includes('FACE')) {
+    opts = { ...opts, detectFaces: false };
+  }
+  // OCR languages come from the options first, then from the preset
+  if (activePreset && !opts.languages?.length && !opts.locales?.length) {
+    opts = { ...opts, languages: activePreset.languages, locales: activePreset.locales };
+  }
+  if (activePreset?.barcodeFormats && !opts.barcodeFormats) {
+    opts = { ...opts, barcodeFormats: activePreset.barcodeFormats };
+  }
+  if (activePreset?.network || opts.network) {
+    opts = { ...opts, network: { ...activePreset?.network, ...opts.network } };
+  }
+  // Allowlist and denylist terms and context keywords from the preset and
+  // the options all apply
+  opts = {
+    ...opts,
+    allowTerms: [...(activePreset?.allowTerms ?? []), ...(opts.allowTerms ?? [])],
+    denyTerms: [...(activePreset?.denyTerms ?? []), ...(opts.denyTerms ?? [])],
+    contextKeywords: mergeContextKeywords(activePreset?.contextKeywords, opts.contextKeywords)
+  };
+  // Detector selection likewise; only run detectors the preset keeps, so a
+  // disabled kind never shadows a lower priority detector.  Birth dates are
+  // found as dates and reclassified by context, so they need the date detectors.
+  const selection = opts.detectors ?? activePreset?.detectors ?? {};
+  const selectedKinds: DetectionKind[] | undefined = presetKinds?.includes('DATE_OF_BIRTH') && !presetKinds.includes('DATE')
+    ? [...presetKinds, 'DATE']
+    : presetKinds;
+  opts = {
+    ...opts,
+    detectors: {
+      ...selection,
+      kinds: selection.kinds ?? (selectedKinds && selectedKinds.length > 0 ? selectedKinds : undefined),
+      locales: selection.locales ?? opts.locales
+    }
+  };
+  throwIfAborted(opts.signal);
+  const file = await loadInput(input);
   // Determine the MIME type from the file object if possible
-  const type = (file as any).type || '';
+  const type = file.type || '';
   const detections: Detection[] = [];
+  const pageSizes: PageSize[] = [];
+  const stats: PageSourceStats = { textLayerPages: 0, ocrPages: 0, ocrRegions: 0 };
+  const skippedPages: number[] = [];
+  const progress = createProgressReporter(opts.onProgress);
+  throwIfAborted(opts.signal);
+  progress('load', 0);
+  const source = await identifySource(file);
   let pages = 1;
   if (type === 'application/pdf') {
     // Read the PDF into an ArrayBuffer
-    const buffer = await (file as Blob).arrayBuffer();
+    const buffer = await file.arrayBuffer();
     // Configure worker for pdfjs if running in a browser
     // eslint-disable-next-line @typescript-eslint/ban-ts-comment
     // @ts-ignore
@@ -230,40 +463,56 @@ export async function analyzeDocument(file: File | Blob, opts: AnalyzeOptions =
         // ignore if require fails – pdfjs will attempt to fallback
       }
     }
-    const loadingTask = pdfjsLib.getDocument({ data: buffer });
-    const pdf = await loadingTask.promise;
+    // pdf.js takes ownership of the bytes it is given, and a backend
+    // renders pages from its own copy
+    const loadingTask = pdfjsLib.getDocument({ data: opts.backend ? buffer.slice(0) : buffer });
+    const pdf = await abortable(loadingTask.promise, opts.signal, () => loadingTask.destroy());
     pages = pdf.numPages;
-    for (let i = 1; i <= pages; i++) {
-      const page = await pdf.getPage(i);
-      const viewport = page.getViewport({ scale: 1.0 });
-      const canvas = document.createElement('canvas');
-      canvas.width = viewport.width;
-      canvas.height = viewport.height;
-      const context = canvas.getContext('2d');
-      if (!context) continue;
-      const renderContext = { canvasContext: context, viewport };
-      await page.render(renderContext).promise;
-      const dataURL = canvas.toDataURL();
-      const pageDetections = await analyzeImageDataURL(dataURL, i - 1, opts);
-      detections.push(...pageDetections);
-    }
+    progress.setTotalPages(pages);
+    const pageDetections: Detection[][] = [];
+    await forEachPage(pages, opts.backend?.concurrency ?? 1, async pageIndex => {
+      throwIfAborted(opts.signal);
+      const page = await pdf.getPage(pageIndex + 1);
+      const { width, height } = page.getViewport({ scale: 1 });
+      pageSizes[pageIndex] = { width, height, unit: 'pt' };
+      pageDetections[pageIndex] = await analyzePdfPage(page, pageIndex, buffer, opts, stats, skippedPages, progress);
+    });
+    // Pages may finish out of order; report them in page order
+    for (const found of pageDetections) detections.push(...found);
+    skippedPages.sort((a, b) => a - b);
   } else {
     // Assume image
-    const dataURL = await fileToDataURL(file as Blob);
-    const imgDetections = await analyzeImageDataURL(dataURL, 0, opts);
-    detections.push(...imgDetections);
+    progress('render', 0);
+    const image = await analyzeImageFile(file, 0, opts, progress);
+    detections.push(...image.detections);
+    pageSizes.push({ width: image.width, height: image.height, unit: 'px' });
+    stats.ocrPages++;
   }
   // Filter detections by preset if provided
   if (opts.presetId) {
     const preset = getPreset(opts.presetId);
     if (preset && preset.enabledKinds && preset.enabledKinds.length > 0) {
-      // Remove detections whose kind is not enabled
+      // Remove detections whose kind is not enabled; denylisted terms are
+      // always redacted, whatever kind they were given
       for (let i = detections.length - 1; i >= 0; i--) {
-        if (!preset.enabledKinds.includes(detections[i].kind)) {
+        if (detections[i].source !== 'denylist' && !preset.enabledKinds.includes(detections[i].kind)) {
           detections.splice(i, 1);
         }
       }
     }
   }
-  return { detections, pages };
+  // Words on the allowlist are skipped while detecting; barcodes are not
+  // made of words, so check their payload here
+  const allowTerms = compileTerms(opts.allowTerms);
+  if (allowTerms.length > 0) {
+    for (let i = detections.length - 1; i >= 0; i--) {
+      const d = detections[i];
+      const payload = d.barcode?.text ?? d.preview;
+      if (d.kind === 'BARCODE' && payload && matchesAnyTerm(payload, allowTerms)) {
+        detections.splice(i, 1);
+      }
+    }
+  }
+  progress('done', pages - 1);
+  return { detections: applyNetworkOptions(detections, opts.network), pages, pageSizes, source, file, skippedPages, ocrStats: stats };
 }
@@ -1,61 +1,73 @@
-import type { RedactionAction, ApplyOptions, ApplyResult, Detection, DetectionKind, RedactionConfig } from '../types';
-import { analyzeDocument as analyze } from './analyze';
-import type { AnalyzeOptions, AnalyzeResult } from '../types';
+import type { RedactionAction, ApplyOptions, ApplyResult, Detection, DetectionKind, PdfMetadataReport, PdfRedactionReport, RedactionConfig, RasterImage, SanitizationReport } from '../types';
+import type { AnalyzeResult } from '../types';
 import { PDFDocument, rgb } from 'pdf-lib';
+import * as pdfjsLib from 'pdfjs-dist';
+import { getEnvironment } from '../runtime';
+import type { RuntimeEnvironment } from '../runtime';
+import { bytesToBase64, rasterToCanvas } from '../runtime/encoding';
+import { orientImage, readExifOrientation } from './preprocess';
+import { redactPixels } from './rasterRedact';
+import { boxToPdfRect, findTextUnderRedactions, redactPdfPage, removeUnreachableObjects } from './pdfRedact';
+import type { PdfRect } from './pdfRedact';
+import { sanitizePdfDocument, sanitizePdfPage, scrubPdfMetadata } from './pdfSanitize';
+import { maskDateKeepingYear } from '../detectors/dates';
+import { getPreset } from '../presets';
+import { abortable, createProgressReporter, throwIfAborted } from './progress';
+import type { ProgressReporter } from './progress';
 
-// A module‑scoped variable to store the last analysis result.  applyRedactions()
-// uses this map to resolve detection IDs to bounding boxes.  In a real
-// application you should pass the detections directly to avoid shared
-// mutable state.  This simplified implementation is sufficient for the
-// demonstration.
-let lastResult: AnalyzeResult | null = null;
+/** Default resolution of page images in rasterised PDF output. */
+const DEFAULT_RASTER_DPI = 150;
 
-/** Override the exported analyse function to capture the last result. */
-export async function analyzeDocument(file: File | Blob, opts: AnalyzeOptions = {}): Promise<AnalyzeResult> {
-  const result = await analyze(file, opts);
-  lastResult = result;
-  return result;
-}
+/** Apply redactions to an image and return it re‑encoded as JPEG. */
+async function applyRedactionsToImage(file: File | Blob, actions: RedactionAction[], quality: number, detectionResult: {detections: Detection[]}, signal: AbortSignal | undefined, progress: ProgressReporter): Promise<Uint8Array> {
+  progress('render', 0);
+  const environment = getEnvironment();
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const decoded = await environment.decodeImage(bytes, file.type);
+  // Boxes were found on the upright image
+  const image = decoded.oriented ? decoded : orientImage(decoded, readExifOrientation(bytes));
+  throwIfAborted(signal);
+  // Build detection map
+  const map = new Map<string, Detection>();
+  for (const det of detectionResult.detections) {
+    map.set(det.id, det);
+  }
+  const redacted = burnRedactions(image, actions, map);
+  throwIfAborted(signal);
+  progress('write', 0);
 
-/** Internal helper: convert a canvas to a data URI. */
-function canvasToDataURL(canvas: HTMLCanvasElement, mimeType = 'image/png', quality = 0.92): string {
-  return canvas.toDataURL(mimeType, quality);
+  // Always re-encode to strip EXIF/metadata by default
+  return environment.encodeImage(redacted, 'image/jpeg', quality);
 }
 
-/** Internal helper: convert a File/Blob into a HTMLImageElement. */
-async function fileToImage(file: File | Blob): Promise<HTMLImageElement> {
-  const dataURL = await new Promise<string>((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = () => resolve(reader.result as string);
-    reader.onerror = () => reject(reader.error);
-    reader.readAsDataURL(file);
-  });
-  const img = new Image();
-  await new Promise<void>(resolve => {
-    img.onload = () => resolve();
-    img.src = dataURL;
-  });
-  return img;
+/**
+ * Burn the redactions of `actions` into a copy of `image`.  Drawn on a
+ * canvas when the runtime has one, otherwise straight onto the pixels.
+ */
+function burnRedactions(image: RasterImage, actions: RedactionAction[], map: Map<string, Detection>): RasterImage {
+  const environment = getEnvironment();
+  const original = rasterToCanvas(image, environment);
+  const canvas = environment.createCanvas(image.width, image.height);
+  const ctx = canvas?.getContext('2d');
+  if (original && ctx) {
+    ctx.drawImage(original, 0, 0);
+    drawRedactions(ctx, original, actions, map);
+    return ctx.getImageData(0, 0, image.width, image.height);
+  }
+  const redacted = { data: new Uint8ClampedArray(image.data), width: image.width, height: image.height };
+  for (const action of actions) {
+    const det = map.get(action.detectionId);
+    if (!det) continue;
+    const { box } = det;
+    const rect = { x: box.x * image.width, y: box.y * image.height, w: box.w * image.width, h: box.h * image.height };
+    redactPixels(redacted, image, rect, action.style, action.config);
+  }
+  return redacted;
 }
 
-/** Apply redactions to an image.  Returns a Data URI. */
-async function applyRedactionsToImage(file: File | Blob, actions: RedactionAction[], quality = 0.92, detectionResult?: {detections: Detection[]}): Promise<string> {
-  const img = await fileToImage(file);
-  const canvas = document.createElement('canvas');
-  canvas.width = img.width;
-  canvas.height = img.height;
-  const ctx = canvas.getContext('2d');
-  if (!ctx) throw new Error('Cannot obtain 2D context');
-  // Draw original image
-  ctx.drawImage(img, 0, 0);
-  // Build detection map
-  const map = new Map<string, Detection>();
-  const detectionsToUse = detectionResult || lastResult;
-  if (detectionsToUse) {
-    for (const det of detectionsToUse.detections) {
-      map.set(det.id, det);
-    }
-  }
+/** Draw every action's redaction style onto a canvas holding the image. */
+function drawRedactions(ctx: CanvasRenderingContext2D, img: HTMLCanvasElement, actions: RedactionAction[], map: Map<string, Detection>): void {
+  const canvas = ctx.canvas;
   // Utility helpers for drawing various redaction styles on images
   function drawBox(x: number, y: number, w: number, h: number, config: RedactionConfig = {}): void {
     const color = config.color || 'black';
@@ -225,10 +237,8 @@ async function applyRedactionsToImage(file: File | Blob, actions: RedactionActio
   function drawPixelate(x: number, y: number, w: number, h: number): void {
     const pixelSize = Math.max(4, Math.floor(Math.min(w, h) / 10));
     // Create a temporary canvas to hold the region scaled down
-    const tempCanvas = document.createElement('canvas');
-    tempCanvas.width = Math.max(1, Math.floor(w / pixelSize));
-    tempCanvas.height = Math.max(1, Math.floor(h / pixelSize));
-    const tctx = tempCanvas.getContext('2d');
+    const tempCanvas = getEnvironment().createCanvas(Math.max(1, Math.floor(w / pixelSize)), Math.max(1, Math.floor(h / pixelSize)));
+    const tctx = tempCanvas?.getContext('2d');
     if (!tctx) {
       drawBox(x, y, w, h);
       return;
@@ -358,6 +368,9 @@ async function applyRedactionsToImage(file: File | Blob, actions: RedactionActio
       case 'MASK_LAST4':
         drawMaskLast4(x, y, w, h, det.preview);
         break;
+      case 'MASK_KEEP_YEAR':
+        drawLabel(x, y, w, h, maskDateKeepingYear(det.preview || ''));
+        break;
       case 'PATTERN':
         drawPattern(x, y, w, h, config);
         break;
@@ -380,28 +393,21 @@ async function applyRedactionsToImage(file: File | Blob, actions: RedactionActio
         drawBox(x, y, w, h, config);
     }
   });
-  
-  // Apply image sanitization options
-  let outputFormat = 'image/jpeg';
-  let outputQuality = quality;
-  
-  // Always re-encode to strip EXIF/metadata by default
-  // The canvas.toDataURL() method automatically strips metadata
-  return canvas.toDataURL(outputFormat, outputQuality);
 }
 
-/** Enhanced vector-based PDF redaction with advanced styling support */
-async function applyRedactionsToPdf(file: File | Blob, actions: RedactionAction[], detectionResult?: {detections: Detection[]}, options: ApplyOptions = {}): Promise<string> {
+/**
+ * Redact a PDF: the text, image pixels and annotations under each box are
+ * removed from the page (see pdfRedact.ts) and the box's style is drawn
+ * over the gap.  The saved file is checked for text left under the boxes.
+ */
+async function applyRedactionsToPdf(file: File | Blob, actions: RedactionAction[], detectionResult: {detections: Detection[]}, options: ApplyOptions, progress: ProgressReporter): Promise<{ bytes: Uint8Array; report: PdfRedactionReport; sanitization?: SanitizationReport; metadata?: PdfMetadataReport }> {
   const origBytes = await file.arrayBuffer();
-  const origPdf = await PDFDocument.load(origBytes);
-  const newPdf = await PDFDocument.create();
+  const origPdf = await PDFDocument.load(origBytes, { updateMetadata: false });
+  // Without metadata the output gets no Info dictionary at all
+  const newPdf = await PDFDocument.create({ updateMetadata: !options.sanitization?.removeMetadata });
   const detectionMap = new Map<string, Detection>();
-  const detectionsToUse = detectionResult || lastResult;
-  
-  if (detectionsToUse) {
-    for (const det of detectionsToUse.detections) {
-      detectionMap.set(det.id, det);
-    }
+  for (const det of detectionResult.detections) {
+    detectionMap.set(det.id, det);
   }
 
   // Helper function to parse hex color to RGB values for pdf-lib
@@ -413,57 +419,44 @@ async function applyRedactionsToPdf(file: File | Blob, actions: RedactionAction[
     return [r, g, b];
   }
 
-  // Apply document sanitization if requested
-  if (options.sanitization) {
-    if (options.sanitization.removeMetadata) {
-      // Remove PDF metadata
-      newPdf.setTitle('');
-      newPdf.setAuthor('');
-      newPdf.setSubject('');
-      newPdf.setKeywords([]);
-      newPdf.setProducer('');
-      newPdf.setCreator('');
-      try {
-        newPdf.setCreationDate(new Date(0));
-        newPdf.setModificationDate(new Date(0));
-      } catch (e) {
-        // Some PDF operations might fail, continue with redaction
-        console.warn('Could not set PDF dates:', e);
-      }
-    }
-  }
-
+  const report: PdfRedactionReport = {
+    glyphsRemoved: 0,
+    imagesRedacted: 0,
+    imagesReplaced: 0,
+    inlineImagesRemoved: 0,
+    annotationsRemoved: 0,
+    textUnderRedactions: []
+  };
+  const sanitization: SanitizationReport | undefined = options.sanitization ? {} : undefined;
+  // Where the overlays are drawn, to check nothing is left under them
+  const rectsByPage = new Map<number, PdfRect[]>();
   const total = origPdf.getPageCount();
   for (let i = 0; i < total; i++) {
+    throwIfAborted(options.signal);
+    progress('redact', i);
+    // Each page is copied on its own, so its objects can be rewritten in place
     const [copiedPage] = await newPdf.copyPages(origPdf, [i]);
     const page = newPdf.addPage(copiedPage);
-    const { width, height } = page.getSize();
-    
-    // Remove annotations if requested
-    if (options.sanitization?.removeAnnotations) {
-      // Note: pdf-lib doesn't have direct annotation removal API
-      // This would need custom implementation or different library
-    }
-    
+
     // Filter actions for this page
     const pageActions = actions.filter(act => {
       const det = detectionMap.get(act.detectionId);
       return det && (det.box.page ?? 0) === i;
     });
+    const pageRects = pageActions.map(act => boxToPdfRect(page, detectionMap.get(act.detectionId)!.box));
+    if (pageRects.length > 0) rectsByPage.set(i, pageRects);
+    await redactPdfPage(page, pageRects, report);
+    if (sanitization) sanitizePdfPage(page, origPdf, options.sanitization!, sanitization);
 
     // Apply vector-based redactions
     for (const action of pageActions) {
       const det = detectionMap.get(action.detectionId);
       if (!det) continue;
       
-      const { box } = det;
       const config = action.config || {};
       
-      const x = box.x * width;
-      // Convert from top-left origin to PDF bottom-left origin
-      const y = (1 - box.y - box.h) * height;
-      const w = box.w * width;
-      const h = box.h * height;
+      // Boxes have a top-left origin on the page as shown
+      const { x, y, w, h } = boxToPdfRect(page, det.box);
       
       // Parse colors
       const primaryRGB = config.color ? parseColorToRGB(config.color) : [0, 0, 0];
@@ -558,6 +551,7 @@ async function applyRedactionsToPdf(file: File | Blob, actions: RedactionAction[
           break;
           
         case 'MASK_LAST4':
+        case 'MASK_KEEP_YEAR':
           // Draw background
           page.drawRectangle({
             x, y, width: w, height: h,
@@ -568,16 +562,20 @@ async function applyRedactionsToPdf(file: File | Blob, actions: RedactionAction[
           // Create masked text
           const preview = det.preview || '';
           let masked = '';
-          let remaining = 4;
-          for (let i = preview.length - 1; i >= 0; i--) {
-            const ch = preview[i];
-            if (/\w/.test(ch) && remaining > 0) {
-              masked = ch + masked;
-              remaining--;
-            } else if (/\w/.test(ch)) {
-              masked = '*' + masked;
-            } else {
-              masked = ch + masked;
+          if (action.style === 'MASK_KEEP_YEAR') {
+            masked = maskDateKeepingYear(preview);
+          } else {
+            let remaining = 4;
+            for (let i = preview.length - 1; i >= 0; i--) {
+              const ch = preview[i];
+              if (/\w/.test(ch) && remaining > 0) {
+                masked = ch + masked;
+                remaining--;
+              } else if (/\w/.test(ch)) {
+                masked = '*' + masked;
+              } else {
+                masked = ch + masked;
+              }
             }
           }
           
@@ -603,54 +601,158 @@ async function applyRedactionsToPdf(file: File | Blob, actions: RedactionAction[
           });
       }
     }
+    progress('redact', i, 1);
   }
   
+  throwIfAborted(options.signal);
+  progress('write', total - 1);
+  if (sanitization) sanitizePdfDocument(origPdf, newPdf, options.sanitization!, sanitization);
+  let metadata: PdfMetadataReport | undefined;
+  if (options.sanitization?.removeMetadata) {
+    metadata = scrubPdfMetadata(origPdf, new Uint8Array(origBytes), newPdf);
+    sanitization!.removeMetadata = metadata.info.length + metadata.xmpStreams + metadata.pieceInfo;
+  }
+  // The original streams redaction replaced must not be written out
+  removeUnreachableObjects(newPdf);
   const pdfBytes = await newPdf.save();
-  const base64 = typeof Buffer !== 'undefined' ? Buffer.from(pdfBytes).toString('base64') : btoa(String.fromCharCode(...new Uint8Array(pdfBytes)));
-  return `data:application/pdf;base64,${base64}`;
+  throwIfAborted(options.signal);
+  report.textUnderRedactions = await findTextUnderRedactions(pdfBytes, rectsByPage);
+  return { bytes: pdfBytes, report, sanitization, metadata };
+}
+
+/**
+ * Throw when the runtime has no canvas to render PDF pages into, before
+ * any page of the document is read.  pdf.js draws pages with the Canvas
+ * 2D API, which no pure‑JS codec replaces.
+ */
+function assertCanRasterize(environment: RuntimeEnvironment): void {
+  if (environment.createCanvas(1, 1)?.getContext('2d')) return;
+  const hint = environment.name === 'node'
+    ? '; install the optional `canvas` package and pass it as createNodeEnvironment({ createCanvas: (w, h) => require(\'canvas\').createCanvas(w, h) })'
+    : '';
+  throw new Error(`Rasterised PDF output needs a canvas to render pages, and the ${environment.name} runtime has none${hint}`);
 }
 
 /**
- * Apply redactions to a file using the previously analysed detections.
- *
- * Note: This implementation relies on `lastResult` set by analyzeDocument().
- * In a real application you should pass the detections explicitly to avoid
- * hidden state.
+ * Redact a PDF by rasterising it: every page is rendered at `dpi`, the
+ * redactions are burnt into its pixels and the page image is written to a
+ * new PDF on its own.  Nothing of the original file – fonts, text,
+ * annotations, attachments, metadata – is carried over.
  */
-export async function applyRedactions(file: File | Blob, actions: RedactionAction[], opts: ApplyOptions, detections?: Detection[]): Promise<ApplyResult> {
-  // If detections are provided directly, create a temporary result object
-  let result = lastResult;
-  if (detections && detections.length > 0) {
-    result = {
-      detections: detections,
-      pages: Math.max(...detections.map(d => d.box.page ?? 0)) + 1 || 1
-    };
+async function applyRedactionsToRasterizedPdf(file: File | Blob, actions: RedactionAction[], detectionResult: {detections: Detection[]}, dpi: number, quality: number, options: ApplyOptions, progress: ProgressReporter): Promise<Uint8Array> {
+  if (!(dpi > 0)) {
+    throw new Error(`rasterDpi must be a positive number, got ${dpi}`);
   }
-  
-  if (!result) {
-    throw new Error('No analysis result available.  Call analyzeDocument() first.');
+  const environment = getEnvironment();
+  assertCanRasterize(environment);
+  const map = new Map<string, Detection>();
+  for (const det of detectionResult.detections) {
+    map.set(det.id, det);
   }
+  const loadingTask = pdfjsLib.getDocument({ data: await file.arrayBuffer() });
+  const pdf = await abortable(loadingTask.promise, options.signal, () => loadingTask.destroy());
+  // No document information dictionary, not even pdf-lib's producer
+  const newPdf = await PDFDocument.create({ updateMetadata: false });
+  try {
+    for (let i = 0; i < pdf.numPages; i++) {
+      throwIfAborted(options.signal);
+      progress('render', i);
+      const page = await pdf.getPage(i + 1);
+      const viewport = page.getViewport({ scale: dpi / 72 });
+      const canvas = environment.createCanvas(viewport.width, viewport.height);
+      const context = canvas?.getContext('2d');
+      if (!canvas || !context) {
+        throw new Error(`Rasterised PDF output needs a canvas to render pages, and the ${environment.name} runtime has none`);
+      }
+      const renderTask = page.render({ canvasContext: context, viewport });
+      await abortable(renderTask.promise, options.signal, () => renderTask.cancel());
+      progress('redact', i);
+      const pageActions = actions.filter(act => (map.get(act.detectionId)?.box.page ?? 0) === i);
+      const redacted = burnRedactions(context.getImageData(0, 0, canvas.width, canvas.height), pageActions, map);
+      const image = await newPdf.embedJpg(await environment.encodeImage(redacted, 'image/jpeg', quality));
+      // Pages keep their size in points as shown, rotation applied
+      const { width, height } = page.getViewport({ scale: 1 });
+      newPdf.addPage([width, height]).drawImage(image, { x: 0, y: 0, width, height });
+      page.cleanup();
+      progress('redact', i, 1);
+    }
+  } finally {
+    await loadingTask.destroy();
+  }
+  throwIfAborted(options.signal);
+  progress('write', pdf.numPages - 1);
+  return newPdf.save();
+}
+
+/**
+ * Apply redactions to the file an analysis was made from.  Only the
+ * analysis handle is accepted, so boxes can never be applied to a
+ * different file; actions naming detections that are not part of the
+ * analysis are rejected.
+ */
+export async function applyRedactions(result: AnalyzeResult, actions: RedactionAction[], opts: ApplyOptions = {}): Promise<ApplyResult> {
+  if (!result || !result.file || !Array.isArray(result.detections)) {
+    throw new Error('applyRedactions() needs the result of analyzeDocument()');
+  }
+  const known = new Set(result.detections.map(d => d.id));
+  const foreign = actions.filter(a => !known.has(a.detectionId));
+  if (foreign.length > 0) {
+    throw new Error(`Detection ${foreign[0].detectionId} does not belong to this analysis of ${result.source?.name ?? 'the file'}`);
+  }
+  throwIfAborted(opts.signal);
+  const progress = createProgressReporter(opts.onProgress, result.pages);
+  const file = result.file;
   const mime = (file as any).type || '';
-  let fileUri: string;
-  if (mime === 'application/pdf' || opts.output === 'pdf') {
-    fileUri = await applyRedactionsToPdf(file, actions, result, opts);
+  let bytes: Uint8Array;
+  let mimeType: string;
+  let pdfReport: PdfRedactionReport | undefined;
+  let sanitization: SanitizationReport | undefined;
+  let metadata: PdfMetadataReport | undefined;
+  // PDF output settings from the options first, then from the preset
+  const preset = opts.presetId ? getPreset(opts.presetId) : undefined;
+  let pdfMode = opts.pdfMode ?? preset?.pdfMode ?? 'vector';
+  const dpi = opts.rasterDpi ?? preset?.rasterDpi ?? DEFAULT_RASTER_DPI;
+  if (mime === 'application/pdf' && pdfMode === 'rasterize') {
+    bytes = await applyRedactionsToRasterizedPdf(file, actions, result, dpi, opts.quality ?? 0.92, opts, progress);
+    mimeType = 'application/pdf';
+  } else if (mime === 'application/pdf' || opts.output === 'pdf') {
+    ({ bytes, report: pdfReport, sanitization, metadata } = await applyRedactionsToPdf(file, actions, result, opts, progress));
+    mimeType = 'application/pdf';
+    pdfMode = 'vector';
+    // A PDF with text left under its boxes is never returned: the pages are rasterised instead
+    const leaks = pdfReport.textUnderRedactions.length;
+    if (leaks > 0) {
+      bytes = await applyRedactionsToRasterizedPdf(file, actions, result, dpi, opts.quality ?? 0.92, opts, progress).catch((error: Error) => {
+        throw new Error(`Vector redaction left text under the boxes (${leaks} run(s)), and rasterising the pages instead failed: ${error.message}`);
+      });
+      pdfMode = 'rasterize';
+      sanitization = undefined;
+      metadata = undefined;
+    }
   } else {
     const quality = opts.quality ?? 0.92;
-    fileUri = await applyRedactionsToImage(file, actions, quality, result);
+    bytes = await applyRedactionsToImage(file, actions, quality, result, opts.signal, progress);
+    mimeType = 'image/jpeg';
   }
+  const fileUri = `data:${mimeType};base64,${bytesToBase64(bytes)}`;
+  progress('done', Math.max(0, result.pages - 1));
   // Build a simple report summarising redactions
-  const report: any = {};
-  if (result) {
-    report.totalDetections = result.detections.length;
-    report.redactedCount = actions.length;
-    const counts: Record<string, number> = {};
-    for (const action of actions) {
-      const det = result.detections.find(d => d.id === action.detectionId);
-      if (det) {
-        counts[det.kind] = (counts[det.kind] || 0) + 1;
-      }
+  const report: any = {
+    source: result.source,
+    totalDetections: result.detections.length,
+    redactedCount: actions.length
+  };
+  const counts: Record<string, number> = {};
+  for (const action of actions) {
+    const det = result.detections.find(d => d.id === action.detectionId);
+    if (det) {
+      counts[det.kind] = (counts[det.kind] || 0) + 1;
     }
-    report.byKind = counts;
   }
-  return { fileUri, report };
+  report.byKind = counts;
+  if (mimeType === 'application/pdf') report.pdfMode = pdfMode;
+  if (pdfReport) report.pdf = pdfReport;
+  if (sanitization) report.sanitization = sanitization;
+  if (metadata) report.metadata = metadata;
+  return { fileUri, bytes, mimeType, report };
 }
@@ -0,0 +1,242 @@
+/*
+ * A small reader and writer for PDF content streams.  Streams are handled
+ * as binary strings (one character per byte) so that operations nobody
+ * touches are written back byte for byte; only the operations a caller
+ * replaces are serialised anew.
+ */
+
+export type Matrix = [number, number, number, number, number, number];
+
+export const IDENTITY: Matrix = [1, 0, 0, 1, 0, 0];
+
+/** `m1 × m2` in PDF's row vector convention: apply m1 first, then m2. */
+export function multiply(m1: Matrix, m2: Matrix): Matrix {
+  return [
+    m1[0] * m2[0] + m1[1] * m2[2],
+    m1[0] * m2[1] + m1[1] * m2[3],
+    m1[2] * m2[0] + m1[3] * m2[2],
+    m1[2] * m2[1] + m1[3] * m2[3],
+    m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+    m1[4] * m2[1] + m1[5] * m2[3] + m2[5]
+  ];
+}
+
+export function invert(m: Matrix): Matrix | null {
+  const det = m[0] * m[3] - m[1] * m[2];
+  if (!det) return null;
+  return [
+    m[3] / det,
+    -m[1] / det,
+    -m[2] / det,
+    m[0] / det,
+    (m[2] * m[5] - m[3] * m[4]) / det,
+    (m[1] * m[4] - m[0] * m[5]) / det
+  ];
+}
+
+export function transformPoint(m: Matrix, x: number, y: number): [number, number] {
+  return [x * m[0] + y * m[2] + m[4], x * m[1] + y * m[3] + m[5]];
+}
+
+export type Token =
+  | { type: 'number'; value: number; raw: string }
+  | { type: 'string'; bytes: number[]; raw: string }
+  | { type: 'name'; value: string; raw: string }
+  | { type: 'array'; items: Token[]; raw: string }
+  | { type: 'dict'; entries: Array<[string, Token]>; raw: string }
+  | { type: 'keyword'; value: string; raw: string };
+
+/** One operator with its operands.  `raw` is the operation's source text, operands included. */
+export interface ContentOperation {
+  operator: string;
+  operands: Token[];
+  raw: string;
+}
+
+const WHITESPACE = '\0\t\n\f\r ';
+const DELIMITERS = '()<>[]{}/%';
+const isWhitespace = (ch: string) => WHITESPACE.includes(ch);
+const isRegular = (ch: string) => !isWhitespace(ch) && !DELIMITERS.includes(ch);
+
+/** Decode bytes to a binary string without going through a text decoder. */
+export function bytesToBinary(bytes: Uint8Array): string {
+  let text = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    text += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return text;
+}
+
+export function binaryToBytes(text: string): Uint8Array {
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i) & 0xff;
+  return bytes;
+}
+
+class Lexer {
+  pos = 0;
+
+  constructor(readonly text: string) {}
+
+  skipWhitespace(): void {
+    while (this.pos < this.text.length) {
+      const ch = this.text[this.pos];
+      if (isWhitespace(ch)) {
+        this.pos++;
+      } else if (ch === '%') {
+        while (this.pos < this.text.length && this.text[this.pos] !== '\n' && this.text[this.pos] !== '\r') this.pos++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  /** The next token, or null at the end of the stream or of an enclosing array or dictionary. */
+  next(): Token | null {
+    this.skipWhitespace();
+    if (this.pos >= this.text.length) return null;
+    const start = this.pos;
+    const ch = this.text[this.pos];
+    if (ch === '(') return this.literalString(start);
+    if (ch === '<' && this.text[this.pos + 1] === '<') return this.dict(start);
+    if (ch === '<') return this.hexString(start);
+    if (ch === '[') return this.array(start);
+    if (ch === '/') {
+      this.pos++;
+      while (this.pos < this.text.length && isRegular(this.text[this.pos])) this.pos++;
+      const raw = this.text.slice(start, this.pos);
+      return { type: 'name', value: raw.slice(1).replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))), raw };
+    }
+    if (ch === ']' || ch === '>' || ch === ')' || ch === '{' || ch === '}') {
+      // Closing delimiters end the enclosing structure; stray ones are skipped as keywords
+      this.pos++;
+      return { type: 'keyword', value: ch === '>' && this.text[this.pos] === '>' ? (this.pos++, '>>') : ch, raw: this.text.slice(start, this.pos) };
+    }
+    while (this.pos < this.text.length && isRegular(this.text[this.pos])) this.pos++;
+    const raw = this.text.slice(start, this.pos);
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(raw)) return { type: 'number', value: Number(raw), raw };
+    return { type: 'keyword', value: raw, raw };
+  }
+
+  private literalString(start: number): Token {
+    const bytes: number[] = [];
+    let depth = 1;
+    this.pos++;
+    while (this.pos < this.text.length && depth > 0) {
+      const ch = this.text[this.pos++];
+      if (ch === '\\') {
+        const next = this.text[this.pos++];
+        const escapes: Record<string, number> = { n: 10, r: 13, t: 9, b: 8, f: 12, '(': 40, ')': 41, '\\': 92 };
+        if (next in escapes) {
+          bytes.push(escapes[next]);
+        } else if (/[0-7]/.test(next)) {
+          let octal = next;
+          while (octal.length < 3 && /[0-7]/.test(this.text[this.pos])) octal += this.text[this.pos++];
+          bytes.push(parseInt(octal, 8) & 0xff);
+        } else if (next === '\r') {
+          if (this.text[this.pos] === '\n') this.pos++;
+        } else if (next !== '\n' && next !== undefined) {
+          bytes.push(next.charCodeAt(0));
+        }
+        continue;
+      }
+      if (ch === '(') depth++;
+      if (ch === ')' && --depth === 0) break;
+      bytes.push(ch.charCodeAt(0));
+    }
+    return { type: 'string', bytes, raw: this.text.slice(start, this.pos) };
+  }
+
+  private hexString(start: number): Token {
+    const end = this.text.indexOf('>', this.pos);
+    this.pos = end < 0 ? this.text.length : end + 1;
+    const hex = this.text.slice(start + 1, end < 0 ? undefined : end).replace(/[^0-9a-fA-F]/g, '');
+    const padded = hex.length % 2 ? `${hex}0` : hex;
+    const bytes: number[] = [];
+    for (let i = 0; i < padded.length; i += 2) bytes.push(parseInt(padded.slice(i, i + 2), 16));
+    return { type: 'string', bytes, raw: this.text.slice(start, this.pos) };
+  }
+
+  private array(start: number): Token {
+    this.pos++;
+    const items: Token[] = [];
+    for (;;) {
+      const token = this.next();
+      if (!token || (token.type === 'keyword' && token.value === ']')) break;
+      items.push(token);
+    }
+    return { type: 'array', items, raw: this.text.slice(start, this.pos) };
+  }
+
+  private dict(start: number): Token {
+    this.pos += 2;
+    const entries: Array<[string, Token]> = [];
+    for (;;) {
+      const key = this.next();
+      if (!key || (key.type === 'keyword' && key.value === '>>')) break;
+      const value = this.next();
+      if (!value || (value.type === 'keyword' && value.value === '>>')) break;
+      if (key.type === 'name') entries.push([key.value, value]);
+    }
+    return { type: 'dict', entries, raw: this.text.slice(start, this.pos) };
+  }
+
+  /**
+   * Skip an inline image's data after its ID operator.  The data ends at
+   * the first "EI" standing between white space and white space (or the
+   * end of the stream).
+   */
+  skipInlineImageData(): void {
+    this.pos++;
+    const pattern = /[\0\t\n\f\r ]EI(?=[\0\t\n\f\r ]|$)/g;
+    pattern.lastIndex = this.pos;
+    const m = pattern.exec(this.text);
+    this.pos = m ? m.index + m[0].length : this.text.length;
+  }
+}
+
+/** Split a content stream (as a binary string) into operations. */
+export function parseContentStream(text: string): ContentOperation[] {
+  const lexer = new Lexer(text);
+  const operations: ContentOperation[] = [];
+  let operands: Token[] = [];
+  let start = 0;
+  for (;;) {
+    lexer.skipWhitespace();
+    if (operands.length === 0) start = lexer.pos;
+    const token = lexer.next();
+    if (!token) break;
+    if (token.type !== 'keyword' || token.value === 'true' || token.value === 'false' || token.value === 'null') {
+      operands.push(token);
+      continue;
+    }
+    if (token.value === 'BI') {
+      // Inline image: key/value pairs, ID, binary data, EI
+      for (;;) {
+        const part = lexer.next();
+        if (!part || (part.type === 'keyword' && part.value === 'ID')) break;
+      }
+      lexer.skipInlineImageData();
+    }
+    operations.push({ operator: token.value, operands, raw: text.slice(start, lexer.pos) });
+    operands = [];
+  }
+  return operations;
+}
+
+/** Format a number for a content stream without exponents or needless digits. */
+export function formatNumber(value: number): string {
+  if (!isFinite(value)) return '0';
+  const rounded = Math.round(value * 1000) / 1000;
+  return Object.is(rounded, -0) ? '0' : String(rounded);
+}
+
+/** A string operand as a hex string, which needs no escaping. */
+export function hexString(bytes: number[]): string {
+  return `<${bytes.map(b => b.toString(16).padStart(2, '0')).join('')}>`;
+}
+
+/** Join operations back into a content stream. */
+export function serializeContentStream(operations: ContentOperation[]): string {
+  return operations.map(op => op.raw).join('\n');
+}
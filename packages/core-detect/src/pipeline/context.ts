@@ -0,0 +1,191 @@
+import { isValidSSN } from '../detectors';
+import { parseDate } from '../detectors/dates';
+import type { Box, ContextDictionary, ContextKeywords, DetectionKind } from '../types';
+import { unionBox } from './spans';
+import type { PageWord } from './words';
+
+/*
+ * Context scoring.  A bare nine digit number means little on its own, but
+ * next to "SSN" it almost certainly is one, and in a column headed "SKU" it
+ * almost certainly is not.  After a value is detected, the words to its
+ * left and the lines above it are searched for labels from a per‑kind
+ * keyword dictionary; boost keywords raise confidence, penalty keywords
+ * lower it, and every adjustment is recorded in the detection's reason.
+ */
+
+/** Confidence added when a boost keyword is nearby. */
+const CONTEXT_BOOST = 0.2;
+/** Confidence removed when a penalty keyword is nearby. */
+const CONTEXT_PENALTY = 0.3;
+/** Words to the left of a value searched for a label. */
+const LEFT_WORDS = 4;
+/** Line heights above a value searched for a label. */
+const LABEL_LINES = 2;
+/** Line heights above a value searched for a table column header. */
+const HEADER_LINES = 20;
+
+/** Words that mark a table of product or order data rather than personal data. */
+const PRODUCT_TABLE = [
+  'sku', 'part', 'part no', 'part number', 'model', 'model no', 'item', 'item no', 'product', 'product code',
+  'catalog', 'catalogue', 'qty', 'quantity', 'unit price', 'price', 'order no', 'invoice no', 'isbn', 'upc',
+  'ean', 'lot', 'batch', 'tracking', 'version', 'build'
+];
+
+export const DEFAULT_CONTEXT_KEYWORDS: ContextDictionary = {
+  SSN: { boost: ['ssn', 'ss no', 'social security', 'social security number', 'soc sec'], penalty: PRODUCT_TABLE },
+  PAN: {
+    boost: ['card', 'card no', 'card number', 'credit card', 'debit card', 'cc', 'visa', 'mastercard', 'amex', 'acct', 'account', 'account no', 'account number'],
+    penalty: PRODUCT_TABLE
+  },
+  IBAN: { boost: ['iban', 'bic', 'swift', 'bank account', 'acct', 'account'], penalty: PRODUCT_TABLE },
+  PHONE: { boost: ['phone', 'tel', 'telephone', 'mobile', 'cell', 'fax', 'call'], penalty: PRODUCT_TABLE },
+  PASSPORT: { boost: ['passport', 'passport no', 'passport number', 'travel document'], penalty: PRODUCT_TABLE },
+  NATIONAL_ID: {
+    boost: ['national id', 'id no', 'id number', 'tax id', 'tin', 'nino', 'national insurance', 'sin', 'bsn', 'cpf', 'aadhaar', 'nir', 'dni', 'nie', 'codice fiscale', 'steuer id', 'steuernummer'],
+    penalty: PRODUCT_TABLE
+  },
+  EMAIL: { boost: ['email', 'e mail', 'mail'] },
+  NAME: { boost: ['name', 'patient', 'client', 'employee', 'customer', 'attn', 'signed', 'signature'], penalty: ['product', 'model', 'brand'] },
+  ORGANIZATION: { boost: ['company', 'employer', 'organisation', 'organization', 'firm', 'vendor', 'supplier', 'insurer', 'bank', 'bill to', 'ship to'] },
+  ADDRESS: { boost: ['address', 'addr', 'street', 'residence', 'ship to', 'bill to'] },
+  API_KEY: { boost: ['key', 'api key', 'apikey', 'token', 'secret', 'password', 'auth', 'bearer'] },
+  JWT: { boost: ['token', 'bearer', 'authorization'] },
+  IP_ADDRESS: { boost: ['ip', 'ip address', 'host', 'server', 'gateway', 'inet', 'addr', 'dns'], penalty: ['version', 'ver', 'release', 'build'] },
+  MAC_ADDRESS: { boost: ['mac', 'mac address', 'ether', 'hwaddr', 'bssid', 'physical address'] },
+  URL: { boost: ['url', 'link', 'endpoint', 'webhook', 'callback'] },
+  CRYPTO_ADDRESS: { boost: ['wallet', 'wallet address', 'deposit', 'send to', 'btc', 'eth', 'bitcoin', 'ethereum', 'usdt', 'crypto'] },
+  HOSTNAME: { boost: ['host', 'hostname', 'server', 'fqdn', 'node'] },
+  DATE_OF_BIRTH: {
+    boost: ['dob', 'd o b', 'date of birth', 'birth date', 'birthdate', 'birthday', 'born', 'geburtsdatum', 'geb', 'geboren', 'date de naissance', 'né le', 'née le', 'fecha de nacimiento', 'data di nascita', 'geboortedatum', 'data de nascimento']
+  },
+  // Dates HIPAA counts as identifiers besides birth dates
+  DATE: { boost: ['admission', 'admitted', 'discharge', 'discharged', 'date of service', 'service date', 'visit', 'appointment', 'date of death', 'died', 'deceased'] },
+  OTHER: { boost: ['mrn', 'patient id'] }
+};
+
+/** Kinds that detectors assign to values whose shape alone is ambiguous. */
+const AMBIGUOUS_KINDS: DetectionKind[] = ['PHONE', 'PASSPORT', 'ADDRESS', 'DATE', 'OTHER'];
+
+/** Shapes a value must have before context may reclassify it as another kind. */
+const CONTEXT_FITS: Partial<Record<DetectionKind, (text: string) => boolean>> = {
+  SSN: text => {
+    if (!/^[\d\s-]+$/.test(text)) return false;
+    const digits = text.replace(/\D/g, '');
+    return digits.length === 9 && isValidSSN(`${digits.slice(0, 3)}-${digits.slice(3, 5)}-${digits.slice(5)}`);
+  },
+  // Account numbers are reported as PAN, as the finance preset's pattern does
+  PAN: text => /^[\d\s-]+$/.test(text) && text.replace(/\D/g, '').length >= 8 && text.replace(/\D/g, '').length <= 19,
+  PHONE: text => /^[\d\s().+-]+$/.test(text) && text.replace(/\D/g, '').length >= 7 && text.replace(/\D/g, '').length <= 15,
+  DATE_OF_BIRTH: text => parseDate(text) !== null
+};
+
+export interface ContextResult {
+  kind: DetectionKind;
+  confidence: number;
+  /** Explanation appended to the detection's reason, if context changed anything */
+  note?: string;
+}
+
+export type ContextScorer = (kind: DetectionKind, text: string, words: PageWord[], confidence: number) => ContextResult;
+
+/** Merge keyword dictionaries, concatenating the lists of each kind. */
+export function mergeContextKeywords(...dictionaries: Array<ContextDictionary | undefined>): ContextDictionary {
+  const merged: ContextDictionary = {};
+  for (const dictionary of dictionaries) {
+    if (!dictionary) continue;
+    for (const [kind, keywords] of Object.entries(dictionary) as Array<[DetectionKind, ContextKeywords]>) {
+      const current = merged[kind] ?? {};
+      merged[kind] = {
+        boost: [...(current.boost ?? []), ...(keywords?.boost ?? [])],
+        penalty: [...(current.penalty ?? []), ...(keywords?.penalty ?? [])]
+      };
+    }
+  }
+  return merged;
+}
+
+/** Lower case and reduce punctuation to spaces, so "Acct #:" and "acct" compare equal. */
+function normalizeContext(text: string): string {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/** The first keyword occurring as whole words in the normalised context. */
+function findKeyword(context: string, keywords: string[] = []): string | undefined {
+  const padded = ` ${context} `;
+  return keywords.find(keyword => {
+    const normalized = normalizeContext(keyword);
+    return normalized && padded.includes(` ${normalized} `);
+  });
+}
+
+const overlapsHorizontally = (a: Box, b: Box, slack: number) => a.x < b.x + b.w + slack && a.x + a.w > b.x - slack;
+
+/**
+ * Build a scorer for one page.  `allowedKinds` keeps reclassification from
+ * producing kinds the preset would filter out anyway.
+ */
+export function createContextScorer(pageWords: PageWord[], dictionary: ContextDictionary, allowedKinds?: DetectionKind[]): ContextScorer {
+  const sameLine = (box: Box, word: PageWord) => {
+    const cy = word.box.y + word.box.h / 2;
+    return cy >= box.y && cy <= box.y + box.h && word.box.x + word.box.w <= box.x;
+  };
+  const above = (box: Box, word: PageWord, lines: number) => {
+    const bottom = word.box.y + word.box.h;
+    return bottom <= box.y + box.h * 0.25 && bottom >= box.y - box.h * lines && overlapsHorizontally(word.box, box, box.h);
+  };
+  const text = (words: PageWord[]) => normalizeContext(words.map(w => w.text).join(' '));
+  const labelKeywords = new Set(Object.values(dictionary).flatMap(k => k?.boost ?? []).map(normalizeContext));
+
+  return (kind, value, words, confidence) => {
+    if (words.length === 0) return { kind, confidence };
+    const box = unionBox(words.map(w => w.box));
+    const own = new Set(words);
+    const others = pageWords.filter(w => !own.has(w));
+
+    const left = others.filter(w => sameLine(box, w)).sort((a, b) => b.box.x - a.box.x).slice(0, LEFT_WORDS).reverse();
+    const labels = others.filter(w => above(box, w, LABEL_LINES));
+    const headers = others.filter(w => above(box, w, HEADER_LINES));
+    // Custom pattern spans often include their own label ("Acct #: 12345678")
+    const ownLabel = /^([^:]{1,30}):/.exec(value)?.[1] ?? '';
+    const labelContext = `${text(labels)} ${text(left)} ${normalizeContext(ownLabel)}`;
+    const headerContext = `${text(headers)} ${text(left)}`;
+
+    let resultKind = kind;
+    let keyword = findKeyword(labelContext, dictionary[kind]?.boost);
+    if (!keyword && AMBIGUOUS_KINDS.includes(kind)) {
+      for (const [candidate, keywords] of Object.entries(dictionary) as Array<[DetectionKind, ContextKeywords]>) {
+        if (candidate === kind || (allowedKinds && !allowedKinds.includes(candidate))) continue;
+        const found = findKeyword(labelContext, keywords?.boost);
+        if (found && CONTEXT_FITS[candidate]?.(value)) {
+          resultKind = candidate;
+          keyword = found;
+          break;
+        }
+      }
+    }
+    if (keyword) {
+      const boosted = Math.min(0.99, confidence + CONTEXT_BOOST);
+      const change = `+${(boosted - confidence).toFixed(2)}`;
+      return {
+        kind: resultKind,
+        confidence: boosted,
+        note: resultKind === kind
+          ? `; nearby "${keyword}" (${change})`
+          : `; reclassified from ${kind} to ${resultKind} by nearby "${keyword}" (${change})`
+      };
+    }
+
+    const penalty = findKeyword(headerContext, dictionary[kind]?.penalty);
+    if (penalty) {
+      const lowered = Math.max(0.01, confidence - CONTEXT_PENALTY);
+      return { kind, confidence: lowered, note: `; nearby "${penalty}" (-${(confidence - lowered).toFixed(2)})` };
+    }
+
+    // A field label such as "Phone" or "Name" is not itself sensitive
+    if (labelKeywords.has(normalizeContext(value))) {
+      const lowered = Math.max(0.01, confidence - CONTEXT_PENALTY);
+      return { kind, confidence: lowered, note: `; field label (-${(confidence - lowered).toFixed(2)})` };
+    }
+    return { kind, confidence };
+  };
+}
@@ -0,0 +1,285 @@
+/*
+ * Reading the metadata stored in JPEG and PNG files: EXIF (with its GPS
+ * position, maker note and embedded thumbnail), ICC profiles, XMP packets,
+ * Photoshop IPTC blocks and text comments.  Only what is needed to tell a
+ * reviewer what a file carries is decoded; values are returned as text.
+ */
+
+/** What an image file carries besides its pixels. */
+export interface ImageMetadata {
+  /** EXIF tags of the image, by tag name, e.g. { Make: 'Apple', DateTimeOriginal: '2024:03:14 09:12:00' } */
+  exif: Record<string, string>;
+  /** GPS tags, with the position in decimal degrees when it is complete */
+  gps?: { latitude?: number; longitude?: number; altitude?: number; tags: Record<string, string> };
+  /** Size in bytes of the preview image embedded in the EXIF block */
+  thumbnailBytes?: number;
+  /** Size in bytes of the camera maker's private EXIF data */
+  makerNoteBytes?: number;
+  /** Size in bytes of the embedded ICC profile, and its description */
+  iccProfile?: { bytes: number; description?: string };
+  /** The XMP packet, when stored uncompressed; `xmpBytes` alone otherwise */
+  xmp?: string;
+  xmpBytes?: number;
+  /** Size in bytes of the Photoshop IPTC block */
+  iptcBytes?: number;
+  /** JPEG comments and PNG text chunks ('keyword: text') */
+  comments: string[];
+}
+
+const TIFF_TAGS: Record<number, string> = {
+  0x010e: 'ImageDescription',
+  0x010f: 'Make',
+  0x0110: 'Model',
+  0x0131: 'Software',
+  0x0132: 'DateTime',
+  0x013b: 'Artist',
+  0x013c: 'HostComputer',
+  0x8298: 'Copyright',
+  0x9003: 'DateTimeOriginal',
+  0x9004: 'DateTimeDigitized',
+  0x9010: 'OffsetTime',
+  0x9286: 'UserComment',
+  0xa420: 'ImageUniqueID',
+  0xa430: 'CameraOwnerName',
+  0xa431: 'BodySerialNumber',
+  0xa433: 'LensMake',
+  0xa434: 'LensModel',
+  0xa435: 'LensSerialNumber'
+};
+
+const GPS_TAGS: Record<number, string> = {
+  1: 'GPSLatitudeRef',
+  2: 'GPSLatitude',
+  3: 'GPSLongitudeRef',
+  4: 'GPSLongitude',
+  5: 'GPSAltitudeRef',
+  6: 'GPSAltitude',
+  7: 'GPSTimeStamp',
+  18: 'GPSMapDatum',
+  29: 'GPSDateStamp'
+};
+
+const EXIF_IFD_POINTER = 0x8769;
+const GPS_IFD_POINTER = 0x8825;
+const MAKER_NOTE = 0x927c;
+const THUMBNAIL_LENGTH = 0x0202;
+/** Bytes per value of each TIFF field type. */
+const TYPE_SIZES: Record<number, number> = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+/** Guards against IFD chains that loop. */
+const MAX_IFD_ENTRIES = 1000;
+
+function latin1(bytes: Uint8Array, start = 0, end = bytes.length): string {
+  let text = '';
+  for (let i = start; i < end && i < bytes.length; i++) text += String.fromCharCode(bytes[i]);
+  return text;
+}
+
+function startsWith(bytes: Uint8Array, offset: number, signature: string): boolean {
+  return latin1(bytes, offset, offset + signature.length) === signature;
+}
+
+interface TiffEntry {
+  type: number;
+  count: number;
+  /** Absolute offset of the value */
+  at: number;
+}
+
+/** Read the EXIF (TIFF) structure starting at `start` into `metadata`. */
+function readTiff(bytes: Uint8Array, start: number, end: number, metadata: ImageMetadata): void {
+  const little = bytes[start] === 0x49;
+  const u16 = (at: number) => (little ? bytes[at] | (bytes[at + 1] << 8) : (bytes[at] << 8) | bytes[at + 1]);
+  const u32 = (at: number) => (little
+    ? (bytes[at] | (bytes[at + 1] << 8) | (bytes[at + 2] << 16)) + bytes[at + 3] * 0x1000000
+    : bytes[at] * 0x1000000 + ((bytes[at + 1] << 16) | (bytes[at + 2] << 8) | bytes[at + 3]));
+  const s32 = (at: number) => u32(at) | 0;
+
+  const readIfd = (offset: number): { entries: Map<number, TiffEntry>; next: number } | null => {
+    const ifd = start + offset;
+    if (offset < 8 || ifd + 2 > end) return null;
+    const count = Math.min(u16(ifd), MAX_IFD_ENTRIES);
+    const entries = new Map<number, TiffEntry>();
+    for (let i = 0; i < count; i++) {
+      const entry = ifd + 2 + i * 12;
+      if (entry + 12 > end) break;
+      const type = u16(entry + 2);
+      const valueCount = u32(entry + 4);
+      const size = (TYPE_SIZES[type] ?? 1) * valueCount;
+      const at = size <= 4 ? entry + 8 : start + u32(entry + 8);
+      if (at + size <= end) entries.set(u16(entry), { type, count: valueCount, at });
+    }
+    const nextAt = ifd + 2 + count * 12;
+    return { entries, next: nextAt + 4 <= end ? u32(nextAt) : 0 };
+  };
+
+  const numbers = ({ type, count, at }: TiffEntry): number[] => {
+    const values: number[] = [];
+    for (let i = 0; i < Math.min(count, 64); i++) {
+      if (type === 3) values.push(u16(at + i * 2));
+      else if (type === 4) values.push(u32(at + i * 4));
+      else if (type === 9) values.push(s32(at + i * 4));
+      else if (type === 5 || type === 10) {
+        const [n, d] = type === 5 ? [u32(at + i * 8), u32(at + i * 8 + 4)] : [s32(at + i * 8), s32(at + i * 8 + 4)];
+        values.push(d === 0 ? 0 : n / d);
+      } else values.push(bytes[at + i]);
+    }
+    return values;
+  };
+
+  const text = (entry: TiffEntry, tag: number): string => {
+    if (entry.type === 2) return latin1(bytes, entry.at, entry.at + entry.count).replace(/\0+$/, '').trim();
+    // The user comment starts with eight bytes naming its character code
+    if (tag === 0x9286) return latin1(bytes, entry.at + 8, entry.at + entry.count).replace(/\0+$/, '').trim();
+    if (entry.type === 7) return `${entry.count} bytes`;
+    return numbers(entry).map(value => String(Math.round(value * 1e6) / 1e6)).join(', ');
+  };
+
+  const collect = (entries: Map<number, TiffEntry>, names: Record<number, string>, into: Record<string, string>) => {
+    for (const [tag, entry] of entries) {
+      const name = names[tag];
+      const value = name ? text(entry, tag) : '';
+      if (name && value) into[name] = value;
+    }
+  };
+
+  if (u16(start + 2) !== 42) return;
+  const main = readIfd(u32(start + 4));
+  if (!main) return;
+  collect(main.entries, TIFF_TAGS, metadata.exif);
+  const exifPointer = main.entries.get(EXIF_IFD_POINTER);
+  const exif = exifPointer ? readIfd(numbers(exifPointer)[0]) : null;
+  if (exif) {
+    collect(exif.entries, TIFF_TAGS, metadata.exif);
+    const makerNote = exif.entries.get(MAKER_NOTE);
+    if (makerNote) metadata.makerNoteBytes = makerNote.count;
+  }
+  const gpsPointer = main.entries.get(GPS_IFD_POINTER);
+  const gps = gpsPointer ? readIfd(numbers(gpsPointer)[0]) : null;
+  if (gps && gps.entries.size > 0) {
+    const tags: Record<string, string> = {};
+    collect(gps.entries, GPS_TAGS, tags);
+    const degrees = (tag: number, ref: number, negative: string): number | undefined => {
+      const entry = gps.entries.get(tag);
+      if (!entry) return undefined;
+      const [d = 0, m = 0, s = 0] = numbers(entry);
+      const sign = gps.entries.has(ref) && text(gps.entries.get(ref)!, ref).startsWith(negative) ? -1 : 1;
+      return sign * (d + m / 60 + s / 3600);
+    };
+    const altitude = gps.entries.get(6);
+    metadata.gps = {
+      latitude: degrees(2, 1, 'S'),
+      longitude: degrees(4, 3, 'W'),
+      altitude: altitude ? numbers(altitude)[0] * (gps.entries.has(5) && numbers(gps.entries.get(5)!)[0] === 1 ? -1 : 1) : undefined,
+      tags
+    };
+  }
+  // The second IFD describes the thumbnail
+  const thumbnail = main.next ? readIfd(main.next) : null;
+  const thumbnailLength = thumbnail?.entries.get(THUMBNAIL_LENGTH);
+  if (thumbnailLength) metadata.thumbnailBytes = numbers(thumbnailLength)[0];
+}
+
+/** The description of an ICC profile ('desc' tag, v2 text or v4 localised). */
+function iccDescription(profile: Uint8Array): string | undefined {
+  if (profile.length < 132) return undefined;
+  const view = new DataView(profile.buffer, profile.byteOffset, profile.byteLength);
+  const tags = view.getUint32(128);
+  for (let i = 0; i < Math.min(tags, 100); i++) {
+    const entry = 132 + i * 12;
+    if (entry + 12 > profile.length) break;
+    if (latin1(profile, entry, entry + 4) !== 'desc') continue;
+    const offset = view.getUint32(entry + 4);
+    if (offset + 12 > profile.length) return undefined;
+    const type = latin1(profile, offset, offset + 4);
+    if (type === 'desc') {
+      const length = view.getUint32(offset + 8);
+      return latin1(profile, offset + 12, offset + 12 + length).replace(/\0+$/, '') || undefined;
+    }
+    if (type === 'mluc' && offset + 28 <= profile.length) {
+      // First record: UTF‑16BE text at the offset it gives
+      const length = view.getUint32(offset + 20);
+      const start = offset + view.getUint32(offset + 24);
+      let text = '';
+      for (let at = start; at + 1 < start + length && at + 1 < profile.length; at += 2) text += String.fromCharCode(view.getUint16(at));
+      return text.replace(/\0+$/, '') || undefined;
+    }
+    return undefined;
+  }
+  return undefined;
+}
+
+function readJpeg(bytes: Uint8Array, metadata: ImageMetadata): void {
+  const profile: Uint8Array[] = [];
+  let offset = 2;
+  while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+    const marker = bytes[offset + 1];
+    // Start of scan: no more metadata segments
+    if (marker === 0xda) break;
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+    const data = offset + 4;
+    const end = Math.min(offset + 2 + length, bytes.length);
+    if (marker === 0xe1 && startsWith(bytes, data, 'Exif\0\0')) {
+      readTiff(bytes, data + 6, end, metadata);
+    } else if (marker === 0xe1 && startsWith(bytes, data, 'http://ns.adobe.com/xap/1.0/\0')) {
+      metadata.xmp = new TextDecoder().decode(bytes.subarray(data + 29, end));
+      metadata.xmpBytes = end - data - 29;
+    } else if (marker === 0xe2 && startsWith(bytes, data, 'ICC_PROFILE\0')) {
+      // Profiles are split across segments after a sequence number and count
+      profile.push(bytes.subarray(data + 14, end));
+    } else if (marker === 0xed && startsWith(bytes, data, 'Photoshop 3.0\0')) {
+      metadata.iptcBytes = (metadata.iptcBytes ?? 0) + end - data;
+    } else if (marker === 0xfe) {
+      const comment = latin1(bytes, data, end).trim();
+      if (comment) metadata.comments.push(comment);
+    }
+    offset += 2 + length;
+  }
+  if (profile.length > 0) {
+    const joined = new Uint8Array(profile.reduce((total, part) => total + part.length, 0));
+    let at = 0;
+    for (const part of profile) {
+      joined.set(part, at);
+      at += part.length;
+    }
+    metadata.iccProfile = { bytes: joined.length, description: iccDescription(joined) };
+  }
+}
+
+function readPng(bytes: Uint8Array, metadata: ImageMetadata): void {
+  let offset = 8;
+  while (offset + 8 <= bytes.length) {
+    const length = ((bytes[offset] << 24) >>> 0) + ((bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]);
+    const type = latin1(bytes, offset + 4, offset + 8);
+    const data = offset + 8;
+    const end = Math.min(data + length, bytes.length);
+    if (type === 'IDAT' || type === 'IEND') break;
+    const keywordEnd = bytes.indexOf(0, data);
+    const keyword = keywordEnd >= 0 && keywordEnd < end ? latin1(bytes, data, keywordEnd) : '';
+    if (type === 'eXIf') {
+      readTiff(bytes, data, end, metadata);
+    } else if (type === 'iCCP') {
+      metadata.iccProfile = { bytes: length, description: keyword || undefined };
+    } else if (type === 'iTXt' && keyword === 'XML:com.adobe.xmp') {
+      // Keyword, compression flag and method, then language tag and translated keyword
+      const compressed = bytes[keywordEnd + 1] === 1;
+      let at = keywordEnd + 3;
+      for (let skip = 0; skip < 2 && at < end; skip++) at = bytes.indexOf(0, at) + 1 || end;
+      if (!compressed) metadata.xmp = new TextDecoder().decode(bytes.subarray(at, end));
+      metadata.xmpBytes = end - at;
+    } else if (type === 'tEXt' || type === 'iTXt') {
+      const value = type === 'tEXt' ? latin1(bytes, keywordEnd + 1, end) : '';
+      metadata.comments.push(value ? `${keyword}: ${value}` : keyword);
+    } else if (type === 'zTXt') {
+      metadata.comments.push(keyword);
+    }
+    offset = data + length + 4;
+  }
+}
+
+/** Read the metadata of a JPEG or PNG file; other formats yield none. */
+export function readImageMetadata(bytes: Uint8Array): ImageMetadata {
+  const metadata: ImageMetadata = { exif: {}, comments: [] };
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) readJpeg(bytes, metadata);
+  else if (startsWith(bytes, 0, '\x89PNG\r\n\x1a\n')) readPng(bytes, metadata);
+  return metadata;
+}
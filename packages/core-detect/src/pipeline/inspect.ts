@@ -0,0 +1,338 @@
+import { PDFArray, PDFDict, PDFDocument, PDFHexString, PDFName, PDFNumber, PDFObject, PDFStream, PDFString } from 'pdf-lib';
+import * as pdfjsLib from 'pdfjs-dist';
+import type { DocumentInput, DocumentSanitizationOptions, InspectionFinding, InspectionResult, InspectionSeverity } from '../types';
+import { identifySource, loadInput } from './analyze';
+import { IDENTITY, multiply, transformPoint } from './contentStream';
+import type { Matrix } from './contentStream';
+import { readImageMetadata } from './exif';
+import { dictOf, nameOf, readStream } from './pdfRedact';
+import { countAppendedRevisions, nameTreeEntries, runsJavaScript } from './pdfSanitize';
+
+/*
+ * Inspection lists what a file leaks beyond its visible content, before it
+ * is sanitised: image metadata (EXIF, GPS, thumbnails, maker notes, ICC,
+ * XMP) and, for PDFs, the document information, attachments, scripts, form
+ * values, comments, hidden layers, text nobody sees and revisions left by
+ * incremental saves.  Nothing is changed; each finding names the
+ * sanitisation option that removes it.
+ */
+
+const SEVERITY_ORDER: Record<InspectionSeverity, number> = { high: 0, medium: 1, low: 2 };
+/** Characters of a value quoted in a finding. */
+const SAMPLE_LENGTH = 80;
+/** Fill colour components (0–255) from which text counts as white. */
+const WHITE_LEVEL = 250;
+/** Text render modes that paint nothing: invisible, and clip only. */
+const INVISIBLE_RENDER_MODES = [3, 7];
+/** Text render modes that only fill, so a white fill hides the text on white paper. */
+const FILL_RENDER_MODES = [0, 4];
+/** How far (in points) text may start outside the page before it counts as off the page. */
+const OFF_PAGE_TOLERANCE = 2;
+/** Annotations that are not comments. */
+const NON_COMMENT_ANNOTATIONS = ['Link', 'Widget', 'Popup', 'FileAttachment'];
+
+const name = (value: string) => PDFName.of(value);
+
+function sample(text: string): string {
+  const clean = text.replace(/\s+/g, ' ').trim();
+  return clean.length > SAMPLE_LENGTH ? `${clean.slice(0, SAMPLE_LENGTH - 1)}…` : clean;
+}
+
+function plural(count: number, noun: string): string {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/** Values quoted in a finding, shortened. */
+function sampled(values: Record<string, string>): Record<string, string> {
+  const out: Record<string, string> = {};
+  for (const key of Object.keys(values)) out[key] = sample(values[key]);
+  return out;
+}
+
+/** The fields of an XMP packet worth showing a reviewer; undefined when it has none. */
+function xmpDetails(xmp: string): Record<string, string> | undefined {
+  const details: Record<string, string> = {};
+  for (const [label, tag] of [
+    ['Creator', 'dc:creator'],
+    ['Creator tool', 'xmp:CreatorTool'],
+    ['Producer', 'pdf:Producer'],
+    ['Document ID', 'xmpMM:DocumentID'],
+    ['Original document ID', 'xmpMM:OriginalDocumentID']
+  ]) {
+    const match = new RegExp(`${tag}="([^"]*)"|<${tag}>([\\s\\S]*?)</${tag}>`).exec(xmp);
+    const value = match ? (match[1] ?? match[2]).replace(/<[^>]+>/g, ' ') : '';
+    if (value.trim()) details[label] = sample(value);
+  }
+  const history = (xmp.match(/<stEvt:action>|stEvt:action=/g) ?? []).length;
+  if (history > 0) details['Edit history'] = `${history} ${history === 1 ? 'entry' : 'entries'}`;
+  return Object.keys(details).length > 0 ? details : undefined;
+}
+
+function inspectImage(bytes: Uint8Array): InspectionFinding[] {
+  const metadata = readImageMetadata(bytes);
+  const findings: InspectionFinding[] = [];
+  const remedy: keyof DocumentSanitizationOptions = 'removeExif';
+  if (metadata.gps) {
+    const { latitude, longitude } = metadata.gps;
+    findings.push({
+      category: 'gps',
+      severity: 'high',
+      message: latitude !== undefined && longitude !== undefined ? `GPS position ${latitude.toFixed(5)}, ${longitude.toFixed(5)}` : 'GPS tags',
+      details: sampled(metadata.gps.tags),
+      remedy
+    });
+  }
+  if (metadata.thumbnailBytes) {
+    findings.push({ category: 'thumbnail', severity: 'high', message: `Embedded EXIF thumbnail (${metadata.thumbnailBytes} bytes), a preview of the image before any edits`, remedy });
+  }
+  const fields = Object.keys(metadata.exif);
+  if (fields.length > 0) {
+    findings.push({ category: 'exif', severity: 'medium', message: `EXIF data: ${fields.join(', ')}`, details: sampled(metadata.exif), remedy });
+  }
+  if (metadata.makerNoteBytes) {
+    findings.push({ category: 'maker-note', severity: 'medium', message: `Camera maker note (${metadata.makerNoteBytes} bytes), which can hold serial numbers and settings`, remedy });
+  }
+  if (metadata.xmpBytes) {
+    findings.push({ category: 'xmp', severity: 'medium', message: `XMP metadata (${metadata.xmpBytes} bytes)`, details: metadata.xmp ? xmpDetails(metadata.xmp) : undefined, remedy });
+  }
+  if (metadata.iptcBytes) {
+    findings.push({ category: 'iptc', severity: 'medium', message: `Photoshop IPTC data (${metadata.iptcBytes} bytes)`, remedy });
+  }
+  if (metadata.comments.length > 0) {
+    const details: Record<string, string> = {};
+    metadata.comments.forEach((comment, i) => (details[`Comment ${i + 1}`] = sample(comment)));
+    findings.push({ category: 'comment', severity: 'low', message: plural(metadata.comments.length, 'text comment'), details, remedy });
+  }
+  if (metadata.iccProfile) {
+    const { bytes: size, description } = metadata.iccProfile;
+    findings.push({ category: 'icc-profile', severity: 'low', message: `ICC colour profile${description ? ` "${sample(description)}"` : ''} (${size} bytes)`, remedy });
+  }
+  return findings;
+}
+
+/** A PDF value as text, for strings, names, numbers and arrays of them. */
+function textOf(obj: PDFObject | undefined): string {
+  if (obj instanceof PDFString || obj instanceof PDFHexString) return obj.decodeText();
+  if (obj instanceof PDFName) return obj.decodeText();
+  if (obj instanceof PDFNumber) return String(obj.asNumber());
+  if (obj instanceof PDFArray) return obj.asArray().map((_, i) => textOf(obj.lookup(i))).filter(Boolean).join(', ');
+  return '';
+}
+
+/** The script of a JavaScript action. */
+function scriptOf(action: PDFObject | undefined): string {
+  const script = dictOf(action)?.lookup(name('JS'));
+  if (script instanceof PDFStream) return new TextDecoder().decode(readStream(script));
+  return textOf(script);
+}
+
+/** Values of the form fields below `field`, by fully qualified name. */
+function collectFieldValues(field: PDFDict | undefined, prefix: string, values: Record<string, string>, depth = 0): void {
+  if (!field || depth > 32) return;
+  const title = textOf(field.lookup(name('T')));
+  const fullName = title ? (prefix ? `${prefix}.${title}` : title) : prefix;
+  const value = textOf(field.lookup(name('V')));
+  // Unchecked boxes have the value Off
+  if (value && value !== 'Off') values[fullName || '(unnamed)'] = sample(value);
+  const kids = field.lookup(name('Kids'));
+  if (kids instanceof PDFArray) {
+    for (let i = 0; i < kids.size(); i++) collectFieldValues(dictOf(kids.lookup(i)), fullName, values, depth + 1);
+  }
+}
+
+/** Findings in the structure of a PDF: everything but its page content. */
+function inspectPdfStructure(doc: PDFDocument, bytes: Uint8Array): InspectionFinding[] {
+  const { catalog, context } = doc;
+  const findings: InspectionFinding[] = [];
+
+  const info = dictOf(context.lookup(context.trailerInfo.Info));
+  const infoValues: Record<string, string> = {};
+  for (const [key, value] of info?.entries() ?? []) {
+    const text = textOf(context.lookup(value));
+    if (text) infoValues[key.decodeText()] = sample(text);
+  }
+  if (Object.keys(infoValues).length > 0) {
+    findings.push({ category: 'info-dictionary', severity: 'medium', message: `Document information: ${Object.keys(infoValues).join(', ')}`, details: infoValues, remedy: 'removeMetadata' });
+  }
+
+  let objectXmp = 0;
+  let pieceInfo = 0;
+  for (const [, obj] of context.enumerateIndirectObjects()) {
+    const dict = obj instanceof PDFStream ? obj.dict : obj instanceof PDFDict ? obj : undefined;
+    if (!dict || dict === catalog) continue;
+    if (dict.has(name('Metadata'))) objectXmp++;
+    if (dict.has(name('PieceInfo'))) pieceInfo++;
+  }
+  const xmp = catalog.lookup(name('Metadata'));
+  if (xmp instanceof PDFStream || objectXmp > 0) {
+    const parts = [xmp instanceof PDFStream ? 'the document' : '', objectXmp > 0 ? plural(objectXmp, 'page, image or form') : ''].filter(Boolean);
+    findings.push({
+      category: 'xmp',
+      severity: 'medium',
+      message: `XMP metadata on ${parts.join(' and ')}`,
+      details: xmp instanceof PDFStream ? xmpDetails(new TextDecoder().decode(readStream(xmp))) : undefined,
+      remedy: 'removeMetadata'
+    });
+  }
+  if (pieceInfo > 0 || catalog.has(name('PieceInfo'))) {
+    findings.push({ category: 'private-data', severity: 'low', message: 'Private application data (/PieceInfo) left by the editing application', remedy: 'removeMetadata' });
+  }
+
+  const revisions = countAppendedRevisions(bytes);
+  if (revisions > 0) {
+    findings.push({ category: 'revision', severity: 'high', message: `${plural(revisions, 'earlier revision')} kept by incremental saves, which can hold content since changed or deleted; sanitizing writes the file without them` });
+  }
+
+  const names = dictOf(catalog.lookup(name('Names')));
+  const attachments: Record<string, string> = {};
+  for (const [key, spec] of nameTreeEntries(names?.lookup(name('EmbeddedFiles')))) {
+    attachments[key] = sample(textOf(dictOf(spec)?.lookup(name('UF'))) || textOf(dictOf(spec)?.lookup(name('F'))) || key);
+  }
+  const scripts: Record<string, string> = {};
+  for (const [key, action] of nameTreeEntries(names?.lookup(name('JavaScript')))) scripts[`Document script "${key}"`] = sample(scriptOf(action));
+  const openAction = catalog.lookup(name('OpenAction'));
+  if (runsJavaScript(openAction)) scripts['Open action'] = sample(scriptOf(openAction));
+  const noteTriggers = (triggers: PDFDict | undefined, label: string) => {
+    for (const [key, action] of triggers?.entries() ?? []) {
+      if (runsJavaScript(context.lookup(action))) scripts[`${label} ${key.decodeText()} action`] = sample(scriptOf(context.lookup(action)));
+    }
+  };
+  noteTriggers(dictOf(catalog.lookup(name('AA'))), 'Document');
+  const comments: Array<{ page: number; details: Record<string, string> }> = [];
+  doc.getPages().forEach((page, pageIndex) => {
+    noteTriggers(dictOf(page.node.lookup(name('AA'))), `Page ${pageIndex + 1}`);
+    const annots = page.node.Annots();
+    const pageComments: Record<string, string> = {};
+    for (let i = 0; i < (annots?.size() ?? 0); i++) {
+      const annot = dictOf(annots!.lookup(i));
+      if (!annot) continue;
+      const subtype = nameOf(annot.lookup(name('Subtype'))) ?? 'Annotation';
+      if (runsJavaScript(annot.lookup(name('A')))) scripts[`Page ${pageIndex + 1} ${subtype} action`] = sample(scriptOf(annot.lookup(name('A'))));
+      noteTriggers(dictOf(annot.lookup(name('AA'))), `Page ${pageIndex + 1} ${subtype}`);
+      if (subtype === 'FileAttachment') {
+        const spec = dictOf(annot.lookup(name('FS')));
+        attachments[`Page ${pageIndex + 1} attachment ${i + 1}`] = sample(textOf(spec?.lookup(name('UF'))) || textOf(spec?.lookup(name('F'))) || 'unnamed file');
+      }
+      const contents = textOf(annot.lookup(name('Contents')));
+      if (contents && !NON_COMMENT_ANNOTATIONS.includes(subtype)) pageComments[`${subtype} ${i + 1}`] = sample(contents);
+    }
+    if (Object.keys(pageComments).length > 0) comments.push({ page: pageIndex, details: pageComments });
+  });
+  if (Object.keys(attachments).length > 0) {
+    findings.push({ category: 'attachment', severity: 'high', message: plural(Object.keys(attachments).length, 'embedded file'), details: attachments, remedy: 'removeEmbeddedFiles' });
+  }
+  if (Object.keys(scripts).length > 0) {
+    findings.push({ category: 'javascript', severity: 'high', message: plural(Object.keys(scripts).length, 'JavaScript action'), details: scripts, remedy: 'removeJavaScript' });
+  }
+  for (const { page, details } of comments) {
+    findings.push({ category: 'annotation', severity: 'medium', message: `${plural(Object.keys(details).length, 'comment')} on page ${page + 1}`, details, page, remedy: 'removeAnnotations' });
+  }
+
+  const fieldValues: Record<string, string> = {};
+  const fields = dictOf(catalog.lookup(name('AcroForm')))?.lookup(name('Fields'));
+  if (fields instanceof PDFArray) {
+    for (let i = 0; i < fields.size(); i++) collectFieldValues(dictOf(fields.lookup(i)), '', fieldValues);
+  }
+  if (Object.keys(fieldValues).length > 0) {
+    findings.push({ category: 'form-field', severity: 'medium', message: plural(Object.keys(fieldValues).length, 'filled-in form field'), details: fieldValues, remedy: 'removeFormFields' });
+  }
+
+  const layers = dictOf(catalog.lookup(name('OCProperties')));
+  const groups = layers?.lookup(name('OCGs'));
+  const off = dictOf(layers?.lookup(name('D')))?.lookup(name('OFF'));
+  const hidden = off instanceof PDFArray ? off.asArray().map((_, i) => textOf(dictOf(off.lookup(i))?.lookup(name('Name'))) || 'unnamed') : [];
+  if (hidden.length > 0) {
+    findings.push({ category: 'hidden-layer', severity: 'high', message: `${plural(hidden.length, 'layer')} hidden by default: ${sample(hidden.join(', '))}`, remedy: 'flattenLayers' });
+  } else if (groups instanceof PDFArray && groups.size() > 0) {
+    findings.push({ category: 'hidden-layer', severity: 'low', message: `${plural(groups.size(), 'layer')}, all visible, that a reader can switch off`, remedy: 'flattenLayers' });
+  }
+  return findings;
+}
+
+/** Text of a pdf.js glyph run. */
+function glyphText(glyphs: unknown[]): string {
+  return glyphs.map(glyph => (glyph && typeof glyph === 'object' ? (glyph as { unicode?: string }).unicode ?? '' : '')).join('');
+}
+
+/** Findings in the page content of a PDF: text that is there but not seen. */
+async function inspectPdfText(bytes: Uint8Array): Promise<InspectionFinding[]> {
+  const findings: InspectionFinding[] = [];
+  const { OPS } = pdfjsLib;
+  const loadingTask = pdfjsLib.getDocument({ data: bytes.slice() });
+  const pdf = await loadingTask.promise;
+  try {
+    for (let pageIndex = 0; pageIndex < pdf.numPages; pageIndex++) {
+      const page = await pdf.getPage(pageIndex + 1);
+      const { fnArray, argsArray } = await page.getOperatorList();
+      const [x0, y0, x1, y1] = page.view;
+      let state = { white: false, mode: 0, ctm: IDENTITY };
+      const stack: Array<typeof state> = [];
+      // Text position: the text matrix, and the offset of the current line in text space
+      let textMatrix = IDENTITY;
+      let line = [0, 0];
+      let leading = 0;
+      let invisible = '';
+      let white = '';
+      let offPage = '';
+      for (let i = 0; i < fnArray.length; i++) {
+        const fn = fnArray[i];
+        const args = argsArray[i];
+        if (fn === OPS.save) stack.push({ ...state });
+        else if (fn === OPS.restore || fn === OPS.paintFormXObjectEnd) state = stack.pop() ?? state;
+        else if (fn === OPS.paintFormXObjectBegin) {
+          stack.push({ ...state });
+          if (Array.isArray(args[0])) state.ctm = multiply(args[0] as Matrix, state.ctm);
+        } else if (fn === OPS.transform) state.ctm = multiply(args.slice(0, 6) as Matrix, state.ctm);
+        else if (fn === OPS.setFillRGBColor) state.white = [0, 1, 2].every(c => Number(args[c]) >= WHITE_LEVEL);
+        else if (fn === OPS.setTextRenderingMode) state.mode = args[0];
+        else if (fn === OPS.beginText) [textMatrix, line] = [IDENTITY, [0, 0]];
+        else if (fn === OPS.setTextMatrix) [textMatrix, line] = [args.slice(0, 6) as Matrix, [0, 0]];
+        else if (fn === OPS.setLeading) leading = -args[0];
+        else if (fn === OPS.moveText || fn === OPS.setLeadingMoveText) {
+          if (fn === OPS.setLeadingMoveText) leading = args[1];
+          line = [line[0] + args[0], line[1] + args[1]];
+        } else if (fn === OPS.nextLine) line = [line[0], line[1] + leading];
+        else if (fn === OPS.showText || fn === OPS.showSpacedText) {
+          const text = glyphText(args[0]);
+          const [x, y] = transformPoint(multiply(textMatrix, state.ctm), line[0], line[1]);
+          if (x < x0 - OFF_PAGE_TOLERANCE || x > x1 + OFF_PAGE_TOLERANCE || y < y0 - OFF_PAGE_TOLERANCE || y > y1 + OFF_PAGE_TOLERANCE) offPage += `${text} `;
+          else if (INVISIBLE_RENDER_MODES.includes(state.mode)) invisible += text;
+          else if (state.white && FILL_RENDER_MODES.includes(state.mode)) white += text;
+        }
+      }
+      if (offPage.trim()) {
+        findings.push({ category: 'off-page-text', severity: 'high', message: `Text outside the visible area of page ${pageIndex + 1}: "${sample(offPage)}"`, page: pageIndex });
+      }
+      if (invisible.trim()) {
+        findings.push({ category: 'invisible-text', severity: 'medium', message: `Invisible text on page ${pageIndex + 1} (as OCR layers over scans use): "${sample(invisible)}"`, page: pageIndex });
+      }
+      if (white.trim()) {
+        findings.push({ category: 'invisible-text', severity: 'medium', message: `White text on page ${pageIndex + 1}, unseen on a white background: "${sample(white)}"`, page: pageIndex });
+      }
+    }
+  } finally {
+    await loadingTask.destroy();
+  }
+  return findings;
+}
+
+/**
+ * List what a file leaks beyond its visible content, most severe first:
+ * image metadata, and for PDFs their metadata, attachments, scripts, form
+ * values, comments, hidden layers, hidden text and earlier revisions.
+ */
+export async function inspectDocument(input: DocumentInput): Promise<InspectionResult> {
+  const file = await loadInput(input);
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const source = await identifySource(file);
+  const mimeType = file.type || '';
+  let findings: InspectionFinding[] = [];
+  if (mimeType === 'application/pdf') {
+    const doc = await PDFDocument.load(bytes, { updateMetadata: false, ignoreEncryption: true });
+    findings = [...inspectPdfStructure(doc, bytes), ...(await inspectPdfText(bytes))];
+  } else if (mimeType.startsWith('image/')) {
+    findings = inspectImage(bytes);
+  }
+  findings.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+  return { source, mimeType, findings };
+}
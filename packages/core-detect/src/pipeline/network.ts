@@ -0,0 +1,58 @@
+import { v4 as uuidv4 } from 'uuid';
+import { ipRange, parseUrl } from '../detectors/network';
+import type { Box, Detection, NetworkOptions } from '../types';
+
+/*
+ * Network options are applied once a page's detections are known.  IP
+ * addresses are tagged with their range and dropped when the range is not
+ * wanted; in 'secrets' mode a URL detection is replaced by detections of
+ * its credentials and secret parameters alone, so a shared link stays
+ * readable but cannot be replayed.
+ */
+
+/**
+ * The part of a word's box covering characters [start, end).  OCR and the
+ * text layer only box whole words, so characters are taken to be equally
+ * wide and the box is widened by one character either side to make up for
+ * proportional fonts.
+ */
+function sliceBox(box: Box, length: number, start: number, end: number): Box {
+  const charWidth = box.w / Math.max(1, length);
+  const from = Math.max(0, start - 1);
+  const to = Math.min(length, end + 1);
+  return { ...box, x: box.x + from * charWidth, w: (to - from) * charWidth };
+}
+
+/** Tag, filter and narrow network detections according to `options`. */
+export function applyNetworkOptions(detections: Detection[], options: NetworkOptions = {}): Detection[] {
+  const result: Detection[] = [];
+  for (const detection of detections) {
+    if (detection.kind === 'IP_ADDRESS') {
+      const range = detection.preview ? ipRange(detection.preview) : null;
+      if (range && options.ipRanges && !options.ipRanges.includes(range)) continue;
+      result.push(range ? { ...detection, network: { ...detection.network, range } } : detection);
+      continue;
+    }
+    if (detection.kind !== 'URL' || options.urlRedaction !== 'secrets' || !detection.preview) {
+      result.push(detection);
+      continue;
+    }
+    const url = parseUrl(detection.preview);
+    // Custom patterns may report text that is not a URL; keep it whole
+    if (!url) {
+      result.push(detection);
+      continue;
+    }
+    for (const secret of url.secrets) {
+      result.push({
+        ...detection,
+        id: uuidv4(),
+        box: sliceBox(detection.box, detection.preview.length, secret.start, secret.end),
+        reason: secret.name === 'credentials' ? 'Credentials in URL' : `Secret URL parameter "${secret.name}"`,
+        preview: detection.preview.slice(secret.start, secret.end),
+        network: { secret: secret.name }
+      });
+    }
+  }
+  return result;
+}
@@ -0,0 +1,945 @@
+import * as pdfjsLib from 'pdfjs-dist';
+import {
+  PDFArray,
+  PDFBool,
+  PDFContext,
+  PDFDict,
+  PDFDocument,
+  PDFFlateStream,
+  PDFName,
+  PDFNumber,
+  PDFObject,
+  PDFPage,
+  PDFRawStream,
+  PDFRef,
+  PDFStream,
+  StandardFontEmbedder,
+  decodePDFRawStream
+} from 'pdf-lib';
+import { getEnvironment } from '../runtime';
+import type { Box, PdfRedactionReport } from '../types';
+import {
+  IDENTITY,
+  binaryToBytes,
+  bytesToBinary,
+  formatNumber,
+  hexString,
+  invert,
+  multiply,
+  parseContentStream,
+  serializeContentStream,
+  transformPoint
+} from './contentStream';
+import type { ContentOperation, Matrix, Token } from './contentStream';
+import { DESCENT_RATIO, placeGlyphs } from './textLayer';
+
+/*
+ * True redaction of PDF pages.  A box drawn over text leaves the text in
+ * the content stream, where it can still be selected, copied and searched.
+ * Before the overlay is drawn, a page's content is replayed with its text
+ * and graphics state, and every glyph under a redaction is cut out of its
+ * text‑showing operator and replaced by an equal position adjustment, so
+ * the text around it does not move.  Image pixels under a redaction are
+ * blanked in the image data itself, inline images and annotations there are
+ * removed, and objects nothing refers to any more are dropped so the
+ * original streams are not written out again.
+ */
+
+/** A rectangle in a page's default user space: points, origin at the bottom left. */
+export interface PdfRect {
+  x: number;
+  y: number;
+  w: number;
+  h: number;
+}
+
+/**
+ * Points a glyph must reach into a redaction before verification reports it.
+ * Removal takes any overlap at all; the slack absorbs rounding between its
+ * measurements and those of pdf.js, so a neighbour touching a box is not
+ * reported as text under it.
+ */
+const VERIFY_TOLERANCE = 0.05;
+/** Form XObjects nested deeper than this are not followed. */
+const MAX_FORM_DEPTH = 12;
+const JPEG_QUALITY = 0.92;
+
+/** Filters pdf-lib decodes; PNG and TIFF predictors are undone here. */
+const DECODABLE_FILTERS = ['FlateDecode', 'LZWDecode', 'ASCII85Decode', 'ASCIIHexDecode', 'RunLengthDecode'];
+/** Dictionary entries describing a stream's old encoding, dropped when it is written anew. */
+const ENCODING_KEYS = ['Filter', 'DecodeParms', 'Length', 'DL'];
+/** Marked content properties that repeat the text they enclose. */
+const ALTERNATE_TEXT_KEYS = ['ActualText', 'Alt', 'E'];
+
+const name = (value: string) => PDFName.of(value);
+
+/**
+ * Convert a detection box, normalised to the page as pdf.js shows it, to
+ * the page's user space.  The inverse of pdf.js's viewport: the crop box
+ * is shown turned by the page's /Rotate.
+ */
+export function boxToPdfRect(page: PDFPage, box: Box): PdfRect {
+  const crop = page.getCropBox();
+  const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+  const turned = rotation === 90 || rotation === 270;
+  const viewWidth = turned ? crop.height : crop.width;
+  const viewHeight = turned ? crop.width : crop.height;
+  const toPage = (vx: number, vy: number): [number, number] => {
+    switch (rotation) {
+      case 90:
+        return [crop.x + vy, crop.y + vx];
+      case 180:
+        return [crop.x + crop.width - vx, crop.y + vy];
+      case 270:
+        return [crop.x + crop.width - vy, crop.y + crop.height - vx];
+      default:
+        return [crop.x + vx, crop.y + crop.height - vy];
+    }
+  };
+  const [x1, y1] = toPage(box.x * viewWidth, box.y * viewHeight);
+  const [x2, y2] = toPage((box.x + box.w) * viewWidth, (box.y + box.h) * viewHeight);
+  return { x: Math.min(x1, x2), y: Math.min(y1, y2), w: Math.abs(x2 - x1), h: Math.abs(y2 - y1) };
+}
+
+// ---------------------------------------------------------------------------
+// PDF object helpers
+
+export function numberOf(obj: PDFObject | undefined): number | undefined {
+  return obj instanceof PDFNumber ? obj.asNumber() : undefined;
+}
+
+export function nameOf(obj: PDFObject | undefined): string | undefined {
+  return obj instanceof PDFName ? obj.decodeText() : undefined;
+}
+
+export function numbersOf(obj: PDFObject | undefined): number[] | undefined {
+  if (!(obj instanceof PDFArray)) return undefined;
+  return obj.asArray().map((_, i) => numberOf(obj.lookup(i)) ?? 0);
+}
+
+export function dictOf(obj: PDFObject | undefined): PDFDict | undefined {
+  return obj instanceof PDFDict ? obj : undefined;
+}
+
+/** A stream's filter names and the decode parameters of the last one. */
+function streamFilters(stream: PDFStream): { filters: string[]; parms?: PDFDict } {
+  const filter = stream.dict.lookup(name('Filter'));
+  const parms = stream.dict.lookup(name('DecodeParms'));
+  if (filter instanceof PDFArray) {
+    const filters = filter.asArray().map((_, i) => nameOf(filter.lookup(i)) ?? '');
+    const last = parms instanceof PDFArray ? parms.lookup(parms.size() - 1) : undefined;
+    return { filters, parms: dictOf(last) };
+  }
+  return { filters: filter ? [nameOf(filter) ?? ''] : [], parms: dictOf(parms) };
+}
+
+/** Undo a PNG or TIFF predictor applied before Flate or LZW compression. */
+function undoPredictor(data: Uint8Array, parms: PDFDict | undefined): Uint8Array {
+  const predictor = numberOf(parms?.lookup(name('Predictor'))) ?? 1;
+  if (predictor < 2) return data;
+  const colors = numberOf(parms?.lookup(name('Colors'))) ?? 1;
+  const bitsPerComponent = numberOf(parms?.lookup(name('BitsPerComponent'))) ?? 8;
+  const columns = numberOf(parms?.lookup(name('Columns'))) ?? 1;
+  const pixelBytes = Math.max(1, Math.ceil((colors * bitsPerComponent) / 8));
+  const rowLength = Math.ceil((columns * colors * bitsPerComponent) / 8);
+  if (predictor === 2) {
+    // TIFF predictor 2; only byte-sized samples occur in practice
+    const out = data.slice();
+    if (bitsPerComponent !== 8) return out;
+    for (let row = 0; row < out.length; row += rowLength) {
+      for (let i = pixelBytes; i < rowLength && row + i < out.length; i++) out[row + i] = (out[row + i] + out[row + i - pixelBytes]) & 0xff;
+    }
+    return out;
+  }
+  // PNG predictors: each row starts with its filter type
+  const rows = Math.floor(data.length / (rowLength + 1));
+  const out = new Uint8Array(rows * rowLength);
+  for (let r = 0; r < rows; r++) {
+    const type = data[r * (rowLength + 1)];
+    const source = r * (rowLength + 1) + 1;
+    const target = r * rowLength;
+    for (let i = 0; i < rowLength; i++) {
+      const left = i >= pixelBytes ? out[target + i - pixelBytes] : 0;
+      const up = r > 0 ? out[target - rowLength + i] : 0;
+      const upLeft = r > 0 && i >= pixelBytes ? out[target - rowLength + i - pixelBytes] : 0;
+      let predicted = 0;
+      if (type === 1) predicted = left;
+      else if (type === 2) predicted = up;
+      else if (type === 3) predicted = (left + up) >> 1;
+      else if (type === 4) {
+        const p = left + up - upLeft;
+        const [pa, pb, pc] = [Math.abs(p - left), Math.abs(p - up), Math.abs(p - upLeft)];
+        predicted = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+      }
+      out[target + i] = (data[source + i] + predicted) & 0xff;
+    }
+  }
+  return out;
+}
+
+/** The decoded bytes of a stream. */
+export function readStream(stream: PDFStream): Uint8Array {
+  if (stream instanceof PDFFlateStream) return stream.getUnencodedContents();
+  if (!(stream instanceof PDFRawStream)) return stream.getContents();
+  try {
+    return decodePDFRawStream(stream).decode();
+  } catch (err) {
+    throw new Error(`Cannot decode a PDF stream for redaction: ${(err as Error).message}`);
+  }
+}
+
+/** Replace the stream at `ref` with Flate-compressed `contents`, keeping the other entries of `dict`. */
+function replaceStream(context: PDFContext, ref: PDFRef, contents: Uint8Array, dict: PDFDict): void {
+  const stream = context.flateStream(contents);
+  for (const [key, value] of dict.entries()) {
+    if (!ENCODING_KEYS.includes(key.decodeText())) stream.dict.set(key, value);
+  }
+  context.assign(ref, stream);
+}
+
+// ---------------------------------------------------------------------------
+// Geometry
+
+export interface Bounds {
+  x0: number;
+  y0: number;
+  x1: number;
+  y1: number;
+}
+
+/** Bounding box of a rectangle in some space after transforming it by `m`. */
+export function transformedBounds(m: Matrix, x0: number, y0: number, x1: number, y1: number): Bounds {
+  const points = [transformPoint(m, x0, y0), transformPoint(m, x1, y0), transformPoint(m, x0, y1), transformPoint(m, x1, y1)];
+  const xs = points.map(p => p[0]);
+  const ys = points.map(p => p[1]);
+  return { x0: Math.min(...xs), y0: Math.min(...ys), x1: Math.max(...xs), y1: Math.max(...ys) };
+}
+
+function intersects(bounds: Bounds, rects: PdfRect[]): boolean {
+  return rects.some(r => bounds.x0 < r.x + r.w && bounds.x1 > r.x && bounds.y0 < r.y + r.h && bounds.y1 > r.y);
+}
+
+// ---------------------------------------------------------------------------
+// Font metrics
+
+interface FontMetrics {
+  /** Number of bytes in the character code starting at `bytes[i]` */
+  codeLength(bytes: number[], i: number): number;
+  /** Horizontal displacement of a glyph in text space at font size 1 */
+  width(code: number): number;
+  ascent: number;
+  descent: number;
+}
+
+type StandardFontName = Parameters<typeof StandardFontEmbedder.for>[0];
+
+const DEFAULT_ASCENT = 0.8;
+const DEFAULT_DESCENT = -0.2;
+
+/** Measures text when a font cannot be found or read. */
+const FALLBACK_FONT: FontMetrics = { codeLength: () => 1, width: () => 0.5, ascent: DEFAULT_ASCENT, descent: DEFAULT_DESCENT };
+
+/** The standard 14 font standing in for a font without widths. */
+function standardFontFor(baseFont: string): StandardFontName {
+  const font = baseFont.replace(/^[A-Z]{6}\+/, '');
+  const bold = /bold|black|heavy|semibold/i.test(font);
+  const italic = /italic|oblique/i.test(font);
+  let standard: string;
+  if (/symbol/i.test(font)) {
+    standard = 'Symbol';
+  } else if (/dingbats/i.test(font)) {
+    standard = 'ZapfDingbats';
+  } else if (/courier|mono/i.test(font)) {
+    standard = bold || italic ? `Courier-${bold ? 'Bold' : ''}${italic ? 'Oblique' : ''}` : 'Courier';
+  } else if (/times|roman|serif|georgia|garamond/i.test(font) && !/sans/i.test(font)) {
+    standard = bold && italic ? 'Times-BoldItalic' : bold ? 'Times-Bold' : italic ? 'Times-Italic' : 'Times-Roman';
+  } else {
+    standard = bold || italic ? `Helvetica-${bold ? 'Bold' : ''}${italic ? 'Oblique' : ''}` : 'Helvetica';
+  }
+  return standard as StandardFontName;
+}
+
+/** Widths by character code of a standard 14 font in its built-in encoding, plus glyph widths by name. */
+function standardWidths(baseFont: string): { byCode: Map<number, number>; byName: (glyph: string) => number | undefined } {
+  const embedder = StandardFontEmbedder.for(standardFontFor(baseFont));
+  const byCode = new Map<number, number>();
+  for (const codePoint of embedder.encoding.supportedCodePoints) {
+    const glyph = embedder.encoding.encodeUnicodeCodePoint(codePoint);
+    byCode.set(glyph.code, Number(embedder.font.getWidthOfGlyph(glyph.name) ?? 0) / 1000);
+  }
+  const byName = (glyph: string) => {
+    const width = embedder.font.getWidthOfGlyph(glyph);
+    return typeof width === 'number' ? width / 1000 : undefined;
+  };
+  return { byCode, byName };
+}
+
+function verticalMetrics(descriptor: PDFDict | undefined, scale: number): { ascent: number; descent: number } {
+  const ascent = numberOf(descriptor?.lookup(name('Ascent'))) ?? 0;
+  const descent = numberOf(descriptor?.lookup(name('Descent'))) ?? 0;
+  return { ascent: ascent > 0 ? ascent * scale : DEFAULT_ASCENT, descent: descent < 0 ? descent * scale : DEFAULT_DESCENT };
+}
+
+function simpleFontMetrics(font: PDFDict, subtype: string | undefined): FontMetrics {
+  const descriptor = dictOf(font.lookup(name('FontDescriptor')));
+  // Type 3 glyph space is mapped by the font's own matrix, other fonts use 1/1000
+  const scale = subtype === 'Type3' ? numbersOf(font.lookup(name('FontMatrix')))?.[0] ?? 0.001 : 0.001;
+  const firstChar = numberOf(font.lookup(name('FirstChar'))) ?? 0;
+  const widths = numbersOf(font.lookup(name('Widths')));
+  const missingWidth = numberOf(descriptor?.lookup(name('MissingWidth'))) ?? 0;
+  let fallback: ((code: number) => number | undefined) | undefined;
+  if (!widths) {
+    // The standard 14 fonts may be used without widths
+    const standard = standardWidths(nameOf(font.lookup(name('BaseFont'))) ?? 'Helvetica');
+    const differences = new Map<number, string>();
+    const encoding = dictOf(font.lookup(name('Encoding')));
+    const list = encoding?.lookup(name('Differences'));
+    if (list instanceof PDFArray) {
+      let code = 0;
+      for (let i = 0; i < list.size(); i++) {
+        const value = list.lookup(i);
+        if (value instanceof PDFNumber) code = value.asNumber();
+        else if (value instanceof PDFName) differences.set(code++, value.decodeText());
+      }
+    }
+    fallback = code => {
+      const glyph = differences.get(code);
+      return (glyph !== undefined ? standard.byName(glyph) : undefined) ?? standard.byCode.get(code);
+    };
+  }
+  return {
+    codeLength: () => 1,
+    width: code => {
+      const index = code - firstChar;
+      if (widths && index >= 0 && index < widths.length) return widths[index] * scale;
+      return fallback?.(code) ?? missingWidth * scale;
+    },
+    ...verticalMetrics(descriptor, 0.001)
+  };
+}
+
+/** Byte ranges of the codes an embedded CMap's codespace allows. */
+function codespaceRanges(cmap: PDFStream): Array<{ low: number[]; high: number[] }> {
+  const text = bytesToBinary(readStream(cmap));
+  const ranges: Array<{ low: number[]; high: number[] }> = [];
+  const sections = /begincodespacerange([\s\S]*?)endcodespacerange/g;
+  let section: RegExpExecArray | null;
+  while ((section = sections.exec(text)) !== null) {
+    const pairs = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>/g;
+    let pair: RegExpExecArray | null;
+    while ((pair = pairs.exec(section[1])) !== null) {
+      const bytes = (hex: string) => (hex.match(/../g) ?? []).map(b => parseInt(b, 16));
+      ranges.push({ low: bytes(pair[1]), high: bytes(pair[2]) });
+    }
+  }
+  return ranges;
+}
+
+function compositeFontMetrics(font: PDFDict): FontMetrics {
+  const descendants = font.lookup(name('DescendantFonts'));
+  const descendant = descendants instanceof PDFArray ? dictOf(descendants.lookup(0)) : undefined;
+  const defaultWidth = numberOf(descendant?.lookup(name('DW'))) ?? 1000;
+  const widths = new Map<number, number>();
+  const list = descendant?.lookup(name('W'));
+  if (list instanceof PDFArray) {
+    const items = list.asArray().map((_, i) => list.lookup(i));
+    for (let i = 0; i < items.length; ) {
+      const first = numberOf(items[i]) ?? 0;
+      const next = items[i + 1];
+      if (next instanceof PDFArray) {
+        (numbersOf(next) ?? []).forEach((width, j) => widths.set(first + j, width));
+        i += 2;
+      } else {
+        const last = Math.min(numberOf(next) ?? first, first + 0xffff);
+        const width = numberOf(items[i + 2]) ?? defaultWidth;
+        for (let cid = first; cid <= last; cid++) widths.set(cid, width);
+        i += 3;
+      }
+    }
+  }
+  // Predefined CMaps such as Identity-H use two byte codes
+  const encoding = font.lookup(name('Encoding'));
+  const ranges = encoding instanceof PDFStream ? codespaceRanges(encoding) : [];
+  const codeLength = (bytes: number[], i: number) => {
+    for (let length = 1; length <= 4; length++) {
+      const fits = ranges.some(range => range.low.length === length && range.low.every((low, k) => bytes[i + k] >= low && bytes[i + k] <= range.high[k]));
+      if (fits) return length;
+    }
+    return ranges.length > 0 ? Math.min(...ranges.map(range => range.low.length)) : 2;
+  };
+  // Codes are taken as CIDs, exact for the Identity CMaps most files use
+  return {
+    codeLength,
+    width: cid => (widths.get(cid) ?? defaultWidth) / 1000,
+    ...verticalMetrics(dictOf(descendant?.lookup(name('FontDescriptor'))), 0.001)
+  };
+}
+
+function fontMetrics(font: PDFDict): FontMetrics {
+  const subtype = nameOf(font.lookup(name('Subtype')));
+  return subtype === 'Type0' ? compositeFontMetrics(font) : simpleFontMetrics(font, subtype);
+}
+
+// ---------------------------------------------------------------------------
+// Images
+
+type Region = [number, number, number, number];
+
+/** Pixel rectangles [x0, y0, x1, y1) of a `width` × `height` image drawn with `placement` that lie under a redaction. */
+function pixelRegions(placement: Matrix, width: number, height: number, rects: PdfRect[]): Region[] {
+  const inverse = invert(placement);
+  if (!inverse) return [];
+  const regions: Region[] = [];
+  for (const rect of rects) {
+    const unit = transformedBounds(inverse, rect.x, rect.y, rect.x + rect.w, rect.y + rect.h);
+    const u0 = Math.max(0, unit.x0);
+    const u1 = Math.min(1, unit.x1);
+    const v0 = Math.max(0, unit.y0);
+    const v1 = Math.min(1, unit.y1);
+    if (u0 >= u1 || v0 >= v1) continue;
+    // The image's first row is drawn at the top of the unit square
+    regions.push([Math.floor(u0 * width), Math.floor((1 - v1) * height), Math.ceil(u1 * width), Math.ceil((1 - v0) * height)]);
+  }
+  return regions;
+}
+
+/** Number of colour components and whether their maximum or zero is white. */
+function colourSpaceOf(space: PDFObject | undefined): { components: number; whiteIsMax: boolean } {
+  const family = space instanceof PDFArray ? nameOf(space.lookup(0)) : nameOf(space);
+  switch (family) {
+    case 'DeviceRGB':
+    case 'CalRGB':
+    case 'RGB':
+      return { components: 3, whiteIsMax: true };
+    case 'DeviceCMYK':
+    case 'CMYK':
+      return { components: 4, whiteIsMax: false };
+    case 'Lab':
+      return { components: 3, whiteIsMax: false };
+    case 'ICCBased': {
+      const profile = (space as PDFArray).lookup(1);
+      const components = (profile instanceof PDFStream ? numberOf(profile.dict.lookup(name('N'))) : undefined) ?? 3;
+      return { components, whiteIsMax: components !== 4 };
+    }
+    case 'DeviceN': {
+      const names = (space as PDFArray).lookup(1);
+      return { components: names instanceof PDFArray ? names.size() : 1, whiteIsMax: false };
+    }
+    case 'Indexed':
+    case 'Separation':
+      return { components: 1, whiteIsMax: false };
+    default:
+      return { components: 1, whiteIsMax: true };
+  }
+}
+
+/** Overwrite the samples in `regions` with `values`, one per component. */
+function blankSamples(data: Uint8Array, width: number, height: number, bitsPerComponent: number, values: number[], regions: Region[]): void {
+  const components = values.length;
+  const stride = Math.ceil((width * components * bitsPerComponent) / 8);
+  for (const [x0, y0, x1, y1] of regions) {
+    for (let y = Math.max(0, y0); y < Math.min(height, y1); y++) {
+      for (let x = Math.max(0, x0); x < Math.min(width, x1); x++) {
+        for (let c = 0; c < components; c++) {
+          const value = values[c];
+          const bit = (x * components + c) * bitsPerComponent;
+          const at = y * stride + (bit >> 3);
+          if (at >= data.length) continue;
+          if (bitsPerComponent === 8) {
+            data[at] = value;
+          } else if (bitsPerComponent === 16) {
+            data[at] = value >> 8;
+            if (at + 1 < data.length) data[at + 1] = value & 0xff;
+          } else {
+            for (let b = 0; b < bitsPerComponent; b++) {
+              const mask = 0x80 >> ((bit + b) & 7);
+              const index = y * stride + ((bit + b) >> 3);
+              if ((value >> (bitsPerComponent - 1 - b)) & 1) data[index] |= mask;
+              else data[index] &= ~mask;
+            }
+          }
+        }
+      }
+    }
+  }
+}
+
+interface RedactionRun {
+  context: PDFContext;
+  rects: PdfRect[];
+  report: PdfRedactionReport;
+  fonts: Map<PDFDict, FontMetrics>;
+}
+
+/**
+ * Blank the pixels of the image at `ref` that lie under a redaction.
+ * Images whose encoding cannot be decoded here are replaced by a blank
+ * image of the same size.  Soft masks and stencil masks are blanked too.
+ */
+async function redactImage(run: RedactionRun, ref: PDFRef, placement: Matrix, isMask = false): Promise<void> {
+  const { context, report } = run;
+  const stream = context.lookup(ref);
+  if (!(stream instanceof PDFRawStream)) return;
+  const dict = stream.dict;
+  const width = numberOf(dict.lookup(name('Width'))) ?? 0;
+  const height = numberOf(dict.lookup(name('Height'))) ?? 0;
+  const regions = pixelRegions(placement, width, height, run.rects);
+  if (width <= 0 || height <= 0 || regions.length === 0) return;
+
+  const imageMask = dict.lookup(name('ImageMask')) === PDFBool.True;
+  const decode = numbersOf(dict.lookup(name('Decode')));
+  const bitsPerComponent = imageMask ? 1 : numberOf(dict.lookup(name('BitsPerComponent'))) ?? 8;
+  const max = 2 ** bitsPerComponent - 1;
+  let values: number[];
+  if (imageMask) {
+    // A stencil mask paints where its samples are 0, or 1 with Decode [1 0]
+    values = [decode?.[0] === 1 ? 0 : max];
+  } else {
+    const space = colourSpaceOf(dict.lookup(name('ColorSpace')));
+    values = Array.from({ length: space.components }, (_, c) => {
+      const white = space.whiteIsMax ? max : 0;
+      return decode && decode[2 * c] > decode[2 * c + 1] ? max - white : white;
+    });
+  }
+  const masks = [dict.get(name('SMask')), dict.get(name('Mask'))].filter((mask): mask is PDFRef => mask instanceof PDFRef);
+
+  const { filters, parms } = streamFilters(stream);
+  if (filters.every(filter => DECODABLE_FILTERS.includes(filter))) {
+    const data = undoPredictor(readStream(stream), parms);
+    blankSamples(data, width, height, bitsPerComponent, values, regions);
+    replaceStream(context, ref, data, dict);
+    if (!isMask) report.imagesRedacted++;
+  } else if (filters.length === 1 && filters[0] === 'DCTDecode' && (await redactJpeg(run, ref, stream, regions))) {
+    if (!isMask) report.imagesRedacted++;
+  } else {
+    replaceWithBlankImage(context, ref, dict, width, height, imageMask, decode);
+    if (!isMask) report.imagesReplaced++;
+    return;
+  }
+  for (const mask of masks) await redactImage(run, mask, placement, true);
+}
+
+/** Blank JPEG pixels by decoding and re-encoding the image; false when the runtime cannot decode it. */
+async function redactJpeg(run: RedactionRun, ref: PDFRef, stream: PDFRawStream, regions: Region[]): Promise<boolean> {
+  const environment = getEnvironment();
+  let image;
+  try {
+    image = await environment.decodeImage(stream.contents, 'image/jpeg');
+  } catch (err) {
+    return false;
+  }
+  const pixels = new Uint8Array(image.data.buffer, image.data.byteOffset, image.data.byteLength);
+  blankSamples(pixels, image.width, image.height, 8, [255, 255, 255, 255], regions);
+  const jpeg = await environment.encodeImage(image, 'image/jpeg', JPEG_QUALITY);
+  // Decoding gave RGB, whatever the original colour space
+  const dict = run.context.obj({});
+  for (const [key, value] of stream.dict.entries()) {
+    if (![...ENCODING_KEYS, 'ColorSpace', 'Decode', 'BitsPerComponent'].includes(key.decodeText())) dict.set(key, value);
+  }
+  dict.set(name('Filter'), name('DCTDecode'));
+  dict.set(name('ColorSpace'), name('DeviceRGB'));
+  dict.set(name('BitsPerComponent'), PDFNumber.of(8));
+  run.context.assign(ref, PDFRawStream.of(dict, jpeg));
+  return true;
+}
+
+function replaceWithBlankImage(context: PDFContext, ref: PDFRef, dict: PDFDict, width: number, height: number, imageMask: boolean, decode: number[] | undefined): void {
+  if (imageMask) {
+    const data = new Uint8Array(Math.ceil(width / 8) * height).fill(decode?.[0] === 1 ? 0 : 0xff);
+    const stream = context.flateStream(data, { Type: 'XObject', Subtype: 'Image', Width: width, Height: height, ImageMask: true, BitsPerComponent: 1 });
+    if (decode) stream.dict.set(name('Decode'), dict.get(name('Decode'))!);
+    context.assign(ref, stream);
+    return;
+  }
+  const data = new Uint8Array(width * height).fill(0xff);
+  context.assign(ref, context.flateStream(data, { Type: 'XObject', Subtype: 'Image', Width: width, Height: height, ColorSpace: 'DeviceGray', BitsPerComponent: 8 }));
+}
+
+// ---------------------------------------------------------------------------
+// Content streams
+
+interface GraphicsState {
+  ctm: Matrix;
+  font: FontMetrics;
+  fontSize: number;
+  charSpacing: number;
+  wordSpacing: number;
+  horizontalScale: number;
+  leading: number;
+  rise: number;
+}
+
+const operandNumber = (op: ContentOperation, i: number) => {
+  const token = op.operands[i];
+  return token?.type === 'number' ? token.value : 0;
+};
+
+const operandMatrix = (op: ContentOperation): Matrix => [0, 1, 2, 3, 4, 5].map(i => operandNumber(op, i)) as Matrix;
+
+function fontFor(run: RedactionRun, resources: PDFDict | undefined, fontName: string): FontMetrics {
+  const fonts = dictOf(resources?.lookup(name('Font')));
+  const font = dictOf(fonts?.lookup(name(fontName)));
+  if (!font) return FALLBACK_FONT;
+  let metrics = run.fonts.get(font);
+  if (!metrics) {
+    try {
+      metrics = fontMetrics(font);
+    } catch (err) {
+      metrics = FALLBACK_FONT;
+    }
+    run.fonts.set(font, metrics);
+  }
+  return metrics;
+}
+
+/** True when a BDC operation's properties carry alternate text. */
+function hasAlternateText(op: ContentOperation, resources: PDFDict | undefined): boolean {
+  const properties = op.operands[1];
+  if (properties?.type === 'dict') return properties.entries.some(([key]) => ALTERNATE_TEXT_KEYS.includes(key));
+  if (properties?.type === 'name') {
+    const dict = dictOf(dictOf(resources?.lookup(name('Properties')))?.lookup(name(properties.value)));
+    return !!dict && ALTERNATE_TEXT_KEYS.some(key => dict.has(name(key)));
+  }
+  return false;
+}
+
+/** Drop the alternate text of a BDC operation, which would repeat removed text. */
+function removeAlternateText(op: ContentOperation, resources: PDFDict | undefined): void {
+  const [tag, properties] = op.operands;
+  if (properties?.type === 'dict') {
+    const kept = properties.entries.filter(([key]) => !ALTERNATE_TEXT_KEYS.includes(key));
+    op.raw = `${tag.raw} <<${kept.map(([key, value]) => `/${key} ${value.raw}`).join(' ')}>> BDC`;
+  } else if (properties?.type === 'name') {
+    const dict = dictOf(dictOf(resources?.lookup(name('Properties')))?.lookup(name(properties.value)));
+    for (const key of ALTERNATE_TEXT_KEYS) dict?.delete(name(key));
+  }
+}
+
+/**
+ * Replay a content stream and remove what lies under the run's redactions.
+ * Returns the rewritten stream, or null when nothing in it changed.  Form
+ * XObjects and images the stream draws are redacted where they are stored.
+ */
+async function redactContent(run: RedactionRun, content: string, resources: PDFDict | undefined, ctm: Matrix, depth: number): Promise<string | null> {
+  const operations = parseContentStream(content);
+  const stack: GraphicsState[] = [];
+  let state: GraphicsState = { ctm, font: FALLBACK_FONT, fontSize: 0, charSpacing: 0, wordSpacing: 0, horizontalScale: 1, leading: 0, rise: 0 };
+  let textMatrix = IDENTITY;
+  let lineMatrix = IDENTITY;
+  const marked: Array<{ op: ContentOperation; alternate: boolean }> = [];
+  const stripAlternates = new Set<ContentOperation>();
+  let changed = false;
+
+  const moveLine = (tx: number, ty: number) => {
+    lineMatrix = multiply([1, 0, 0, 1, tx, ty], lineMatrix);
+    textMatrix = lineMatrix;
+  };
+
+  /** Show strings and adjustments, returning the TJ items to keep and whether any glyph went. */
+  const showText = (items: Token[]): { kept: Array<number[] | number>; removed: boolean } => {
+    const { font, fontSize, charSpacing, wordSpacing, horizontalScale, rise } = state;
+    const kept: Array<number[] | number> = [];
+    let removed = false;
+    const keep = (item: number[] | number) => {
+      const last = kept[kept.length - 1];
+      if (typeof item === 'number' && typeof last === 'number') kept[kept.length - 1] = last + item;
+      else if (typeof item !== 'number' && Array.isArray(last)) last.push(...item);
+      else kept.push(typeof item === 'number' ? item : [...item]);
+    };
+    for (const item of items) {
+      if (item.type === 'number') {
+        textMatrix = multiply([1, 0, 0, 1, (-item.value / 1000) * fontSize * horizontalScale, 0], textMatrix);
+        keep(item.value);
+        continue;
+      }
+      if (item.type !== 'string') continue;
+      const bytes = item.bytes;
+      for (let i = 0; i < bytes.length; ) {
+        const length = Math.max(1, Math.min(font.codeLength(bytes, i), bytes.length - i));
+        const codeBytes = bytes.slice(i, i + length);
+        const code = codeBytes.reduce((value, byte) => value * 256 + byte, 0);
+        i += length;
+        const glyphWidth = font.width(code) * fontSize;
+        const advance = (glyphWidth + charSpacing + (length === 1 && code === 32 ? wordSpacing : 0)) * horizontalScale;
+        // At least as tall as the text layer measures glyphs, so all verification sees is removed
+        const glyph = transformedBounds(
+          multiply(textMatrix, state.ctm),
+          0,
+          rise + Math.min(font.descent, -DESCENT_RATIO) * fontSize,
+          glyphWidth * horizontalScale,
+          rise + Math.max(font.ascent, 1) * fontSize
+        );
+        if (fontSize * horizontalScale !== 0 && intersects(glyph, run.rects)) {
+          keep((-advance * 1000) / (fontSize * horizontalScale));
+          removed = true;
+          run.report.glyphsRemoved++;
+        } else {
+          keep(codeBytes);
+        }
+        textMatrix = multiply([1, 0, 0, 1, advance, 0], textMatrix);
+      }
+    }
+    return { kept, removed };
+  };
+
+  for (const op of operations) {
+    switch (op.operator) {
+      case 'q':
+        stack.push({ ...state });
+        break;
+      case 'Q':
+        state = stack.pop() ?? state;
+        break;
+      case 'cm':
+        state.ctm = multiply(operandMatrix(op), state.ctm);
+        break;
+      case 'BT':
+        textMatrix = lineMatrix = IDENTITY;
+        break;
+      case 'Tf': {
+        const fontName = op.operands[0];
+        state.font = fontName?.type === 'name' ? fontFor(run, resources, fontName.value) : FALLBACK_FONT;
+        state.fontSize = operandNumber(op, 1);
+        break;
+      }
+      case 'Tc':
+        state.charSpacing = operandNumber(op, 0);
+        break;
+      case 'Tw':
+        state.wordSpacing = operandNumber(op, 0);
+        break;
+      case 'Tz':
+        state.horizontalScale = operandNumber(op, 0) / 100;
+        break;
+      case 'TL':
+        state.leading = operandNumber(op, 0);
+        break;
+      case 'Ts':
+        state.rise = operandNumber(op, 0);
+        break;
+      case 'Td':
+        moveLine(operandNumber(op, 0), operandNumber(op, 1));
+        break;
+      case 'TD':
+        state.leading = -operandNumber(op, 1);
+        moveLine(operandNumber(op, 0), operandNumber(op, 1));
+        break;
+      case 'Tm':
+        textMatrix = lineMatrix = operandMatrix(op);
+        break;
+      case 'T*':
+        moveLine(0, -state.leading);
+        break;
+      case 'Tj':
+      case 'TJ':
+      case "'":
+      case '"': {
+        let prefix = '';
+        if (op.operator === '"') {
+          state.wordSpacing = operandNumber(op, 0);
+          state.charSpacing = operandNumber(op, 1);
+          prefix = `${op.operands[0].raw} Tw ${op.operands[1].raw} Tc `;
+        }
+        if (op.operator === "'" || op.operator === '"') {
+          moveLine(0, -state.leading);
+          prefix += 'T* ';
+        }
+        const shown = op.operands[op.operands.length - 1];
+        const items = shown?.type === 'array' ? shown.items : shown ? [shown] : [];
+        const { kept, removed } = showText(items);
+        if (removed) {
+          op.raw = `${prefix}[${kept.map(item => (typeof item === 'number' ? formatNumber(item) : hexString(item))).join(' ')}] TJ`;
+          for (const entry of marked) if (entry.alternate) stripAlternates.add(entry.op);
+          changed = true;
+        }
+        break;
+      }
+      case 'BMC':
+        marked.push({ op, alternate: false });
+        break;
+      case 'BDC':
+        marked.push({ op, alternate: hasAlternateText(op, resources) });
+        break;
+      case 'EMC':
+        marked.pop();
+        break;
+      case 'BI':
+        if (intersects(transformedBounds(state.ctm, 0, 0, 1, 1), run.rects)) {
+          op.raw = '';
+          run.report.inlineImagesRemoved++;
+          changed = true;
+        }
+        break;
+      case 'Do': {
+        const xobjectName = op.operands[0];
+        if (xobjectName?.type === 'name') await paintXObject(run, resources, xobjectName.value, state.ctm, depth);
+        break;
+      }
+    }
+  }
+  for (const op of stripAlternates) {
+    removeAlternateText(op, resources);
+    changed = true;
+  }
+  return changed ? serializeContentStream(operations.filter(op => op.raw)) : null;
+}
+
+async function paintXObject(run: RedactionRun, resources: PDFDict | undefined, xobjectName: string, ctm: Matrix, depth: number): Promise<void> {
+  const ref = dictOf(resources?.lookup(name('XObject')))?.get(name(xobjectName));
+  if (!(ref instanceof PDFRef)) return;
+  const xobject = run.context.lookup(ref);
+  if (!(xobject instanceof PDFStream)) return;
+  const subtype = nameOf(xobject.dict.lookup(name('Subtype')));
+  if (subtype === 'Image') {
+    if (intersects(transformedBounds(ctm, 0, 0, 1, 1), run.rects)) await redactImage(run, ref, ctm);
+    return;
+  }
+  if (subtype !== 'Form' || depth >= MAX_FORM_DEPTH) return;
+  const formCtm = multiply((numbersOf(xobject.dict.lookup(name('Matrix'))) as Matrix | undefined) ?? IDENTITY, ctm);
+  const bbox = numbersOf(xobject.dict.lookup(name('BBox')));
+  if (bbox && !intersects(transformedBounds(formCtm, bbox[0], bbox[1], bbox[2], bbox[3]), run.rects)) return;
+  const formResources = dictOf(xobject.dict.lookup(name('Resources'))) ?? resources;
+  const content = await redactContent(run, bytesToBinary(readStream(xobject)), formResources, formCtm, depth + 1);
+  if (content !== null) replaceStream(run.context, ref, binaryToBytes(content), xobject.dict);
+}
+
+// ---------------------------------------------------------------------------
+// Pages and documents
+
+/** Remove annotations under a redaction, with their form field values and popups. */
+function redactAnnotations(page: PDFPage, rects: PdfRect[], report: PdfRedactionReport): void {
+  const annots = page.node.Annots();
+  if (!annots) return;
+  const removed = new Set<PDFObject>();
+  for (let i = annots.size() - 1; i >= 0; i--) {
+    const annot = dictOf(annots.lookup(i));
+    const rect = numbersOf(annot?.lookup(name('Rect')));
+    if (!annot || !rect || rect.length < 4) continue;
+    const bounds = { x0: Math.min(rect[0], rect[2]), y0: Math.min(rect[1], rect[3]), x1: Math.max(rect[0], rect[2]), y1: Math.max(rect[1], rect[3]) };
+    if (!intersects(bounds, rects)) continue;
+    removed.add(annots.get(i));
+    removed.add(annot);
+    annots.remove(i);
+    report.annotationsRemoved++;
+    if (nameOf(annot.lookup(name('Subtype'))) === 'Widget') {
+      // The field value may also sit on the widget's parent field
+      for (const field of [annot, dictOf(annot.lookup(name('Parent')))]) {
+        field?.delete(name('V'));
+        field?.delete(name('AP'));
+      }
+    }
+  }
+  // Popups show their parent annotation's contents
+  for (let i = annots.size() - 1; i >= 0; i--) {
+    const annot = dictOf(annots.lookup(i));
+    const parent = annot?.get(name('Parent'));
+    if (annot && nameOf(annot.lookup(name('Subtype'))) === 'Popup' && parent && (removed.has(parent) || removed.has(annot.lookup(name('Parent'))!))) {
+      annots.remove(i);
+      report.annotationsRemoved++;
+    }
+  }
+}
+
+/**
+ * A page's content as one binary string, with the refs of the streams it
+ * was read from.  A page's content may be split over several streams at
+ * any token boundary.  Null when the page has no content.
+ */
+export function readPageContent(page: PDFPage): { refs: PDFRef[]; content: string } | null {
+  const context = page.doc.context;
+  const entry = page.node.get(name('Contents'));
+  const contents = entry instanceof PDFRef ? context.lookup(entry) : entry;
+  const refs = contents instanceof PDFArray ? contents.asArray().filter((ref): ref is PDFRef => ref instanceof PDFRef) : entry instanceof PDFRef ? [entry] : [];
+  if (refs.length === 0) return null;
+  return { refs, content: refs.map(ref => bytesToBinary(readStream(context.lookup(ref, PDFStream)))).join('\n') };
+}
+
+/** Replace a page's content streams `refs` with one stream holding `content`. */
+export function writePageContent(page: PDFPage, refs: PDFRef[], content: string): void {
+  const context = page.doc.context;
+  context.assign(refs[0], context.flateStream(binaryToBytes(content)));
+  page.node.set(name('Contents'), refs[0]);
+}
+
+/**
+ * Remove the text, image pixels, inline images and annotations under
+ * `rects` from a page.  Objects are rewritten in place, so the page must
+ * not share them with other pages, as is the case for a page copied on its
+ * own with `copyPages`.
+ */
+export async function redactPdfPage(page: PDFPage, rects: PdfRect[], report: PdfRedactionReport): Promise<void> {
+  if (rects.length === 0) return;
+  const context = page.doc.context;
+  const run: RedactionRun = { context, rects, report, fonts: new Map() };
+  const contents = readPageContent(page);
+  if (contents) {
+    const redacted = await redactContent(run, contents.content, page.node.Resources(), IDENTITY, 0);
+    if (redacted !== null) writePageContent(page, contents.refs, redacted);
+  }
+  redactAnnotations(page, rects, report);
+}
+
+/**
+ * Delete the objects no longer reachable from the document's trailer, such
+ * as the original content streams redaction replaced, so they are not
+ * written to the saved file.
+ */
+export function removeUnreachableObjects(doc: PDFDocument): void {
+  const { context } = doc;
+  const { Root, Info, Encrypt } = context.trailerInfo;
+  const reachable = new Set<PDFRef>();
+  const pending: PDFObject[] = [Root, Info, Encrypt].filter((obj): obj is PDFObject => !!obj);
+  while (pending.length > 0) {
+    const obj = pending.pop()!;
+    if (obj instanceof PDFRef) {
+      if (reachable.has(obj)) continue;
+      reachable.add(obj);
+      const target = context.lookup(obj);
+      if (target) pending.push(target);
+    } else if (obj instanceof PDFDict) {
+      for (const [, value] of obj.entries()) pending.push(value);
+    } else if (obj instanceof PDFArray) {
+      pending.push(...obj.asArray());
+    } else if (obj instanceof PDFStream) {
+      pending.push(obj.dict);
+    }
+  }
+  for (const [ref] of context.enumerateIndirectObjects()) {
+    if (!reachable.has(ref)) context.delete(ref);
+  }
+}
+
+/**
+ * Text a saved PDF still paints under a redaction: runs of glyphs reaching
+ * into one of the page's rectangles (in default user space, as the overlays
+ * were drawn).  Empty when redaction removed everything it should have.
+ */
+export async function findTextUnderRedactions(bytes: Uint8Array, rectsByPage: Map<number, PdfRect[]>): Promise<string[]> {
+  const loadingTask = pdfjsLib.getDocument({ data: bytes.slice() });
+  const pdf = await loadingTask.promise;
+  const found: string[] = [];
+  try {
+    for (const [pageIndex, rects] of rectsByPage) {
+      const page = await pdf.getPage(pageIndex + 1);
+      const viewport = page.getViewport({ scale: 1 });
+      const boxes = rects.map(r => viewport.convertToViewportRectangle([r.x, r.y, r.x + r.w, r.y + r.h]));
+      let run = '';
+      for (const glyph of await placeGlyphs(page, viewport)) {
+        const under = /\S/.test(glyph.text) && boxes.some(([ax, ay, bx, by]) =>
+          Math.min(glyph.maxX, Math.max(ax, bx)) - Math.max(glyph.minX, Math.min(ax, bx)) > VERIFY_TOLERANCE &&
+          Math.min(glyph.maxY, Math.max(ay, by)) - Math.max(glyph.minY, Math.min(ay, by)) > VERIFY_TOLERANCE
+        );
+        if (under) {
+          run += glyph.text;
+        } else if (run) {
+          found.push(run);
+          run = '';
+        }
+      }
+      if (run) found.push(run);
+    }
+  } finally {
+    await loadingTask.destroy();
+  }
+  return found;
+}
@@ -0,0 +1,437 @@
+import {
+  PDFArray,
+  PDFDict,
+  PDFDocument,
+  PDFHexString,
+  PDFName,
+  PDFObject,
+  PDFPage,
+  PDFRawStream,
+  PDFRef,
+  PDFStream,
+  PDFString,
+  concatTransformationMatrix,
+  drawObject,
+  popGraphicsState,
+  pushGraphicsState
+} from 'pdf-lib';
+import type { DocumentSanitizationOptions, PdfMetadataReport, SanitizationReport } from '../types';
+import { IDENTITY, bytesToBinary, parseContentStream, serializeContentStream } from './contentStream';
+import type { Matrix } from './contentStream';
+import { dictOf, nameOf, numberOf, numbersOf, readPageContent, transformedBounds, writePageContent } from './pdfRedact';
+
+/*
+ * Document sanitisation for PDF output.  Pages are copied into a new
+ * document, so the source's catalog – its document JavaScript, embedded
+ * file list, form and layer definitions, output intents – is never carried
+ * over; what it held is counted so the report says what was left behind.
+ * What travels with a page (annotations, form widgets, actions, optional
+ * content markers, ICC profiles, JPEG metadata) is removed here.  The
+ * output is always written out in full, so no revision appended to the
+ * source by an incremental save survives.
+ */
+
+const name = (value: string) => PDFName.of(value);
+
+/** Annotation flag: the annotation is not shown. */
+const HIDDEN_FLAG = 2;
+/** JPEG segments that carry metadata rather than image data: APP1 (Exif, XMP), APP13 (Photoshop IPTC) and comments. */
+const JPEG_METADATA_MARKERS = [0xe1, 0xed, 0xfe];
+/** Length in bytes of a generated file identifier. */
+const DOCUMENT_ID_LENGTH = 16;
+
+/** The [key, value] pairs of a name tree. */
+export function nameTreeEntries(tree: PDFObject | undefined, depth = 0): Array<[string, PDFObject]> {
+  const node = dictOf(tree);
+  if (!node || depth > 32) return [];
+  const entries: Array<[string, PDFObject]> = [];
+  const names = node.lookup(name('Names'));
+  if (names instanceof PDFArray) {
+    for (let i = 0; i + 1 < names.size(); i += 2) {
+      const key = names.lookup(i);
+      entries.push([key instanceof PDFString || key instanceof PDFHexString ? key.decodeText() : String(key), names.lookup(i + 1)]);
+    }
+  }
+  const kids = node.lookup(name('Kids'));
+  if (kids instanceof PDFArray) {
+    for (let i = 0; i < kids.size(); i++) entries.push(...nameTreeEntries(kids.lookup(i), depth + 1));
+  }
+  return entries;
+}
+
+/** True when an action, or any action chained after it with /Next, runs JavaScript. */
+export function runsJavaScript(action: PDFObject | undefined, depth = 0): boolean {
+  const dict = dictOf(action);
+  if (!dict || depth > 32) return false;
+  if (nameOf(dict.lookup(name('S'))) === 'JavaScript') return true;
+  const next = dict.lookup(name('Next'));
+  if (next instanceof PDFArray) return next.asArray().some((_, i) => runsJavaScript(next.lookup(i), depth + 1));
+  return runsJavaScript(next, depth + 1);
+}
+
+/** Delete the JavaScript actions of a page or annotation; returns how many went. */
+function removeActions(dict: PDFDict): number {
+  let removed = 0;
+  if (runsJavaScript(dict.lookup(name('A')))) {
+    dict.delete(name('A'));
+    removed++;
+  }
+  const triggers = dictOf(dict.lookup(name('AA')));
+  if (triggers) {
+    for (const [key, action] of triggers.entries()) {
+      if (runsJavaScript(triggers.context.lookup(action))) {
+        triggers.delete(key);
+        removed++;
+      }
+    }
+    if (triggers.entries().length === 0) dict.delete(name('AA'));
+  }
+  return removed;
+}
+
+function annotationsOf(page: PDFPage): PDFArray | undefined {
+  return page.node.Annots();
+}
+
+/** Remove the page's annotations for which `test` holds; returns how many went. */
+function removeAnnotationsWhere(page: PDFPage, test: (annot: PDFDict) => boolean): number {
+  const annots = annotationsOf(page);
+  if (!annots) return 0;
+  let removed = 0;
+  for (let i = annots.size() - 1; i >= 0; i--) {
+    const annot = dictOf(annots.lookup(i));
+    if (annot && test(annot)) {
+      annots.remove(i);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Draw a widget's current appearance into the page content, so the field
+ * looks as it did once the widget is gone.  False when it has none.
+ */
+function flattenWidget(page: PDFPage, widget: PDFDict): boolean {
+  const flags = numberOf(widget.lookup(name('F'))) ?? 0;
+  const rect = numbersOf(widget.lookup(name('Rect')));
+  const appearances = dictOf(widget.lookup(name('AP')));
+  let normal = appearances?.get(name('N'));
+  // Check boxes and radio buttons keep one appearance per state
+  const states = dictOf(appearances?.lookup(name('N')));
+  if (states) {
+    const state = nameOf(widget.lookup(name('AS')));
+    normal = state ? states.get(name(state)) : undefined;
+  }
+  const context = page.doc.context;
+  const stream = normal instanceof PDFRef ? context.lookup(normal) : normal;
+  if (flags & HIDDEN_FLAG || !rect || rect.length < 4 || !(stream instanceof PDFStream)) return false;
+  const bbox = numbersOf(stream.dict.lookup(name('BBox')));
+  if (!bbox || bbox.length < 4) return false;
+  const matrix = (numbersOf(stream.dict.lookup(name('Matrix'))) as Matrix | undefined) ?? IDENTITY;
+  // Map the transformed bounding box onto the widget's rectangle
+  const box = transformedBounds(matrix, bbox[0], bbox[1], bbox[2], bbox[3]);
+  const [x0, y0, x1, y1] = [Math.min(rect[0], rect[2]), Math.min(rect[1], rect[3]), Math.max(rect[0], rect[2]), Math.max(rect[1], rect[3])];
+  if (box.x1 <= box.x0 || box.y1 <= box.y0) return false;
+  const sx = (x1 - x0) / (box.x1 - box.x0);
+  const sy = (y1 - y0) / (box.y1 - box.y0);
+  stream.dict.set(name('Type'), name('XObject'));
+  stream.dict.set(name('Subtype'), name('Form'));
+  const ref = normal instanceof PDFRef ? normal : context.register(stream);
+  const xobject = page.node.newXObject('FlatField', ref);
+  page.pushOperators(
+    pushGraphicsState(),
+    concatTransformationMatrix(sx, 0, 0, sy, x0 - box.x0 * sx, y0 - box.y0 * sy),
+    drawObject(xobject),
+    popGraphicsState()
+  );
+  return true;
+}
+
+/** Names of the optional content groups the source document hides by default. */
+function hiddenLayerNames(source: PDFDocument): Set<string> {
+  const hidden = new Set<string>();
+  const properties = dictOf(source.catalog.lookup(name('OCProperties')));
+  const off = dictOf(properties?.lookup(name('D')))?.lookup(name('OFF'));
+  if (off instanceof PDFArray) {
+    for (let i = 0; i < off.size(); i++) {
+      const group = dictOf(off.lookup(i));
+      const title = group?.lookup(name('Name'));
+      if (title) hidden.add(title.toString());
+    }
+  }
+  return hidden;
+}
+
+/** Whether optional content (a group or membership dictionary) is hidden by default. */
+function isHiddenContent(content: PDFDict | undefined, hidden: Set<string>): boolean {
+  if (!content) return false;
+  if (nameOf(content.lookup(name('Type'))) !== 'OCMD') {
+    const title = content.lookup(name('Name'));
+    return !!title && hidden.has(title.toString());
+  }
+  // Membership dictionaries default to visible when any of their groups is
+  const groups = content.lookup(name('OCGs'));
+  const list = groups instanceof PDFArray ? groups.asArray().map((_, i) => dictOf(groups.lookup(i))) : [dictOf(groups)];
+  return list.length > 0 && list.every(group => isHiddenContent(group, hidden));
+}
+
+/**
+ * Collapse a page's optional content: content in layers hidden by default
+ * is dropped, the rest stays unconditionally visible, and the layer
+ * markers are removed.  Returns the number of layer sections collapsed.
+ */
+function flattenPageLayers(page: PDFPage, hidden: Set<string>): number {
+  const resources = page.node.Resources();
+  const properties = dictOf(resources?.lookup(name('Properties')));
+  let collapsed = 0;
+  const contents = readPageContent(page);
+  if (contents) {
+    const operations = parseContentStream(contents.content);
+    const stack: Array<'hidden' | 'layer' | 'other'> = [];
+    let hiddenDepth = 0;
+    for (const op of operations) {
+      if (op.operator === 'BDC' && op.operands[0]?.type === 'name' && op.operands[0].value === 'OC') {
+        const tag = op.operands[1];
+        const group = tag?.type === 'name' ? dictOf(properties?.lookup(name(tag.value))) : undefined;
+        const hide = hiddenDepth > 0 || isHiddenContent(group, hidden);
+        stack.push(hide ? 'hidden' : 'layer');
+        if (hide) hiddenDepth++;
+        op.raw = '';
+        collapsed++;
+      } else if (op.operator === 'BDC' || op.operator === 'BMC') {
+        stack.push('other');
+        if (hiddenDepth > 0) op.raw = '';
+      } else if (op.operator === 'EMC') {
+        const section = stack.pop();
+        if (section !== 'other' || hiddenDepth > 0) op.raw = '';
+        if (section === 'hidden') hiddenDepth--;
+      } else if (hiddenDepth > 0) {
+        // Hidden content paints nothing, but the state it sets still applies
+        if (/^(S|s|f|F|f\*|B|B\*|b|b\*)$/.test(op.operator)) op.raw = 'n';
+        else if (op.operator === "'") op.raw = 'T*';
+        else if (op.operator === '"') op.raw = `${op.operands[0]?.raw ?? 0} Tw ${op.operands[1]?.raw ?? 0} Tc T*`;
+        else if (/^(Tj|TJ|Do|sh|BI)$/.test(op.operator)) op.raw = '';
+      }
+    }
+    if (collapsed > 0) writePageContent(page, contents.refs, serializeContentStream(operations.filter(op => op.raw)));
+  }
+  // Optional content on XObjects and annotations
+  const xobjects = dictOf(resources?.lookup(name('XObject')));
+  for (const [key, value] of xobjects?.entries() ?? []) {
+    const xobject = page.doc.context.lookup(value);
+    if (!(xobject instanceof PDFStream) || !xobject.dict.has(name('OC'))) continue;
+    const hide = isHiddenContent(dictOf(xobject.dict.lookup(name('OC'))), hidden);
+    xobject.dict.delete(name('OC'));
+    collapsed++;
+    // An empty form in its place draws nothing
+    if (hide) xobjects!.set(key, page.doc.context.register(page.doc.context.flateStream('', { Type: 'XObject', Subtype: 'Form', BBox: [0, 0, 0, 0] })));
+  }
+  collapsed += removeAnnotationsWhere(page, annot => annot.has(name('OC')) && isHiddenContent(dictOf(annot.lookup(name('OC'))), hidden));
+  for (let i = 0; i < (annotationsOf(page)?.size() ?? 0); i++) {
+    const annot = dictOf(annotationsOf(page)!.lookup(i));
+    if (annot?.has(name('OC'))) {
+      annot.delete(name('OC'));
+      collapsed++;
+    }
+  }
+  // The layer definitions are not part of the output
+  for (const [key, value] of properties?.entries() ?? []) {
+    const type = nameOf(dictOf(page.doc.context.lookup(value))?.lookup(name('Type')));
+    if (type === 'OCG' || type === 'OCMD') properties!.delete(key);
+  }
+  return collapsed;
+}
+
+/** Strip Exif, XMP, IPTC and comment segments from a JPEG; null when there are none. */
+function stripJpegMetadata(jpeg: Uint8Array): Uint8Array | null {
+  if (jpeg[0] !== 0xff || jpeg[1] !== 0xd8) return null;
+  const kept: Uint8Array[] = [jpeg.subarray(0, 2)];
+  let stripped = false;
+  let pos = 2;
+  while (pos + 4 <= jpeg.length && jpeg[pos] === 0xff) {
+    const marker = jpeg[pos + 1];
+    // Entropy-coded data follows the start of scan; the rest is kept as is
+    if (marker === 0xda) break;
+    const length = (jpeg[pos + 2] << 8) | jpeg[pos + 3];
+    if (JPEG_METADATA_MARKERS.includes(marker)) stripped = true;
+    else kept.push(jpeg.subarray(pos, pos + 2 + length));
+    pos += 2 + length;
+  }
+  if (!stripped) return null;
+  kept.push(jpeg.subarray(pos));
+  const out = new Uint8Array(kept.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of kept) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+/** The device colour space standing in for an ICC based one, by number of components. */
+function deviceSpaceFor(space: PDFObject | undefined, profiles: Set<PDFObject>): PDFName | undefined {
+  if (!(space instanceof PDFArray) || nameOf(space.lookup(0)) !== 'ICCBased') return undefined;
+  const profile = space.lookup(1);
+  if (!(profile instanceof PDFStream)) return undefined;
+  profiles.add(profile);
+  const components = numberOf(profile.dict.lookup(name('N')));
+  return name(components === 1 ? 'DeviceGray' : components === 4 ? 'DeviceCMYK' : 'DeviceRGB');
+}
+
+/** Replace every ICC based colour space in the document by its device equivalent; returns the number of profiles dropped. */
+function removeColorProfiles(doc: PDFDocument): number {
+  const { context } = doc;
+  const profiles = new Set<PDFObject>();
+  const visit = (obj: PDFObject, depth: number): void => {
+    if (depth > 64) return;
+    if (obj instanceof PDFDict) {
+      for (const [key, value] of obj.entries()) {
+        const device = deviceSpaceFor(context.lookup(value), profiles);
+        if (device) obj.set(key, device);
+        else if (!(value instanceof PDFRef)) visit(value, depth + 1);
+      }
+    } else if (obj instanceof PDFArray) {
+      for (let i = 0; i < obj.size(); i++) {
+        const value = obj.get(i);
+        const device = deviceSpaceFor(context.lookup(value), profiles);
+        if (device) obj.set(i, device);
+        else if (!(value instanceof PDFRef)) visit(value, depth + 1);
+      }
+    } else if (obj instanceof PDFStream) {
+      visit(obj.dict, depth + 1);
+    }
+  };
+  for (const [, obj] of context.enumerateIndirectObjects()) {
+    // A colour space array stored on its own is replaced where it is referenced
+    if (!(obj instanceof PDFArray && nameOf(obj.lookup(0)) === 'ICCBased')) visit(obj, 0);
+  }
+  return profiles.size;
+}
+
+/**
+ * Apply the page-level sanitisation `options` to a page copied into the
+ * output document.  Call before anything is drawn on the page.
+ */
+export function sanitizePdfPage(page: PDFPage, source: PDFDocument, options: DocumentSanitizationOptions, report: SanitizationReport): void {
+  const add = (option: keyof SanitizationReport, count: number) => {
+    report[option] = (report[option] ?? 0) + count;
+  };
+  if (options.removeJavaScript) {
+    let removed = removeActions(page.node);
+    const annots = annotationsOf(page);
+    for (let i = 0; i < (annots?.size() ?? 0); i++) {
+      const annot = dictOf(annots!.lookup(i));
+      if (annot) removed += removeActions(annot);
+    }
+    add('removeJavaScript', removed);
+  }
+  if (options.removeEmbeddedFiles) {
+    add('removeEmbeddedFiles', removeAnnotationsWhere(page, annot => nameOf(annot.lookup(name('Subtype'))) === 'FileAttachment'));
+  }
+  if (options.removeFormFields) {
+    // Fields are flattened: their current appearance becomes page content
+    add('removeFormFields', removeAnnotationsWhere(page, annot => {
+      if (nameOf(annot.lookup(name('Subtype'))) !== 'Widget') return false;
+      flattenWidget(page, annot);
+      return true;
+    }));
+  }
+  if (options.flattenLayers) {
+    add('flattenLayers', flattenPageLayers(page, hiddenLayerNames(source)));
+  }
+  if (options.removeAnnotations) {
+    add('removeAnnotations', annotationsOf(page)?.size() ?? 0);
+    page.node.delete(name('Annots'));
+  }
+}
+
+/**
+ * Apply the document-level sanitisation `options` once every page has been
+ * copied into `output`, and count what `source` held that the output leaves
+ * behind.
+ */
+export function sanitizePdfDocument(source: PDFDocument, output: PDFDocument, options: DocumentSanitizationOptions, report: SanitizationReport): void {
+  const add = (option: keyof SanitizationReport, count: number) => {
+    report[option] = (report[option] ?? 0) + count;
+  };
+  const catalog = source.catalog;
+  const names = dictOf(catalog.lookup(name('Names')));
+  if (options.removeJavaScript) {
+    add('removeJavaScript', nameTreeEntries(names?.lookup(name('JavaScript'))).length + (runsJavaScript(catalog.lookup(name('OpenAction'))) ? 1 : 0));
+    const triggers = dictOf(catalog.lookup(name('AA')));
+    for (const [, action] of triggers?.entries() ?? []) {
+      if (runsJavaScript(source.context.lookup(action))) add('removeJavaScript', 1);
+    }
+  }
+  if (options.removeEmbeddedFiles) {
+    add('removeEmbeddedFiles', nameTreeEntries(names?.lookup(name('EmbeddedFiles'))).length);
+  }
+  if (options.flattenLayers) {
+    const groups = dictOf(catalog.lookup(name('OCProperties')))?.lookup(name('OCGs'));
+    add('flattenLayers', groups instanceof PDFArray ? groups.size() : 0);
+  }
+  if (options.removeColorProfiles) {
+    const intents = catalog.lookup(name('OutputIntents'));
+    add('removeColorProfiles', removeColorProfiles(output) + (intents instanceof PDFArray ? intents.size() : 0));
+  }
+  if (options.removeExif) {
+    let stripped = 0;
+    for (const [ref, obj] of output.context.enumerateIndirectObjects()) {
+      if (!(obj instanceof PDFRawStream) || nameOf(obj.dict.lookup(name('Filter'))) !== 'DCTDecode') continue;
+      const jpeg = stripJpegMetadata(obj.contents);
+      if (!jpeg) continue;
+      const dict = output.context.obj({});
+      for (const [key, value] of obj.dict.entries()) if (key.decodeText() !== 'Length') dict.set(key, value);
+      output.context.assign(ref, PDFRawStream.of(dict, jpeg));
+      stripped++;
+    }
+    add('removeExif', stripped);
+  }
+}
+
+/** Number of revisions incremental saves appended to a PDF after its first. */
+export function countAppendedRevisions(bytes: Uint8Array): number {
+  const text = bytesToBinary(bytes);
+  const sections = (text.match(/startxref/g) ?? []).length;
+  // A linearised file carries a first-page cross-reference section of its own
+  const linearised = /\/Linearized\s/.test(text.slice(0, 1024)) ? 1 : 0;
+  return Math.max(0, sections - 1 - linearised);
+}
+
+/**
+ * Remove the document metadata: the source's Info dictionary and XMP
+ * streams are not carried over, XMP streams and private application data
+ * (/PieceInfo) are deleted from every page, image and form in `output`,
+ * and the output gets a newly generated file identifier.  `output` must
+ * have been created without an Info dictionary of its own.
+ */
+export function scrubPdfMetadata(source: PDFDocument, sourceBytes: Uint8Array, output: PDFDocument): PdfMetadataReport {
+  const info = dictOf(source.context.lookup(source.context.trailerInfo.Info));
+  const report: PdfMetadataReport = {
+    info: info ? info.keys().map(key => key.decodeText()) : [],
+    xmpStreams: source.catalog.has(name('Metadata')) ? 1 : 0,
+    pieceInfo: source.catalog.has(name('PieceInfo')) ? 1 : 0,
+    revisionsDiscarded: countAppendedRevisions(sourceBytes),
+    documentId: ''
+  };
+  for (const [, obj] of output.context.enumerateIndirectObjects()) {
+    const dict = obj instanceof PDFStream ? obj.dict : obj instanceof PDFDict ? obj : undefined;
+    if (!dict) continue;
+    if (dict.has(name('Metadata'))) {
+      dict.delete(name('Metadata'));
+      report.xmpStreams++;
+    }
+    if (dict.has(name('PieceInfo'))) {
+      dict.delete(name('PieceInfo'));
+      report.pieceInfo++;
+    }
+    // Only meaningful beside /PieceInfo, and a timestamp of its own
+    dict.delete(name('LastModified'));
+  }
+  output.context.trailerInfo.Info = undefined;
+  const id = Array.from(crypto.getRandomValues(new Uint8Array(DOCUMENT_ID_LENGTH)), b => b.toString(16).padStart(2, '0')).join('');
+  output.context.trailerInfo.ID = output.context.obj([PDFHexString.of(id), PDFHexString.of(id)]);
+  report.documentId = id;
+  return report;
+}
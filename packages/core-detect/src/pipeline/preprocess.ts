@@ -0,0 +1,375 @@
+import type { Box, PreprocessOptions, RasterImage } from '../types';
+
+/*
+ * Image clean‑up before OCR.  Phone photos of paper forms arrive rotated,
+ * skewed a few degrees, with wide margins or in dark mode, and Tesseract's
+ * accuracy drops sharply on all of them.  Each step here works on plain
+ * RGBA buffers and records how it moved pixels, so the words OCR finds in
+ * the cleaned image can be mapped back onto the image the user sees.
+ */
+
+/**
+ * Affine map from a pixel (u, v) of the processed image to the pixel
+ * (a·u + c·v + e, b·u + d·v + f) of the source image.
+ */
+export interface ImageTransform {
+  a: number;
+  b: number;
+  c: number;
+  d: number;
+  e: number;
+  f: number;
+  /** Size of the processed image in pixels */
+  width: number;
+  height: number;
+  /** Size of the (upright) source image in pixels */
+  sourceWidth: number;
+  sourceHeight: number;
+}
+
+export interface PreprocessResult {
+  /** Image to run OCR on */
+  image: RasterImage;
+  /** The source image turned upright; boxes are reported relative to it */
+  upright: RasterImage;
+  /** Maps the processed image back onto `upright` */
+  transform: ImageTransform;
+  /** Steps that changed the image, e.g. ['invert', 'crop', 'deskew 2.4°'] */
+  applied: string[];
+}
+
+/** Smallest skew worth correcting, in degrees. */
+const MIN_SKEW = 0.2;
+/** Dark pixels sampled when estimating skew. */
+const SKEW_SAMPLES = 60000;
+/** Mean luminance below which an image is treated as dark mode. */
+const DARK_MODE_LUMA = 100;
+/** Luminance above which a pixel counts as background when cropping. */
+const BACKGROUND_LUMA = 230;
+
+type Matrix = Pick<ImageTransform, 'a' | 'b' | 'c' | 'd' | 'e' | 'f'>;
+
+const IDENTITY: Matrix = { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+
+/** `outer ∘ inner`: apply `inner`, then `outer`. */
+function compose(outer: Matrix, inner: Matrix): Matrix {
+  return {
+    a: outer.a * inner.a + outer.c * inner.b,
+    b: outer.b * inner.a + outer.d * inner.b,
+    c: outer.a * inner.c + outer.c * inner.d,
+    d: outer.b * inner.c + outer.d * inner.d,
+    e: outer.a * inner.e + outer.c * inner.f + outer.e,
+    f: outer.b * inner.e + outer.d * inner.f + outer.f
+  };
+}
+
+/** Map a box normalised to the processed image onto the source image. */
+export function mapBoxToSource(box: Box, transform: ImageTransform): Box {
+  const { width, height, sourceWidth, sourceHeight } = transform;
+  const x0 = box.x * width;
+  const y0 = box.y * height;
+  const x1 = (box.x + box.w) * width;
+  const y1 = (box.y + box.h) * height;
+  const corners = [[x0, y0], [x1, y0], [x0, y1], [x1, y1]].map(([u, v]) => [
+    transform.a * u + transform.c * v + transform.e,
+    transform.b * u + transform.d * v + transform.f
+  ]);
+  const minX = Math.max(0, Math.min(...corners.map(p => p[0])));
+  const minY = Math.max(0, Math.min(...corners.map(p => p[1])));
+  const maxX = Math.min(sourceWidth, Math.max(...corners.map(p => p[0])));
+  const maxY = Math.min(sourceHeight, Math.max(...corners.map(p => p[1])));
+  return {
+    x: minX / sourceWidth,
+    y: minY / sourceHeight,
+    w: Math.max(0, maxX - minX) / sourceWidth,
+    h: Math.max(0, maxY - minY) / sourceHeight,
+    page: box.page
+  };
+}
+
+/**
+ * Read the EXIF orientation (1–8) from the start of a JPEG file.  Returns 1
+ * for other formats or when the tag is absent.
+ */
+export function readExifOrientation(bytes: Uint8Array): number {
+  if (bytes[0] !== 0xff || bytes[1] !== 0xd8) return 1;
+  let offset = 2;
+  while (offset + 4 <= bytes.length) {
+    if (bytes[offset] !== 0xff) return 1;
+    const marker = bytes[offset + 1];
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+    // APP1 holding "Exif\0\0"
+    if (marker === 0xe1 && bytes[offset + 4] === 0x45 && bytes[offset + 5] === 0x78 && bytes[offset + 6] === 0x69 && bytes[offset + 7] === 0x66) {
+      const tiff = offset + 10;
+      const little = bytes[tiff] === 0x49;
+      const u16 = (at: number) => (little ? bytes[at] | (bytes[at + 1] << 8) : (bytes[at] << 8) | bytes[at + 1]);
+      const u32 = (at: number) => (little
+        ? (bytes[at] | (bytes[at + 1] << 8) | (bytes[at + 2] << 16)) + bytes[at + 3] * 0x1000000
+        : bytes[at] * 0x1000000 + ((bytes[at + 1] << 16) | (bytes[at + 2] << 8) | bytes[at + 3]));
+      const ifd = tiff + u32(tiff + 4);
+      const entries = u16(ifd);
+      for (let i = 0; i < entries; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (entry + 10 > bytes.length) break;
+        if (u16(entry) === 0x0112) {
+          const value = u16(entry + 8);
+          return value >= 1 && value <= 8 ? value : 1;
+        }
+      }
+      return 1;
+    }
+    // Start of scan: no more metadata segments
+    if (marker === 0xda) return 1;
+    offset += 2 + length;
+  }
+  return 1;
+}
+
+/** Turn an image as stored into the upright image its EXIF orientation describes. */
+export function orientImage(image: RasterImage, orientation: number): RasterImage {
+  if (orientation <= 1 || orientation > 8) return image;
+  const { width: W, height: H } = image;
+  const swap = orientation >= 5;
+  const width = swap ? H : W;
+  const height = swap ? W : H;
+  // Source pixel for each output pixel (x, y)
+  const source: Record<number, (x: number, y: number) => [number, number]> = {
+    2: (x, y) => [W - 1 - x, y],
+    3: (x, y) => [W - 1 - x, H - 1 - y],
+    4: (x, y) => [x, H - 1 - y],
+    5: (x, y) => [y, x],
+    6: (x, y) => [y, H - 1 - x],
+    7: (x, y) => [W - 1 - y, H - 1 - x],
+    8: (x, y) => [W - 1 - y, x]
+  };
+  const map = source[orientation];
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [sx, sy] = map(x, y);
+      const from = (sy * W + sx) * 4;
+      const to = (y * width + x) * 4;
+      data[to] = image.data[from];
+      data[to + 1] = image.data[from + 1];
+      data[to + 2] = image.data[from + 2];
+      data[to + 3] = image.data[from + 3];
+    }
+  }
+  return { data, width, height };
+}
+
+interface Gray {
+  data: Uint8ClampedArray;
+  width: number;
+  height: number;
+}
+
+function toGray(image: RasterImage): Gray {
+  const data = new Uint8ClampedArray(image.width * image.height);
+  for (let i = 0, p = 0; i < data.length; i++, p += 4) {
+    data[i] = (image.data[p] * 299 + image.data[p + 1] * 587 + image.data[p + 2] * 114) / 1000;
+  }
+  return { data, width: image.width, height: image.height };
+}
+
+function toRaster(gray: Gray): RasterImage {
+  const data = new Uint8ClampedArray(gray.width * gray.height * 4);
+  for (let i = 0, p = 0; i < gray.data.length; i++, p += 4) {
+    data[p] = data[p + 1] = data[p + 2] = gray.data[i];
+    data[p + 3] = 255;
+  }
+  return { data, width: gray.width, height: gray.height };
+}
+
+function mean(gray: Gray): number {
+  let sum = 0;
+  for (let i = 0; i < gray.data.length; i++) sum += gray.data[i];
+  return sum / Math.max(1, gray.data.length);
+}
+
+/** Stretch grey levels so the 1st and 99th percentiles become black and white. */
+function stretchContrast(gray: Gray): boolean {
+  const histogram = new Uint32Array(256);
+  for (let i = 0; i < gray.data.length; i++) histogram[gray.data[i]]++;
+  const total = gray.data.length;
+  let lo = 0;
+  let hi = 255;
+  for (let acc = 0; lo < 255 && (acc += histogram[lo]) < total * 0.01; lo++);
+  for (let acc = 0; hi > 0 && (acc += histogram[hi]) < total * 0.01; hi--);
+  // Already full range, or flat enough that stretching would only amplify noise
+  if (hi - lo < 16 || (lo <= 8 && hi >= 247)) return false;
+  const scale = 255 / (hi - lo);
+  for (let i = 0; i < gray.data.length; i++) gray.data[i] = (gray.data[i] - lo) * scale;
+  return true;
+}
+
+/**
+ * Bounding rectangle of the non‑background pixels, grown by a 5% margin.
+ * Null when cropping would remove almost nothing.
+ */
+function contentBounds(gray: Gray): { x: number; y: number; w: number; h: number } | null {
+  const { width, height } = gray;
+  let minX = width;
+  let maxX = -1;
+  let minY = height;
+  let maxY = -1;
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    for (let x = 0; x < width; x++) {
+      if (gray.data[row + x] <= BACKGROUND_LUMA) {
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+      }
+    }
+  }
+  if (maxX < minX || maxY < minY) return null;
+  const bw = maxX - minX + 1;
+  const bh = maxY - minY + 1;
+  if (bw / width > 0.95 && bh / height > 0.95) return null;
+  const marginX = Math.floor(bw * 0.05);
+  const marginY = Math.floor(bh * 0.05);
+  const x = Math.max(0, minX - marginX);
+  const y = Math.max(0, minY - marginY);
+  return { x, y, w: Math.min(width - x, bw + marginX * 2), h: Math.min(height - y, bh + marginY * 2) };
+}
+
+function crop(gray: Gray, rect: { x: number; y: number; w: number; h: number }): Gray {
+  const data = new Uint8ClampedArray(rect.w * rect.h);
+  for (let y = 0; y < rect.h; y++) {
+    const from = (rect.y + y) * gray.width + rect.x;
+    data.set(gray.data.subarray(from, from + rect.w), y * rect.w);
+  }
+  return { data, width: rect.w, height: rect.h };
+}
+
+/**
+ * Estimate text skew in degrees with a projection profile: when the dark
+ * pixels are projected along the angle of the text lines they pile up into
+ * sharp peaks, which maximises the sum of squared bin counts.  Positive
+ * angles mean lines run downhill to the right.
+ */
+function estimateSkew(gray: Gray, maxDegrees = 15): number {
+  const { width, height } = gray;
+  let dark = 0;
+  for (let i = 0; i < gray.data.length; i++) if (gray.data[i] < 128) dark++;
+  if (dark < 200) return 0;
+  const stride = Math.max(1, Math.ceil(dark / SKEW_SAMPLES));
+  const xs: number[] = [];
+  const ys: number[] = [];
+  for (let i = 0, seen = 0; i < gray.data.length; i++) {
+    if (gray.data[i] < 128 && seen++ % stride === 0) {
+      xs.push(i % width);
+      ys.push(Math.floor(i / width));
+    }
+  }
+  const diagonal = Math.ceil(Math.hypot(width, height));
+  const bins = new Float64Array(diagonal * 2 + 2);
+  const score = (degrees: number) => {
+    const t = (degrees * Math.PI) / 180;
+    const sin = Math.sin(t);
+    const cos = Math.cos(t);
+    bins.fill(0);
+    for (let i = 0; i < xs.length; i++) bins[Math.round(ys[i] * cos - xs[i] * sin) + diagonal]++;
+    let sum = 0;
+    for (let i = 0; i < bins.length; i++) sum += bins[i] * bins[i];
+    return sum;
+  };
+  const search = (from: number, to: number, step: number) => {
+    let best = 0;
+    let bestScore = -1;
+    for (let angle = from; angle <= to + 1e-9; angle += step) {
+      const s = score(angle);
+      if (s > bestScore) {
+        bestScore = s;
+        best = angle;
+      }
+    }
+    return best;
+  };
+  const coarse = search(-maxDegrees, maxDegrees, 0.5);
+  return Math.round(search(coarse - 0.5, coarse + 0.5, 0.1) * 10) / 10;
+}
+
+/**
+ * Rotate by `-degrees` around the centre, growing the canvas to fit and
+ * filling the corners with white.  Returns the rotated image and the map
+ * from its pixels back to the input's.
+ */
+function rotate(gray: Gray, degrees: number): { gray: Gray; matrix: Matrix } {
+  const t = (degrees * Math.PI) / 180;
+  const cos = Math.cos(t);
+  const sin = Math.sin(t);
+  const width = Math.ceil(Math.abs(gray.width * cos) + Math.abs(gray.height * sin));
+  const height = Math.ceil(Math.abs(gray.width * sin) + Math.abs(gray.height * cos));
+  const a = cos;
+  const b = sin;
+  const c = -sin;
+  const d = cos;
+  const e = gray.width / 2 - a * (width / 2) - c * (height / 2);
+  const f = gray.height / 2 - b * (width / 2) - d * (height / 2);
+  const data = new Uint8ClampedArray(width * height).fill(255);
+  for (let v = 0; v < height; v++) {
+    for (let u = 0; u < width; u++) {
+      // Bilinear sample at the pixel centre
+      const x = a * (u + 0.5) + c * (v + 0.5) + e - 0.5;
+      const y = b * (u + 0.5) + d * (v + 0.5) + f - 0.5;
+      const x0 = Math.floor(x);
+      const y0 = Math.floor(y);
+      if (x0 < 0 || y0 < 0 || x0 + 1 >= gray.width || y0 + 1 >= gray.height) continue;
+      const fx = x - x0;
+      const fy = y - y0;
+      const i = y0 * gray.width + x0;
+      const top = gray.data[i] * (1 - fx) + gray.data[i + 1] * fx;
+      const bottom = gray.data[i + gray.width] * (1 - fx) + gray.data[i + gray.width + 1] * fx;
+      data[v * width + u] = top * (1 - fy) + bottom * fy;
+    }
+  }
+  return { gray: { data, width, height }, matrix: { a, b, c, d, e, f } };
+}
+
+/**
+ * Prepare an image for OCR.  `orientation` is the EXIF orientation still to
+ * be applied, or 1 when the decoder has already turned the image upright.
+ */
+export function preprocessImage(image: RasterImage, options: PreprocessOptions = {}, orientation = 1): PreprocessResult {
+  const applied: string[] = [];
+  const upright = options.exifOrientation === false ? image : orientImage(image, orientation);
+  if (upright !== image) applied.push(`orientation ${orientation}`);
+
+  let gray = toGray(upright);
+  let matrix = IDENTITY;
+
+  if (options.invertDarkMode !== false && mean(gray) < DARK_MODE_LUMA) {
+    for (let i = 0; i < gray.data.length; i++) gray.data[i] = 255 - gray.data[i];
+    applied.push('invert');
+  }
+  if (options.normalizeContrast !== false && stretchContrast(gray)) {
+    applied.push('contrast');
+  }
+  if (options.autoCrop !== false) {
+    const bounds = contentBounds(gray);
+    if (bounds) {
+      gray = crop(gray, bounds);
+      matrix = compose({ ...IDENTITY, e: bounds.x, f: bounds.y }, matrix);
+      applied.push('crop');
+    }
+  }
+  if (options.deskew !== false) {
+    const skew = estimateSkew(gray, options.maxSkewDegrees ?? 15);
+    if (Math.abs(skew) >= MIN_SKEW) {
+      const rotated = rotate(gray, skew);
+      gray = rotated.gray;
+      matrix = compose(matrix, rotated.matrix);
+      applied.push(`deskew ${skew}°`);
+    }
+  }
+
+  return {
+    image: applied.length > 0 ? toRaster(gray) : upright,
+    upright,
+    transform: { ...matrix, width: gray.width, height: gray.height, sourceWidth: upright.width, sourceHeight: upright.height },
+    applied
+  };
+}
@@ -0,0 +1,112 @@
+import type { ProgressInfo, ProgressStage } from '../types';
+
+/*
+ * Progress reporting and cancellation shared by analyse and apply.  Work is
+ * measured in pages; each stage of a page owns a fixed share of that page,
+ * and the overall percentage is the sum of every page's share, so it only
+ * ever moves forward even when pages are processed in parallel.
+ */
+
+/** Share of a page completed when each stage starts. */
+const STAGE_START: Record<ProgressStage, number> = {
+  load: 0,
+  render: 0,
+  redact: 0,
+  ocr: 0.1,
+  detect: 0.8,
+  barcodes: 0.85,
+  faces: 0.95,
+  write: 0.8,
+  done: 1
+};
+
+/** Share of a page completed when each stage ends. */
+const STAGE_END: Record<ProgressStage, number> = {
+  load: 0,
+  render: 0.1,
+  redact: 0.8,
+  ocr: 0.8,
+  detect: 0.85,
+  barcodes: 0.95,
+  faces: 1,
+  write: 1,
+  done: 1
+};
+
+/** Report `stage` on `page`, `fraction` (0–1) of the way through the stage. */
+export type ProgressReporter = (stage: ProgressStage, page: number, fraction?: number) => void;
+
+/** The error an aborted operation rejects with when the signal gives no reason. */
+export function abortError(): Error {
+  const error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+/** Throw the signal's abort reason once it has been aborted. */
+export function throwIfAborted(signal?: AbortSignal): void {
+  if (signal?.aborted) throw signal.reason ?? abortError();
+}
+
+/** True for the rejection of an aborted analysis or redaction. */
+export function isAbortError(error: unknown): boolean {
+  return !!error && typeof error === 'object' && (error as Error).name === 'AbortError';
+}
+
+/**
+ * Settle like `promise`, or reject with the abort reason as soon as `signal`
+ * aborts, after calling `onAbort` to stop the underlying work.
+ */
+export function abortable<T>(promise: Promise<T>, signal?: AbortSignal, onAbort?: () => void): Promise<T> {
+  if (!signal) return promise;
+  return new Promise<T>((resolve, reject) => {
+    const abort = () => {
+      onAbort?.();
+      reject(signal.reason ?? abortError());
+    };
+    if (signal.aborted) {
+      abort();
+      return;
+    }
+    signal.addEventListener('abort', abort, { once: true });
+    promise.then(
+      value => {
+        signal.removeEventListener('abort', abort);
+        resolve(value);
+      },
+      error => {
+        signal.removeEventListener('abort', abort);
+        reject(error);
+      }
+    );
+  });
+}
+
+/**
+ * Build a reporter for `totalPages` pages.  `setTotalPages` updates the
+ * count once a PDF has been opened.
+ */
+export function createProgressReporter(onProgress?: (progress: ProgressInfo) => void, totalPages = 1): ProgressReporter & { setTotalPages(total: number): void } {
+  let total = Math.max(1, totalPages);
+  let last = 0;
+  const shares: number[] = [];
+  const report = ((stage, page, fraction = 0) => {
+    if (!onProgress) return;
+    const share = STAGE_START[stage] + (STAGE_END[stage] - STAGE_START[stage]) * Math.min(1, Math.max(0, fraction));
+    shares[page] = Math.max(shares[page] ?? 0, share);
+    const completed = shares.reduce((sum, s) => sum + s, 0);
+    const percent = stage === 'done' ? 100 : Math.max(last, Math.min(99, Math.round((completed / total) * 100)));
+    last = percent;
+    try {
+      onProgress({ stage, page, totalPages: total, percent });
+    } catch (err) {
+      // A failing callback must not break the analysis
+      // eslint-disable-next-line no-console
+      console.warn('Progress callback failed:', err);
+    }
+  }) as ProgressReporter & { setTotalPages(total: number): void };
+  report.setTotalPages = (count: number) => {
+    total = Math.max(1, count);
+  };
+  return report;
+}
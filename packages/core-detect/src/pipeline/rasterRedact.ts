@@ -0,0 +1,163 @@
+import type { RasterImage, RedactionConfig, RedactionStyle } from '../types';
+
+/*
+ * Redactions drawn straight onto RGBA pixels, for runtimes without a 2D
+ * canvas such as plain Node.  Blur and pixelate work as on a canvas.
+ * Without text or vector drawing, labels and masks become solid
+ * boxes in their background colour, and patterns and vector overlays solid
+ * boxes in their primary colour, so nothing is ever left less covered than
+ * on a canvas.
+ */
+
+const NAMED_COLORS: Record<string, [number, number, number]> = {
+  black: [0, 0, 0],
+  white: [255, 255, 255],
+  gray: [128, 128, 128],
+  grey: [128, 128, 128],
+  red: [255, 0, 0],
+  green: [0, 128, 0],
+  blue: [0, 0, 255],
+  yellow: [255, 255, 0]
+};
+
+/** RGB of a hex (#rgb, #rrggbb), rgb() or basic named colour; black when unknown. */
+export function parseColor(color: string | undefined, fallback: [number, number, number] = [0, 0, 0]): [number, number, number] {
+  if (!color) return fallback;
+  const value = color.trim().toLowerCase();
+  if (NAMED_COLORS[value]) return NAMED_COLORS[value];
+  let match = /^#([0-9a-f]{3})$/.exec(value);
+  if (match) return [0, 1, 2].map(i => parseInt(match![1][i] + match![1][i], 16)) as [number, number, number];
+  match = /^#([0-9a-f]{6})$/.exec(value);
+  if (match) return [0, 2, 4].map(i => parseInt(match![1].slice(i, i + 2), 16)) as [number, number, number];
+  match = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/.exec(value);
+  if (match) return [+match[1], +match[2], +match[3]];
+  return fallback;
+}
+
+interface PixelRect {
+  x0: number;
+  y0: number;
+  x1: number;
+  y1: number;
+}
+
+function clampRect(image: RasterImage, x: number, y: number, w: number, h: number): PixelRect {
+  return {
+    x0: Math.max(0, Math.floor(x)),
+    y0: Math.max(0, Math.floor(y)),
+    x1: Math.min(image.width, Math.ceil(x + w)),
+    y1: Math.min(image.height, Math.ceil(y + h))
+  };
+}
+
+function fill(image: RasterImage, rect: PixelRect, colorAt: (x: number, y: number) => [number, number, number], opacity: number): void {
+  const { data, width } = image;
+  for (let y = rect.y0; y < rect.y1; y++) {
+    for (let x = rect.x0; x < rect.x1; x++) {
+      const [r, g, b] = colorAt(x, y);
+      const i = (y * width + x) * 4;
+      data[i] = data[i] * (1 - opacity) + r * opacity;
+      data[i + 1] = data[i + 1] * (1 - opacity) + g * opacity;
+      data[i + 2] = data[i + 2] * (1 - opacity) + b * opacity;
+      data[i + 3] = 255;
+    }
+  }
+}
+
+/** Box blur with `radius`, three passes to approximate a Gaussian, reading from `source`. */
+function blur(image: RasterImage, source: RasterImage, rect: PixelRect, radius: number): void {
+  const w = rect.x1 - rect.x0;
+  const h = rect.y1 - rect.y0;
+  if (w <= 0 || h <= 0) return;
+  let buffer = new Float32Array(w * h * 3);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = ((rect.y0 + y) * source.width + rect.x0 + x) * 4;
+      buffer.set([source.data[i], source.data[i + 1], source.data[i + 2]], (y * w + x) * 3);
+    }
+  }
+  const pass = (input: Float32Array, horizontal: boolean) => {
+    const output = new Float32Array(input.length);
+    const length = horizontal ? w : h;
+    const lines = horizontal ? h : w;
+    for (let line = 0; line < lines; line++) {
+      for (let c = 0; c < 3; c++) {
+        const at = (k: number) => ((horizontal ? line * w + k : k * w + line) * 3) + c;
+        let sum = 0;
+        for (let k = -radius; k <= radius; k++) sum += input[at(Math.min(length - 1, Math.max(0, k)))];
+        for (let k = 0; k < length; k++) {
+          output[at(k)] = sum / (2 * radius + 1);
+          sum += input[at(Math.min(length - 1, k + radius + 1))] - input[at(Math.max(0, k - radius))];
+        }
+      }
+    }
+    return output;
+  };
+  for (let i = 0; i < 3; i++) buffer = pass(pass(buffer, true), false);
+  fill(image, rect, (x, y) => {
+    const j = ((y - rect.y0) * w + (x - rect.x0)) * 3;
+    return [buffer[j], buffer[j + 1], buffer[j + 2]];
+  }, 1);
+}
+
+/** Replace blocks of `size` pixels with their average colour, reading from `source`. */
+function pixelate(image: RasterImage, source: RasterImage, rect: PixelRect, size: number): void {
+  for (let by = rect.y0; by < rect.y1; by += size) {
+    for (let bx = rect.x0; bx < rect.x1; bx += size) {
+      const block = { x0: bx, y0: by, x1: Math.min(rect.x1, bx + size), y1: Math.min(rect.y1, by + size) };
+      const sum = [0, 0, 0];
+      let count = 0;
+      for (let y = block.y0; y < block.y1; y++) {
+        for (let x = block.x0; x < block.x1; x++) {
+          const i = (y * source.width + x) * 4;
+          sum[0] += source.data[i];
+          sum[1] += source.data[i + 1];
+          sum[2] += source.data[i + 2];
+          count++;
+        }
+      }
+      const average: [number, number, number] = [sum[0] / count, sum[1] / count, sum[2] / count];
+      fill(image, block, () => average, 1);
+    }
+  }
+}
+
+/**
+ * Draw one redaction onto `image` over the pixel box (x, y, w, h).
+ * `source` holds the unredacted pixels that blur and pixelate read from.
+ */
+export function redactPixels(
+  image: RasterImage,
+  source: RasterImage,
+  box: { x: number; y: number; w: number; h: number },
+  style: RedactionStyle,
+  config: RedactionConfig = {}
+): void {
+  const rect = clampRect(image, box.x, box.y, box.w, box.h);
+  const opacity = config.opacity ?? 1;
+  switch (style) {
+    case 'REMOVE_METADATA':
+      // Re‑encoding the image already drops its metadata
+      return;
+    case 'BLUR':
+      blur(image, source, rect, 8);
+      return;
+    case 'PIXELATE':
+      pixelate(image, source, rect, Math.max(4, Math.floor(Math.min(box.w, box.h) / 10)));
+      return;
+    case 'GRADIENT': {
+      const from = parseColor(config.color);
+      const to = parseColor(config.secondaryColor, NAMED_COLORS.gray);
+      const span = Math.max(1, box.w + box.h);
+      fill(image, rect, (x, y) => {
+        const t = Math.min(1, Math.max(0, (x - box.x + y - box.y) / span));
+        return [from[0] + (to[0] - from[0]) * t, from[1] + (to[1] - from[1]) * t, from[2] + (to[2] - from[2]) * t];
+      }, opacity);
+      return;
+    }
+    default: {
+      const color = parseColor(config.color);
+      fill(image, rect, () => color, opacity);
+    }
+  }
+}
@@ -0,0 +1,165 @@
+import { detectSpan } from '../detectors/spans';
+import type { AnalyzeOptions, Box, DetectionKind } from '../types';
+import type { PageWord } from './words';
+
+/*
+ * Many values span several OCR words: "(555) 123-4567", "John Smith",
+ * "DE89 3704 0044 0532 0130 00".  This stage groups words into lines, then
+ * runs detectors over sliding windows of adjacent words so that such values
+ * become one detection covering all of their words instead of a handful of
+ * fragments (or nothing at all).
+ */
+
+/** Largest number of adjacent words considered as one value. */
+const MAX_WINDOW = 8;
+/** Horizontal gap, in line heights, that separates two columns of text. */
+const COLUMN_GAP = 3;
+
+export interface SpanDetection {
+  /** The words covered by the detection, in reading order */
+  words: PageWord[];
+  /** The covered text joined by single spaces */
+  text: string;
+  kind: DetectionKind;
+  reason: string;
+  confidence: number;
+}
+
+/** Union of a set of boxes. */
+export function unionBox(boxes: Box[]): Box {
+  const minX = Math.min(...boxes.map(b => b.x));
+  const minY = Math.min(...boxes.map(b => b.y));
+  const maxX = Math.max(...boxes.map(b => b.x + b.w));
+  const maxY = Math.max(...boxes.map(b => b.y + b.h));
+  return { x: minX, y: minY, w: maxX - minX, h: maxY - minY, page: boxes[0]?.page };
+}
+
+/**
+ * Group words into lines of text in reading order.  A word joins a line when
+ * its vertical centre falls within the line's extent; lines are then split
+ * wherever a horizontal gap suggests a separate column.
+ */
+export function groupIntoLines(words: PageWord[]): PageWord[][] {
+  const sorted = words
+    .filter(w => w.text.trim() && w.box.h > 0)
+    .sort((a, b) => (a.box.y + a.box.h / 2) - (b.box.y + b.box.h / 2));
+  const rows: Array<{ top: number; bottom: number; words: PageWord[] }> = [];
+  for (const word of sorted) {
+    const cy = word.box.y + word.box.h / 2;
+    const row = rows.find(r => cy >= r.top && cy <= r.bottom);
+    if (row) {
+      row.words.push(word);
+      row.top = Math.min(row.top, word.box.y);
+      row.bottom = Math.max(row.bottom, word.box.y + word.box.h);
+    } else {
+      rows.push({ top: word.box.y, bottom: word.box.y + word.box.h, words: [word] });
+    }
+  }
+
+  const lines: PageWord[][] = [];
+  for (const row of rows) {
+    const rowWords = row.words.sort((a, b) => a.box.x - b.box.x);
+    const lineHeight = row.bottom - row.top;
+    let current: PageWord[] = [];
+    for (const word of rowWords) {
+      const prev = current[current.length - 1];
+      if (prev && word.box.x - (prev.box.x + prev.box.w) > COLUMN_GAP * lineHeight) {
+        lines.push(current);
+        current = [];
+      }
+      current.push(word);
+    }
+    if (current.length) lines.push(current);
+  }
+  return lines;
+}
+
+/** Join words with single spaces, recording where each word starts and ends. */
+export function joinWords(words: PageWord[]): { text: string; offsets: Array<[number, number]> } {
+  const offsets: Array<[number, number]> = [];
+  let text = '';
+  for (const word of words) {
+    if (text) text += ' ';
+    offsets.push([text.length, text.length + word.text.length]);
+    text += word.text;
+  }
+  return { text, offsets };
+}
+
+/**
+ * Apply custom patterns to the whole line so that unanchored expressions such
+ * as "Acct #: 12345678" can match across words.  Single‑word matches are left
+ * to the token stage, which has always applied custom patterns per word.
+ */
+function customPatternSpans(line: PageWord[], opts: AnalyzeOptions): SpanDetection[] {
+  const spans: SpanDetection[] = [];
+  if (!opts.customPatterns || opts.customPatterns.length === 0) return spans;
+  const { text, offsets } = joinWords(line);
+  for (const pattern of opts.customPatterns) {
+    let regex: RegExp;
+    try {
+      regex = new RegExp(pattern.pattern, pattern.caseSensitive === false ? 'gi' : 'g');
+    } catch (error) {
+      // Invalid patterns are reported by the token stage
+      continue;
+    }
+    let m: RegExpExecArray | null;
+    while ((m = regex.exec(text)) !== null) {
+      if (m[0].length === 0) {
+        regex.lastIndex++;
+        continue;
+      }
+      const start = m.index;
+      const end = m.index + m[0].length;
+      const covered = line.filter((_, i) => offsets[i][0] < end && offsets[i][1] > start);
+      if (covered.length < 2) continue;
+      spans.push({
+        words: covered,
+        text: joinWords(covered).text,
+        kind: pattern.kind,
+        reason: `Custom pattern: ${pattern.name}`,
+        confidence: pattern.confidence
+      });
+    }
+  }
+  return spans;
+}
+
+/**
+ * Find multi‑word detections in one line.  Custom pattern matches are taken
+ * first; the remaining words are scanned left to right, taking the longest
+ * window at each position that a span detector accepts.  Spans never
+ * overlap.
+ */
+export function detectSpansInLine(line: PageWord[], opts: AnalyzeOptions = {}): SpanDetection[] {
+  const taken = new Set<PageWord>();
+  const spans: SpanDetection[] = [];
+  for (const span of customPatternSpans(line, opts)) {
+    if (span.words.some(w => taken.has(w))) continue;
+    span.words.forEach(w => taken.add(w));
+    spans.push(span);
+  }
+
+  let i = 0;
+  while (i < line.length) {
+    let found: SpanDetection | null = null;
+    const maxLen = Math.min(MAX_WINDOW, line.length - i);
+    for (let len = maxLen; len >= 2 && !found; len--) {
+      const window = line.slice(i, i + len);
+      if (window.some(w => taken.has(w))) continue;
+      const text = joinWords(window).text;
+      const match = detectSpan(text, opts.detectors);
+      if (match) {
+        found = { words: window, text, ...match };
+      }
+    }
+    if (found) {
+      found.words.forEach(w => taken.add(w));
+      spans.push(found);
+      i += found.words.length;
+    } else {
+      i++;
+    }
+  }
+  return spans;
+}
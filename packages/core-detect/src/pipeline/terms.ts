@@ -0,0 +1,186 @@
+import type { TermEntry, TermRule } from '../types';
+import { joinWords } from './spans';
+import type { PageWord } from './words';
+
+/*
+ * Allowlist and denylist terms.  Terms are matched against lines of words
+ * so a multi‑word term such as "Acme Holdings" covers exactly the words it
+ * spans, and fuzzy terms tolerate the character confusions OCR typically
+ * makes ("Acme Ho1dings", "support@acrne.com").
+ */
+
+export interface CompiledTerm {
+  rule: TermRule;
+  /** Text used in detection reasons */
+  label: string;
+  regex?: RegExp;
+  /** Normalised term for exact matching */
+  exact?: string;
+  /** Normalised term for fuzzy matching */
+  fuzzy?: string;
+  /** Number of words in the term */
+  wordCount: number;
+  maxEdits: number;
+}
+
+export interface TermMatch {
+  term: CompiledTerm;
+  words: PageWord[];
+  text: string;
+}
+
+/** Characters OCR commonly confuses, mapped to one representative. */
+const CONFUSABLES: Record<string, string> = {
+  '0': 'o', '1': 'l', 'i': 'l', '|': 'l', '!': 'l', '5': 's', '8': 'b', '6': 'b', '2': 'z', 'q': 'g'
+};
+
+/** Remove leading and trailing punctuation that OCR attaches to words. */
+function trimPunctuation(text: string): string {
+  return text.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+}
+
+function normalizeExact(text: string, caseSensitive?: boolean): string {
+  const collapsed = trimPunctuation(text.replace(/\s+/g, ' ').trim());
+  return caseSensitive ? collapsed : collapsed.toLowerCase();
+}
+
+function normalizeFuzzy(text: string): string {
+  return text
+    .toLowerCase()
+    .replace(/rn/g, 'm')
+    .replace(/./gu, ch => CONFUSABLES[ch] ?? ch)
+    .replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/** Levenshtein distance, giving up once it exceeds `max`. */
+function editDistance(a: string, b: string, max: number): number {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, curr[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Turn allowlist or denylist entries into matchers.  Invalid regular
+ * expressions are skipped with a warning, as custom patterns are.
+ */
+export function compileTerms(entries: TermEntry[] = []): CompiledTerm[] {
+  const compiled: CompiledTerm[] = [];
+  for (const entry of entries) {
+    let rule: TermRule = typeof entry === 'string' ? { term: entry } : entry;
+    if (!rule || !rule.term || !rule.term.trim()) continue;
+
+    // "/pattern/flags" is shorthand for a regular expression
+    const literal = !rule.regex ? /^\/(.+)\/([a-z]*)$/s.exec(rule.term.trim()) : null;
+    if (literal) {
+      rule = { ...rule, term: literal[1], regex: true, caseSensitive: rule.caseSensitive ?? !literal[2].includes('i') };
+    }
+
+    if (rule.regex) {
+      try {
+        const regex = new RegExp(rule.term, rule.caseSensitive ? 'g' : 'gi');
+        compiled.push({ rule, label: rule.term, regex, wordCount: 1, maxEdits: 0 });
+      } catch (error) {
+        console.warn(`Invalid term pattern ${rule.term}: ${error}`);
+      }
+      continue;
+    }
+
+    const fuzzy = normalizeFuzzy(rule.term);
+    const defaultEdits = fuzzy.length <= 4 ? 0 : fuzzy.length <= 10 ? 1 : 2;
+    compiled.push({
+      rule,
+      label: rule.term.trim(),
+      exact: normalizeExact(rule.term, rule.caseSensitive),
+      fuzzy: rule.fuzzy ? fuzzy : undefined,
+      wordCount: rule.term.trim().split(/\s+/).length,
+      maxEdits: rule.maxEdits ?? defaultEdits
+    });
+  }
+  return compiled;
+}
+
+/** Whether a piece of text as a whole matches a compiled term. */
+function textMatches(term: CompiledTerm, text: string): boolean {
+  if (term.regex) {
+    term.regex.lastIndex = 0;
+    const m = term.regex.exec(text);
+    return !!m && m[0].length === text.length;
+  }
+  if (normalizeExact(text, term.rule.caseSensitive) === term.exact) return true;
+  if (term.fuzzy !== undefined) {
+    const candidate = normalizeFuzzy(text);
+    return candidate.length > 0 && editDistance(candidate, term.fuzzy, term.maxEdits) <= term.maxEdits;
+  }
+  return false;
+}
+
+/** True when the text matches any of the terms, e.g. a barcode payload on the allowlist. */
+export function matchesAnyTerm(text: string, terms: CompiledTerm[]): boolean {
+  return terms.some(term => textMatches(term, text));
+}
+
+/**
+ * Find term occurrences in one line of words.  Regular expressions may match
+ * anywhere in the line and cover every word they overlap; plain terms must
+ * cover whole words.  Fuzzy terms also try one word more or fewer than the
+ * term has, since OCR splits and merges words.  Matches never overlap.
+ */
+export function findTermMatches(line: PageWord[], terms: CompiledTerm[]): TermMatch[] {
+  const matches: TermMatch[] = [];
+  const taken = new Set<PageWord>();
+  const { text, offsets } = joinWords(line);
+
+  for (const term of terms) {
+    if (term.regex) {
+      term.regex.lastIndex = 0;
+      let m: RegExpExecArray | null;
+      while ((m = term.regex.exec(text)) !== null) {
+        if (m[0].length === 0) {
+          term.regex.lastIndex++;
+          continue;
+        }
+        const start = m.index;
+        const end = m.index + m[0].length;
+        const covered = line.filter((w, i) => offsets[i][0] < end && offsets[i][1] > start && !taken.has(w));
+        if (covered.length === 0) continue;
+        covered.forEach(w => taken.add(w));
+        matches.push({ term, words: covered, text: joinWords(covered).text });
+      }
+      continue;
+    }
+
+    const lengths = term.fuzzy !== undefined
+      ? [term.wordCount, term.wordCount + 1, term.wordCount - 1].filter(n => n >= 1)
+      : [term.wordCount];
+    let i = 0;
+    while (i < line.length) {
+      let found: PageWord[] | null = null;
+      for (const len of lengths) {
+        const window = line.slice(i, i + len);
+        if (window.length < len || window.some(w => taken.has(w))) continue;
+        if (textMatches(term, joinWords(window).text)) {
+          found = window;
+          break;
+        }
+      }
+      if (found) {
+        found.forEach(w => taken.add(w));
+        matches.push({ term, words: found, text: joinWords(found).text });
+        i += found.length;
+      } else {
+        i++;
+      }
+    }
+  }
+  return matches;
+}
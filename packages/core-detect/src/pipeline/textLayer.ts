@@ -0,0 +1,302 @@
+import * as pdfjsLib from 'pdfjs-dist';
+import type { PDFPageProxy, PageViewport } from 'pdfjs-dist';
+import type { Box } from '../types';
+import type { PageWord } from './words';
+import { boxContainsCentre } from './words';
+
+/*
+ * Born‑digital PDFs carry their text as glyphs with exact positions.  Reading
+ * that text layer is both faster and far more accurate than rendering the
+ * page and running OCR over the pixels, so the analyse pipeline prefers it
+ * and only falls back to OCR for pages (or embedded images) without text.
+ */
+
+/** Descent below the baseline, as a fraction of the font size. */
+export const DESCENT_RATIO = 0.2;
+
+/** A glyph painted on the page: its text and bounds in viewport pixels. */
+export interface PlacedGlyph {
+  text: string;
+  minX: number;
+  minY: number;
+  maxX: number;
+  maxY: number;
+}
+
+/** Text state the operator list sets, saved and restored with the graphics state. */
+interface TextState {
+  ctm: number[];
+  fontMatrix: number[];
+  fontSize: number;
+  vertical: boolean;
+  charSpacing: number;
+  wordSpacing: number;
+  hScale: number;
+  rise: number;
+  leading: number;
+}
+
+/**
+ * Walk a page's operator list and place every horizontal glyph the way the
+ * pdf.js canvas renderer does: each glyph advances by its own font width
+ * plus character and word spacing, and TJ offsets move the pen between them.
+ */
+export async function placeGlyphs(page: PDFPageProxy, viewport: PageViewport): Promise<PlacedGlyph[]> {
+  const { OPS, Util } = pdfjsLib;
+  const { fnArray, argsArray } = await page.getOperatorList();
+  const glyphs: PlacedGlyph[] = [];
+  const stack: TextState[] = [];
+  let state: TextState = {
+    ctm: [1, 0, 0, 1, 0, 0],
+    fontMatrix: [0.001, 0, 0, 0.001, 0, 0],
+    fontSize: 0,
+    vertical: false,
+    charSpacing: 0,
+    wordSpacing: 0,
+    hScale: 1,
+    rise: 0,
+    leading: 0
+  };
+  let textMatrix = [1, 0, 0, 1, 0, 0];
+  // Pen position and start of the current line, in text space
+  let x = 0;
+  let y = 0;
+  let lineX = 0;
+  let lineY = 0;
+  for (let i = 0; i < fnArray.length; i++) {
+    const fn = fnArray[i];
+    const args = argsArray[i];
+    if (fn === OPS.save) {
+      stack.push({ ...state });
+    } else if (fn === OPS.restore) {
+      state = stack.pop() || state;
+    } else if (fn === OPS.transform) {
+      state.ctm = Util.transform(state.ctm, args);
+    } else if (fn === OPS.paintFormXObjectBegin) {
+      stack.push({ ...state });
+      if (Array.isArray(args?.[0]) && args[0].length === 6) state.ctm = Util.transform(state.ctm, args[0]);
+    } else if (fn === OPS.paintFormXObjectEnd) {
+      state = stack.pop() || state;
+    } else if (fn === OPS.setFont) {
+      let font: any = null;
+      try {
+        font = page.commonObjs.get(args[0]);
+      } catch {
+        // Fonts that failed to load keep the default matrix
+      }
+      state.fontMatrix = font?.fontMatrix || [0.001, 0, 0, 0.001, 0, 0];
+      state.vertical = !!font?.vertical;
+      state.fontSize = args[1];
+    } else if (fn === OPS.setCharSpacing) {
+      state.charSpacing = args[0];
+    } else if (fn === OPS.setWordSpacing) {
+      state.wordSpacing = args[0];
+    } else if (fn === OPS.setHScale) {
+      state.hScale = args[0] / 100;
+    } else if (fn === OPS.setTextRise) {
+      state.rise = args[0];
+    } else if (fn === OPS.setLeading) {
+      state.leading = -args[0];
+    } else if (fn === OPS.beginText) {
+      textMatrix = [1, 0, 0, 1, 0, 0];
+      x = y = lineX = lineY = 0;
+    } else if (fn === OPS.setTextMatrix) {
+      textMatrix = args.slice(0, 6);
+      x = y = lineX = lineY = 0;
+    } else if (fn === OPS.moveText || fn === OPS.setLeadingMoveText || fn === OPS.nextLine) {
+      if (fn === OPS.setLeadingMoveText) state.leading = args[1];
+      const [dx, dy] = fn === OPS.nextLine ? [0, state.leading] : args;
+      x = lineX += dx;
+      y = lineY += dy;
+    } else if (fn === OPS.showText || fn === OPS.showSpacedText) {
+      const { vertical } = state;
+      const size = Math.abs(state.fontSize);
+      const direction = state.fontSize < 0 ? -1 : 1;
+      const hScale = state.hScale * direction;
+      const advanceScale = size * state.fontMatrix[0];
+      const matrix = Util.transform(viewport.transform, Util.transform(state.ctm, textMatrix));
+      let pen = 0;
+      for (const glyph of args[0] as any[]) {
+        if (typeof glyph === 'number') {
+          pen += ((vertical ? 1 : -1) * glyph * size) / 1000;
+          continue;
+        }
+        const width = (glyph.width || 0) * advanceScale;
+        if (!vertical && glyph.unicode) {
+          const corners = [
+            [x + pen * hScale, y + state.rise - size * DESCENT_RATIO * direction],
+            [x + (pen + width) * hScale, y + state.rise - size * DESCENT_RATIO * direction],
+            [x + pen * hScale, y + state.rise + size * direction],
+            [x + (pen + width) * hScale, y + state.rise + size * direction]
+          ].map(point => Util.applyTransform(point, matrix));
+          const xs = corners.map(c => c[0]);
+          const ys = corners.map(c => c[1]);
+          glyphs.push({ text: glyph.unicode, minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) });
+        }
+        const spacing = (glyph.isSpace ? state.wordSpacing : 0) + state.charSpacing;
+        pen += vertical ? width - spacing * direction : width + spacing * direction;
+      }
+      if (vertical) y -= pen;
+      else x += pen * hScale;
+    }
+  }
+  return glyphs;
+}
+
+/**
+ * Extract the words of a page's text layer with boxes normalised to the
+ * viewport.  pdfjs reports text in runs sharing one transform; runs are split
+ * on whitespace and each word takes the bounds of the glyphs painting it, so
+ * proportional fonts and kerning do not shift the box off its characters.
+ * Runs whose glyphs cannot be matched (right‑to‑left or vertical text) fall
+ * back to spreading the run width evenly over its characters.
+ */
+export async function extractTextLayerWords(page: PDFPageProxy, viewport: PageViewport): Promise<PageWord[]> {
+  const content = await page.getTextContent();
+  const glyphs = await placeGlyphs(page, viewport);
+  // Non‑whitespace characters of every glyph, in painting order, and the glyph each came from
+  let painted = '';
+  const owners: number[] = [];
+  glyphs.forEach((glyph, index) => {
+    for (const unit of glyph.text.split('')) {
+      if (/\s/.test(unit)) continue;
+      painted += unit;
+      owners.push(index);
+    }
+  });
+  let cursor = 0;
+
+  const words: PageWord[] = [];
+  for (const item of content.items as any[]) {
+    // Marked content entries have no `str`
+    if (typeof item.str !== 'string' || !item.str.trim()) continue;
+    const str: string = item.str;
+    const tx = pdfjsLib.Util.transform(viewport.transform, item.transform);
+    const fontHeight = Math.hypot(tx[2], tx[3]);
+    if (!fontHeight) continue;
+    const compact = str.replace(/\s+/g, '');
+    const at = painted.indexOf(compact, cursor);
+    if (at >= 0) cursor = at + compact.length;
+    const angle = Math.atan2(tx[1], tx[0]);
+    // Unit vectors along the baseline and towards the top of the glyphs
+    const ux = Math.cos(angle);
+    const uy = Math.sin(angle);
+    const vx = Math.sin(angle);
+    const vy = -Math.cos(angle);
+    const runWidth = (item.width || 0) * viewport.scale || str.length * fontHeight * 0.5;
+    const charWidth = runWidth / str.length;
+
+    const wordPattern = /\S+/g;
+    let offset = at;
+    let m: RegExpExecArray | null;
+    while ((m = wordPattern.exec(str)) !== null) {
+      let xs: number[];
+      let ys: number[];
+      if (at >= 0) {
+        const own = owners.slice(offset, offset + m[0].length).map(index => glyphs[index]);
+        offset += m[0].length;
+        xs = own.flatMap(glyph => [glyph.minX, glyph.maxX]);
+        ys = own.flatMap(glyph => [glyph.minY, glyph.maxY]);
+      } else {
+        const start = m.index * charWidth;
+        const end = (m.index + m[0].length) * charWidth;
+        const corners: Array<[number, number]> = [];
+        for (const along of [start, end]) {
+          for (const up of [-fontHeight * DESCENT_RATIO, fontHeight]) {
+            corners.push([tx[4] + ux * along + vx * up, tx[5] + uy * along + vy * up]);
+          }
+        }
+        xs = corners.map(c => c[0]);
+        ys = corners.map(c => c[1]);
+      }
+      const minX = Math.max(0, Math.min(...xs));
+      const minY = Math.max(0, Math.min(...ys));
+      const maxX = Math.min(viewport.width, Math.max(...xs));
+      const maxY = Math.min(viewport.height, Math.max(...ys));
+      if (maxX <= minX || maxY <= minY) continue;
+      words.push({
+        text: m[0],
+        box: {
+          x: minX / viewport.width,
+          y: minY / viewport.height,
+          w: (maxX - minX) / viewport.width,
+          h: (maxY - minY) / viewport.height
+        },
+        confidence: 1,
+        source: 'text-layer'
+      });
+    }
+  }
+  return words;
+}
+
+/**
+ * Locate the images painted on a page by walking its operator list and
+ * tracking the current transformation matrix.  Every image is drawn into the
+ * unit square of the CTM, so its box is the transformed unit square.
+ * Returned boxes are normalised to the viewport.
+ */
+export async function findImageRegions(page: PDFPageProxy, viewport: PageViewport): Promise<Box[]> {
+  const { OPS } = pdfjsLib;
+  const opList = await page.getOperatorList();
+  const imageOps = new Set([
+    OPS.paintImageXObject,
+    OPS.paintInlineImageXObject,
+    OPS.paintImageMaskXObject,
+    OPS.paintImageXObjectRepeat,
+    OPS.paintInlineImageXObjectGroup
+  ]);
+  const regions: Box[] = [];
+  const stack: number[][] = [];
+  let ctm = [1, 0, 0, 1, 0, 0];
+  for (let i = 0; i < opList.fnArray.length; i++) {
+    const fn = opList.fnArray[i];
+    const args = opList.argsArray[i];
+    if (fn === OPS.save) {
+      stack.push(ctm);
+    } else if (fn === OPS.restore) {
+      ctm = stack.pop() || [1, 0, 0, 1, 0, 0];
+    } else if (fn === OPS.transform) {
+      ctm = pdfjsLib.Util.transform(ctm, args);
+    } else if (fn === OPS.paintFormXObjectBegin) {
+      stack.push(ctm);
+      if (Array.isArray(args?.[0]) && args[0].length === 6) {
+        ctm = pdfjsLib.Util.transform(ctm, args[0]);
+      }
+    } else if (fn === OPS.paintFormXObjectEnd) {
+      ctm = stack.pop() || [1, 0, 0, 1, 0, 0];
+    } else if (imageOps.has(fn)) {
+      const corners = [[0, 0], [1, 0], [0, 1], [1, 1]].map(([x, y]) => {
+        const px = ctm[0] * x + ctm[2] * y + ctm[4];
+        const py = ctm[1] * x + ctm[3] * y + ctm[5];
+        return viewport.convertToViewportPoint(px, py) as [number, number];
+      });
+      const xs = corners.map(c => c[0]);
+      const ys = corners.map(c => c[1]);
+      const minX = Math.max(0, Math.min(...xs));
+      const minY = Math.max(0, Math.min(...ys));
+      const maxX = Math.min(viewport.width, Math.max(...xs));
+      const maxY = Math.min(viewport.height, Math.max(...ys));
+      if (maxX <= minX || maxY <= minY) continue;
+      regions.push({
+        x: minX / viewport.width,
+        y: minY / viewport.height,
+        w: (maxX - minX) / viewport.width,
+        h: (maxY - minY) / viewport.height
+      });
+    }
+  }
+  return regions;
+}
+
+/**
+ * Return the image regions that still need OCR: those large enough to hold
+ * legible text and not already covered by text layer words (scanned pages
+ * with an invisible OCR layer, for example, need no second pass).
+ */
+export function regionsWithoutText(regions: Box[], words: PageWord[], viewport: PageViewport, minSidePx = 24): Box[] {
+  return regions.filter(region => {
+    if (region.w * viewport.width < minSidePx || region.h * viewport.height < minSidePx) return false;
+    return !words.some(word => boxContainsCentre(region, word.box));
+  });
+}
@@ -0,0 +1,126 @@
+import { calculateConfidence, detectTokenWithCustomPatterns } from '../detectors';
+import type { AnalyzeOptions, Box, Detection, DetectionKind } from '../types';
+import { v4 as uuidv4 } from 'uuid';
+import { createContextScorer, DEFAULT_CONTEXT_KEYWORDS, mergeContextKeywords } from './context';
+import { detectSpansInLine, groupIntoLines, unionBox } from './spans';
+import { compileTerms, findTermMatches } from './terms';
+
+/*
+ * Words are the common currency of the analyse pipeline.  Both the OCR
+ * engine and the PDF text layer produce them, and every detection stage
+ * downstream works on words rather than on engine specific structures.
+ */
+
+/** A single recognised word with its position on the page. */
+export interface PageWord {
+  /** The word text, trimmed */
+  text: string;
+  /** Bounding box normalised to 0–1 relative to the page or image */
+  box: Box;
+  /** Recognition confidence (0–1).  Text layer words are always 1. */
+  confidence: number;
+  /** Where the word came from */
+  source: 'ocr' | 'text-layer';
+}
+
+/** Map a box normalised to a sub‑region back to the coordinates of the whole page. */
+export function mapBoxFromRegion(box: Box, region: Box): Box {
+  return {
+    x: region.x + box.x * region.w,
+    y: region.y + box.y * region.h,
+    w: box.w * region.w,
+    h: box.h * region.h,
+    page: region.page ?? box.page
+  };
+}
+
+/** Return true when the centre of `inner` lies inside `outer`. */
+export function boxContainsCentre(outer: Box, inner: Box): boolean {
+  const cx = inner.x + inner.w / 2;
+  const cy = inner.y + inner.h / 2;
+  return cx >= outer.x && cx <= outer.x + outer.w && cy >= outer.y && cy <= outer.y + outer.h;
+}
+
+/**
+ * Run the detectors over a page's words and return detections.  Words are
+ * first grouped into lines and scanned for denylisted terms and multi‑word
+ * values; any word not covered by such a span is then classified on its
+ * own.  Detections made up only of allowlisted words are dropped, but a
+ * denylisted term is always reported.  Detector results are rescored by the
+ * words around them before the confidence threshold applies.
+ */
+export function detectionsFromWords(words: PageWord[], pageIndex: number, opts: AnalyzeOptions = {}): Detection[] {
+  const detections: Detection[] = [];
+  const covered = new Set<PageWord>();
+  const allowed = new Set<PageWord>();
+  const allowTerms = compileTerms(opts.allowTerms);
+  const denyTerms = compileTerms(opts.denyTerms);
+  const scoreContext = createContextScorer(
+    words,
+    mergeContextKeywords(DEFAULT_CONTEXT_KEYWORDS, opts.contextKeywords),
+    opts.detectors?.kinds
+  );
+
+  for (const line of groupIntoLines(words)) {
+    for (const match of findTermMatches(line, allowTerms)) {
+      match.words.forEach(w => allowed.add(w));
+    }
+    for (const match of findTermMatches(line, denyTerms)) {
+      match.words.forEach(w => covered.add(w));
+      detections.push({
+        id: uuidv4(),
+        kind: match.term.rule.kind ?? 'OTHER',
+        box: { ...unionBox(match.words.map(w => w.box)), page: pageIndex },
+        confidence: 1,
+        reason: `Denylisted term: ${match.term.label}`,
+        preview: match.text,
+        source: 'denylist'
+      });
+    }
+
+    for (const span of detectSpansInLine(line, opts)) {
+      if (span.words.some(w => covered.has(w)) || span.words.every(w => allowed.has(w))) continue;
+      const scored = scoreContext(span.kind, span.text, span.words, span.confidence);
+      if (opts.confidenceThreshold && scored.confidence < opts.confidenceThreshold) continue;
+      span.words.forEach(w => covered.add(w));
+      detections.push({
+        id: uuidv4(),
+        kind: scored.kind,
+        box: { ...unionBox(span.words.map(w => w.box)), page: pageIndex },
+        confidence: scored.confidence,
+        reason: span.reason + (scored.note ?? ''),
+        preview: span.text
+      });
+    }
+  }
+
+  for (const word of words) {
+    if (covered.has(word) || allowed.has(word)) continue;
+    const text = word.text.trim();
+    if (!text) continue;
+    const match = detectTokenWithCustomPatterns(text, opts.customPatterns, opts.detectors);
+    if (!match) continue;
+    const { kind, reason, confidence: detectionConfidence } = match;
+
+    // Use enhanced confidence scoring - prefer detection confidence if provided
+    const finalConfidence = detectionConfidence ?? calculateConfidence(kind as DetectionKind, text, word.confidence);
+    const scored = scoreContext(kind as DetectionKind, text, [word], finalConfidence);
+    // Raised confidence means a label nearby confirmed the value
+    if (match.needsContext && scored.confidence <= finalConfidence) continue;
+
+    // Apply confidence threshold filter
+    if (opts.confidenceThreshold && scored.confidence < opts.confidenceThreshold) {
+      continue;
+    }
+
+    detections.push({
+      id: uuidv4(),
+      kind: scored.kind,
+      box: { ...word.box, page: pageIndex },
+      confidence: scored.confidence,
+      reason: reason + (scored.note ?? ''),
+      preview: text
+    });
+  }
+  return detections;
+}
@@ -1,4 +1,6 @@
-import type { DetectionKind, RedactionStyle, CustomPattern, RedactionConfig } from './types';
+import type { DetectionKind, RedactionStyle, CustomPattern, RedactionConfig, DetectorSelection, TermEntry, ContextDictionary, BarcodeSymbology, NetworkOptions, IpRange, PdfRedactionMode } from './types';
+import { normalizeLanguages } from './languages';
+import { BARCODE_SYMBOLOGIES } from './detectors/barcodes';
 
 /** A preset defines which detection kinds are enabled and how they should be redacted. */
 export interface Preset {
@@ -17,6 +19,26 @@ export interface Preset {
   defaultRedactionConfig?: RedactionConfig;
   /** Minimum confidence threshold for this preset */
   confidenceThreshold?: number;
+  /** Tesseract languages to OCR with, e.g. ['deu+fra'] */
+  languages?: string[];
+  /** BCP 47 locales this preset is meant for, e.g. ['de-DE'] */
+  locales?: string[];
+  /** Registered detectors to run, disable or reorder, by detector id */
+  detectors?: DetectorSelection;
+  /** Text that is never redacted, e.g. the company's public support address */
+  allowTerms?: TermEntry[];
+  /** Text that is always redacted, e.g. a client name */
+  denyTerms?: TermEntry[];
+  /** Keywords that raise or lower confidence near a detection, added to the built‑in dictionaries */
+  contextKeywords?: ContextDictionary;
+  /** Barcode symbologies to report (default all) */
+  barcodeFormats?: BarcodeSymbology[];
+  /** IP ranges and URL parts to report, e.g. only private addresses and only a URL's secrets */
+  network?: NetworkOptions;
+  /** How PDFs are redacted, e.g. 'rasterize' so nothing but page images survives */
+  pdfMode?: PdfRedactionMode;
+  /** Resolution of rasterised PDF pages in DPI */
+  rasterDpi?: number;
   /** Whether this preset is user-created (vs built-in) */
   isUserCreated?: boolean;
   /** Creation/modification timestamps */
@@ -45,13 +67,18 @@ export const PRESETS: Preset[] = [
     name: 'Developer Secrets',
     description: 'Detects technical secrets like API keys, tokens, and database credentials',
     domain: 'Technology',
-    enabledKinds: ['EMAIL', 'PHONE', 'PAN', 'JWT', 'API_KEY', 'IBAN', 'SSN', 'PASSPORT'],
+    enabledKinds: ['EMAIL', 'PHONE', 'PAN', 'JWT', 'API_KEY', 'IBAN', 'SSN', 'PASSPORT', 'IP_ADDRESS', 'MAC_ADDRESS', 'URL', 'HOSTNAME'],
     styleMap: {
       'JWT': 'BOX',
       'API_KEY': 'BOX',
+      'URL': 'BOX',
       'EMAIL': 'BLUR',
       'PHONE': 'PIXELATE'
     },
+    // Catch keys without a known provider signature by their entropy
+    detectors: {
+      enabled: ['high-entropy-secret']
+    },
     defaultRedactionConfig: {
       color: '#ff0000',
       opacity: 0.8
@@ -60,12 +87,38 @@ export const PRESETS: Preset[] = [
     customRegex: [],
     version: '1.0.0'
   },
+  {
+    id: 'infrastructure',
+    name: 'Infrastructure Screenshot',
+    description: 'Hides internal addresses, host names and URL secrets while public endpoints stay readable',
+    domain: 'Technology',
+    enabledKinds: ['IP_ADDRESS', 'MAC_ADDRESS', 'URL', 'HOSTNAME', 'API_KEY', 'JWT'],
+    styleMap: {
+      'IP_ADDRESS': 'BOX',
+      'MAC_ADDRESS': 'BOX',
+      'URL': 'BOX',
+      'HOSTNAME': 'BOX',
+      'API_KEY': 'BOX',
+      'JWT': 'BOX'
+    },
+    // Only private addresses and the secret parts of links are covered
+    network: {
+      ipRanges: ['private', 'loopback', 'link-local'],
+      urlRedaction: 'secrets'
+    },
+    defaultRedactionConfig: {
+      color: '#000000',
+      opacity: 1.0
+    },
+    confidenceThreshold: 0.7,
+    version: '1.0.0'
+  },
   {
     id: 'work',
     name: 'Work Screenshot',
     description: 'Professional document sanitization for workplace sharing',
     domain: 'General',
-    enabledKinds: ['EMAIL', 'PHONE', 'PAN', 'JWT', 'API_KEY', 'NAME', 'ADDRESS', 'PASSPORT'],
+    enabledKinds: ['EMAIL', 'PHONE', 'PAN', 'JWT', 'API_KEY', 'NAME', 'ORGANIZATION', 'ADDRESS', 'PASSPORT'],
     styleMap: {
       'NAME': 'LABEL',
       'EMAIL': 'BLUR',
@@ -86,7 +139,7 @@ export const PRESETS: Preset[] = [
     name: 'All Detectors',
     description: 'Maximum security - detects all types of sensitive information',
     domain: 'General',
-    enabledKinds: ['FACE','EMAIL','PHONE','PAN','IBAN','SSN','PASSPORT','JWT','API_KEY','BARCODE','NAME','ADDRESS','OTHER'],
+    enabledKinds: ['FACE','EMAIL','PHONE','PAN','IBAN','SSN','PASSPORT','NATIONAL_ID','JWT','API_KEY','BARCODE','NAME','ORGANIZATION','ADDRESS','IP_ADDRESS','MAC_ADDRESS','URL','HOSTNAME','CRYPTO_ADDRESS','DATE','DATE_OF_BIRTH','OTHER'],
     styleMap: {},
     defaultRedactionConfig: {
       color: '#000000',
@@ -102,13 +155,17 @@ export const PRESETS: Preset[] = [
     name: 'Healthcare (HIPAA)',
     description: 'HIPAA-compliant sanitization for medical documents and communications',
     domain: 'Healthcare',
-    enabledKinds: ['NAME', 'SSN', 'PHONE', 'EMAIL', 'ADDRESS', 'OTHER'],
+    enabledKinds: ['NAME', 'SSN', 'NATIONAL_ID', 'PHONE', 'EMAIL', 'ADDRESS', 'DATE', 'DATE_OF_BIRTH', 'OTHER'],
     styleMap: {
       'SSN': 'BOX',
+      'NATIONAL_ID': 'BOX',
       'NAME': 'LABEL',
       'PHONE': 'MASK_LAST4',
       'EMAIL': 'BLUR',
-      'ADDRESS': 'BOX'
+      'ADDRESS': 'BOX',
+      // Safe harbour de-identification keeps only the year of a date
+      'DATE': 'MASK_KEEP_YEAR',
+      'DATE_OF_BIRTH': 'MASK_KEEP_YEAR'
     },
     customPatterns: [
       {
@@ -119,15 +176,6 @@ export const PRESETS: Preset[] = [
         confidence: 0.9,
         description: 'Medical record numbers and patient identifiers',
         caseSensitive: false
-      },
-      {
-        id: 'dob',
-        name: 'Date of Birth',
-        pattern: '\\b(DOB|Date of Birth|Born)\\s*:?\\s*(\\d{1,2}[/-]\\d{1,2}[/-]\\d{2,4})\\b',
-        kind: 'OTHER',
-        confidence: 0.8,
-        description: 'Date of birth patterns',
-        caseSensitive: false
       }
     ],
     defaultRedactionConfig: {
@@ -143,10 +191,11 @@ export const PRESETS: Preset[] = [
     name: 'Financial Services',
     description: 'Financial document sanitization including PCI DSS compliance',
     domain: 'Finance',
-    enabledKinds: ['PAN', 'IBAN', 'SSN', 'NAME', 'PHONE', 'EMAIL', 'ADDRESS'],
+    enabledKinds: ['PAN', 'IBAN', 'CRYPTO_ADDRESS', 'SSN', 'NAME', 'PHONE', 'EMAIL', 'ADDRESS'],
     styleMap: {
       'PAN': 'MASK_LAST4',
       'IBAN': 'MASK_LAST4',
+      'CRYPTO_ADDRESS': 'BOX',
       'SSN': 'BOX',
       'NAME': 'LABEL',
       'PHONE': 'PIXELATE',
@@ -185,10 +234,12 @@ export const PRESETS: Preset[] = [
     name: 'Legal Documents',
     description: 'Attorney-client privilege and legal document sanitization',
     domain: 'Legal',
-    enabledKinds: ['NAME', 'SSN', 'PHONE', 'EMAIL', 'ADDRESS', 'OTHER'],
+    enabledKinds: ['NAME', 'ORGANIZATION', 'SSN', 'NATIONAL_ID', 'PHONE', 'EMAIL', 'ADDRESS', 'OTHER'],
     styleMap: {
       'NAME': 'LABEL',
+      'ORGANIZATION': 'LABEL',
       'SSN': 'BOX',
+      'NATIONAL_ID': 'BOX',
       'PHONE': 'BLUR',
       'EMAIL': 'BLUR',
       'ADDRESS': 'LABEL'
@@ -218,6 +269,9 @@ export const PRESETS: Preset[] = [
       opacity: 1.0,
       labelText: '[CONFIDENTIAL]'
     },
+    // Filings must not carry anything beyond what is visible on the page
+    pdfMode: 'rasterize',
+    rasterDpi: 200,
     confidenceThreshold: 0.7,
     version: '1.0.0'
   }
@@ -388,7 +442,7 @@ export function validatePreset(preset: any): PresetImportResult {
   }
 
   // Validate detection kinds
-  const validKinds: DetectionKind[] = ['FACE','EMAIL','PHONE','PAN','IBAN','SSN','PASSPORT','JWT','API_KEY','BARCODE','NAME','ADDRESS','OTHER'];
+  const validKinds: DetectionKind[] = ['FACE','EMAIL','PHONE','PAN','IBAN','SSN','PASSPORT','NATIONAL_ID','JWT','API_KEY','BARCODE','NAME','ORGANIZATION','ADDRESS','IP_ADDRESS','MAC_ADDRESS','URL','HOSTNAME','CRYPTO_ADDRESS','DATE','DATE_OF_BIRTH','OTHER'];
   if (preset.enabledKinds) {
     const invalidKinds = preset.enabledKinds.filter((kind: string) => !validKinds.includes(kind as DetectionKind));
     if (invalidKinds.length > 0) {
@@ -419,6 +473,108 @@ export function validatePreset(preset: any): PresetImportResult {
     }
   }
 
+  // Validate detector selection
+  if (preset.detectors !== undefined) {
+    const { only, enabled, disabled, priorities } = preset.detectors || {};
+    const isIdList = (ids: unknown) => ids === undefined || (Array.isArray(ids) && ids.every(id => typeof id === 'string'));
+    if (!isIdList(only) || !isIdList(enabled) || !isIdList(disabled)) {
+      errors.push('Preset detectors must list detector ids as strings');
+    }
+    if (priorities !== undefined && (typeof priorities !== 'object' || Object.values(priorities).some(p => typeof p !== 'number'))) {
+      errors.push('Preset detector priorities must be numbers');
+    }
+  }
+
+  // Validate allowlist and denylist terms
+  for (const key of ['allowTerms', 'denyTerms'] as const) {
+    const terms = preset[key];
+    if (terms === undefined) continue;
+    if (!Array.isArray(terms)) {
+      errors.push(`Preset ${key} must be an array`);
+      continue;
+    }
+    terms.forEach((entry, index) => {
+      const rule = typeof entry === 'string' ? { term: entry } : entry;
+      if (!rule || typeof rule.term !== 'string' || !rule.term.trim()) {
+        errors.push(`${key} entry ${index + 1} must be a non-empty string or have a term`);
+        return;
+      }
+      const literal = /^\/(.+)\/([a-z]*)$/s.exec(rule.term.trim());
+      if (rule.regex || literal) {
+        try {
+          new RegExp(literal ? literal[1] : rule.term);
+        } catch (error) {
+          warnings.push(`${key} entry ${index + 1} has invalid regex: ${rule.term}`);
+        }
+      }
+    });
+  }
+
+  // Validate barcode symbologies
+  if (preset.barcodeFormats !== undefined) {
+    if (!Array.isArray(preset.barcodeFormats)) {
+      errors.push('Preset barcodeFormats must be an array');
+    } else {
+      const invalidFormats = preset.barcodeFormats.filter((f: string) => !BARCODE_SYMBOLOGIES.includes(f as BarcodeSymbology));
+      if (invalidFormats.length > 0) {
+        errors.push(`Invalid barcode formats: ${invalidFormats.join(', ')}`);
+      }
+    }
+  }
+
+  // Validate network options
+  if (preset.network !== undefined) {
+    const { ipRanges, urlRedaction } = preset.network || {};
+    const validRanges: IpRange[] = ['private', 'loopback', 'link-local', 'reserved', 'public'];
+    if (ipRanges !== undefined && (!Array.isArray(ipRanges) || ipRanges.some((r: string) => !validRanges.includes(r as IpRange)))) {
+      errors.push(`Preset network.ipRanges must list ranges from: ${validRanges.join(', ')}`);
+    }
+    if (urlRedaction !== undefined && urlRedaction !== 'full' && urlRedaction !== 'secrets') {
+      errors.push("Preset network.urlRedaction must be 'full' or 'secrets'");
+    }
+  }
+
+  // Validate PDF output options
+  if (preset.pdfMode !== undefined && preset.pdfMode !== 'vector' && preset.pdfMode !== 'rasterize') {
+    errors.push("Preset pdfMode must be 'vector' or 'rasterize'");
+  }
+  if (preset.rasterDpi !== undefined && !(typeof preset.rasterDpi === 'number' && preset.rasterDpi > 0)) {
+    errors.push('Preset rasterDpi must be a positive number');
+  }
+
+  // Validate context keywords
+  if (preset.contextKeywords !== undefined) {
+    if (typeof preset.contextKeywords !== 'object' || preset.contextKeywords === null || Array.isArray(preset.contextKeywords)) {
+      errors.push('Preset contextKeywords must be an object keyed by detection kind');
+    } else {
+      for (const [kind, keywords] of Object.entries(preset.contextKeywords as Record<string, any>)) {
+        if (!validKinds.includes(kind as DetectionKind)) {
+          errors.push(`Invalid context keyword kind: ${kind}`);
+          continue;
+        }
+        for (const list of ['boost', 'penalty'] as const) {
+          const words = keywords?.[list];
+          if (words !== undefined && (!Array.isArray(words) || words.some((w: unknown) => typeof w !== 'string' || !w.trim()))) {
+            errors.push(`Context keywords ${kind}.${list} must be non-empty strings`);
+          }
+        }
+      }
+    }
+  }
+
+  // Validate OCR languages
+  if (preset.languages !== undefined) {
+    if (!Array.isArray(preset.languages)) {
+      errors.push('Preset languages must be an array');
+    } else {
+      try {
+        normalizeLanguages(preset.languages);
+      } catch (error) {
+        errors.push((error as Error).message);
+      }
+    }
+  }
+
   return {
     success: errors.length === 0,
     preset: errors.length === 0 ? preset as Preset : undefined,
@@ -0,0 +1,86 @@
+import type { RasterImage } from '../types';
+import type { DecodedImage, RuntimeEnvironment } from './index';
+import { base64ToBytes, rasterToCanvas } from './encoding';
+
+/**
+ * Whether decoded images are already turned upright by their EXIF
+ * orientation, as every current browser does when drawing to a canvas.
+ */
+function decoderAppliesOrientation(): boolean {
+  return typeof CSS !== 'undefined' && typeof CSS.supports === 'function' && CSS.supports('image-orientation', 'from-image');
+}
+
+function createCanvas(width: number, height: number): HTMLCanvasElement | null {
+  if (typeof document !== 'undefined') {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+  // Workers have no document but may have OffscreenCanvas
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height) as unknown as HTMLCanvasElement;
+  }
+  return null;
+}
+
+async function decodeImage(bytes: Uint8Array, type: string): Promise<DecodedImage> {
+  const url = URL.createObjectURL(new Blob([bytes as BlobPart], { type }));
+  try {
+    const img = new Image();
+    await new Promise<void>((resolve, reject) => {
+      img.onload = () => resolve();
+      img.onerror = () => reject(new Error(`Cannot decode ${type || 'image'}`));
+      img.src = url;
+    });
+    const canvas = createCanvas(img.width, img.height);
+    const ctx = canvas?.getContext('2d');
+    if (!ctx) throw new Error('Cannot obtain 2D context');
+    ctx.drawImage(img, 0, 0);
+    const { data, width, height } = ctx.getImageData(0, 0, img.width, img.height);
+    return { data, width, height, oriented: decoderAppliesOrientation() };
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/** Bytes of a blob, read as a data URL as the canvas path does. */
+function blobToBytes(blob: Blob): Promise<Uint8Array> {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      const dataURL = reader.result as string;
+      resolve(base64ToBytes(dataURL.slice(dataURL.indexOf(',') + 1)));
+    };
+    reader.onerror = () => reject(reader.error ?? new Error('Cannot read the encoded image'));
+    reader.readAsDataURL(blob);
+  });
+}
+
+async function encodeImage(image: RasterImage, type: string, quality = 0.92): Promise<Uint8Array> {
+  const canvas = rasterToCanvas(image, browserEnvironment);
+  if (!canvas) throw new Error('Cannot obtain 2D context');
+  // Re‑encoding from a canvas never carries over EXIF or other metadata
+  if (typeof OffscreenCanvas !== 'undefined' && (canvas as unknown) instanceof OffscreenCanvas) {
+    // Worker canvases have no toDataURL
+    const blob = await (canvas as unknown as OffscreenCanvas).convertToBlob({ type, quality });
+    return blobToBytes(blob);
+  }
+  const dataURL = canvas.toDataURL(type, quality);
+  return base64ToBytes(dataURL.slice(dataURL.indexOf(',') + 1));
+}
+
+async function ocrInput(image: RasterImage): Promise<unknown> {
+  const canvas = rasterToCanvas(image, browserEnvironment);
+  if (!canvas) throw new Error('Cannot obtain 2D context');
+  return canvas;
+}
+
+/** DOM canvases and the browser's own image decoders. */
+export const browserEnvironment: RuntimeEnvironment = {
+  name: 'browser',
+  decodeImage,
+  encodeImage,
+  createCanvas,
+  ocrInput
+};
@@ -0,0 +1,31 @@
+import type { RasterImage } from '../types';
+import type { RuntimeEnvironment } from './index';
+
+/** Base64 of bytes, in chunks so large files do not overflow the call stack. */
+export function bytesToBase64(bytes: Uint8Array): string {
+  if (typeof Buffer !== 'undefined') return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).toString('base64');
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+export function base64ToBytes(base64: string): Uint8Array {
+  if (typeof Buffer !== 'undefined') return new Uint8Array(Buffer.from(base64, 'base64'));
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/** Put raw pixels onto a canvas from `environment`; null when it has no canvas. */
+export function rasterToCanvas(image: RasterImage, environment: RuntimeEnvironment): HTMLCanvasElement | null {
+  const canvas = environment.createCanvas(image.width, image.height);
+  const ctx = canvas?.getContext('2d');
+  if (!canvas || !ctx) return null;
+  const pixels = ctx.createImageData(image.width, image.height);
+  pixels.data.set(image.data);
+  ctx.putImageData(pixels, 0, 0);
+  return canvas;
+}
@@ -0,0 +1,42 @@
+import type { RasterImage } from '../types';
+import { browserEnvironment } from './browser';
+
+/*
+ * Platform services the pipeline needs beyond plain JavaScript: decoding
+ * and encoding images, 2D canvases for rendering PDF pages and drawing
+ * redactions, an image Tesseract can read, and file paths.  The browser
+ * implementation is used unless another one is installed, e.g. by the Node
+ * entry point (`@cleanshare/core-detect/dist/cjs/node`).
+ */
+
+/** Decoded pixels, and whether the decoder already applied the EXIF orientation. */
+export interface DecodedImage extends RasterImage {
+  oriented: boolean;
+}
+
+export interface RuntimeEnvironment {
+  /** Short name for messages, e.g. 'browser' or 'node' */
+  name: string;
+  /** Decode an encoded image of MIME type `type` into RGBA pixels. */
+  decodeImage(bytes: Uint8Array, type: string): Promise<DecodedImage>;
+  /** Encode pixels as `type` ('image/png' or 'image/jpeg'); `quality` is 0–1 for JPEG. */
+  encodeImage(image: RasterImage, type: string, quality?: number): Promise<Uint8Array>;
+  /** A canvas with a 2D context, or null when the platform has none. */
+  createCanvas(width: number, height: number): HTMLCanvasElement | null;
+  /** Pixels in a form Tesseract.js accepts on this platform. */
+  ocrInput(image: RasterImage): Promise<unknown>;
+  /** Read a file by path; only platforms with a file system provide this. */
+  readFile?(path: string): Promise<Uint8Array>;
+}
+
+let current: RuntimeEnvironment = browserEnvironment;
+
+/** The environment the pipeline currently runs against. */
+export function getEnvironment(): RuntimeEnvironment {
+  return current;
+}
+
+/** Install a runtime environment, e.g. a custom one with a native canvas. */
+export function setEnvironment(environment: RuntimeEnvironment): void {
+  current = environment;
+}
@@ -0,0 +1,67 @@
+import { promises as fs } from 'fs';
+import { PNG } from 'pngjs';
+import * as jpeg from 'jpeg-js';
+import type { RasterImage } from '../types';
+import type { DecodedImage, RuntimeEnvironment } from './index';
+import { rasterToCanvas } from './encoding';
+
+export interface NodeEnvironmentOptions {
+  /**
+   * Create a 2D canvas, e.g. `(w, h) => require('canvas').createCanvas(w, h)`.
+   * Without one, PDF pages are read from their text layer only and image
+   * redactions are drawn straight onto the pixels.
+   */
+  createCanvas?: (width: number, height: number) => unknown;
+}
+
+function decodeImage(bytes: Uint8Array, type: string): Promise<DecodedImage> {
+  const buffer = Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  // Blobs built from bare bytes may carry no type
+  if (!type && buffer.length >= 4 && buffer.readUInt32BE(0) === 0x89504e47) type = 'image/png';
+  if (!type && buffer[0] === 0xff && buffer[1] === 0xd8) type = 'image/jpeg';
+  if (type === 'image/png') {
+    const png = PNG.sync.read(buffer);
+    return Promise.resolve({ data: new Uint8ClampedArray(png.data), width: png.width, height: png.height, oriented: false });
+  }
+  if (type === 'image/jpeg') {
+    const decoded = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+    return Promise.resolve({ data: new Uint8ClampedArray(decoded.data), width: decoded.width, height: decoded.height, oriented: false });
+  }
+  return Promise.reject(new Error(`Cannot decode ${type || 'unknown'} images in Node; convert them to PNG or JPEG first`));
+}
+
+function encodeImage(image: RasterImage, type: string, quality = 0.92): Promise<Uint8Array> {
+  const data = Buffer.from(image.data.buffer, image.data.byteOffset, image.data.byteLength);
+  if (type === 'image/jpeg') {
+    return Promise.resolve(new Uint8Array(jpeg.encode({ data, width: image.width, height: image.height }, Math.round(quality * 100)).data));
+  }
+  if (type === 'image/png') {
+    const png = new PNG({ width: image.width, height: image.height });
+    data.copy(png.data);
+    return Promise.resolve(new Uint8Array(PNG.sync.write(png)));
+  }
+  return Promise.reject(new Error(`Cannot encode ${type} images in Node`));
+}
+
+/**
+ * Pure‑JS PNG and JPEG codecs (pngjs, jpeg-js) and the file system, so the
+ * pipeline runs in a headless Node process.  Tesseract.js reads PNG
+ * buffers in Node.
+ */
+export function createNodeEnvironment(options: NodeEnvironmentOptions = {}): RuntimeEnvironment {
+  const environment: RuntimeEnvironment = {
+    name: 'node',
+    decodeImage,
+    encodeImage,
+    createCanvas: (width, height) => (options.createCanvas ? (options.createCanvas(width, height) as HTMLCanvasElement) : null),
+    async ocrInput(image) {
+      const canvas = rasterToCanvas(image, environment);
+      if (canvas) return canvas;
+      return Buffer.from(await encodeImage(image, 'image/png'));
+    },
+    async readFile(path) {
+      return new Uint8Array(await fs.readFile(path));
+    }
+  };
+  return environment;
+}
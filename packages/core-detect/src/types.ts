@@ -32,6 +32,23 @@ export interface Box {
   page?: number;
 }
 
+/**
+ * Raw RGBA pixels.  Structurally compatible with the DOM `ImageData`, so a
+ * canvas' pixels can be passed directly, but usable outside the browser too.
+ */
+export interface RasterImage {
+  /** RGBA bytes, row‑major, 4 bytes per pixel */
+  data: Uint8ClampedArray | Uint8Array;
+  width: number;
+  height: number;
+}
+
+/**
+ * What `analyzeDocument` accepts: a File or Blob, raw bytes, or (in
+ * runtimes with a file system, such as Node) a file path.
+ */
+export type DocumentInput = File | Blob | ArrayBuffer | Uint8Array | string;
+
 export type DetectionKind =
   | 'FACE'
   | 'EMAIL'
@@ -40,11 +57,20 @@ export type DetectionKind =
   | 'IBAN'
   | 'SSN'
   | 'PASSPORT'
+  | 'NATIONAL_ID'
   | 'JWT'
   | 'API_KEY'
   | 'BARCODE'
   | 'NAME'
+  | 'ORGANIZATION'
   | 'ADDRESS'
+  | 'IP_ADDRESS'
+  | 'MAC_ADDRESS'
+  | 'URL'
+  | 'HOSTNAME'
+  | 'CRYPTO_ADDRESS'
+  | 'DATE'
+  | 'DATE_OF_BIRTH'
   | 'OTHER';
 
 export interface Detection {
@@ -60,14 +86,65 @@ export interface Detection {
   reason: string;
   /** Optional snippet of the detected text */
   preview?: string;
+  /** Symbology and full payload of a BARCODE detection */
+  barcode?: {
+    format: BarcodeSymbology;
+    text: string;
+  };
+  /** Range of an IP_ADDRESS detection, or the secret a narrowed URL detection covers */
+  network?: {
+    range?: IpRange;
+    /** 'credentials' or the name of a secret query parameter */
+    secret?: string;
+  };
+  /** 'denylist' when a `denyTerms` entry matched rather than a detector; kept whatever kinds the preset enables */
+  source?: 'denylist';
+}
+
+/**
+ * Ranges an IP address can fall in: RFC 1918 and unique local addresses
+ * are 'private'; documentation, multicast, carrier‑grade NAT and other
+ * special‑purpose blocks are 'reserved'.
+ */
+export type IpRange = 'private' | 'loopback' | 'link-local' | 'reserved' | 'public';
+
+/** Which network identifiers are reported and how much of a URL is covered. */
+export interface NetworkOptions {
+  /** IP address ranges to report, e.g. ['private', 'loopback', 'link-local'] to keep public addresses visible (default every range) */
+  ipRanges?: IpRange[];
+  /**
+   * 'full' (default) covers the whole URL; 'secrets' covers only its
+   * "user:password@" credentials and the values of secret query parameters,
+   * and drops URLs that have neither.
+   */
+  urlRedaction?: 'full' | 'secrets';
 }
 
+/** Barcode symbologies the scanner can decode, named as in ZXing. */
+export type BarcodeSymbology =
+  | 'QR_CODE'
+  | 'DATA_MATRIX'
+  | 'AZTEC'
+  | 'PDF_417'
+  | 'CODE_128'
+  | 'CODE_39'
+  | 'CODE_93'
+  | 'CODABAR'
+  | 'ITF'
+  | 'EAN_13'
+  | 'EAN_8'
+  | 'UPC_A'
+  | 'UPC_E'
+  | 'RSS_14'
+  | 'RSS_EXPANDED';
+
 export type RedactionStyle =
   | 'BLUR'
   | 'PIXELATE'
   | 'BOX'
   | 'LABEL'
   | 'MASK_LAST4'
+  | 'MASK_KEEP_YEAR'
   | 'PATTERN'
   | 'GRADIENT'
   | 'SOLID_COLOR'
@@ -121,6 +198,28 @@ export interface CustomPattern {
   caseSensitive?: boolean;
 }
 
+/**
+ * A term for the allowlist or denylist.  A plain string is matched exactly
+ * (ignoring case and whitespace differences) at word boundaries; a string
+ * written as "/pattern/flags" is a regular expression.
+ */
+export type TermEntry = string | TermRule;
+
+export interface TermRule {
+  /** The text to match, or the pattern source when `regex` is set */
+  term: string;
+  /** Treat `term` as a regular expression */
+  regex?: boolean;
+  /** Tolerate OCR errors (confusable characters, small edit distance) */
+  fuzzy?: boolean;
+  /** Edits allowed by fuzzy matching; defaults to 0–2 depending on the term length */
+  maxEdits?: number;
+  /** Match case exactly (default false) */
+  caseSensitive?: boolean;
+  /** Kind reported for denylist matches (default 'OTHER') */
+  kind?: DetectionKind;
+}
+
 export interface AnalyzeOptions {
   /** Optional preset identifier to use for enabling/disabling detectors */
   presetId?: string;
@@ -130,14 +229,197 @@ export interface AnalyzeOptions {
   customPatterns?: CustomPattern[];
   /** Minimum confidence threshold (0-1) for including detections */
   confidenceThreshold?: number;
+  /**
+   * Read PDF pages from their embedded text layer when one exists, falling
+   * back to OCR only for pages and image regions without text.  Defaults to
+   * true; set to false to force OCR on every page.
+   */
+  useTextLayer?: boolean;
+  /** Scale at which PDF pages are rendered for OCR and barcode scanning (default 2, ≈144 DPI) */
+  pdfRenderScale?: number;
+  /**
+   * Clean up images before OCR: orientation, dark‑mode inversion, contrast,
+   * cropping and deskewing.  Detection boxes are always reported in the
+   * coordinates of the original image.  Pass false to OCR images as they are.
+   */
+  preprocess?: PreprocessOptions | false;
+  /** Run the on‑device face detector (default true) */
+  detectFaces?: boolean;
+  /**
+   * Barcode symbologies to report, e.g. ['QR_CODE', 'CODE_128'] to redact
+   * tracking codes but leave product EANs alone.  Defaults to the preset's
+   * list, then to every supported symbology.
+   */
+  barcodeFormats?: BarcodeSymbology[];
+  /**
+   * Tesseract languages to OCR with, e.g. ['deu', 'fra'] or the combined
+   * pack ['deu+fra'].  Falls back to the preset's languages, then to
+   * `locales`, then to English.
+   */
+  languages?: string[];
+  /** BCP 47 locales of the documents (e.g. 'de-DE'), used to pick OCR languages when `languages` is not set */
+  locales?: string[];
+  /** Where OCR traineddata files are loaded from and cached */
+  ocrData?: OcrDataOptions;
+  /** Which registered detectors run and in what order (falls back to the preset's selection) */
+  detectors?: DetectorSelection;
+  /** Text that must never be redacted; matching detections are dropped.  Added to the preset's list. */
+  allowTerms?: TermEntry[];
+  /** Text that must always be redacted, even when no detector matches.  Added to the preset's list. */
+  denyTerms?: TermEntry[];
+  /** Extra keywords that raise or lower confidence when found near a detection.  Added to the preset's and the built‑in dictionaries. */
+  contextKeywords?: ContextDictionary;
+  /** IP ranges and URL parts to report (falls back to the preset's settings) */
+  network?: NetworkOptions;
+  /** Abort the analysis; the returned promise rejects with the signal's reason */
+  signal?: AbortSignal;
+  /** Called as pages are rendered, recognised and scanned */
+  onProgress?: (progress: ProgressInfo) => void;
+  /**
+   * Where page rendering and OCR run, e.g. the worker pool from
+   * `@cleanshare/wasm`.  Defaults to the calling thread, one page at a time.
+   */
+  backend?: AnalysisBackend;
+}
+
+/**
+ * Runs the heavy parts of an analysis – PDF page rendering and OCR – away
+ * from the pipeline, typically in workers.  Up to `concurrency` pages are
+ * analysed at once; detections are still reported in page order.
+ */
+export interface AnalysisBackend {
+  /** Pages analysed in parallel (at least 1) */
+  concurrency: number;
+  /** Render page `pageIndex` (zero‑based) of a PDF at `scale` × 72 DPI. */
+  renderPdfPage(pdf: ArrayBuffer, pageIndex: number, scale: number, signal?: AbortSignal): Promise<RasterImage>;
+  /** Recognise the words in an image.  `onProgress` receives the recognised fraction. */
+  recognize(image: RasterImage, request: OcrRequest, signal?: AbortSignal, onProgress?: (fraction: number) => void): Promise<OcrWord[]>;
+}
+
+export interface OcrRequest {
+  /** Tesseract language codes joined with '+', e.g. 'deu+fra' */
+  languages: string;
+  ocrData?: OcrDataOptions;
+}
+
+/** A word recognised by OCR, in pixels of the recognised image. */
+export interface OcrWord {
+  text: string;
+  /** 0–100, as reported by Tesseract */
+  confidence: number;
+  bbox: { x0: number; y0: number; x1: number; y1: number };
+}
+
+export type ProgressStage = 'load' | 'render' | 'ocr' | 'detect' | 'barcodes' | 'faces' | 'redact' | 'write' | 'done';
+
+export interface ProgressInfo {
+  /** What is happening now */
+  stage: ProgressStage;
+  /** Zero‑based index of the page being processed */
+  page: number;
+  totalPages: number;
+  /** Overall completion, 0–100 */
+  percent: number;
 }
 
+export interface PreprocessOptions {
+  /** Apply the EXIF orientation tag when the image decoder has not (default true) */
+  exifOrientation?: boolean;
+  /** Invert light‑on‑dark images such as dark‑mode screenshots (default true) */
+  invertDarkMode?: boolean;
+  /** Stretch grey levels to the full range (default true) */
+  normalizeContrast?: boolean;
+  /** Crop away blank margins (default true) */
+  autoCrop?: boolean;
+  /** Estimate and undo page rotation (default true) */
+  deskew?: boolean;
+  /** Largest rotation corrected by `deskew`, in degrees (default 15) */
+  maxSkewDegrees?: number;
+}
+
+/** Words that make a detection of one kind more or less likely when found nearby. */
+export interface ContextKeywords {
+  /** Labels such as "SSN" or "Acct #" that raise confidence */
+  boost?: string[];
+  /** Words such as "SKU" or "Part No" that lower it */
+  penalty?: string[];
+}
+
+export type ContextDictionary = Partial<Record<DetectionKind, ContextKeywords>>;
+
+/**
+ * Selects and orders registered detectors by id.  Used by presets and
+ * `AnalyzeOptions` to add, reorder or disable detectors without code changes.
+ */
+export interface DetectorSelection {
+  /** Run only these detector ids */
+  only?: string[];
+  /** Also run these detector ids, including ones that are off by default */
+  enabled?: string[];
+  /** Never run these detector ids */
+  disabled?: string[];
+  /** Override detector priorities by id; higher runs first */
+  priorities?: Record<string, number>;
+  /** Run only detectors producing these kinds */
+  kinds?: DetectionKind[];
+  /** Document locales; detectors tagged with other locales are skipped and regional detectors for these locales are enabled */
+  locales?: string[];
+}
+
+export interface OcrDataOptions {
+  /** Base URL or directory holding `<lang>.traineddata[.gz]` files, for self‑hosted or offline language packs */
+  langPath?: string;
+  /** Cache key prefix (browser IndexedDB) or directory (Node) for downloaded traineddata */
+  cachePath?: string;
+  /** 'write' (default) caches downloads, 'readOnly' only reads, 'refresh' re‑downloads, 'none' disables caching */
+  cacheMethod?: 'write' | 'readOnly' | 'refresh' | 'none';
+  /** Whether files at `langPath` are gzip compressed (default true) */
+  gzip?: boolean;
+}
+
+/**
+ * The outcome of `analyzeDocument`.  It is a self‑contained handle: it holds
+ * the analysed file, its identity and page geometry together with the
+ * detections, so `applyRedactions` never needs shared state and can never
+ * apply one file's boxes to another.
+ */
 export interface AnalyzeResult {
   detections: Detection[];
   pages: number;
+  /** Size of each page, in order */
+  pageSizes: PageSize[];
+  /** Identity of the analysed file */
+  source: SourceIdentity;
+  /** The analysed file itself */
+  file: Blob;
+  /**
+   * Zero‑based indices of pages that could not be analysed, e.g. scanned
+   * PDF pages in a runtime without a canvas to render them.  Nothing was
+   * detected on these pages, so a non‑empty list means the file is not
+   * safe to redact and share as it is.
+   */
+  skippedPages: number[];
   ocrStats?: any;
 }
 
+export interface SourceIdentity {
+  /** Hex SHA‑256 of the file contents */
+  sha256: string;
+  /** Size in bytes */
+  size: number;
+  /** MIME type */
+  type: string;
+  /** File name, when the input was a `File` */
+  name?: string;
+}
+
+export interface PageSize {
+  width: number;
+  height: number;
+  /** 'px' for images, 'pt' for PDF pages */
+  unit: 'px' | 'pt';
+}
+
 export interface RedactionAction {
   detectionId: string;
   style: RedactionStyle;
@@ -166,6 +448,28 @@ export interface DocumentSanitizationOptions {
   removeColorProfiles?: boolean;
 }
 
+/**
+ * What each requested sanitization option removed from a PDF, reported as
+ * `report.sanitization`.  Only the options that were asked for are present.
+ */
+export type SanitizationReport = { [option in keyof DocumentSanitizationOptions]?: number };
+
+/** What the `removeMetadata` sanitization removed from a PDF, reported as `report.metadata`. */
+export interface PdfMetadataReport {
+  /** Keys of the Info dictionary entries dropped, e.g. 'Author', 'Producer' */
+  info: string[];
+  /** XMP metadata streams removed, from the document and from its pages, images and forms */
+  xmpStreams: number;
+  /** Private application data dictionaries (/PieceInfo) removed */
+  pieceInfo: number;
+  /** Revisions appended by incremental saves that the rewritten file leaves out */
+  revisionsDiscarded: number;
+  /** The output's newly generated file identifier, in hex */
+  documentId: string;
+}
+
+export type PdfRedactionMode = 'vector' | 'rasterize';
+
 export interface ApplyOptions {
   output?: 'image' | 'pdf';
   /** JPEG quality (0–1) for image exports */
@@ -174,15 +478,98 @@ export interface ApplyOptions {
   sanitization?: DocumentSanitizationOptions;
   /** Use vector-based redaction for PDFs (instead of raster overlay) */
   useVectorRedaction?: boolean;
+  /**
+   * How PDFs are redacted: 'vector' (default) removes what lies under each
+   * box and keeps the rest of the page as it was; 'rasterize' renders every
+   * page, burns the redactions into the pixels and writes a new PDF of page
+   * images only, with no fonts, text, annotations, attachments or metadata.
+   * Rasterising needs a canvas to render into.
+   */
+  pdfMode?: PdfRedactionMode;
+  /** Resolution of the page images in 'rasterize' mode (default 150 DPI) */
+  rasterDpi?: number;
+  /** Preset whose `pdfMode` and `rasterDpi` apply when they are not given here */
+  presetId?: string;
+  /** Abort redaction; the returned promise rejects with the signal's reason */
+  signal?: AbortSignal;
+  /** Called as pages are redacted and the output is written */
+  onProgress?: (progress: ProgressInfo) => void;
 }
 
 export interface ApplyResult {
   /** Data URI for the redacted file */
   fileUri: string;
+  /** The redacted file itself, e.g. to write to disk in Node */
+  bytes: Uint8Array;
+  /** MIME type of `bytes` */
+  mimeType: string;
   /** Optional report with details about redactions */
   report?: any;
 }
 
+/** How much a finding of `inspectDocument` exposes. */
+export type InspectionSeverity = 'high' | 'medium' | 'low';
+
+/** What kind of data beyond the visible content a finding is about. */
+export type InspectionCategory =
+  | 'exif'
+  | 'gps'
+  | 'thumbnail'
+  | 'maker-note'
+  | 'icc-profile'
+  | 'xmp'
+  | 'iptc'
+  | 'comment'
+  | 'info-dictionary'
+  | 'private-data'
+  | 'attachment'
+  | 'javascript'
+  | 'form-field'
+  | 'annotation'
+  | 'hidden-layer'
+  | 'invisible-text'
+  | 'off-page-text'
+  | 'revision';
+
+/** Something a file carries beyond what is visible on its pages. */
+export interface InspectionFinding {
+  category: InspectionCategory;
+  severity: InspectionSeverity;
+  /** One line for a reviewer, e.g. 'GPS position 52.52000, 13.40500' */
+  message: string;
+  /** The values found, e.g. { Make: 'Apple', Model: 'iPhone 15' } */
+  details?: Record<string, string>;
+  /** Page of the finding (0‑based) when it belongs to one */
+  page?: number;
+  /** The sanitization option that removes it, when one does */
+  remedy?: keyof DocumentSanitizationOptions;
+}
+
+export interface InspectionResult {
+  source: SourceIdentity;
+  mimeType: string;
+  /** Findings, most severe first */
+  findings: InspectionFinding[];
+}
+
+/** What redacting a PDF removed from it, reported as `report.pdf`. */
+export interface PdfRedactionReport {
+  /** Glyphs cut out of text-showing operators */
+  glyphsRemoved: number;
+  /** Images whose pixels under a redaction were blanked */
+  imagesRedacted: number;
+  /** Images in an encoding that cannot be edited here (JPEG 2000, JBIG2, CCITT) replaced by blank ones */
+  imagesReplaced: number;
+  inlineImagesRemoved: number;
+  annotationsRemoved: number;
+  /**
+   * Text the vector output still painted under a redaction.  Empty when
+   * redaction is complete; otherwise the pages were rasterised instead and
+   * `report.pdfMode` is 'rasterize'.
+   */
+  textUnderRedactions: string[];
+}
+
 export interface BulkProcessingOptions {
   /** Maximum number of files to process concurrently */
   maxConcurrency?: number;
@@ -6,6 +6,7 @@ import type {
   RedactionStyle,
   Preset
   , DetectionKind
+  , AnalyzeResult
 } from '@cleanshare/core-detect';
 import { analyzeDocument, applyRedactions, listPresets, savePreset, deletePreset } from '@cleanshare/core-detect';
 import JSZip from 'jszip';
@@ -64,6 +65,7 @@ function dataURIToUint8Array(dataURI: string): Uint8Array {
 /** File state structure for each selected file. */
 interface FileState {
   file: File;
+  analysis: AnalyzeResult;
   detections: Detection[];
   // map of detection id to whether the user wants to redact it
   selected: Record<string, boolean>;
@@ -165,6 +167,7 @@ export default function Home() {
           if (!isCancelled) {
             newStates.push({
               file,
+              analysis: result,
               detections: result.detections,
               selected: sel,
               actions: act,
@@ -268,7 +271,7 @@ export default function Home() {
         }
       });
       const outputType = (fs.file as any).type === 'application/pdf' ? 'pdf' : 'image';
-      const result = await applyRedactions(fs.file, actions, { output: outputType as any, quality: 0.92 });
+      const result = await applyRedactions(fs.analysis, actions, { output: outputType as any, quality: 0.92 });
       setFileStates(prev => {
         const copy = [...prev];
         copy[currentFileIndex] = {
@@ -309,7 +312,7 @@ export default function Home() {
             }
           });
           const outputType = (fs.file as any).type === 'application/pdf' ? 'pdf' : 'image';
-          const result = await applyRedactions(fs.file, actions, { output: outputType as any, quality: 0.92 });
+          const result = await applyRedactions(fs.analysis, actions, { output: outputType as any, quality: 0.92 });
           fs.outputUri = result.fileUri;
           fs.report = result.report;
         } catch (err) {
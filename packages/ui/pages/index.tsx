@@ -1,14 +1,20 @@
 // CleanShare Pro - Modern UI Implementation
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import type {
   Detection,
   RedactionAction,
   RedactionStyle,
   Preset,
-  DetectionKind
+  DetectionKind,
+  AnalyzeResult,
+  InspectionFinding,
+  ProgressInfo
 } from '@cleanshare/core-detect';
-import { analyzeDocument, applyRedactions, startSession, endSession, startFileProcessing, recordAnalysisResults, recordRedactionResults, listPresets } from '@cleanshare/core-detect';
+import { analyzeDocument, applyRedactions, inspectDocument, isAbortError, startSession, endSession, startFileProcessing, recordAnalysisResults, recordRedactionResults, listPresets } from '@cleanshare/core-detect';
+import type { WorkerPool } from '@cleanshare/wasm';
 import PresetManager from '../src/components/PresetManager';
+import ProgressStatus from '../src/components/ProgressStatus';
+import InspectionPanel from '../src/components/InspectionPanel';
 import HistoryDashboard from '../src/components/HistoryDashboard';
 import UndoRedoManager, { UndoRedoControls } from '../src/components/UndoRedoManager';
 import KeyboardShortcutsHelp from '../src/components/KeyboardShortcutsHelp';
@@ -45,7 +51,11 @@ class ErrorBoundary extends React.Component<
 
 interface FileState {
   file: File;
+  /** Analysis handle passed to applyRedactions; absent when analysis failed */
+  analysis?: AnalyzeResult;
   detections: Detection[];
+  /** What the file carries beyond its visible content; absent when inspection failed */
+  inspection?: InspectionFinding[];
   selected: Record<string, boolean>;
   actions: Record<string, { style: RedactionStyle; labelText?: string }>;
   pages: number;
@@ -54,6 +64,8 @@ interface FileState {
   outputUri?: string;
   previewUri?: string; // Preview of sanitized file
   processing?: boolean;
+  /** Progress of the running sanitization */
+  progress?: ProgressInfo;
   error?: string;
 }
 
@@ -64,6 +76,10 @@ export default function CleanSharePro() {
   const [presets, setPresets] = useState<Preset[]>([]);
   const [presetId, setPresetId] = useState<string>('');
   const [loading, setLoading] = useState(false);
+  const [analysisProgress, setAnalysisProgress] = useState<{ fileName: string; progress?: ProgressInfo } | null>(null);
+  const analysisController = useRef<AbortController | null>(null);
+  const sanitizeControllers = useRef(new Map<number, AbortController>());
+  const workerPool = useRef<WorkerPool | null>(null);
   const [proUnlocked, setProUnlocked] = useState(false);
   const [showPresetEditor, setShowPresetEditor] = useState(false);
   const [showHistoryDashboard, setShowHistoryDashboard] = useState(false);
@@ -128,6 +144,27 @@ export default function CleanSharePro() {
     return () => window.removeEventListener('resize', handleResize);
   }, []);
 
+  // PDF pages are rendered and recognised in a pool of workers, off the UI
+  // thread.  The package is loaded on the client only; until it is, and in
+  // browsers without OffscreenCanvas, analysis runs on the main thread.
+  useEffect(() => {
+    if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined') return;
+    let unmounted = false;
+    let pool: WorkerPool | null = null;
+    import('@cleanshare/wasm')
+      .then(({ createWorkerPool }) => {
+        if (unmounted) return;
+        pool = createWorkerPool();
+        workerPool.current = pool;
+      })
+      .catch(error => console.warn('Failed to load the analysis workers:', error));
+    return () => {
+      unmounted = true;
+      workerPool.current = null;
+      pool?.terminate();
+    };
+  }, []);
+
   // Keyboard shortcuts
   useEffect(() => {
     const handleKeydown = (e: KeyboardEvent) => {
@@ -166,6 +203,10 @@ export default function CleanSharePro() {
   // Process files when they change
   useEffect(() => {
     if (files.length === 0) return;
+    // Aborted when the files change again, or by the Cancel button
+    const controller = new AbortController();
+    analysisController.current = controller;
+    let superseded = false;
     
     async function processFiles() {
       setLoading(true);
@@ -196,9 +237,35 @@ export default function CleanSharePro() {
         });
         processingRecords.set(i, recordId);
         
+        if (controller.signal.aborted) {
+          newStates.push({
+            file,
+            detections: [],
+            selected: {},
+            actions: {},
+            pages: 1,
+            pageImages: [],
+            currentPage: 0,
+            processing: false,
+            error: 'Analysis cancelled'
+          });
+          continue;
+        }
+
+        setAnalysisProgress({ fileName: file.name });
         try {
-          const result = await analyzeDocument(file, { presetId });
+          const result = await analyzeDocument(file, {
+            presetId,
+            backend: workerPool.current ?? undefined,
+            signal: controller.signal,
+            onProgress: progress => setAnalysisProgress({ fileName: file.name, progress })
+          });
           const analysisTime = Date.now() - startTime;
+          // Metadata and hidden content are listed beside the detections
+          const inspection = await inspectDocument(file).catch(error => {
+            console.warn('Failed to inspect file:', file.name, error);
+            return undefined;
+          });
           
           // Record analysis results
           recordAnalysisResults(recordId, {
@@ -216,7 +283,9 @@ export default function CleanSharePro() {
 
           newStates.push({
             file,
+            analysis: result,
             detections: result.detections,
+            inspection: inspection?.findings,
             selected,
             actions,
             pages: result.pages || 1,
@@ -225,12 +294,14 @@ export default function CleanSharePro() {
             processing: false
           });
         } catch (error) {
-          console.error('Failed to process file:', file.name, error);
+          const cancelled = isAbortError(error);
+          if (superseded) return;
+          if (!cancelled) console.error('Failed to process file:', file.name, error);
           
           // Record analysis error
           recordAnalysisResults(recordId, {
             detections: [],
-            error: error instanceof Error ? error.message : 'Unknown error'
+            error: cancelled ? 'Analysis cancelled' : error instanceof Error ? error.message : 'Unknown error'
           });
           
           // Add the file with error state
@@ -243,22 +314,51 @@ export default function CleanSharePro() {
             pageImages: [],
             currentPage: 0,
             processing: false,
-            error: error instanceof Error ? error.message : 'Unknown error'
+            error: cancelled ? 'Analysis cancelled' : error instanceof Error ? error.message : 'Unknown error'
           });
         }
       }
       
+      if (superseded) return;
       setFileStates(newStates);
       setFileProcessingRecords(processingRecords);
       setLoading(false);
+      setAnalysisProgress(null);
       
       // End the session
       endSession(sessionId, 'completed');
     }
     
     processFiles();
+    return () => {
+      superseded = true;
+      controller.abort();
+    };
   }, [files, presetId]);
 
+  const handleCancelAnalysis = () => {
+    analysisController.current?.abort();
+  };
+
+  const handleCancelSanitize = (fileIndex: number) => {
+    sanitizeControllers.current.get(fileIndex)?.abort();
+  };
+
+  /** Track a file's sanitization so it can be cancelled and its progress shown. */
+  const startSanitizeTracking = (fileIndex: number) => {
+    const controller = new AbortController();
+    sanitizeControllers.current.set(fileIndex, controller);
+    return {
+      signal: controller.signal,
+      onProgress: (progress: ProgressInfo) => setFileStates(prev => prev.map((state, i) =>
+        i === fileIndex ? { ...state, progress } : state
+      )),
+      done: () => {
+        if (sanitizeControllers.current.get(fileIndex) === controller) sanitizeControllers.current.delete(fileIndex);
+      }
+    };
+  };
+
   const handleFileChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     const selectedFiles = Array.from(e.target.files || []);
     setFiles(selectedFiles);
@@ -331,16 +431,16 @@ export default function CleanSharePro() {
 
     // Update processing state
     setFileStates(prev => prev.map((state, i) => 
-      i === fileIndex ? { ...state, processing: true } : state
+      i === fileIndex ? { ...state, processing: true, progress: undefined } : state
     ));
 
     const redactionStartTime = Date.now();
     const recordId = fileProcessingRecords.get(fileIndex);
+    const tracking = startSanitizeTracking(fileIndex);
 
     try {
-      // Re-analyze the file to ensure lastResult is set correctly  
-      await analyzeDocument(fileState.file, { presetId });
-      
+      if (!fileState.analysis) throw new Error('File has not been analysed');
+
       const redactionActions: RedactionAction[] = fileState.detections
         .filter(det => fileState.selected[det.id])
         .map(det => ({
@@ -349,9 +449,13 @@ export default function CleanSharePro() {
           labelText: fileState.actions[det.id]?.labelText
         }));
 
-      const result = await applyRedactions(fileState.file, redactionActions, {
-        output: 'image'
-      }, fileState.detections);
+      const result = await applyRedactions(fileState.analysis, redactionActions, {
+        output: 'image',
+        // The preset's PDF mode and raster resolution apply to the output
+        presetId: presetId || undefined,
+        signal: tracking.signal,
+        onProgress: tracking.onProgress
+      });
 
       // Convert data URI to blob for download
       const response = await fetch(result.fileUri);
@@ -370,25 +474,32 @@ export default function CleanSharePro() {
 
       // Update file state with result
       setFileStates(prev => prev.map((state, i) => 
-        i === fileIndex ? { ...state, outputUri: url, previewUri: result.fileUri, processing: false } : state
+        i === fileIndex ? { ...state, outputUri: url, previewUri: result.fileUri, processing: false, progress: undefined } : state
       ));
 
     } catch (error) {
-      console.error('Sanitization failed:', error);
+      const cancelled = isAbortError(error);
+      if (!cancelled) console.error('Sanitization failed:', error);
       
       // Record redaction error
       if (recordId) {
         recordRedactionResults(recordId, {
           appliedRedactions: [],
-          error: error instanceof Error ? error.message : 'Unknown error'
+          error: cancelled ? 'Sanitization cancelled' : error instanceof Error ? error.message : 'Unknown error'
         });
       }
       
       // Show error to user
-      alert(`Sanitization failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
+      if (cancelled) {
+        showToastMessage('Sanitization cancelled');
+      } else {
+        alert(`Sanitization failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
+      }
       setFileStates(prev => prev.map((state, i) => 
-        i === fileIndex ? { ...state, processing: false } : state
+        i === fileIndex ? { ...state, processing: false, progress: undefined } : state
       ));
+    } finally {
+      tracking.done();
     }
   };
 
@@ -412,7 +523,7 @@ export default function CleanSharePro() {
     // Set all eligible files to processing state
     setFileStates(prev => prev.map((state, index) => {
       const shouldProcess = filesToProcess.some(({ index: processIndex }) => processIndex === index);
-      return shouldProcess ? { ...state, processing: true } : state;
+      return shouldProcess ? { ...state, processing: true, progress: undefined } : state;
     }));
 
     try {
@@ -422,10 +533,10 @@ export default function CleanSharePro() {
         const batch = filesToProcess.slice(i, i + maxConcurrency);
         
         const promises = batch.map(async ({ state, index: fileIndex }) => {
+          const tracking = startSanitizeTracking(fileIndex);
           try {
-            // Re-analyze the file to ensure lastResult is set correctly  
-            await analyzeDocument(state.file, { presetId });
-            
+            if (!state.analysis) throw new Error('File has not been analysed');
+
             const redactionActions: RedactionAction[] = state.detections
               .filter(det => state.selected[det.id])
               .map(det => ({
@@ -434,9 +545,12 @@ export default function CleanSharePro() {
                 labelText: state.actions[det.id]?.labelText
               }));
 
-            const result = await applyRedactions(state.file, redactionActions, {
-              output: 'image'
-            }, state.detections);
+            const result = await applyRedactions(state.analysis, redactionActions, {
+              output: 'image',
+              presetId: presetId || undefined,
+              signal: tracking.signal,
+              onProgress: tracking.onProgress
+            });
 
             // Convert data URI to blob for download
             const response = await fetch(result.fileUri);
@@ -445,14 +559,23 @@ export default function CleanSharePro() {
 
             // Update file state with result
             setFileStates(prev => prev.map((s, i) => 
-              i === fileIndex ? { ...s, outputUri: url, previewUri: result.fileUri, processing: false } : s
+              i === fileIndex ? { ...s, outputUri: url, previewUri: result.fileUri, processing: false, progress: undefined } : s
             ));
 
           } catch (error) {
+            if (isAbortError(error)) {
+              // A cancelled file can be sanitized again later
+              setFileStates(prev => prev.map((s, i) => 
+                i === fileIndex ? { ...s, processing: false, progress: undefined } : s
+              ));
+              return;
+            }
             console.error(`Sanitization failed for ${state.file.name}:`, error);
             setFileStates(prev => prev.map((s, i) => 
-              i === fileIndex ? { ...s, processing: false, error: error instanceof Error ? error.message : 'Unknown error' } : s
+              i === fileIndex ? { ...s, processing: false, progress: undefined, error: error instanceof Error ? error.message : 'Unknown error' } : s
             ));
+          } finally {
+            tracking.done();
           }
         });
 
@@ -622,9 +745,12 @@ export default function CleanSharePro() {
               />
               
               {loading && (
-                <div className="loading-text" style={{ marginTop: 'var(--space-md)' }}>
-                  <div className="loading-spinner"></div>
-                  Processing files...
+                <div style={{ marginTop: 'var(--space-md)' }}>
+                  <ProgressStatus
+                    label={analysisProgress?.fileName}
+                    progress={analysisProgress?.progress}
+                    onCancel={handleCancelAnalysis}
+                  />
                 </div>
               )}
             </div>
@@ -664,9 +790,12 @@ export default function CleanSharePro() {
               </div>
               
               {loading && (
-                <div className="loading-text" style={{ marginTop: 'var(--space-md)' }}>
-                  <div className="loading-spinner"></div>
-                  Processing files...
+                <div style={{ marginTop: 'var(--space-md)' }}>
+                  <ProgressStatus
+                    label={analysisProgress?.fileName}
+                    progress={analysisProgress?.progress}
+                    onCancel={handleCancelAnalysis}
+                  />
                 </div>
               )}
             </div>
@@ -741,6 +870,11 @@ export default function CleanSharePro() {
                     <div style={{ fontSize: 'var(--font-size-xs)', color: state.error ? 'var(--color-error)' : 'var(--text-secondary)' }}>
                       {state.error ? `Error: ${state.error}` : `${state.detections.length} detections found`}
                     </div>
+                    {state.processing && (
+                      <div style={{ marginTop: 'var(--space-sm)' }}>
+                        <ProgressStatus progress={state.progress} />
+                      </div>
+                    )}
                     <div style={{ marginTop: 'var(--space-sm)', display: 'flex', gap: 'var(--space-xs)' }}>
                       <button
                         onClick={(e) => {
@@ -753,6 +887,17 @@ export default function CleanSharePro() {
                       >
                         {state.processing ? 'Processing...' : 'Sanitize'}
                       </button>
+                      {state.processing && (
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            handleCancelSanitize(index);
+                          }}
+                          className="btn btn-outline btn-sm"
+                        >
+                          Cancel
+                        </button>
+                      )}
                       {state.outputUri && (
                         <button
                           onClick={(e) => {
@@ -781,6 +926,9 @@ export default function CleanSharePro() {
                     </p>
                   </div>
                   <div className="card-body">
+                    {!currentFileState.error && currentFileState.inspection && (
+                      <InspectionPanel findings={currentFileState.inspection} />
+                    )}
                     {currentFileState.error ? (
                       <div className="alert alert-error">
                         <div>
@@ -931,7 +1079,9 @@ export default function CleanSharePro() {
                         <div>
                           <strong>No sensitive information detected!</strong>
                           <p style={{ margin: '0', marginTop: 'var(--space-xs)' }}>
-                            This document appears to be clean and safe to share.
+                            {currentFileState.inspection?.length
+                              ? 'Review the hidden data listed above before sharing.'
+                              : 'This document appears to be clean and safe to share.'}
                           </p>
                         </div>
                       </div>
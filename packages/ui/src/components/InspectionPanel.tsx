@@ -0,0 +1,88 @@
+import React from 'react';
+import type { InspectionFinding, InspectionSeverity } from '@cleanshare/core-detect';
+
+interface InspectionPanelProps {
+  /** Findings of inspectDocument, most severe first */
+  findings: InspectionFinding[];
+}
+
+const SEVERITY_COLORS: Record<InspectionSeverity, string> = {
+  high: 'var(--color-error)',
+  medium: 'var(--color-warning)',
+  low: 'var(--text-secondary)'
+};
+
+const REMEDY_LABELS: Record<string, string> = {
+  removeExif: 'Removed from images on sanitizing',
+  removeMetadata: 'Remove metadata',
+  removeAnnotations: 'Remove annotations',
+  removeFormFields: 'Flatten form fields',
+  removeJavaScript: 'Remove JavaScript',
+  removeEmbeddedFiles: 'Remove embedded files',
+  flattenLayers: 'Flatten layers',
+  removeColorProfiles: 'Remove colour profiles'
+};
+
+export default function InspectionPanel({ findings }: InspectionPanelProps) {
+  if (findings.length === 0) {
+    return (
+      <div className="alert alert-success" style={{ marginBottom: 'var(--space-lg)' }}>
+        <div>
+          <strong>No hidden data found</strong>
+          <p style={{ margin: '0', marginTop: 'var(--space-xs)' }}>
+            This file carries no metadata, attachments, scripts or hidden text.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  const high = findings.filter(finding => finding.severity === 'high').length;
+
+  return (
+    <div style={{ marginBottom: 'var(--space-xl)' }}>
+      <h4 style={{ marginBottom: 'var(--space-xs)', fontSize: 'var(--font-size-lg)' }}>
+        Hidden Data &amp; Metadata
+      </h4>
+      <p style={{ margin: '0', marginBottom: 'var(--space-md)', fontSize: 'var(--font-size-xs)', color: 'var(--text-secondary)' }}>
+        {findings.length} finding{findings.length === 1 ? '' : 's'} beyond the visible content{high > 0 ? `, ${high} high severity` : ''}
+      </p>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: 'var(--space-sm)' }}>
+        {findings.map((finding, index) => (
+          <details
+            key={index}
+            style={{
+              padding: 'var(--space-md)',
+              border: '1px solid var(--border-light)',
+              borderLeft: `4px solid ${SEVERITY_COLORS[finding.severity]}`,
+              borderRadius: 'var(--radius-md)',
+              background: 'var(--bg-secondary)'
+            }}
+          >
+            <summary style={{ cursor: finding.details ? 'pointer' : 'default', fontSize: 'var(--font-size-sm)' }}>
+              <strong style={{ color: SEVERITY_COLORS[finding.severity], textTransform: 'uppercase', fontSize: 'var(--font-size-xs)', marginRight: 'var(--space-sm)' }}>
+                {finding.severity}
+              </strong>
+              {finding.message}
+              {finding.remedy && (
+                <span style={{ marginLeft: 'var(--space-sm)', fontSize: 'var(--font-size-xs)', color: 'var(--text-secondary)' }}>
+                  ({REMEDY_LABELS[finding.remedy] ?? finding.remedy})
+                </span>
+              )}
+            </summary>
+            {finding.details && (
+              <dl style={{ margin: '0', marginTop: 'var(--space-sm)', display: 'grid', gridTemplateColumns: 'max-content 1fr', gap: 'var(--space-xs) var(--space-md)', fontSize: 'var(--font-size-xs)' }}>
+                {Object.entries(finding.details).map(([key, value]) => (
+                  <React.Fragment key={key}>
+                    <dt style={{ color: 'var(--text-secondary)' }}>{key}</dt>
+                    <dd style={{ margin: '0', wordBreak: 'break-word' }}>{value}</dd>
+                  </React.Fragment>
+                ))}
+              </dl>
+            )}
+          </details>
+        ))}
+      </div>
+    </div>
+  );
+}
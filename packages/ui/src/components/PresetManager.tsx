@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import type { Preset, CustomPattern, DetectionKind, RedactionStyle } from '@cleanshare/core-detect';
+import type { Preset, CustomPattern, DetectionKind, RedactionStyle, TermEntry, TermRule } from '@cleanshare/core-detect';
 import {
   listPresets,
   listBuiltinPresets,
@@ -16,6 +16,7 @@ import {
   importMultiplePresets,
   resetUserPresets,
   validatePreset,
+  listDetectors,
   type PresetImportResult
 } from '@cleanshare/core-detect';
 
@@ -29,12 +30,13 @@ interface PresetManagerProps {
 type TabType = 'browse' | 'edit' | 'import' | 'export';
 
 const DETECTION_KINDS: DetectionKind[] = [
-  'FACE', 'EMAIL', 'PHONE', 'PAN', 'IBAN', 'SSN', 'PASSPORT', 
-  'JWT', 'API_KEY', 'BARCODE', 'NAME', 'ADDRESS', 'OTHER'
+  'FACE', 'EMAIL', 'PHONE', 'PAN', 'IBAN', 'SSN', 'PASSPORT', 'NATIONAL_ID',
+  'JWT', 'API_KEY', 'BARCODE', 'NAME', 'ORGANIZATION', 'ADDRESS', 'IP_ADDRESS', 'MAC_ADDRESS', 'URL',
+  'HOSTNAME', 'CRYPTO_ADDRESS', 'DATE', 'DATE_OF_BIRTH', 'OTHER'
 ];
 
 const REDACTION_STYLES: RedactionStyle[] = [
-  'BOX', 'BLUR', 'PIXELATE', 'LABEL', 'MASK_LAST4', 'PATTERN', 
+  'BOX', 'BLUR', 'PIXELATE', 'LABEL', 'MASK_LAST4', 'MASK_KEEP_YEAR', 'PATTERN',
   'GRADIENT', 'SOLID_COLOR', 'VECTOR_OVERLAY', 'REMOVE_METADATA'
 ];
 
@@ -517,6 +519,88 @@ export default function PresetManager({ isOpen, onClose, currentPresetId, onPres
   );
 }
 
+// Allowlist / denylist term editor used by the preset form
+function TermListEditor({
+  title,
+  description,
+  terms,
+  onChange,
+  showKind = false
+}: {
+  title: string;
+  description: string;
+  terms: TermEntry[];
+  onChange: (terms: TermRule[]) => void;
+  showKind?: boolean;
+}) {
+  // Terms imported as plain strings are edited as rules
+  const rules: TermRule[] = terms.map(entry => (typeof entry === 'string' ? { term: entry } : entry));
+  const update = (index: number, changes: Partial<TermRule>) => {
+    const updated = [...rules];
+    updated[index] = { ...rules[index], ...changes };
+    onChange(updated);
+  };
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 'var(--space-sm)' }}>
+        <h5 style={{ margin: 0 }}>{title}</h5>
+        <button
+          onClick={() => onChange([...rules, { term: '' }])}
+          className="btn btn-primary btn-sm"
+        >
+          ➕ Add Term
+        </button>
+      </div>
+      <div style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-secondary)', marginBottom: 'var(--space-sm)' }}>
+        {description}. Write /pattern/ for a regular expression.
+      </div>
+      {rules.map((rule, index) => (
+        <div
+          key={index}
+          style={{ display: 'flex', alignItems: 'center', gap: 'var(--space-sm)', marginBottom: 'var(--space-sm)' }}
+        >
+          <input
+            type="text"
+            value={rule.term}
+            onChange={(e) => update(index, { term: e.target.value })}
+            className="form-input"
+            placeholder="Exact text or /regex/"
+            style={{ flex: 1 }}
+          />
+          <label style={{ display: 'flex', alignItems: 'center', gap: 'var(--space-xs)', fontSize: 'var(--font-size-sm)' }}>
+            <input
+              type="checkbox"
+              checked={rule.fuzzy || false}
+              onChange={(e) => update(index, { fuzzy: e.target.checked })}
+            />
+            Fuzzy
+          </label>
+          {showKind && (
+            <select
+              value={rule.kind || 'OTHER'}
+              onChange={(e) => update(index, { kind: e.target.value as DetectionKind })}
+              className="form-select"
+              style={{ width: 'auto' }}
+            >
+              {DETECTION_KINDS.map(kind => (
+                <option key={kind} value={kind}>{kind}</option>
+              ))}
+            </select>
+          )}
+          <button
+            onClick={() => onChange(rules.filter((_, i) => i !== index))}
+            className="btn btn-outline btn-sm"
+            style={{ color: 'var(--color-error)' }}
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
 // Edit Preset Form Component
 function EditPresetForm({ 
   preset, 
@@ -529,7 +613,7 @@ function EditPresetForm({
   onSave: () => void;
   onCancel: () => void;
 }) {
-  const [activeSection, setActiveSection] = useState<'basic' | 'detectors' | 'styles' | 'patterns' | 'advanced'>('basic');
+  const [activeSection, setActiveSection] = useState<'basic' | 'detectors' | 'styles' | 'patterns' | 'terms' | 'advanced'>('basic');
 
   return (
     <div>
@@ -547,7 +631,7 @@ function EditPresetForm({
 
       {/* Section Tabs */}
       <div style={{ display: 'flex', gap: 'var(--space-xs)', marginBottom: 'var(--space-lg)', flexWrap: 'wrap' }}>
-        {(['basic', 'detectors', 'styles', 'patterns', 'advanced'] as const).map(section => (
+        {(['basic', 'detectors', 'styles', 'patterns', 'terms', 'advanced'] as const).map(section => (
           <button
             key={section}
             onClick={() => setActiveSection(section)}
@@ -618,6 +702,54 @@ function EditPresetForm({
               Only show detections above this confidence level
             </div>
           </div>
+
+          <div>
+            <label style={{ display: 'block', marginBottom: 'var(--space-xs)', fontWeight: '600' }}>
+              OCR Languages
+            </label>
+            <input
+              type="text"
+              defaultValue={(preset.languages || []).join(', ')}
+              onBlur={(e) => {
+                const languages = e.target.value.split(',').map(l => l.trim()).filter(Boolean);
+                onChange({ ...preset, languages: languages.length > 0 ? languages : undefined });
+              }}
+              className="form-input"
+              placeholder="eng"
+            />
+            <div style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-secondary)' }}>
+              Tesseract language codes, e.g. deu, fra or the combined pack deu+fra
+            </div>
+          </div>
+
+          <div>
+            <label style={{ display: 'block', marginBottom: 'var(--space-xs)', fontWeight: '600' }}>
+              PDF Output
+            </label>
+            <select
+              value={preset.pdfMode || 'vector'}
+              onChange={(e) => onChange({ ...preset, pdfMode: e.target.value as Preset['pdfMode'] })}
+              className="form-select"
+            >
+              <option value="vector">Keep pages, remove redacted content</option>
+              <option value="rasterize">Rasterise pages (images only)</option>
+            </select>
+            {preset.pdfMode === 'rasterize' && (
+              <input
+                type="number"
+                min="72"
+                max="600"
+                step="1"
+                value={preset.rasterDpi || 150}
+                onChange={(e) => onChange({ ...preset, rasterDpi: parseInt(e.target.value, 10) || undefined })}
+                className="form-input"
+                style={{ marginTop: 'var(--space-xs)' }}
+              />
+            )}
+            <div style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-secondary)' }}>
+              Rasterised PDFs carry nothing but page images at the chosen DPI: no text, fonts, annotations or metadata
+            </div>
+          </div>
         </div>
       )}
 
@@ -641,6 +773,35 @@ function EditPresetForm({
               </label>
             ))}
           </div>
+
+          <h5 style={{ margin: 'var(--space-lg) 0 var(--space-md)' }}>Detectors</h5>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))', gap: 'var(--space-sm)' }}>
+            {[...listDetectors('token'), ...listDetectors('span')]
+              .filter(detector => preset.enabledKinds.includes(detector.kind))
+              .map(detector => {
+                // Detectors that are off by default are listed under `enabled`, the rest under `disabled`
+                const optIn = detector.defaultEnabled === false;
+                const listKey = optIn ? 'enabled' : 'disabled';
+                const ids = preset.detectors?.[listKey] || [];
+                return (
+                  <label key={detector.id} style={{ display: 'flex', alignItems: 'center', gap: 'var(--space-xs)' }}>
+                    <input
+                      type="checkbox"
+                      checked={optIn ? ids.includes(detector.id) : !ids.includes(detector.id)}
+                      onChange={(e) => {
+                        const add = optIn ? e.target.checked : !e.target.checked;
+                        const updated = add ? [...ids, detector.id] : ids.filter(id => id !== detector.id);
+                        onChange({ ...preset, detectors: { ...preset.detectors, [listKey]: updated } });
+                      }}
+                    />
+                    <span style={{ fontSize: 'var(--font-size-sm)' }}>{detector.id}</span>
+                  </label>
+                );
+              })}
+          </div>
+          <div style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-secondary)', marginTop: 'var(--space-xs)' }}>
+            Uncheck a detector to stop it claiming values, e.g. us-passport for 9‑digit account numbers
+          </div>
         </div>
       )}
 
@@ -821,6 +982,24 @@ function EditPresetForm({
         </div>
       )}
 
+      {activeSection === 'terms' && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 'var(--space-lg)' }}>
+          <TermListEditor
+            title="Allowlist"
+            description="Never redact these, e.g. your public support email or phone number"
+            terms={preset.allowTerms || []}
+            onChange={(allowTerms) => onChange({ ...preset, allowTerms })}
+          />
+          <TermListEditor
+            title="Denylist"
+            description="Always redact these wherever they appear, e.g. a client name"
+            terms={preset.denyTerms || []}
+            onChange={(denyTerms) => onChange({ ...preset, denyTerms })}
+            showKind
+          />
+        </div>
+      )}
+
       {activeSection === 'advanced' && (
         <div style={{ display: 'flex', flexDirection: 'column', gap: 'var(--space-md)' }}>
           <div>
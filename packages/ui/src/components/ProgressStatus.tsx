@@ -0,0 +1,53 @@
+import React from 'react';
+import type { ProgressInfo, ProgressStage } from '@cleanshare/core-detect';
+
+interface ProgressStatusProps {
+  /** What is being worked on, e.g. the file name */
+  label?: string;
+  progress?: ProgressInfo;
+  /** Shows a Cancel button when given */
+  onCancel?: () => void;
+}
+
+const STAGE_LABELS: Record<ProgressStage, string> = {
+  load: 'Loading',
+  render: 'Rendering',
+  ocr: 'Reading text',
+  detect: 'Finding sensitive data',
+  barcodes: 'Scanning barcodes',
+  faces: 'Looking for faces',
+  redact: 'Redacting',
+  write: 'Writing file',
+  done: 'Done'
+};
+
+export default function ProgressStatus({ label, progress, onCancel }: ProgressStatusProps) {
+  const percent = progress?.percent ?? 0;
+  const stage = progress ? STAGE_LABELS[progress.stage] : 'Starting';
+  const page = progress && progress.totalPages > 1 ? ` · page ${progress.page + 1} of ${progress.totalPages}` : '';
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 'var(--space-xs)' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--space-sm)', fontSize: 'var(--font-size-xs)', color: 'var(--text-secondary)' }}>
+        <span style={{ flex: 1 }}>
+          {label && <strong>{label}: </strong>}
+          {stage}{page} ({percent}%)
+        </span>
+        {onCancel && (
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              onCancel();
+            }}
+            className="btn btn-outline btn-sm"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+      <div className="progress-bar" role="progressbar" aria-valuemin={0} aria-valuemax={100} aria-valuenow={percent}>
+        <div className="progress-fill" style={{ width: `${percent}%` }}></div>
+      </div>
+    </div>
+  );
+}
@@ -2,7 +2,10 @@ import * as Comlink from 'comlink';
 
 export interface WorkerAPI {
   ocr: {
-    initialize: (language?: string) => Promise<void>;
+    initialize: (
+      languages?: string | string[],
+      data?: { langPath?: string; cachePath?: string; cacheMethod?: 'write' | 'readOnly' | 'refresh' | 'none'; gzip?: boolean }
+    ) => Promise<void>;
     recognizeText: (
       imageData: ImageData | string | ArrayBuffer,
       options?: {
@@ -80,7 +83,7 @@ export class WorkerManager {
     if (this.ocrWorker) return this.ocrWorker;
 
     const worker = new Worker(
-      new URL('./workers/ocr-worker.ts', import.meta.url),
+      new URL('./workers/ocr-worker.js', import.meta.url),
       { type: 'module' }
     );
     
@@ -92,7 +95,7 @@ export class WorkerManager {
     if (this.pdfWorker) return this.pdfWorker;
 
     const worker = new Worker(
-      new URL('./workers/pdf-worker.ts', import.meta.url),
+      new URL('./workers/pdf-worker.js', import.meta.url),
       { type: 'module' }
     );
     
@@ -127,5 +130,8 @@ export class WorkerManager {
 
 export const workerManager = new WorkerManager();
 
+export { WorkerPool, createWorkerPool } from './pool';
+export type { WorkerPoolOptions } from './pool';
+
 export * from './workers/ocr-worker';
 export * from './workers/pdf-worker';
\ No newline at end of file
@@ -0,0 +1,159 @@
+import * as Comlink from 'comlink';
+import type { AnalysisBackend, OcrRequest, OcrWord, RasterImage } from '@cleanshare/core-detect';
+import type { AnalysisWorker } from './workers/analysis-worker';
+
+export interface WorkerPoolOptions {
+  /** Number of workers (default: one fewer than the logical cores, 1–4) */
+  size?: number;
+  /** Create one worker; override when the bundler needs a different worker URL */
+  createWorker?: () => Worker;
+}
+
+interface Slot {
+  worker: Worker;
+  remote: Comlink.Remote<AnalysisWorker>;
+}
+
+function defaultPoolSize(): number {
+  const cores = typeof navigator !== 'undefined' ? navigator.hardwareConcurrency || 2 : 2;
+  return Math.min(4, Math.max(1, cores - 1));
+}
+
+function defaultCreateWorker(): Worker {
+  return new Worker(new URL('./workers/analysis-worker.js', import.meta.url), { type: 'module' });
+}
+
+function abortReason(signal: AbortSignal): unknown {
+  if (signal.reason !== undefined) return signal.reason;
+  const error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * A fixed pool of analysis workers that `analyzeDocument` can use as its
+ * backend: pass `{ backend: pool }` and up to `size` PDF pages are rendered
+ * and recognised in parallel, off the UI thread.  Workers start lazily and
+ * a worker whose task is aborted is terminated and replaced.
+ */
+export class WorkerPool implements AnalysisBackend {
+  readonly concurrency: number;
+  private readonly createWorker: () => Worker;
+  private idle: Slot[] = [];
+  private started = 0;
+  private waiting: Array<{ resolve: (slot: Slot) => void; reject: (error: Error) => void }> = [];
+  private documentIds = new WeakMap<ArrayBuffer, number>();
+  private nextDocumentId = 1;
+  private terminated = false;
+
+  constructor(options: WorkerPoolOptions = {}) {
+    this.concurrency = Math.max(1, Math.floor(options.size ?? defaultPoolSize()));
+    this.createWorker = options.createWorker ?? defaultCreateWorker;
+  }
+
+  async renderPdfPage(pdf: ArrayBuffer, pageIndex: number, scale: number, signal?: AbortSignal): Promise<RasterImage> {
+    let id = this.documentIds.get(pdf);
+    if (id === undefined) {
+      id = this.nextDocumentId++;
+      this.documentIds.set(pdf, id);
+    }
+    const documentId = id;
+    return this.run(async remote => {
+      if (!(await remote.hasDocument(documentId))) {
+        // Each worker gets its own copy, so the caller's bytes stay usable
+        const copy = pdf.slice(0);
+        await remote.openDocument(documentId, Comlink.transfer(copy, [copy]));
+      }
+      return remote.renderPage(documentId, pageIndex, scale);
+    }, signal);
+  }
+
+  async recognize(image: RasterImage, request: OcrRequest, signal?: AbortSignal, onProgress?: (fraction: number) => void): Promise<OcrWord[]> {
+    const pixels = new ImageData(new Uint8ClampedArray(image.data), image.width, image.height);
+    return this.run(
+      remote =>
+        remote.recognize(
+          Comlink.transfer(pixels, [pixels.data.buffer]),
+          request.languages,
+          request.ocrData,
+          onProgress ? Comlink.proxy(onProgress) : undefined
+        ),
+      signal
+    );
+  }
+
+  /** Stop every worker once its current task ends; queued tasks are rejected. */
+  async terminate(): Promise<void> {
+    this.terminated = true;
+    for (const slot of this.idle) slot.worker.terminate();
+    for (const waiter of this.waiting) waiter.reject(new Error('Worker pool has been terminated'));
+    this.idle = [];
+    this.waiting = [];
+  }
+
+  /** Run `task` on the next free worker, terminating that worker if `signal` aborts. */
+  private async run<T>(task: (remote: Comlink.Remote<AnalysisWorker>) => Promise<T>, signal?: AbortSignal): Promise<T> {
+    if (signal?.aborted) throw abortReason(signal);
+    const slot = await this.acquire();
+    if (signal?.aborted) {
+      this.release(slot);
+      throw abortReason(signal);
+    }
+    let aborted = false;
+    const result = new Promise<T>((resolve, reject) => {
+      const abort = () => {
+        aborted = true;
+        reject(abortReason(signal!));
+      };
+      signal?.addEventListener('abort', abort, { once: true });
+      task(slot.remote)
+        .then(resolve, reject)
+        .finally(() => signal?.removeEventListener('abort', abort));
+    });
+    try {
+      return await result;
+    } finally {
+      if (aborted) this.replace(slot);
+      else this.release(slot);
+    }
+  }
+
+  private acquire(): Promise<Slot> {
+    if (this.terminated) return Promise.reject(new Error('Worker pool has been terminated'));
+    const slot = this.idle.pop();
+    if (slot) return Promise.resolve(slot);
+    if (this.started < this.concurrency) {
+      this.started++;
+      const worker = this.createWorker();
+      return Promise.resolve({ worker, remote: Comlink.wrap<AnalysisWorker>(worker) });
+    }
+    return new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+  }
+
+  private release(slot: Slot): void {
+    if (this.terminated) {
+      slot.worker.terminate();
+      return;
+    }
+    const next = this.waiting.shift();
+    if (next) next.resolve(slot);
+    else this.idle.push(slot);
+  }
+
+  /** A worker stuck in an aborted task cannot be interrupted, only replaced. */
+  private replace(slot: Slot): void {
+    slot.worker.terminate();
+    this.started--;
+    const next = this.waiting.shift();
+    if (next && !this.terminated) {
+      this.started++;
+      const worker = this.createWorker();
+      next.resolve({ worker, remote: Comlink.wrap<AnalysisWorker>(worker) });
+    }
+  }
+}
+
+/** Create a pool of analysis workers for `analyzeDocument({ backend })`. */
+export function createWorkerPool(options: WorkerPoolOptions = {}): WorkerPool {
+  return new WorkerPool(options);
+}
@@ -0,0 +1,160 @@
+import * as Comlink from 'comlink';
+import * as pdfjsLib from 'pdfjs-dist';
+import type { PDFDocumentProxy } from 'pdfjs-dist';
+// Runs pdf.js' own worker code on this thread instead of nesting another worker
+import * as pdfjsWorker from 'pdfjs-dist/build/pdf.worker.js';
+import { createWorker, Worker } from 'tesseract.js';
+import type { OCRDataOptions } from './ocr-worker';
+
+(globalThis as any).pdfjsWorker = pdfjsWorker;
+
+/** Documents kept open per worker; older ones are closed first. */
+const MAX_OPEN_DOCUMENTS = 2;
+
+interface PageWord {
+  text: string;
+  confidence: number;
+  bbox: { x0: number; y0: number; x1: number; y1: number };
+}
+
+/** Canvases for pdf.js' intermediate drawing (patterns, masks) without a DOM. */
+class OffscreenCanvasFactory {
+  create(width: number, height: number) {
+    const canvas = new OffscreenCanvas(width, height);
+    return { canvas, context: canvas.getContext('2d') };
+  }
+
+  reset(canvasAndContext: { canvas: OffscreenCanvas }, width: number, height: number) {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  }
+
+  destroy(canvasAndContext: { canvas: OffscreenCanvas | null; context: unknown }) {
+    if (canvasAndContext.canvas) {
+      canvasAndContext.canvas.width = 0;
+      canvasAndContext.canvas.height = 0;
+    }
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+}
+
+/**
+ * One slot of the analysis worker pool: renders PDF pages onto an
+ * OffscreenCanvas and runs OCR, so neither blocks the UI thread.
+ */
+class AnalysisWorker {
+  private documents = new Map<number, Promise<PDFDocumentProxy>>();
+  private ocr: Worker | null = null;
+  private ocrKey = '';
+  private onOcrProgress: ((fraction: number) => void) | null = null;
+
+  hasDocument(id: number): boolean {
+    return this.documents.has(id);
+  }
+
+  /** Open a PDF under `id` so its pages can be rendered. */
+  async openDocument(id: number, pdfBytes: ArrayBuffer): Promise<void> {
+    if (this.documents.has(id)) return;
+    while (this.documents.size >= MAX_OPEN_DOCUMENTS) {
+      const [oldest] = this.documents.keys();
+      await this.closeDocument(oldest);
+    }
+    const loadingTask = pdfjsLib.getDocument({
+      data: new Uint8Array(pdfBytes),
+      canvasFactory: new OffscreenCanvasFactory(),
+      isOffscreenCanvasSupported: true,
+      // There is no document to register fonts with; glyphs are drawn as paths
+      disableFontFace: true
+    });
+    this.documents.set(id, loadingTask.promise);
+    await loadingTask.promise;
+  }
+
+  async closeDocument(id: number): Promise<void> {
+    const document = this.documents.get(id);
+    this.documents.delete(id);
+    if (document) await (await document).destroy();
+  }
+
+  /** Render page `pageIndex` (zero‑based) of an open document at `scale`. */
+  async renderPage(id: number, pageIndex: number, scale: number): Promise<ImageData> {
+    const document = this.documents.get(id);
+    if (!document) throw new Error(`Document ${id} is not open in this worker`);
+    const page = await (await document).getPage(pageIndex + 1);
+    const viewport = page.getViewport({ scale });
+    const canvas = new OffscreenCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    const context = canvas.getContext('2d');
+    if (!context) throw new Error('OffscreenCanvas 2D context is not available');
+    await page.render({ canvasContext: context as unknown as CanvasRenderingContext2D, viewport }).promise;
+    page.cleanup();
+    const pixels = context.getImageData(0, 0, canvas.width, canvas.height);
+    return Comlink.transfer(pixels, [pixels.data.buffer]);
+  }
+
+  /**
+   * Recognise the words in an image.  The Tesseract worker is kept between
+   * calls and only reloaded when the languages or data options change.
+   */
+  async recognize(
+    image: ImageData,
+    languages: string,
+    data: OCRDataOptions = {},
+    onProgress?: (fraction: number) => void
+  ): Promise<PageWord[]> {
+    const key = JSON.stringify([languages, data]);
+    if (!this.ocr || this.ocrKey !== key) {
+      await this.ocr?.terminate();
+      this.ocr = null;
+      this.ocrKey = '';
+      const ocr = await createWorker({
+        ...data,
+        logger: (m: any) => {
+          if (m.status === 'recognizing text') this.onOcrProgress?.(m.progress);
+        },
+        // A failed job rejects its promise; without a handler tesseract.js
+        // also rethrows it from its message listener and takes this worker down
+        errorHandler: () => undefined
+      }).catch(ocrError);
+      try {
+        await ocr.loadLanguage(languages);
+        await ocr.initialize(languages);
+      } catch (err) {
+        // Languages that failed to load are not kept for the next document
+        await ocr.terminate().catch(() => undefined);
+        return ocrError(err);
+      }
+      this.ocr = ocr;
+      this.ocrKey = key;
+    }
+    this.onOcrProgress = onProgress ?? null;
+    try {
+      const result = await this.ocr.recognize(imageToCanvas(image)).catch(ocrError);
+      return result.data.words.map(word => ({ text: word.text, confidence: word.confidence, bbox: word.bbox }));
+    } finally {
+      this.onOcrProgress = null;
+    }
+  }
+}
+
+/**
+ * Rethrow an OCR failure as core-detect does, so `isOcrError` recognises
+ * it; Tesseract rejects with the worker's message rather than an Error.
+ */
+function ocrError(cause: unknown): never {
+  const error = new Error(`OCR failed: ${cause instanceof Error ? cause.message : cause}`);
+  error.name = 'OcrError';
+  throw error;
+}
+
+/** Tesseract reads canvases, not bare ImageData. */
+function imageToCanvas(image: ImageData): OffscreenCanvas {
+  const canvas = new OffscreenCanvas(image.width, image.height);
+  canvas.getContext('2d')?.putImageData(image, 0, 0);
+  return canvas;
+}
+
+const analysisWorker = new AnalysisWorker();
+
+export type { AnalysisWorker, PageWord };
+export default Comlink.expose(analysisWorker);
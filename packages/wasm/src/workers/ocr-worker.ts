@@ -16,14 +16,36 @@ interface OCRResult {
   }>;
 }
 
+export interface OCRDataOptions {
+  langPath?: string;
+  cachePath?: string;
+  cacheMethod?: 'write' | 'readOnly' | 'refresh' | 'none';
+  gzip?: boolean;
+}
+
 class OCRWorker {
   private worker: Worker | null = null;
-  private initialized = false;
+  /** Languages and data options the worker was initialised with */
+  private key = '';
 
-  async initialize(language: string = 'eng'): Promise<void> {
-    if (this.initialized) return;
+  /**
+   * Load and initialise Tesseract.  `languages` accepts a single code, a
+   * combined pack such as 'deu+fra', or a list of codes.  `data` points the
+   * worker at self‑hosted or cached traineddata files.  Calling it again
+   * with other languages or data options replaces the Tesseract worker.
+   */
+  async initialize(languages: string | string[] = 'eng', data: OCRDataOptions = {}): Promise<void> {
+    const language = (Array.isArray(languages) ? languages : [languages])
+      .flatMap(entry => entry.split('+'))
+      .map(code => code.trim())
+      .filter((code, index, codes) => code && codes.indexOf(code) === index)
+      .join('+') || 'eng';
+    const key = JSON.stringify([language, data]);
+    if (this.worker && this.key === key) return;
+    await this.terminate();
 
     this.worker = await createWorker({
+      ...data,
       logger: (m: any) => {
         if (m.status === 'recognizing text') {
           console.log(`OCR Progress: ${Math.round(m.progress * 100)}%`);
@@ -34,7 +56,7 @@ class OCRWorker {
     await this.worker.loadLanguage(language);
     await this.worker.initialize(language);
 
-    this.initialized = true;
+    this.key = key;
   }
 
   async recognizeText(
@@ -66,7 +88,7 @@ class OCRWorker {
     if (this.worker) {
       await this.worker.terminate();
       this.worker = null;
-      this.initialized = false;
+      this.key = '';
     }
   }
 }
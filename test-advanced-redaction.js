@@ -9,9 +9,9 @@ try {
     detectToken, 
     calculateConfidence,
     // Test that new types are properly exported
-  } = require('./packages/core-detect/dist/detectors');
+  } = require('./packages/core-detect/dist/cjs/detectors');
 
-  const typeModule = require('./packages/core-detect/dist/types');
+  const typeModule = require('./packages/core-detect/dist/cjs/types');
   
   console.log('✅ Core Detection Imports Successful');
   console.log('✅ Types Module Import Successful');
@@ -122,7 +122,7 @@ try {
   console.log('\n🎯 Testing Custom Pattern Support:');
   
   // Test the custom pattern detection function
-  const { detectTokenWithCustomPatterns } = require('./packages/core-detect/dist/detectors');
+  const { detectTokenWithCustomPatterns } = require('./packages/core-detect/dist/cjs/detectors');
   
   const customPatterns = [
     {
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+// Valid and invalid vectors for the wallet address checksums: base58check,
+// bech32 and bech32m (BIP 173, BIP 350) and Ethereum's EIP-55 casing, then
+// the same addresses through the registry.
+//
+// Needs the CommonJS build: pnpm --filter @cleanshare/core-detect build
+const { decodeBase58Check, decodeBech32, classifyCryptoAddress } = require('./packages/core-detect/dist/cjs/detectors/cryptoAddresses');
+const { runDetectors } = require('./packages/core-detect/dist/cjs/detectors');
+
+console.log('🪙 Testing cryptocurrency addresses\n');
+
+let failed = 0;
+function check(ok, desc, detail) {
+  if (!ok) failed++;
+  console.log(`   ${ok ? '✅' : '❌'} ${desc}${detail ? ` (${detail})` : ''}`);
+}
+
+console.log('🔧 decodeBase58Check:\n');
+const genesis = decodeBase58Check('1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa');
+const payload = genesis ? Buffer.from(genesis.payload).toString('hex') : null;
+check(!!genesis && genesis.version === 0 && payload === '62e907b15cbf27d5425399ebf6f0fb50ebb88f18', 'genesis address decodes to version 0 and its hash', payload ? '' : 'null');
+check(decodeBase58Check('1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNb') === null, 'last character changed fails the checksum');
+check(decodeBase58Check('1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfN0') === null, '"0" is not in the base58 alphabet');
+
+const bech32Tests = [
+  { input: 'A12UEL5L', expected: 'bech32' },
+  { input: 'a12uel5l', expected: 'bech32', desc: 'lower case' },
+  { input: 'abcdef1qpzry9x8gf2tvdw0s3jn54khce6mua7lmqqqxw', expected: 'bech32', desc: 'every data character' },
+  { input: 'a1lqfn3a', expected: 'bech32m' },
+  { input: 'A1LQFN3A', expected: 'bech32m', desc: 'upper case' },
+  { input: 'A12UeL5L', expected: null, desc: 'mixed case' },
+  { input: 'a12uel5m', expected: null, desc: 'checksum character changed' },
+  { input: '1nwldj5', expected: null, desc: 'empty human-readable part' }
+];
+
+console.log('\n🔧 decodeBech32:\n');
+for (const { input, expected, desc } of bech32Tests) {
+  const decoded = decodeBech32(input);
+  const got = decoded ? decoded.encoding : null;
+  check(got === expected, `"${input}" → ${expected || 'invalid'}`, [desc, got !== expected ? `got ${got}` : ''].filter(Boolean).join(', '));
+}
+
+const addressTests = [
+  // base58check
+  { input: '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa', detector: 'bitcoin-address', format: 'P2PKH', checksum: 'base58check' },
+  { input: '3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy', detector: 'bitcoin-address', format: 'P2SH', checksum: 'base58check' },
+  { input: 'LaMT348PWRnrqeeWArpwQPbuanpXDZGEUz', detector: 'litecoin-address', format: 'P2PKH', checksum: 'base58check' },
+  { input: 'DH5yaieqoZN36fDVciNyRueRGvGLR3mr7L', detector: 'dogecoin-address', format: 'P2PKH', checksum: 'base58check' },
+  { input: 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t', detector: 'tron-address', format: 'account', checksum: 'base58check' },
+  { input: 'rHb9CJAWyB4rj91VRWn96DkukG4bwdtyTh', detector: 'xrp-address', format: 'classic', checksum: 'base58check', desc: 'Ripple alphabet' },
+  { input: '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNb', detector: null, desc: 'bad checksum' },
+  // bech32 and bech32m
+  { input: 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4', detector: 'bitcoin-address', format: 'SegWit P2WPKH', checksum: 'bech32' },
+  { input: 'BC1QW508D6QEJXTDG4Y5R3ZARVARY0C5XW7KV8F3T4', detector: 'bitcoin-address', format: 'SegWit P2WPKH', checksum: 'bech32', desc: 'upper case' },
+  { input: 'bc1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3qccfmv3', detector: 'bitcoin-address', format: 'SegWit P2WSH', checksum: 'bech32' },
+  { input: 'bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0', detector: 'bitcoin-address', format: 'Taproot', checksum: 'bech32m' },
+  { input: 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kemeawh', detector: null, desc: 'version 0 with a bech32m checksum' },
+  { input: 'bc1qW508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4', detector: null, desc: 'mixed case' },
+  { input: 'tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx', detector: null, desc: 'testnet' },
+  // EIP-55
+  { input: '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed', detector: 'ethereum-address', format: 'account', checksum: 'EIP-55' },
+  { input: '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359', detector: 'ethereum-address', format: 'account', checksum: 'EIP-55' },
+  { input: '0x52908400098527886E0F7030069857D2E4169EE7', detector: 'ethereum-address', format: 'account', checksum: 'EIP-55', desc: 'checksum casing is all upper case' },
+  { input: '0x8617E340B3D01FA5F11F306F4090FD50E238070D', detector: 'ethereum-address', format: 'account', checksum: 'EIP-55', desc: 'checksum casing is all upper case' },
+  { input: '0xde709f2102306220921060314715629080e2fb77', detector: 'ethereum-address', format: 'account', checksum: 'EIP-55', desc: 'checksum casing is all lower case' },
+  { input: '0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed', detector: 'ethereum-address', format: 'account', checksum: 'none', desc: 'lower case, no checksum' },
+  { input: '0x5AAEB6053F3E94C9B9A09F33669435E7EF1BEAED', detector: 'ethereum-address', format: 'account', checksum: 'none', desc: 'upper case, no checksum' },
+  { input: '0x1234567890123456789012345678901234567890', detector: 'ethereum-address', format: 'account', checksum: 'none', desc: 'no letters to check' },
+  { input: '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD', detector: null, desc: 'mixed case failing EIP-55' },
+  { input: '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAe', detector: null, desc: '39 hex digits' },
+  // Look-alikes
+  { input: '9f86d081884c7d659a2feaa0c55ad015a3bf4f1b', detector: null, desc: 'commit hash' }
+];
+
+console.log('\n🔍 Addresses:\n');
+for (const { input, detector, format, checksum, desc } of addressTests) {
+  const match = classifyCryptoAddress(input);
+  const got = match ? `${match.format}/${match.checksum}` : null;
+  const expected = detector ? `${format}/${checksum}` : null;
+  const detection = runDetectors(input, 'token');
+  const gotDetector = detection && detection.kind === 'CRYPTO_ADDRESS' ? detection.detectorId : null;
+  const ok = got === expected && gotDetector === detector;
+  const shown = input.length > 48 ? `${input.slice(0, 45)}...` : input;
+  check(ok, `"${shown}" → ${expected || 'not an address'}`, [desc, got !== expected ? `got ${got}` : '', gotDetector !== detector ? `detected by ${gotDetector || 'nothing'}` : ''].filter(Boolean).join(', '));
+}
+
+// Addresses without a checksum are reported, but with less confidence
+const unchecked = runDetectors('0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed', 'token');
+const checked = runDetectors('0x52908400098527886E0F7030069857D2E4169EE7', 'token');
+check(!!unchecked && !!checked && unchecked.confidence < checked.confidence, 'unchecksummed addresses score below checksummed ones');
+check(!!checked && checked.reason === 'Ethereum (ETH) account address, valid EIP-55 checksum', 'an all-caps checksummed address says so', checked ? checked.reason : 'no match');
+
+if (failed > 0) {
+  console.error(`\n❌ ${failed} address vector(s) failed`);
+  process.exit(1);
+}
+console.log('\n✅ All address vectors pass');
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+// Valid and invalid vectors for date parsing: numeric dates in each order,
+// days that do not exist, months spelled out in several languages, masking
+// all but the year, and dates becoming dates of birth next to a label.
+//
+// Needs the CommonJS build: pnpm --filter @cleanshare/core-detect build
+const { parseDate, maskDateKeepingYear } = require('./packages/core-detect/dist/cjs/detectors/dates');
+const { runDetectors } = require('./packages/core-detect/dist/cjs/detectors');
+const { createContextScorer, DEFAULT_CONTEXT_KEYWORDS } = require('./packages/core-detect/dist/cjs/pipeline/context');
+
+console.log('📅 Testing date parsing\n');
+
+let failed = 0;
+function check(ok, desc, detail) {
+  if (!ok) failed++;
+  console.log(`   ${ok ? '✅' : '❌'} ${desc}${detail ? ` (${detail})` : ''}`);
+}
+
+/** "YYYY-MM-DD ORDER" for a parsed date, with "?" when ambiguous. */
+function describe(date) {
+  if (!date) return null;
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.year}-${pad(date.month)}-${pad(date.day)} ${date.order}${date.ambiguous ? '?' : ''}`;
+}
+
+const numericTests = [
+  { input: '14.03.1987', expected: '1987-03-14 DMY' },
+  { input: '03/14/1987', expected: '1987-03-14 MDY' },
+  { input: '1987-03-14', expected: '1987-03-14 YMD', reason: 'ISO 8601 date' },
+  { input: '1987/03/14', expected: '1987-03-14 YMD', reason: 'Numeric date (year/month/day)' },
+  { input: '2024-02-29T10:30:00Z', expected: '2024-02-29 YMD', desc: 'ISO timestamp' },
+  { input: '03/04/2020', expected: '2020-03-04 MDY?', desc: 'ambiguous, month first by default' },
+  { input: '03/04/2020', preferred: 'DMY', expected: '2020-04-03 DMY?', desc: 'ambiguous, day first preferred' },
+  { input: '04/04/2020', expected: '2020-04-04 MDY', desc: 'same either way' },
+  { input: '14-03-87', expected: '1987-03-14 DMY', reason: 'Numeric date (day/month/year), two-digit year' },
+  { input: '29.02.2024', expected: '2024-02-29 DMY', desc: 'leap year' },
+  { input: '2000-02-29', expected: '2000-02-29 YMD', desc: 'leap century' },
+  { input: '29.02.2023', expected: null, desc: 'not a leap year' },
+  { input: '1900-02-29', expected: null, desc: '1900 was not a leap year' },
+  { input: '02/30/2020', expected: null, desc: 'no 30 February' },
+  { input: '31/04/2020', expected: null, desc: 'April has 30 days' },
+  { input: '1987-13-01', expected: null, desc: 'month 13' },
+  { input: '14/03/1850', expected: null, desc: 'year before 1900' },
+  { input: '1.2.10', expected: null, desc: 'version number' },
+  { input: '12:30', expected: null, desc: 'a time' },
+  { input: '2020', expected: null, desc: 'a year alone' }
+];
+
+console.log('🔢 Numeric dates:\n');
+for (const { input, preferred, expected, reason, desc } of numericTests) {
+  const got = describe(parseDate(input, preferred));
+  const match = preferred ? null : runDetectors(input, 'token');
+  const detected = match && match.kind === 'DATE' ? match.reason : null;
+  const ok = got === expected && (preferred || (expected ? !!detected && (!reason || detected === reason) : !detected));
+  check(ok, `"${input}"${preferred ? ` (${preferred})` : ''} → ${expected || 'not a date'}`, [desc, got !== expected ? `got ${got}` : '', ok ? '' : `detected as ${detected || 'nothing'}`].filter(Boolean).join(', '));
+}
+
+const spelledTests = [
+  { input: '14 March 1987', expected: '1987-03-14 DMY' },
+  { input: 'March 14th, 1987', expected: '1987-03-14 MDY', desc: 'ordinal suffix' },
+  { input: 'the 14th of March 1987', expected: '1987-03-14 DMY' },
+  { input: '1987 Mar 14', expected: '1987-03-14 YMD' },
+  { input: '14-Mar-87', expected: '1987-03-14 DMY', desc: 'one token, two-digit year' },
+  { input: '14. März 1987', expected: '1987-03-14 DMY', desc: 'German' },
+  { input: '1er janvier 2000', expected: '2000-01-01 DMY', desc: 'French' },
+  { input: '1 janv. 2000', expected: '2000-01-01 DMY', desc: 'French abbreviation' },
+  { input: '14 de marzo de 1987', expected: '1987-03-14 DMY', desc: 'Spanish' },
+  { input: '14 gennaio 1987', expected: '1987-01-14 DMY', desc: 'Italian' },
+  { input: '14 maart 1987', expected: '1987-03-14 DMY', desc: 'Dutch' },
+  { input: '14 de março de 1987', expected: '1987-03-14 DMY', desc: 'Portuguese' },
+  { input: '31 Feb 2020', expected: null, desc: 'no 31 February' },
+  { input: '32 May 2020', expected: null, desc: 'day 32' },
+  { input: 'March 1987', expected: null, desc: 'no day' },
+  { input: 'May 5', expected: null, desc: 'no year' },
+  { input: '14 Marchy 1987', expected: null, desc: 'not a month' },
+  { input: '14 March 1987 x', expected: null, desc: 'trailing word' }
+];
+
+console.log('\n🗓️  Spelled out months:\n');
+for (const { input, expected, desc } of spelledTests) {
+  const got = describe(parseDate(input));
+  const match = runDetectors(input, /\s/.test(input) ? 'span' : 'token');
+  const detected = match && match.kind === 'DATE' ? match.detectorId : null;
+  const ok = got === expected && !!detected === !!expected;
+  check(ok, `"${input}" → ${expected || 'not a date'}`, [desc, got !== expected ? `got ${got}` : '', !!detected !== !!expected ? `detected by ${detected || 'nothing'}` : ''].filter(Boolean).join(', '));
+}
+
+const maskTests = [
+  { input: '14 March 1987', expected: '** ***** 1987' },
+  { input: '03/14/87', expected: '**/**/87' },
+  { input: '1987-03-14', expected: '1987-**-**' },
+  { input: 'n/a', expected: '*/*', desc: 'not a date' }
+];
+
+console.log('\n🙈 maskDateKeepingYear:\n');
+for (const { input, expected, desc } of maskTests) {
+  const got = maskDateKeepingYear(input);
+  check(got === expected, `"${input}" → "${expected}"`, [desc, got !== expected ? `got "${got}"` : ''].filter(Boolean).join(', '));
+}
+
+// One line of words, each word's box following the last
+function line(...texts) {
+  let x = 0.05;
+  return texts.map(text => {
+    const word = { text, box: { x, y: 0.1, w: text.length * 0.01, h: 0.02 }, confidence: 1, source: 'text-layer' };
+    x += word.box.w + 0.01;
+    return word;
+  });
+}
+
+const contextTests = [
+  { words: ['DOB:', '14.03.1987'], kind: 'DATE', expected: 'DATE_OF_BIRTH' },
+  { words: ['Born', '14 March 1987'], kind: 'DATE', expected: 'DATE_OF_BIRTH' },
+  { words: ['Geburtsdatum:', '14. März 1987'], kind: 'DATE', expected: 'DATE_OF_BIRTH', desc: 'German' },
+  { words: ['Né', 'le', '1er janvier 2000'], kind: 'DATE', expected: 'DATE_OF_BIRTH', desc: 'French' },
+  { words: ['Invoice', 'date:', '14.03.1987'], kind: 'DATE', expected: 'DATE', desc: 'no birth label' },
+  { words: ['DOB:', '555-0132'], kind: 'PHONE', expected: 'PHONE', desc: 'label beside a number that is no date' }
+];
+
+console.log('\n🎂 Dates of birth:\n');
+for (const { words, kind, expected, desc } of contextTests) {
+  const page = line(...words);
+  const scorer = createContextScorer(page, DEFAULT_CONTEXT_KEYWORDS);
+  const value = page[page.length - 1];
+  const result = scorer(kind, value.text, [value], 0.85);
+  check(result.kind === expected, `"${words.join(' ')}" → ${expected}`, [desc, result.kind !== expected ? `got ${result.kind}` : ''].filter(Boolean).join(', '));
+}
+
+if (failed > 0) {
+  console.error(`\n❌ ${failed} date vector(s) failed`);
+  process.exit(1);
+}
+console.log('\n✅ All date vectors pass');
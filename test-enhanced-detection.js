@@ -8,7 +8,7 @@ const {
   isValidSSN, 
   isValidUSPassport, 
   isAddressComponent 
-} = require('./packages/core-detect/dist/detectors');
+} = require('./packages/core-detect/dist/cjs/detectors');
 
 console.log('🧪 Testing Enhanced Detection Pipeline\n');
 
@@ -14,7 +14,7 @@ try {
     isSupportedFile,
     getSupportedExtensions,
     processBulkFiles
-  } = require('./packages/core-detect/dist/formats');
+  } = require('./packages/core-detect/dist/cjs/formats');
   
   console.log('✅ Format Support Imports Successful');
   
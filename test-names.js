@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+// Valid and invalid vectors for the gazetteer name and organisation
+// recognisers: words that are names, words that only look like names, and
+// the same through the registry and after extending the gazetteers.
+//
+// Needs the CommonJS build: pnpm --filter @cleanshare/core-detect build
+const { recognizeName, recognizeOrganization, extendGazetteers } = require('./packages/core-detect/dist/cjs/detectors/entities');
+const { runDetectors } = require('./packages/core-detect/dist/cjs/detectors');
+require('./packages/core-detect/dist/cjs/detectors/spans');
+
+console.log('👤 Testing name and organisation recognition\n');
+
+let failed = 0;
+function check(ok, desc, detail) {
+  if (!ok) failed++;
+  console.log(`   ${ok ? '✅' : '❌'} ${desc}${detail ? ` (${detail})` : ''}`);
+}
+
+const nameTests = [
+  { input: 'Hannah Schneider', expected: 0.94 },
+  { input: 'Dr. Hannah Schneider', expected: 0.99, desc: 'honorific' },
+  { input: 'Hannah J. Schneider', expected: 0.94, desc: 'middle initial' },
+  { input: 'John SMITH', expected: 0.94, desc: 'surname in capitals, as on forms' },
+  { input: 'Jean-Pierre Dubois', expected: 0.94, desc: 'hyphenated first name' },
+  { input: 'María de la Cruz', expected: 0.94, desc: 'accents and particles' },
+  { input: 'Olivia Bennett,', expected: 0.94, desc: 'trailing comma' },
+  { input: 'hannah schneider', expected: 0.67, desc: 'lower case, every word known' },
+  { input: 'Hannah', expected: 0.6, desc: 'a known first name alone' },
+  { input: 'Mr. Xylo', expected: 0.62, desc: 'unknown name after an honorific' },
+  { input: 'Schneider', expected: null, desc: 'a surname alone' },
+  { input: 'Hannah schneider', expected: null, desc: 'mixed lower and capitalised' },
+  { input: 'Xylo Quorn', expected: null, desc: 'capitalised, in no gazetteer' },
+  { input: 'May', expected: null, desc: 'a name that is also a word' },
+  { input: 'Will Smith', expected: null, desc: '"Will" starts sentences' },
+  { input: 'Thank', expected: null },
+  { input: 'Monday', expected: null },
+  { input: 'Dear Hannah', expected: null, desc: 'greeting before the name' },
+  { input: 'Customer Olivia', expected: null, desc: 'label before the name' },
+  { input: 'Sincerely Yours', expected: null },
+  { input: 'Hannah J.', expected: null, desc: 'ends in an initial' }
+];
+
+console.log('🔧 recognizeName:\n');
+for (const { input, expected, desc } of nameTests) {
+  const match = recognizeName(input);
+  const got = match ? match.confidence : null;
+  check(got === expected, `"${input}" → ${expected === null ? 'no name' : expected}`, [desc, got !== expected ? `got ${got}` : ''].filter(Boolean).join(', '));
+}
+
+const organizationTests = [
+  { input: 'Northwind Logistics GmbH', expected: 'Organisation with legal form "GmbH"' },
+  { input: 'Smith & Sons, Ltd.', expected: 'Organisation with legal form "Ltd."' },
+  { input: 'Acme Widgets S.A.', expected: 'Organisation with legal form "S.A."', desc: 'dotted legal form' },
+  { input: 'Mercy Hospital', expected: 'Organisation name ending in "Hospital"' },
+  { input: 'Bank of Ireland', expected: 'Organisation name "Bank of …"' },
+  { input: 'Foundation for Science', expected: 'Organisation name "Foundation for …"' },
+  { input: 'Hospital', expected: null, desc: 'a keyword alone' },
+  { input: 'The Hospital', expected: null, desc: 'no name before the keyword' },
+  { input: 'acme gmbh', expected: null, desc: 'lower case' },
+  { input: 'Dear Sir GmbH', expected: null, desc: 'greeting' },
+  { input: 'Thanks, Acme GmbH', expected: null, desc: 'comma inside the name' },
+  { input: 'Acme Ltd., London', expected: null, desc: 'words after the legal form' }
+];
+
+console.log('\n🏢 recognizeOrganization:\n');
+for (const { input, expected, desc } of organizationTests) {
+  const match = recognizeOrganization(input);
+  const got = match ? match.reason : null;
+  check(got === expected, `"${input}" → ${expected || 'no organisation'}`, [desc, got !== expected ? `got ${got}` : ''].filter(Boolean).join(', '));
+}
+
+const detectionTests = [
+  { text: 'Hannah', expected: 'proper-name' },
+  { text: 'Thank', expected: null },
+  { text: 'Hannah Schneider', scope: 'span', expected: 'full-name' },
+  { text: 'Mercy Hospital', scope: 'span', expected: 'organization' },
+  { text: 'Xylo Quorn', scope: 'span', expected: null }
+];
+
+console.log('\n🔍 Detection:\n');
+for (const { text, scope = 'token', expected } of detectionTests) {
+  const match = runDetectors(text, scope);
+  const got = match ? match.detectorId : null;
+  check(got === expected, `"${text}" → ${expected || 'nothing'}`, got !== expected ? `got ${got || 'none'}` : '');
+}
+
+// Regional names are added by the application; the lists are global, so last
+extendGazetteers({ firstNames: ['Xylo'], surnames: ['Quorn'], notNames: ['Hannah'] });
+const extended = runDetectors('Xylo Quorn', 'span');
+check(!!extended && extended.detectorId === 'full-name', '"Xylo Quorn" is a name once both are added', extended ? '' : 'no match');
+check(recognizeName('Hannah') === null, '"Hannah" is no name once listed under notNames');
+
+if (failed > 0) {
+  console.error(`\n❌ ${failed} name vector(s) failed`);
+  process.exit(1);
+}
+console.log('\n✅ All name vectors pass');
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+// Valid and invalid vectors for the national ID detectors: each validator on
+// its own, then detection through the registry, which only runs them once
+// the issuing locale is selected.
+//
+// Needs the CommonJS build: pnpm --filter @cleanshare/core-detect build
+const ids = require('./packages/core-detect/dist/cjs/detectors/nationalIds');
+const { runDetectors } = require('./packages/core-detect/dist/cjs/detectors');
+
+console.log('🪪 Testing national ID detectors\n');
+
+let failed = 0;
+function check(ok, desc, detail) {
+  if (!ok) failed++;
+  console.log(`   ${ok ? '✅' : '❌'} ${desc}${detail ? ` (${detail})` : ''}`);
+}
+
+const validatorTests = [
+  // Brazilian CPF: two mod-11 check digits
+  { func: 'isValidCPF', input: '529.982.247-25', expected: true },
+  { func: 'isValidCPF', input: '52998224725', expected: true },
+  { func: 'isValidCPF', input: '529.982.247-24', expected: false, desc: 'second check digit wrong' },
+  { func: 'isValidCPF', input: '529.982.247-35', expected: false, desc: 'first check digit wrong' },
+  { func: 'isValidCPF', input: '111.111.111-11', expected: false, desc: 'repeated digits pass the checksum but are never issued' },
+  // Spanish DNI and NIE: check letter from the number modulo 23
+  { func: 'isValidSpanishId', input: '12345678Z', expected: true },
+  { func: 'isValidSpanishId', input: '12345678-Z', expected: true },
+  { func: 'isValidSpanishId', input: 'X1234567L', expected: true, desc: 'NIE, X stands for 0' },
+  { func: 'isValidSpanishId', input: '12345678A', expected: false, desc: 'wrong check letter' },
+  { func: 'isValidSpanishId', input: 'Y1234567L', expected: false, desc: 'NIE prefix changes the letter' },
+  // Dutch BSN: 11-check
+  { func: 'isValidBSN', input: '111222333', expected: true },
+  { func: 'isValidBSN', input: '1234.56.782', expected: true },
+  { func: 'isValidBSN', input: '123456789', expected: false, desc: 'fails the 11-check' },
+  { func: 'isValidBSN', input: '000000000', expected: false },
+  // Indian Aadhaar: Verhoeff check digit, never starting with 0 or 1
+  { func: 'isValidAadhaar', input: '2341 2341 2346', expected: true },
+  { func: 'isValidAadhaar', input: '498712345679', expected: true },
+  { func: 'isValidAadhaar', input: '2341 2341 2347', expected: false, desc: 'wrong Verhoeff digit' },
+  { func: 'isValidAadhaar', input: '2341 2341 2364', expected: false, desc: 'transposed digits' },
+  { func: 'isValidAadhaar', input: '134123412346', expected: false, desc: 'leading 1' },
+  // UK National Insurance number: allocation rules only
+  { func: 'isValidNINO', input: 'AB 12 34 56 C', expected: true },
+  { func: 'isValidNINO', input: 'JG103759A', expected: true },
+  { func: 'isValidNINO', input: 'DA123456A', expected: false, desc: 'D is never a first letter' },
+  { func: 'isValidNINO', input: 'AO123456A', expected: false, desc: 'O is never a second letter' },
+  { func: 'isValidNINO', input: 'GB123456A', expected: false, desc: 'GB prefix is not allocated' },
+  { func: 'isValidNINO', input: 'AB123456E', expected: false, desc: 'suffix after D' },
+  // Canadian SIN: Luhn
+  { func: 'isValidSIN', input: '046 454 286', expected: true },
+  { func: 'isValidSIN', input: '046-454-287', expected: false },
+  // German Steuer-ID: ISO 7064 MOD 11,10 and the digit repetition rule
+  { func: 'isValidSteuerId', input: '86095742719', expected: true },
+  { func: 'isValidSteuerId', input: '86095742718', expected: false, desc: 'wrong check digit' },
+  { func: 'isValidSteuerId', input: '12345678903', expected: false, desc: 'no digit repeats' },
+  // French NIR: key is 97 minus the number modulo 97
+  { func: 'isValidNIR', input: '1 85 08 75 116 001 10', expected: true },
+  { func: 'isValidNIR', input: '1 85 08 75 116 001 11', expected: false, desc: 'wrong key' },
+  { func: 'isValidNIR', input: '1 85 15 75 116 001 10', expected: false, desc: 'month 15' },
+  // Italian codice fiscale: check letter
+  { func: 'isValidCodiceFiscale', input: 'RSSMRA85T10A562S', expected: true },
+  { func: 'isValidCodiceFiscale', input: 'RSSMRA85T10A562T', expected: false, desc: 'wrong check letter' },
+  // Indian PAN: structure only
+  { func: 'isValidIndianPAN', input: 'ABCPE1234F', expected: true },
+  { func: 'isValidIndianPAN', input: 'ABCXE1234F', expected: false, desc: 'X is no holder type' }
+];
+
+console.log('🔧 Validators:\n');
+for (const { func, input, expected, desc } of validatorTests) {
+  const result = ids[func](input);
+  check(result === expected, `${func}("${input}") is ${expected}`, desc);
+}
+
+const detectionTests = [
+  { text: '529.982.247-25', locales: ['pt-BR'], expected: 'br-cpf' },
+  { text: '529.982.247-24', locales: ['pt-BR'], expected: null },
+  { text: 'X1234567L', locales: ['es-ES'], expected: 'es-dni-nie' },
+  { text: '12345678A', locales: ['es-ES'], expected: null },
+  { text: '111222333', locales: ['nl-NL'], expected: 'nl-bsn' },
+  { text: '2341 2341 2346', locales: ['en-IN'], scope: 'span', expected: 'in-aadhaar-spaced' },
+  { text: '2341 2341 2347', locales: ['en-IN'], scope: 'span', expected: null },
+  { text: 'AB 12 34 56 C', locales: ['en-GB'], scope: 'span', expected: 'uk-nino-spaced' },
+  { text: 'AB123456C', locales: ['en-GB'], expected: 'uk-nino' },
+  { text: 'GB123456A', locales: ['en-GB'], expected: null },
+  // Regional detectors stay off until their locale is selected
+  { text: 'X1234567L', locales: [], expected: null },
+  { text: 'AB123456C', locales: ['de-DE'], expected: null }
+];
+
+console.log('\n🔍 Detection with locales:\n');
+for (const { text, locales, scope = 'token', expected } of detectionTests) {
+  const match = runDetectors(text, scope, { locales });
+  const got = match && match.kind === 'NATIONAL_ID' ? match.detectorId : null;
+  check(got === expected, `"${text}" with [${locales.join(', ')}] → ${expected || 'no national ID'}`, got !== expected ? `got ${got || 'none'}` : '');
+}
+
+if (failed > 0) {
+  console.error(`\n❌ ${failed} national ID vector(s) failed`);
+  process.exit(1);
+}
+console.log('\n✅ All national ID vectors pass');
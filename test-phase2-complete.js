@@ -14,7 +14,7 @@ try {
   const { 
     detectToken, 
     calculateConfidence,
-  } = require('./packages/core-detect/dist/detectors');
+  } = require('./packages/core-detect/dist/cjs/detectors');
   
   const testTokens = [
     { token: '123-45-6789', expected: 'SSN' },
@@ -50,7 +50,7 @@ try {
     isSupportedFile,
     getSupportedExtensions,
     processBulkFiles
-  } = require('./packages/core-detect/dist/formats');
+  } = require('./packages/core-detect/dist/cjs/formats');
   
   const testFiles = [
     'photo.jpg', 'document.pdf', 'image.webp', 
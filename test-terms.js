@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+
+// Allowlist and denylist terms together with presets: a denylisted term is
+// always redacted, even when the preset does not enable the kind it is
+// reported as, and an allowlisted term never is.
+//
+// Needs the CommonJS build: pnpm --filter @cleanshare/core-detect build
+const path = require('path');
+const { analyzeDocument } = require('./packages/core-detect/dist/cjs/node');
+
+const LETTER = path.join(__dirname, 'samples', 'pdfs', 'letter.pdf');
+
+console.log('📝 Testing allow and deny terms\n');
+
+let failed = 0;
+function check(ok, desc, detail) {
+  if (!ok) failed++;
+  console.log(`   ${ok ? '✅' : '❌'} ${desc}${detail ? ` (${detail})` : ''}`);
+}
+
+const tests = [
+  { options: { presetId: 'work', denyTerms: ['Dear'] }, text: 'Dear', kind: 'OTHER', desc: 'OTHER is not among the preset\'s kinds' },
+  { options: { presetId: 'work', denyTerms: [{ term: 'dear', kind: 'NAME' }] }, text: 'Dear', kind: 'NAME', desc: 'kind given by the term' },
+  { options: { presetId: 'infrastructure', denyTerms: ['Olivia Bennett'] }, text: 'Olivia Bennett', kind: 'OTHER', desc: 'a preset without names' },
+  { options: { denyTerms: [{ term: 'Dear', caseSensitive: true }] }, text: 'Dear', kind: 'OTHER', desc: 'no preset' },
+  { options: { presetId: 'work', allowTerms: ['Mercy Hospital'] }, text: 'Mercy Hospital', kind: null, desc: 'allowlisted' }
+];
+
+async function main() {
+  for (const { options, text, kind, desc } of tests) {
+    const { detections } = await analyzeDocument(LETTER, options);
+    const found = detections.find(det => det.preview === text);
+    const got = found ? found.kind : null;
+    const ok = got === kind && (!found || options.denyTerms === undefined || found.source === 'denylist');
+    check(ok, `${JSON.stringify(options)}: "${text}" → ${kind || 'not redacted'}`, [desc, ok ? '' : `got ${got || 'none'}`].filter(Boolean).join(', '));
+  }
+
+  // The preset still drops what its detectors find outside its kinds
+  const { detections } = await analyzeDocument(LETTER, { presetId: 'infrastructure', denyTerms: ['Dear'] });
+  const others = detections.filter(det => det.source !== 'denylist');
+  check(others.length === 0, 'detector findings outside the preset\'s kinds are still dropped', others.map(det => `${det.kind} "${det.preview}"`).join(', '));
+
+  if (failed > 0) {
+    console.error(`\n❌ ${failed} term vector(s) failed`);
+    process.exit(1);
+  }
+  console.log('\n✅ All term vectors pass');
+}
+
+main().catch(error => {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+});
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+// Redact every detection in the sample PDFs and check that no character of a
+// redacted value survives anywhere in the extracted page text, then check
+// that a PDF the vector pass cannot clean is never returned with its text.
+//
+// Needs the CommonJS build: pnpm --filter @cleanshare/core-detect build
+console.log('🔒 Testing true PDF redaction\n');
+
+const fs = require('fs');
+const path = require('path');
+
+const SAMPLES = path.join(__dirname, 'samples', 'pdfs');
+const CORE = path.join(__dirname, 'packages', 'core-detect');
+
+/** The text of each page, whitespace removed. */
+async function pageTexts(bytes) {
+  const pdfjsLib = require(require.resolve('pdfjs-dist', { paths: [CORE] }));
+  const pdf = await pdfjsLib.getDocument({ data: new Uint8Array(bytes) }).promise;
+  const texts = [];
+  for (let i = 1; i <= pdf.numPages; i++) {
+    const content = await (await pdf.getPage(i)).getTextContent();
+    texts.push(content.items.map(item => item.str || '').join('').replace(/\s+/g, ''));
+  }
+  await pdf.destroy();
+  return texts;
+}
+
+/**
+ * Align the redacted page text with the original and return the characters
+ * of redacted values the alignment keeps.  Of the longest common subsequences
+ * it picks the one keeping fewest redacted characters, so a leftover
+ * character is only blamed on a value when nothing else explains it.
+ */
+function survivingCharacters(original, redacted, inValue) {
+  const weight = original.length + 1;
+  let previous = new Float64Array(redacted.length + 1);
+  let current = new Float64Array(redacted.length + 1);
+  for (let i = 1; i <= original.length; i++) {
+    const gain = inValue[i - 1] ? weight - 1 : weight;
+    for (let j = 1; j <= redacted.length; j++) {
+      const skip = Math.max(previous[j], current[j - 1]);
+      current[j] = original[i - 1] === redacted[j - 1] ? Math.max(skip, previous[j - 1] + gain) : skip;
+    }
+    [previous, current] = [current, previous];
+  }
+  const score = previous[redacted.length];
+  return Math.ceil(score / weight) * weight - score;
+}
+
+/** A page whose email address is drawn by form XObjects nested deeper than redaction follows them. */
+async function deeplyNestedPdf() {
+  const { PDFDocument, PDFName, StandardFonts, drawObject } = require(require.resolve('pdf-lib', { paths: [CORE] }));
+  const doc = await PDFDocument.create();
+  const page = doc.addPage([612, 792]);
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  const form = (content, resources) => doc.context.register(doc.context.stream(content, {
+    Type: 'XObject', Subtype: 'Form', BBox: [0, 0, 612, 792], Resources: resources
+  }));
+  let inner = form('BT /F1 12 Tf 72 700 Td (Contact: jane.doe@example.com) Tj ET', { Font: { F1: font.ref } });
+  for (let depth = 0; depth < 16; depth++) inner = form('/Fm0 Do', { XObject: { Fm0: inner } });
+  page.node.setXObject(PDFName.of('Fm0'), inner);
+  page.pushOperators(drawObject('Fm0'));
+  return doc.save();
+}
+
+async function main() {
+  const { analyzeDocument, applyRedactions } = require('./packages/core-detect/dist/cjs/node');
+  let failed = 0;
+  for (const name of fs.readdirSync(SAMPLES).filter(file => file.endsWith('.pdf'))) {
+    const file = path.join(SAMPLES, name);
+    const analysis = await analyzeDocument(file);
+    const actions = analysis.detections.map(det => ({ detectionId: det.id, style: 'BOX' }));
+    const { bytes, report } = await applyRedactions(analysis, actions);
+    const { glyphsRemoved, textUnderRedactions } = report.pdf;
+
+    const before = await pageTexts(fs.readFileSync(file));
+    const after = await pageTexts(bytes);
+    const leaks = [];
+    before.forEach((text, page) => {
+      const inValue = new Uint8Array(text.length);
+      const values = analysis.detections
+        .filter(det => det.box.page === page && det.preview)
+        .map(det => det.preview.replace(/\s+/g, ''));
+      for (const value of values) {
+        for (let at = text.indexOf(value); at >= 0; at = text.indexOf(value, at + 1)) {
+          inValue.fill(1, at, at + value.length);
+        }
+      }
+      const kept = survivingCharacters(text, after[page], inValue);
+      if (kept > 0) leaks.push(`page ${page + 1}: ${kept} character(s) of redacted values`);
+      for (const value of values) {
+        if (after[page].includes(value)) leaks.push(`page ${page + 1}: "${value}"`);
+      }
+    });
+
+    // The samples are simple enough that the vector pass must clean them on its own
+    if (report.pdfMode !== 'vector') leaks.push(`rasterised instead, text was left under boxes: ${textUnderRedactions.join(', ')}`);
+    const ok = leaks.length === 0 && (actions.length === 0 || glyphsRemoved > 0);
+    if (!ok) failed++;
+    console.log(`   ${ok ? '✅' : '❌'} ${name}: ${actions.length} box(es), ${glyphsRemoved} glyph(s) removed`);
+    for (const leak of leaks) console.log(`      survives: ${leak}`);
+  }
+
+  console.log('\n   Text the vector pass cannot reach:');
+  const nested = await deeplyNestedPdf();
+  const analysis = await analyzeDocument(nested);
+  const actions = analysis.detections.map(det => ({ detectionId: det.id, style: 'BOX' }));
+  let outcome;
+  try {
+    const { bytes, report } = await applyRedactions(analysis, actions);
+    const [text] = await pageTexts(bytes);
+    outcome = report.pdfMode === 'rasterize' && !text.includes('jane.doe')
+      ? `rasterised instead (${report.pdf.textUnderRedactions.join(', ')} was left by the vector pass)`
+      : null;
+  } catch (error) {
+    outcome = /Vector redaction left text/.test(error.message) ? `refused: ${error.message}` : null;
+    if (!outcome) console.log(`      unexpected error: ${error.message}`);
+  }
+  if (actions.length === 0 || !outcome) failed++;
+  console.log(`   ${actions.length > 0 && outcome ? '✅' : '❌'} ${actions.length} box(es), ${outcome || 'returned with its text'}`);
+  if (failed > 0) {
+    console.error(`\n❌ ${failed} file(s) still have text from their redactions`);
+    process.exit(1);
+  }
+  console.log('\n✅ No character of a redacted value survives');
+}
+
+main().catch(error => {
+  console.error('❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+});